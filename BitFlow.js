@@ -51,12 +51,14 @@ const {
     printTableCard,
 } = require('./core/ui');
 const ErrorHandler = require('./core/errorHandler');
+const SymbolRegistry = require('./src/core/symbolRegistry');
+const AlpacaCryptoStream = require('./src/core/alpacaCryptoStream');
 // BitFlow class definition moved from core/BitFlow.js to here
 class BitFlow {
     constructor(options = {}) {
         // Handle both object-based and parameter-based initialization
         const symbol = typeof options === 'object' ? options.symbol : options;
-        this.symbol = typeof symbol === 'string' ? symbol.toUpperCase() : 'BTC/USD'; // e.g., BTC/USD
+        this.symbol = typeof symbol === 'string' ? SymbolRegistry.canonical(symbol) : 'BTC/USD'; // e.g., BTC/USD
         this.baseLength = options.baseLength || options.maParams?.baseLength || 20;
         this.evalPeriod = options.evalPeriod || options.maParams?.evalPeriod || 20;
         this.previousPrices = [];
@@ -92,6 +94,10 @@ class BitFlow {
             paper: true
         });
         
+        // Live trades from Alpaca's crypto stream (null without API keys)
+        this.priceStream = AlpacaCryptoStream.fromConfig(null);
+        this.unsubscribePriceStream = null;
+        
         // Initialize Enhanced Memory System
         this.memory = new EnhancedMemorySystem('user_settings');
         
@@ -141,6 +147,14 @@ class BitFlow {
             printSuccess(`Starting market monitoring for ${this.symbol}`);
         }
         
+        if (this.priceStream && SymbolRegistry.isCrypto(this.symbol)) {
+            this.unsubscribePriceStream = this.priceStream.subscribe(this.symbol, {
+                trade: trade => {
+                    this.currentPrice = trade.price;
+                }
+            });
+        }
+        
         // Start continuous monitoring loop to keep the process running
         this.monitorInterval = setInterval(async () => {
             try {
@@ -179,33 +193,33 @@ class BitFlow {
         };
         return intervals[this.timeframe] || 60000; // Default to 1 minute
     }
+    // The last streamed trade while the stream is up, otherwise a Yahoo
+    // quote. Null when neither has a price - never a made-up one.
     async fetchLatestPrice() {
+        if (this.unsubscribePriceStream && this.priceStream.isLive() && this.currentPrice) {
+            return this.currentPrice;
+        }
         try {
             // Convert BTC/USD format to BTC-USD for Yahoo Finance
-            const yahooSymbol = this.symbol.replace('/', '-');
+            const yahooSymbol = SymbolRegistry.ticker(this.symbol, 'yahoo');
             // Only log price fetching if MIN_UI is not set
             if (process.env.BITFLOW_MIN_UI !== '1') {
                 console.log(`Fetching price for ${yahooSymbol}...`);
             }
             const quote = await yahooFinance.quote(yahooSymbol);
             if (quote && quote.regularMarketPrice) {
+                this.currentPrice = quote.regularMarketPrice;
                 return quote.regularMarketPrice;
-            } else {
-                // Fallback to simulated price for demo purposes
-                if (process.env.BITFLOW_MIN_UI !== '1') {
-                    console.log("Using simulated price data for demonstration");
-                }
-                return 65000 + (Math.random() * 1000 - 500); // Simulated BTC price around $65,000
             }
-        } catch (error) {
             if (process.env.BITFLOW_MIN_UI !== '1') {
-                console.error(`Error fetching price: ${error.message}`);
+                console.log(`No price for ${yahooSymbol} this time`);
             }
-            // Fallback to simulated price for demo purposes
+            return null;
+        } catch (error) {
             if (process.env.BITFLOW_MIN_UI !== '1') {
-                console.log("Using simulated price data for demonstration");
+                console.error(`Error fetching price: ${error.message}`);
             }
-            return 65000 + (Math.random() * 1000 - 500); // Simulated BTC price around $65,000
+            return null;
         }
     }
     
@@ -260,6 +274,10 @@ class BitFlow {
     }
     
     stopMonitoring() {
+        if (this.unsubscribePriceStream) {
+            this.unsubscribePriceStream();
+            this.unsubscribePriceStream = null;
+        }
         // Stop any active monitoring intervals
         if (this.monitorInterval) {
             clearInterval(this.monitorInterval);
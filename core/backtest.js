@@ -7,6 +7,7 @@ const axios = require('axios');
 
 // --- Smart Model Manager for Local AI ---
 const SmartModelManager = require('./smartModelManager');
+const SymbolRegistry = require('../src/core/symbolRegistry');
 
 // Initialize Smart Model Manager
 const smartModelManager = new SmartModelManager();
@@ -34,8 +35,9 @@ async function loadFromAlpacaCrypto(symbol, timeframe, limit = 1000) {
     try {
         const tf = mapTimeframeToAlpaca(timeframe);
         const url = 'https://data.alpaca.markets/v1beta3/crypto/us/bars';
+        const ticker = SymbolRegistry.ticker(symbol, 'alpacaData');
         const params = {
-            symbols: symbol,
+            symbols: ticker,
             timeframe: tf,
             limit: Math.min(limit, 5000)
         };
@@ -49,7 +51,7 @@ async function loadFromAlpacaCrypto(symbol, timeframe, limit = 1000) {
         });
         const data = resp.data || {};
         // Response shape: { bars: { 'BTC/USD': [ { c: close, ... }, ... ] } }
-        const series = (data.bars && data.bars[symbol]) || [];
+        const series = (data.bars && data.bars[ticker]) || [];
         const closes = series.map(b => b.c ?? b.close).filter(x => typeof x === 'number' && !isNaN(x));
         return closes.slice(-limit);
     } catch (e) {
@@ -151,7 +153,7 @@ function mapTimeframeToYahoo(timeframe) {
 
 async function loadHistoricalCloses(symbol, timeframe, limit = 1000) {
     try {
-        const yahooSymbol = symbol.replace('/', '-');
+        const yahooSymbol = SymbolRegistry.ticker(symbol, 'yahoo');
         const { range, interval } = mapTimeframeToYahoo(timeframe);
         const queryOptions = {
             range,
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const EnhancedMLEngine = require('./enhanced_ml_engine');
 const AdvancedTradingStrategy = require('./advanced_trading_strategy');
+const SymbolRegistry = require('../src/core/symbolRegistry');
 
 class EnhancedBacktestEngine {
     constructor(symbol = 'BTC/USD', initialBalance = 10000) {
@@ -358,11 +359,11 @@ class EnhancedBacktestEngine {
         const report = this.generateReport();
         
         // Save JSON report
-        const jsonPath = path.join(outputDir, `backtest_${this.symbol.replace('/', '')}_${timestamp}.json`);
+        const jsonPath = path.join(outputDir, `backtest_${SymbolRegistry.ticker(this.symbol, 'key')}_${timestamp}.json`);
         fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
         
         // Save CSV of trades
-        const csvPath = path.join(outputDir, `trades_${this.symbol.replace('/', '')}_${timestamp}.csv`);
+        const csvPath = path.join(outputDir, `trades_${SymbolRegistry.ticker(this.symbol, 'key')}_${timestamp}.csv`);
         const csvHeader = 'symbol,entryPrice,exitPrice,quantity,entryTime,exitTime,pnl,pnlPercent,reason,takeProfitPercent,stopLossPercent,signalConfidence,marketRegime,fee\n';
         const csvData = this.trades.map(t => 
             `${t.symbol},${t.entryPrice},${t.exitPrice},${t.quantity},${t.entryTime.toISOString()},${t.exitTime.toISOString()},${t.pnl},${t.pnlPercent},${t.reason},${t.takeProfitPercent},${t.stopLossPercent},${t.signalConfidence},${t.marketRegime},${t.fee}`
@@ -8,6 +8,7 @@ const path = require('path');
 const { SMA, EMA } = require('technicalindicators');
 const { printStatus, printSuccess, printWarning, printError, printBanner, printCard } = require('./ui');
 const { analyzeSentiment } = require('./apiHelpers');
+const SymbolRegistry = require('../src/core/symbolRegistry');
 
 function logApiError(context, error) {
     const logPath = path.join(__dirname, '../api_errors.log');
@@ -115,7 +116,7 @@ async function logPositionTrade(monitor, tradeData) {
 }
 
 async function monitorTakeProfitStopLoss(monitor, entryPrice, quantity, takeProfitPercent, stopLossPercent) {
-    const symbol = monitor.symbol.replace('/', '');
+    const symbol = SymbolRegistry.ticker(monitor.symbol, 'alpaca');
     const takeProfitPrice = entryPrice * (1 + takeProfitPercent / 100);
     const stopLossPrice = entryPrice * (1 - stopLossPercent / 100);
     printStatus(`TP/SL Monitor: TP $${takeProfitPrice.toFixed(2)}, SL $${stopLossPrice.toFixed(2)}`);
@@ -128,7 +129,7 @@ async function monitorTakeProfitStopLoss(monitor, entryPrice, quantity, takeProf
         let actualQty = quantity;
         try {
             const positions = await monitor.alpaca.getPositions();
-            const pos = positions.find(p => p.symbol === monitor.symbol.replace('/', ''));
+            const pos = positions.find(p => SymbolRegistry.same(p.symbol, monitor.symbol));
             if (pos) {
                 actualQty = parseFloat(pos.qty);
             }
@@ -355,7 +356,7 @@ async function executeTrade(monitor, signal) {
         // Get current positions and account info
         const positions = await monitor.alpaca.getPositions();
         const account = await monitor.alpaca.getAccount();
-        const currentPosition = positions.find(p => p.symbol === monitor.symbol.replace('/', ''));
+        const currentPosition = positions.find(p => SymbolRegistry.same(p.symbol, monitor.symbol));
         const availableCash = parseFloat(account.cash);
         const fixedQuantity = 0.0009; // Intended trade size
         let quantity;
@@ -410,7 +411,7 @@ async function executeTrade(monitor, signal) {
             let order;
             try {
                 order = await monitor.alpaca.createOrder({
-                    symbol: monitor.symbol.replace('/', ''),
+                    symbol: SymbolRegistry.ticker(monitor.symbol, 'alpaca'),
                     qty: quantity,
                     side: 'buy',
                     type: 'market',
@@ -453,7 +454,7 @@ async function executeTrade(monitor, signal) {
             let order;
             try {
                 order = await monitor.alpaca.createOrder({
-                    symbol: monitor.symbol.replace('/', ''),
+                    symbol: SymbolRegistry.ticker(monitor.symbol, 'alpaca'),
                     qty: quantity,
                     side: 'sell',
                     type: 'market',
@@ -1,8 +1,24 @@
-const Alpaca = require('@alpacahq/alpaca-trade-api');
 const WebSocket = require('ws');
 const axios = require('axios');
-const { checkLlamaAPI, checkPolygonNewsAPI, fetchPolygonNews, fetchArticleText, isCryptoTicker } = require('./apiHelpers');
-const { executeTrade } = require('./tradeUtils');
+const { checkLlamaAPI, checkPolygonNewsAPI, fetchPolygonNews, fetchArticleText } = require('./apiHelpers');
+const { executeTrade, placeOrder, cancelOpenOrders, reportPositionClose } = require('./tradeUtils');
+const { createBroker } = require('./brokerAdapter');
+const ReplayFeed = require('./replayFeed');
+const EntryPlan = require('./entryPlan');
+const PositionSizer = require('./positionSizing');
+const OrderTracker = require('./orderTracker');
+const FailurePolicy = require('./failurePolicy');
+const RiskManager = require('./riskManager');
+const RiskReport = require('./riskReport');
+const TradeThrottle = require('./tradeThrottle');
+const PreTradeChecks = require('./preTradeChecks');
+const CapitalBudget = require('./capitalBudget');
+const CapitalAllocator = require('./capitalAllocator');
+const SymbolRegistry = require('./symbolRegistry');
+const MarketDataRouter = require('./marketData');
+const CandleStore = require('./candleStore');
+const CandleBuilder = require('./candleBuilder');
+const AlpacaCryptoStream = require('./alpacaCryptoStream');
 const fetch = require('node-fetch');
 const LLAMA_API_KEY = process.env.LLAMA_API_KEY;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
@@ -20,8 +36,10 @@ function boolStatus(val) {
 }
 
 class BitFlow {
-    constructor(symbol, baseLength = 20, evalPeriod = 20, timeframe = '5Min', polygonKey = process.env.POLYGON_API_KEY, takeProfit = 'auto', stopLoss = 'auto', userPreferences = {}, errorHandler = null) {
-        this.symbol = symbol.toUpperCase(); // e.g., BTC/USD
+    // `shared` holds what a PortfolioRunner hands every monitor it starts:
+    // { broker, smartModelManager, dataCache, marketData, candleStore, priceStream, capitalBudget, riskReport, riskManager, runner }
+    constructor(symbol, baseLength = 20, evalPeriod = 20, timeframe = '5Min', polygonKey = process.env.POLYGON_API_KEY, takeProfit = 'auto', stopLoss = 'auto', userPreferences = {}, errorHandler = null, shared = {}) {
+        this.symbol = SymbolRegistry.canonical(symbol); // e.g., BTC/USD (BTCUSD and BTC-USD work too)
         this.baseLength = baseLength;
         this.evalPeriod = evalPeriod;
         this.previousPrices = [];
@@ -42,12 +60,17 @@ class BitFlow {
         this.marketStatus = null;
         this.lastSignal = null;
         this.historicalData = [];
-        this.alpaca = new Alpaca({
-            keyId: process.env.ALPACA_API_KEY_ID,
-            secretKey: process.env.ALPACA_SECRET_KEY,
-            paper: true,
-            usePolygon: false
-        });
+        // All account, position and order calls go through the broker adapter
+        this.broker = shared.broker || createBroker(process.env.BITFLOW_BROKER || 'alpaca', { paper: true, symbols: [symbol] });
+        // Set when a PortfolioRunner drives this monitor alongside others
+        this.runner = shared.runner || null;
+        this.dataCache = shared.dataCache || null;
+        this.capitalBudget = shared.capitalBudget || null;
+        // Order lifecycle and the open position, persisted under logs/state/
+        this.orderTracker = new OrderTracker(this.broker, { symbol: this.symbol });
+        this.activePosition = null;
+        // Optional recorded bars to play back instead of live market data
+        this.replayFeed = process.env.BITFLOW_REPLAY_FILE ? new ReplayFeed(process.env.BITFLOW_REPLAY_FILE) : null;
         this.position = null;
         this.lastMarketCheck = false;
         this.accumulatedPrices = []; // Store prices if insufficient data
@@ -58,10 +81,51 @@ class BitFlow {
         // Initialize enhanced memory system and load user settings
         this.memorySystem = new EnhancedMemorySystem();
         this.userSettings = userPreferences.length ? userPreferences : this.memorySystem.loadAllSettings();
+        // Extra exit rules (trailing, break-even, time, chandelier...) from user_settings/exitRules.json
+        this.exitRules = this.memorySystem.loadJSONSetting('exitRules', []);
+        // Optional scale-in / DCA plan from user_settings/entryPlan.json
+        this.entryPlan = EntryPlan.fromConfig(this.memorySystem.loadJSONSetting('entryPlan', null));
+        // Optional sizing model (fixed, fractional, volatility, kelly) from user_settings/positionSizing.json
+        this.positionSizer = PositionSizer.fromConfig(this.memorySystem.loadJSONSetting('positionSizing', null), { tradeValue: this.userSettings.fixedTradeValue });
+        // Checks every entry passes before it is sent, from user_settings/preTradeChecks.json
+        this.preTradeChecks = PreTradeChecks.fromConfig(this.memorySystem.loadJSONSetting('preTradeChecks', []));
+        // Provider tickers and precision overrides from user_settings/symbols.json
+        SymbolRegistry.configure(this.memorySystem.loadJSONSetting('symbols', null));
+        // Bars from the healthiest of Alpaca, Yahoo, Polygon and local files (user_settings/marketData.json)
+        this.marketData = shared.marketData || MarketDataRouter.fromConfig(this.memorySystem.loadJSONSetting('marketData', null), { polygonKey });
+        // Closed bars kept on disk so starts and updates only fetch what is new (user_settings/candleStore.json)
+        this.candleStore = shared.candleStore !== undefined ? shared.candleStore : CandleStore.fromConfig(this.memorySystem.loadJSONSetting('candleStore', null), {
+            fetchBars: (barSymbol, timeframe, limit, options) => this.requestBars(barSymbol, timeframe, limit, options)
+        });
+        // Live trades, quotes and minute bars from Alpaca's crypto WebSocket (user_settings/cryptoStream.json)
+        this.priceStream = shared.priceStream !== undefined ? shared.priceStream : AlpacaCryptoStream.fromConfig(this.memorySystem.loadJSONSetting('cryptoStream', null));
+        this.candleBuilder = new CandleBuilder({ timeframe: this.timeframe });
+        this.priceWaiters = [];
+        // Venue fee tiers / volume from user_settings/feeSchedule.json
+        this.broker.applyFeeOverrides(this.memorySystem.loadJSONSetting('feeSchedule', null));
 
         // Initialize smart model manager and error handler
-        this.smartModelManager = new SmartModelManager();
+        this.smartModelManager = shared.smartModelManager || new SmartModelManager();
         this.errorHandler = errorHandler || new (require('./errorHandler'))();
+        // What executeTrade does when a trade fails: skip, pause or flatten
+        this.failurePolicy = FailurePolicy.fromSettings(this.userSettings, this.errorHandler);
+        // VaR/CVaR and stress scenarios for open positions, from user_settings/riskReport.json
+        this.riskReport = shared.riskReport || new RiskReport({
+            ...this.memorySystem.loadJSONSetting('riskReport', {}),
+            fetchBars: (symbol, limit) => this.fetchRiskBars(symbol, limit)
+        });
+        // Account-wide loss, drawdown, exposure and VaR limits checked before every order
+        this.riskManager = shared.riskManager || RiskManager.fromSettings(this.userSettings, this.broker.name, this.riskReport);
+        // Loss-streak and trade-frequency cooldowns between a BUY signal and its order
+        this.tradeThrottle = TradeThrottle.fromSettings(this.userSettings, this.symbol, this.broker.name);
+        // On its own, a monitor with user_settings/capitalAllocation.json sizes
+        // entries against the correlated holdings already in the account
+        if (!this.capitalBudget) {
+            const allocator = CapitalAllocator.fromConfig(this.memorySystem.loadJSONSetting('capitalAllocation', null), {
+                fetchBars: (symbol, limit) => this.fetchRiskBars(symbol, limit)
+            });
+            if (allocator) this.capitalBudget = new CapitalBudget({ symbols: [this.symbol], allocator });
+        }
     }
 
     static async configureTimeframe() {
@@ -121,27 +185,22 @@ class BitFlow {
         });
     }
 
-    // --- Fetch historical OHLCV from Alpaca REST API ---
-    async fetchAlpacaHistorical(symbol, timeframe = this.timeframe, limit = 1000) {
-        const url = `https://data.alpaca.markets/v1beta3/crypto/us/bars?symbols=${encodeURIComponent(symbol)}&timeframe=${timeframe}&limit=${limit}`;
-        try {
-            const resp = await axios.get(url, {
-                headers: {
-                    'Apca-Api-Key-Id': process.env.ALPACA_API_KEY_ID,
-                    'Apca-Api-Secret-Key': process.env.ALPACA_SECRET_KEY,
-                    'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
-                }
-            });
-            const bars = resp.data.bars && resp.data.bars[symbol];
-            if (!bars || !Array.isArray(bars) || bars.length === 0) {
-                throw new Error('No OHLCV data from Alpaca');
-            }
-            return bars;
-        } catch (err) {
-            console.error('Error fetching Alpaca OHLCV:', err.message);
-            return [];
-        }
+    // --- Fetch historical OHLCV (kept under its old name; any source the router picks) ---
+    async fetchAlpacaHistorical(symbol, timeframe = this.timeframe, limit = 1000, options = {}) {
+        const load = () => (this.candleStore
+            ? this.candleStore.getBars(symbol, timeframe, limit, options)
+            : this.requestBars(symbol, timeframe, limit, options));
+        // Monitors in a portfolio run fetch each symbol's bars once per refresh
+        return this.dataCache ? this.dataCache.get(symbol, timeframe, limit, load) : load();
+    }
+
+    async requestBars(symbol, timeframe, limit, options = {}) {
+        const { bars, source, attempts } = await this.marketData.getBars(symbol, timeframe, limit, options);
+        attempts.filter(a => a.error || a.stale).forEach(a => {
+            console.error(`⚠️ ${a.source} bars for ${symbol}: ${a.error || `stale (${a.bars} bars)`}`);
+        });
+        if (source && attempts.length > 1) console.log(`📊 Using ${source} for ${symbol} bars`);
+        return bars;
     }
 
     // --- Market Status Check ---
@@ -153,7 +212,10 @@ class BitFlow {
             message: '',
             error: null
         };
-        if (this.polygonKey) {
+        if (this.broker.offline) {
+            polygonStatus.open = true;
+            polygonStatus.message = 'Simulated broker - crypto market treated as always open';
+        } else if (this.polygonKey) {
             try {
                 const marketResponse = await axios.get(
                     'https://api.polygon.io/v1/marketstatus/now',
@@ -187,15 +249,15 @@ class BitFlow {
             error: null
         };
         try {
-            // Use Alpaca's getAssets to check if pair is tradable
-            const assets = await this.alpaca.getAssets({ asset_class: 'crypto', status: 'active' });
-            const found = assets.find(a => (a.symbol === this.symbol || a.symbol === this.symbol.replace('/', '')) && a.tradable);
+            // Use the broker's asset list to check if pair is tradable
+            const assets = await this.broker.getAssets({ assetClass: 'crypto', status: 'active' });
+            const found = assets.find(a => SymbolRegistry.same(a.symbol, this.symbol) && a.tradable);
             if (found) {
                 status.tradable = true;
-                status.message = `${this.symbol} is available for trading (Alpaca)`;
+                status.message = `${this.symbol} is available for trading (${this.broker.name})`;
             } else {
                 status.tradable = false;
-                status.message = `❌ ${this.symbol} is not available for trading (Alpaca)`;
+                status.message = `❌ ${this.symbol} is not available for trading (${this.broker.name})`;
             }
         } catch (error) {
             status.error = 'Alpaca asset status check failed: ' + error.message;
@@ -212,18 +274,11 @@ class BitFlow {
         const minimumBars = Math.max(this.baseLength + 10, 30); // Absolute minimum
         let bars = [];
         
-        // Try Alpaca first
-        console.log('📊 Trying Alpaca for historical data...');
-        bars = await this.fetchAlpacaHistorical(this.symbol, this.timeframe, idealBars * 2);
-        
-        if (bars.length < minimumBars) {
-            console.log('⚠️ Alpaca insufficient, trying Yahoo Finance...');
-            const yahooBars = await this.fetchYahooHistorical(this.symbol, this.timeframe, idealBars);
-            
-            if (yahooBars.length > bars.length) {
-                bars = yahooBars; // Use Yahoo if it has more data
-                console.log('✅ Using Yahoo Finance as primary data source');
-            }
+        if (this.replayFeed) {
+            console.log(`📊 Replaying historical data from ${this.replayFeed.filePath}...`);
+            bars = this.replayFeed.getBars(idealBars * 2);
+        } else {
+            bars = await this.fetchAlpacaHistorical(this.symbol, this.timeframe, idealBars * 2, { minBars: minimumBars });
         }
         
         if (bars.length === 0) {
@@ -254,78 +309,66 @@ class BitFlow {
             console.warn('⚠️ Moving averages may be less reliable with limited data');
         }
         
-        this.historicalData = bars;
+        this.historicalData = this.candleBuilder.seed(bars);
+        const lastBar = bars[bars.length - 1];
+        this.updateCurrentPrice(lastBar.close || lastBar.c, this.barPriceTime(lastBar));
         console.log(`✅ Historical data initialized: ${bars.length} bars loaded`);
         return true;
     }
 
-    // --- Yahoo Finance Historical Data Fallback ---
-    async fetchYahooHistorical(symbol, timeframe, limit) {
-        try {
-            const yahooFinance = require('yahoo-finance2').default;
-            const yfSymbol = symbol.replace('/', '-'); // BTC/USD -> BTC-USD
-            
-            // Yahoo Finance supported intervals (1m not supported for historical)
-            let intervalMap = {
-                '1Min': '5m',   // Use 5m as closest to 1m
-                '5Min': '5m', 
-                '15Min': '15m',
-                '1Hour': '1h',
-                '1Day': '1d'
-            };
-            
-            const interval = intervalMap[timeframe] || '5m';
-            
-            // Calculate period - use chart() instead of historical()
-            let period1, period2;
-            
-            if (timeframe === '1Min' || timeframe === '5Min') {
-                // For short timeframes, get last 7 days
-                period2 = new Date();
-                period1 = new Date(period2.getTime() - (7 * 24 * 60 * 60 * 1000));
-            } else if (timeframe === '15Min') {
-                // For 15min, get last 30 days
-                period2 = new Date();
-                period1 = new Date(period2.getTime() - (30 * 24 * 60 * 60 * 1000));
-            } else {
-                // For hourly/daily, get more history
-                period2 = new Date();
-                period1 = new Date(period2.getTime() - (90 * 24 * 60 * 60 * 1000));
-            }
-            
-            console.log(`📊 Fetching Yahoo Finance data: ${yfSymbol} (${interval}) from ${period1.toLocaleDateString()}`);
-            
-            // Use chart() instead of historical() for better reliability
-            const chartData = await yahooFinance.chart(yfSymbol, {
-                period1: period1,
-                period2: period2,
-                interval: interval
-            });
-            
-            if (!chartData || !chartData.quotes || chartData.quotes.length === 0) {
-                console.log('⚠️ Yahoo Finance chart returned no data');
-                return [];
+    // --- Real-Time Prices ---
+    // Alpaca's crypto stream when there are keys for it, otherwise Yahoo
+    // quotes polled every 30 seconds (with a Finnhub key, as before)
+    startPriceStream() {
+        if (!this.usesPriceStream()) {
+            if (this.finnhubKey) this.startYahooFinanceWebSocket();
+            return false;
+        }
+        this.stopPriceStream();
+        this.unsubscribePriceStream = this.priceStream.subscribe(this.symbol, {
+            trade: trade => {
+                this.candleBuilder.addTrade(trade);
+                this.updateCurrentPrice(trade.price, trade.time);
+            },
+            bar: bar => {
+                this.candleBuilder.addMinuteBar(bar);
+            },
+            status: state => {
+                if (state === 'streaming') printStatus(`📡 Streaming ${this.symbol} trades and bars from Alpaca`);
             }
-            
-            // Convert Yahoo Finance chart format to our format
-            const bars = chartData.quotes
-                .filter(quote => quote.close !== null) // Filter out invalid bars
-                .map(quote => ({
-                    timestamp: new Date(quote.date),
-                    open: quote.open,
-                    high: quote.high,
-                    low: quote.low,
-                    close: quote.close,
-                    volume: quote.volume || 0
-                }));
-            
-            console.log(`✅ Yahoo Finance data: ${bars.length} bars retrieved`);
-            return bars.slice(-limit); // Return only the requested number of bars
-            
-        } catch (error) {
-            console.error('❌ Yahoo Finance historical data failed:', error.message);
-            return [];
+        });
+        return true;
+    }
+
+    usesPriceStream() {
+        return !!this.priceStream && !this.replayFeed && SymbolRegistry.isCrypto(this.symbol);
+    }
+
+    stopPriceStream() {
+        if (this.unsubscribePriceStream) {
+            this.unsubscribePriceStream();
+            this.unsubscribePriceStream = null;
         }
+        this.stopYahooFinanceWebSocket();
+    }
+
+    isStreaming() {
+        return !!this.unsubscribePriceStream && this.priceStream.isLive();
+    }
+
+    // Resolves with the next price update, or null after timeoutMs
+    waitForPrice(timeoutMs) {
+        return new Promise(resolve => {
+            const waiter = price => {
+                clearTimeout(timer);
+                resolve(price);
+            };
+            const timer = setTimeout(() => {
+                this.priceWaiters = this.priceWaiters.filter(w => w !== waiter);
+                resolve(null);
+            }, timeoutMs);
+            this.priceWaiters.push(waiter);
+        });
     }
 
     // --- Yahoo Finance WebSocket for Real-Time Price Updates ---
@@ -333,14 +376,14 @@ class BitFlow {
         const yahooFinance = require('yahoo-finance2').default;
         
         // Convert symbol to Yahoo Finance format (BTC/USD -> BTC-USD)
-        const yfSymbol = this.symbol.replace('/', '-');
+        const yfSymbol = SymbolRegistry.ticker(this.symbol, 'yahoo');
         
         // Set up periodic price updates using yahoo-finance2
         this.priceUpdateInterval = setInterval(async () => {
             try {
                 const quote = await yahooFinance.quote(yfSymbol);
                 if (quote && quote.regularMarketPrice) {
-                    this.currentPrice = quote.regularMarketPrice;
+                    this.updateCurrentPrice(quote.regularMarketPrice);
                     console.log(`📈 [Yahoo Finance] ${yfSymbol}: $${quote.regularMarketPrice}`);
                 }
             } catch (error) {
@@ -351,21 +394,53 @@ class BitFlow {
         console.log('📡 Yahoo Finance price updates started for', yfSymbol);
     }
 
+    // Yahoo's last price, for checking the broker's quote against
+    async fetchReferencePrice() {
+        const yahooFinance = require('yahoo-finance2').default;
+        const quote = await yahooFinance.quote(SymbolRegistry.ticker(this.symbol, 'yahoo'));
+        return quote && quote.regularMarketPrice ? quote.regularMarketPrice : null;
+    }
+
     stopYahooFinanceWebSocket() {
         if (this.priceUpdateInterval) {
             clearInterval(this.priceUpdateInterval);
+            this.priceUpdateInterval = null;
             console.log('🛑 Yahoo Finance price updates stopped');
         }
     }
 
+    // Keep the current price in one place so a simulated broker sees every
+    // tick, and wake anything waiting on the next one (the TP/SL monitor)
+    updateCurrentPrice(price, time = Date.now()) {
+        this.currentPrice = price;
+        this.currentPriceAt = time;
+        if (typeof this.broker.updatePrice === 'function') {
+            this.broker.updatePrice(this.symbol, price);
+        }
+        const waiters = this.priceWaiters;
+        this.priceWaiters = [];
+        waiters.forEach(waiter => waiter(price));
+    }
+
+    // When a bar's close was last the price: the end of the bar, or now for
+    // the bar still forming. Replayed bars are played back as live.
+    barPriceTime(bar) {
+        if (this.replayFeed) return Date.now();
+        const end = new Date(bar.timestamp || bar.t).getTime() + (MarketDataRouter.TIMEFRAME_MS[this.timeframe] || 0);
+        return Math.min(end, Date.now());
+    }
+
     // --- Get Crypto Data (for regular updates) ---
     async getCryptoData() {
-        // Try Alpaca first, then Yahoo Finance as fallback
-        let bars = await this.fetchAlpacaHistorical(this.symbol, this.timeframe, 200);
-        
-        if (bars.length === 0) {
-            console.log('⚠️ Alpaca update failed, using Yahoo Finance...');
-            bars = await this.fetchYahooHistorical(this.symbol, this.timeframe, 200);
+        let bars;
+        if (this.replayFeed) {
+            // Each update plays back one more recorded bar
+            if (!this.replayFeed.advance()) {
+                console.log('⏹️ Replay file exhausted - no new bars');
+            }
+            bars = this.replayFeed.getBars(200);
+        } else {
+            bars = await this.fetchAlpacaHistorical(this.symbol, this.timeframe, 200);
         }
         
         if (bars.length === 0) {
@@ -376,11 +451,12 @@ class BitFlow {
         }
         
         // Update historical data with fresh bars
-        this.historicalData = bars;
+        this.historicalData = this.candleBuilder.seed(bars);
         
-        // Get the latest price from the most recent bar
-        const latestPrice = bars[bars.length - 1].close || bars[bars.length - 1].c;
-        this.currentPrice = latestPrice;
+        // Get the latest price from the most recent bar (streamed trades are newer)
+        const lastBar = bars[bars.length - 1];
+        const latestPrice = lastBar.close || lastBar.c;
+        if (!this.isStreaming()) this.updateCurrentPrice(latestPrice, this.barPriceTime(lastBar));
         
         // Append new prices to accumulatedPrices
         const newPrices = bars.map(b => b.close || b.c);
@@ -438,7 +514,7 @@ class BitFlow {
             });
             if (signal === 'BUY') {
                 const currentPosition = await this.getCurrentPosition();
-                if (currentPosition.exists && currentPosition.quantity > 0) {
+                if (currentPosition.exists && currentPosition.quantity > 0 && !(this.entryPlan && this.entryPlan.mode === 'pyramid')) {
                     console.log('🔄 BUY signal detected but a position is already open. Will not run due to current position.');
                     return;
                 }
@@ -488,6 +564,8 @@ class BitFlow {
         printStatus('Fast MA: $' + (result.fastMA ? result.fastMA.toFixed(2) : 'N/A'));
         printStatus('Slow MA: $' + (result.slowMA ? result.slowMA.toFixed(2) : 'N/A'));
         printStatus('RSI: ' + (result.rsi ? result.rsi.toFixed(2) : 'N/A'));
+        const cooldown = this.entryCooldownStatus();
+        if (cooldown) printWarning(cooldown);
         if (result.signal) {
             printWarning(`${signalEmoji} ${result.signal} SIGNAL DETECTED ${signalEmoji}`);
             this.sendDesktopNotification(
@@ -497,6 +575,12 @@ class BitFlow {
         }
     }
 
+    // --- Entry Cooldown Status ---
+    entryCooldownStatus() {
+        const cooldown = this.tradeThrottle && this.tradeThrottle.activeCooldown();
+        return cooldown ? `Entries paused until ${new Date(cooldown.until).toLocaleString()}: ${cooldown.reason}` : '';
+    }
+
     // --- Desktop Notifications ---
     sendDesktopNotification(title, message) {
         try {
@@ -529,7 +613,7 @@ class BitFlow {
             // Fetch news for context (but limit to recent/relevant)
             let newsText = '';
             try {
-                const newsArticles = await fetchNewsArticles(symbol);
+                const newsArticles = await fetchPolygonNews(symbol);
                 if (newsArticles && newsArticles.length > 0) {
                     // Only use first article for speed
                     const firstArticle = newsArticles[0];
@@ -605,6 +689,18 @@ class BitFlow {
     }
 
     // --- Regular Updates ---
+    // Record the UTC day's opening equity on its first update, before any
+    // entry is checked, so the daily loss counts the whole day
+    async startRiskDay() {
+        if (!this.riskManager.needsDayStart()) return;
+        try {
+            const account = await this.broker.getAccount();
+            this.riskManager.startDay(account.equity);
+        } catch (error) {
+            printWarning(`Could not read equity to start the risk day: ${error.message}`);
+        }
+    }
+
     async displayRegularUpdate() {
         try {
             const prices = await this.getCryptoData();
@@ -622,20 +718,24 @@ class BitFlow {
                 console.error('❌ STOPPING PROGRAM - Data integrity issue.');
                 process.exit(1); // Stop the program completely
             }
+            await this.startRiskDay();
             await this.checkSignals(prices);
+            // A portfolio runner shows one report for all its symbols
+            if (!this.runner && Date.now() - (this.lastRiskReportAt || 0) >= this.riskReport.refreshMinutes * 60000) {
+                await this.displayRiskReport();
+            }
             if (this.userSettings.enablePositionLogging) {
                 try {
-                    const positions = await this.alpaca.getPositions();
-                    const pos = positions.find(p => p.symbol === this.symbol.replace('/', ''));
+                    const pos = await this.broker.getPosition(this.symbol);
                     if (pos) {
-                        const entry = parseFloat(pos.avg_entry_price);
-                        const qty = parseFloat(pos.qty);
-                        const marketValue = parseFloat(pos.market_value);
-                        const unrealized = parseFloat(pos.unrealized_pl);
-                        const unrealizedPct = parseFloat(pos.unrealized_plpc) * 100;
+                        const entry = pos.avgEntryPrice;
+                        const qty = pos.qty;
+                        const marketValue = pos.marketValue;
+                        const unrealized = pos.unrealizedPL;
+                        const unrealizedPct = pos.unrealizedPLPercent;
                         const pnlEmoji = unrealized >= 0 ? '📈' : '📉';
                         printBanner('POSITION UPDATE - ' + this.symbol);
-                        printStatus(`Quantity: ${qty.toFixed(6)} ${this.symbol.split('/')[0]}`);
+                        printStatus(`Quantity: ${qty.toFixed(6)} ${SymbolRegistry.get(this.symbol).base}`);
                         printStatus(`Entry Price: $${entry.toFixed(2)}`);
                         printStatus(`Current Price: $${this.currentPrice ? this.currentPrice.toFixed(2) : 'N/A'}`);
                         printStatus(`Market Value: $${marketValue.toFixed(2)}`);
@@ -658,6 +758,33 @@ class BitFlow {
         }
     }
 
+    // --- Risk Report ---
+    // Bars for the risk report: ours are already loaded, other holdings are fetched
+    async fetchRiskBars(symbol, limit) {
+        if (symbol === this.symbol && this.historicalData.length > 0) return this.historicalData;
+        return this.fetchAlpacaHistorical(symbol, this.timeframe, limit);
+    }
+
+    async displayRiskReport() {
+        this.lastRiskReportAt = Date.now();
+        try {
+            const report = await this.riskReport.build(this.broker);
+            this.lastRiskReport = report;
+            if (report.positions.length === 0) return;
+            const share = usd => report.equity > 0 ? ` (${formatNumber((usd / report.equity) * 100)}%)` : '';
+            printTableCard(`Risk Report (${report.confidence * 100}%, ${report.horizonBars} bar${report.horizonBars === 1 ? '' : 's'}, ${report.observations} obs)`, [
+                ['Exposure', formatMoney(report.exposure) + share(report.exposure)],
+                ['Historical VaR / CVaR', `${formatMoney(report.historical.var)} / ${formatMoney(report.historical.cvar)}${share(report.historical.var)}`],
+                ['Parametric VaR / CVaR', `${formatMoney(report.parametric.var)} / ${formatMoney(report.parametric.cvar)}${share(report.parametric.var)}`],
+                ...report.positions.map(p => [`VaR ${p.symbol}`, `${formatMoney(p.historical.var)} on ${formatMoney(p.value)}`]),
+                ...report.stress.map(s => [`Stress: ${s.name}`, `${s.pnl < 0 ? chalk.red(formatMoney(s.pnl)) : formatMoney(s.pnl)}${share(s.pnl)}`])
+            ]);
+            if (report.note) printWarning(`Risk report: ${report.note}`);
+        } catch (error) {
+            printWarning('Could not build the risk report: ' + error.message);
+        }
+    }
+
     async captureTradeEntry(signal, price, marketData) {
         try {
             // Get AI reasoning for this trade using Fast Local Trading AI
@@ -722,9 +849,9 @@ class BitFlow {
 
     async calculateQuantity(price) {
         try {
-            // Get real account balance from Alpaca
-            const account = await this.alpaca.getAccount();
-            const accountBalance = parseFloat(account.cash);
+            // Get real account balance from the broker
+            const account = await this.broker.getAccount();
+            const accountBalance = account.cash;
             const riskPercent = 1; // 1% risk
             const riskAmount = accountBalance * (riskPercent / 100);
             return Math.floor(riskAmount / price);
@@ -800,7 +927,7 @@ class BitFlow {
 
             if (signal === 'BUY') {
                 const currentPosition = await this.getCurrentPosition();
-                if (currentPosition.exists && currentPosition.quantity > 0) {
+                if (currentPosition.exists && currentPosition.quantity > 0 && !(this.entryPlan && this.entryPlan.mode === 'pyramid')) {
                     console.log('🔄 BUY signal detected but a position is already open. Will not run due to current position.');
                     return;
                 }
@@ -839,14 +966,13 @@ class BitFlow {
     // --- Get Current Position Info ---
     async getCurrentPosition() {
         try {
-            const positions = await this.alpaca.getPositions();
-            const pos = positions.find(p => p.symbol === this.symbol.replace('/', ''));
+            const pos = await this.broker.getPosition(this.symbol);
             if (pos) {
-                const entry = parseFloat(pos.avg_entry_price);
-                const qty = parseFloat(pos.qty);
-                const marketValue = parseFloat(pos.market_value);
-                const unrealized = parseFloat(pos.unrealized_pl);
-                const unrealizedPct = parseFloat(pos.unrealized_plpc) * 100;
+                const entry = pos.avgEntryPrice;
+                const qty = pos.qty;
+                const marketValue = pos.marketValue;
+                const unrealized = pos.unrealizedPL;
+                const unrealizedPct = pos.unrealizedPLPercent;
                 return {
                     symbol: this.symbol,
                     quantity: qty,
@@ -876,7 +1002,7 @@ class BitFlow {
         this.hasPrintedNoPosition = false; // Reset flag if position exists
         const pnlEmoji = position.unrealizedPL >= 0 ? '📈' : '📉';
         printBanner('CURRENT POSITION - ' + this.symbol);
-        printStatus(`Quantity: ${position.quantity.toFixed(6)} ${this.symbol.split('/')[0]}`);
+        printStatus(`Quantity: ${position.quantity.toFixed(6)} ${SymbolRegistry.get(this.symbol).base}`);
         printStatus(`Entry Price: $${position.entryPrice.toFixed(2)}`);
         printStatus(`Market Value: $${position.marketValue.toFixed(2)}`);
         printStatus(`${pnlEmoji} P/L: $${position.unrealizedPL.toFixed(2)} (${position.unrealizedPLPercent.toFixed(2)}%)`);
@@ -905,6 +1031,48 @@ class BitFlow {
         // Do nothing
     }
 
+    // --- Reconcile Orders After a Restart ---
+    async reconcileOrders() {
+        try {
+            const { position, openOrders, changes, closed } = await this.orderTracker.reconcile();
+            this.activePosition = position;
+            if (changes.length > 0) {
+                printSection('Reconciled With Broker');
+                changes.forEach(change => printStatus(change));
+            }
+            if (closed) await this.journalReconciledClose(closed);
+            if (openOrders.length > 0) {
+                printStatus(`${openOrders.length} open order(s) for ${this.symbol} being tracked`);
+            }
+        } catch (error) {
+            printWarning(`Could not reconcile orders with the broker: ${error.message}`);
+        }
+        this.orderTracker.start();
+    }
+
+    // A position the broker closed while we were down (its TP/SL legs, or a
+    // sell by hand) still gets its journal entry. Without a fill on record the
+    // exit is priced at the current price.
+    async journalReconciledClose({ position, exitPrice, quantity }) {
+        let price = exitPrice || this.currentPrice;
+        if (!price) {
+            try {
+                price = (await this.broker.getLatestQuote(this.symbol)).mid;
+            } catch (error) {
+                printWarning(`No exit price for the ${this.symbol} position closed while BitFlow was stopped; journaling it at entry (${error.message})`);
+                price = position.avgEntryPrice;
+            }
+        }
+        this.activePosition = position;
+        await reportPositionClose(this, {
+            entryPrice: position.avgEntryPrice,
+            exitPrice: price,
+            quantity,
+            reason: exitPrice ? 'Closed At Broker While Stopped' : 'Closed At Broker While Stopped (exit price estimated)',
+            currentPrice: this.currentPrice
+        });
+    }
+
     // --- Start TP/SL Monitoring for Existing Position ---
     async startExistingPositionMonitoring() {
         const position = await this.getCurrentPosition();
@@ -912,8 +1080,16 @@ class BitFlow {
         this.position = position;
         let takeProfitPercent = this.takeProfit;
         let stopLossPercent = this.stopLoss;
+        let entryPrice = position.entryPrice;
         const savedTPSL = this.loadTPSLValues(this.symbol);
-        if (savedTPSL) {
+        const saved = this.activePosition;
+        if (saved && saved.takeProfitPercent !== undefined) {
+            // The position record from before the restart knows the real TP/SL
+            takeProfitPercent = saved.takeProfitPercent;
+            stopLossPercent = saved.stopLossPercent;
+            entryPrice = saved.avgEntryPrice;
+            printStatus(`Restored position ${saved.id}: TP ${takeProfitPercent}%, SL ${stopLossPercent}%`);
+        } else if (savedTPSL) {
             const priceDiff = Math.abs(savedTPSL.entryPrice - position.entryPrice) / position.entryPrice;
             if (priceDiff < 0.01) {
                 takeProfitPercent = savedTPSL.takeProfit;
@@ -929,15 +1105,34 @@ class BitFlow {
         takeProfitPercent = parseFloat(takeProfitPercent);
         stopLossPercent = parseFloat(stopLossPercent);
         printBanner('TP/SL MONITORING STARTED');
-        printStatus(`Entry: $${position.entryPrice.toFixed(2)}`);
+        printStatus(`Entry: $${entryPrice.toFixed(2)}`);
         printStatus(`Take Profit: ${takeProfitPercent}%`);
         printStatus(`Stop Loss: ${stopLossPercent}%`);
-        const { monitorTakeProfitStopLoss } = require('./tradeUtils');
-        monitorTakeProfitStopLoss(this, position.entryPrice, position.quantity, takeProfitPercent, stopLossPercent);
+        const { protectExistingPosition, logApiError } = require('./tradeUtils');
+        protectExistingPosition(this, entryPrice, position.quantity, takeProfitPercent, stopLossPercent)
+            .catch(error => logApiError('Exit protection', error));
+    }
+
+    // --- Dry Run ---
+    // Swap the broker for a shadow book that journals would-have orders.
+    // The live broker is kept for quotes and asset lookups only.
+    enableDryRun() {
+        if (this.broker.dryRun) return;
+        this.orderTracker.stop();
+        this.orderTracker.unsubscribe();
+        this.broker = createBroker('dryrun', { source: this.broker, symbols: [this.symbol] });
+        this.orderTracker = new OrderTracker(this.broker, { symbol: this.symbol });
+        this.riskManager = RiskManager.fromSettings(this.userSettings, this.broker.name, this.riskReport);
+        this.tradeThrottle = TradeThrottle.fromSettings(this.userSettings, this.symbol, this.broker.name);
+        printWarning(`DRY RUN: no orders will be sent. Would-have orders are journaled to ${this.broker.journalPath}`);
     }
 
     // --- Monitoring Control ---
-    async startMonitoring() {
+    // options.dryRun (or BITFLOW_DRY_RUN=1) runs signal-only: see enableDryRun
+    async startMonitoring(options = {}) {
+        if (options.dryRun || process.env.BITFLOW_DRY_RUN === '1') {
+            this.enableDryRun();
+        }
         if (process.stdout.isTTY) {
             process.stdout.write('\x1Bc');
         }
@@ -950,9 +1145,16 @@ class BitFlow {
                 `Crossunder: ${statusDot(this.userSettings.enableCrossunderSignals)} ${boolStatus(this.userSettings.enableCrossunderSignals)}`,
                 `Metrics: ${statusDot(this.userSettings.enablePerformanceMetrics)} ${boolStatus(this.userSettings.enablePerformanceMetrics)}`,
                 `Logging: ${statusDot(this.userSettings.enablePositionLogging)} ${boolStatus(this.userSettings.enablePositionLogging)}`,
-                this.hasPrintedNoPosition ? 'No open position' : ''
+                this.hasPrintedNoPosition ? 'No open position' : '',
+                this.entryCooldownStatus()
             ]
         );
+        // Pick up fills, cancels and position changes from while we were down
+        await this.reconcileOrders();
+        const halted = this.riskManager.isHalted();
+        if (halted) {
+            printWarning(`Risk kill switch is on since ${halted.at}: ${halted.reason}. New entries are blocked${halted.until ? ` until ${halted.until}` : ' until it is reset'}.`);
+        }
         // Account Info Card (after Alpaca init)
         const existingPosition = await this.getCurrentPosition();
         this.displayPositionInfo(existingPosition);
@@ -962,9 +1164,9 @@ class BitFlow {
         this.isMonitoring = true;
         const account = await this.getAccountInfo();
         if (account) {
-            printTableCard('Alpaca Paper Trading', [
-                ['Buying Power', formatMoney(account.buying_power)],
-                ['Portfolio Value', formatMoney(account.portfolio_value)],
+            printTableCard(this.broker.dryRun ? 'Dry Run (no orders sent)' : this.broker.offline ? 'Simulated Exchange' : 'Alpaca Paper Trading', [
+                ['Buying Power', formatMoney(account.buyingPower)],
+                ['Portfolio Value', formatMoney(account.portfolioValue)],
                 ['Cash', formatMoney(account.cash)]
             ]);
         }
@@ -975,11 +1177,13 @@ class BitFlow {
             this.checkSmartModelManager()
         ]);
         printTableCard('System Status', [
-            ['Alpaca', statusDot(alpacaInitialized) + ' ' + (alpacaInitialized ? 'Connected' : 'Not Connected')],
+            [this.broker.dryRun ? 'Dry-Run Broker' : this.broker.offline ? 'Simulated Broker' : 'Alpaca', statusDot(alpacaInitialized) + ' ' + (alpacaInitialized ? 'Connected' : 'Not Connected')],
             ['Polygon', statusDot(polygonInitialized) + ' ' + (polygonInitialized ? 'Connected' : 'Not Connected')],
             ['Yahoo Finance', statusDot(finnhubInitialized) + ' ' + (finnhubInitialized ? 'Connected' : 'Not Connected')],
             ['Smart Model Manager', statusDot(smartModelConnected) + ' ' + (smartModelConnected ? 'Ready' : 'Not Ready')],
-            ['Google News', statusDot(true) + ' Connected']
+            ['Google News', statusDot(true) + ' Connected'],
+            ['Market Data', this.marketData.order(this.symbol, this.timeframe).map(p => p.name).join(' → ') || 'No sources'],
+            ['Live Prices', this.usesPriceStream() ? 'Alpaca crypto stream' : this.finnhubKey ? 'Yahoo Finance (30s polling)' : 'Bar updates only']
         ]);
         // Market Status Card
         const { polygonStatus, alpacaStatus, canMonitor } = await this.checkMarketStatus();
@@ -1011,6 +1215,7 @@ class BitFlow {
             return;
         }
         await this.displayInitialAnalysis();
+        await this.displayRiskReport();
 
         // Auto-select best efficient model using judge with current context
         try {
@@ -1034,8 +1239,7 @@ class BitFlow {
         } catch (e) {
             console.warn('⚠️ Auto-select best model failed:', e.message);
         }
-        if (this.finnhubKey) {
-            this.startYahooFinanceWebSocket();
+        if (this.startPriceStream() || this.finnhubKey) {
             await new Promise(resolve => setTimeout(resolve, 2000));
         }
         printDivider();
@@ -1112,12 +1316,12 @@ class BitFlow {
 
     async initializeAlpaca() {
         try {
-            const account = await this.alpaca.getAccount();
+            const account = await this.broker.getAccount();
             console.log('\n' + '-'.repeat(50));
             console.log(`ALPACA PAPER TRADING ACCOUNT`);
             console.log('-'.repeat(50));
-            console.log(`Buying Power: $${account.buying_power}`);
-            console.log(`Portfolio Value: $${account.portfolio_value}`);
+            console.log(`Buying Power: $${account.buyingPower}`);
+            console.log(`Portfolio Value: $${account.portfolioValue}`);
             console.log(`Cash: $${account.cash}`);
             console.log('-'.repeat(50));
             return true;
@@ -1130,7 +1334,7 @@ class BitFlow {
 
     async getAccountInfo() {
         try {
-            const account = await this.alpaca.getAccount();
+            const account = await this.broker.getAccount();
             return account;
         } catch (error) {
             printError('❌ Error initializing Alpaca: ' + error.message);
@@ -1141,7 +1345,8 @@ class BitFlow {
 
     stopMonitoring() {
         this.isMonitoring = false;
-        this.stopYahooFinanceWebSocket();
+        this.orderTracker.stop();
+        this.stopPriceStream();
         if (this.monitorInterval) {
             clearInterval(this.monitorInterval);
         }
@@ -1182,20 +1387,24 @@ class BitFlow {
                 const pos = await this.getCurrentPosition();
                 if (pos.exists && pos.quantity > 0) {
                     try {
-                        await this.alpaca.createOrder({
-                            symbol: this.symbol.replace('/', ''),
+                        // Exit legs and ladder buys would otherwise outlive the position
+                        await cancelOpenOrders(this);
+                        const order = await placeOrder(this, 'manual sell', {
+                            symbol: this.symbol,
                             qty: pos.quantity,
                             side: 'sell',
                             type: 'market',
-                            time_in_force: 'gtc'
+                            timeInForce: 'gtc'
+                        });
+                        if (!order) return;
+                        console.log(chalk.greenBright(`Manual sell order filled.`));
+                        await reportPositionClose(this, {
+                            entryPrice: this.activePosition ? this.activePosition.avgEntryPrice : pos.entryPrice,
+                            exitPrice: order.filledAvgPrice || this.currentPrice || pos.entryPrice,
+                            quantity: order.filledQty || pos.quantity,
+                            reason: 'Manual Sell',
+                            currentPrice: this.currentPrice
                         });
-                        await new Promise(res => setTimeout(res, 2000));
-                        const exitPrice = this.currentPrice || pos.entryPrice;
-                        const pnl = (exitPrice - pos.entryPrice) * pos.quantity;
-                        const pnlPct = ((exitPrice - pos.entryPrice) / pos.entryPrice) * 100;
-                        console.log(chalk.greenBright(`Manual sell order placed.`));
-                        console.log(chalk.bold.bgMagenta.white(`Manual Sell P/L: $${pnl.toFixed(2)} (${pnlPct.toFixed(2)}%) | Entry: $${pos.entryPrice} | Exit: $${exitPrice}`));
-                        this.sendDesktopNotification('Manual Sell', `Manual sell order placed for ${this.symbol}. P/L: $${pnl.toFixed(2)} (${pnlPct.toFixed(2)}%)`);
                     } catch (e) {
                         console.log(chalk.redBright('Manual sell failed:'), e.message);
                         this.sendDesktopNotification('Manual Sell Error', `Manual sell failed: ${e.message}`);
@@ -1230,7 +1439,7 @@ class BitFlow {
 
 // --- Helper: Run optimizer and cache best params ---
 async function autoOptimizeParams(symbol, timeframe, limit = 1000) {
-    const cacheFile = path.join(__dirname, `../best_strategy_params_${symbol.replace('/', '')}_${timeframe}.json`);
+    const cacheFile = path.join(__dirname, `../best_strategy_params_${SymbolRegistry.ticker(symbol, 'key')}_${timeframe}.json`);
     // Use cache if exists and is recent (e.g., <24h old)
     if (fs.existsSync(cacheFile)) {
         const stats = fs.statSync(cacheFile);
@@ -1241,7 +1450,7 @@ async function autoOptimizeParams(symbol, timeframe, limit = 1000) {
     // Fetch data and optimize
     const BitFlow = module.exports;
     const instance = new BitFlow(symbol, 20, 20, timeframe);
-    const bars = await instance.fetchAlpacaHistorical(symbol, timeframe, limit);
+    const bars = await instance.fetchAlpacaHistorical(symbol, timeframe, limit, { allowStale: true });
     const prices = bars.map(b => b.close || b.c).filter(x => !isNaN(x));
     // Inline optimizer (random search)
     let best = null, bestParams = null;
@@ -0,0 +1,274 @@
+// Alpaca implementation of the BitFlow broker adapter
+const axios = require('axios');
+const { BrokerAdapter, normalizeOrderRequest, normalizeExitLegs, toCanonicalSymbol, isDuplicateOrderError } = require('./brokerAdapter');
+const SymbolRegistry = require('./symbolRegistry');
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+class AlpacaBroker extends BrokerAdapter {
+    constructor(options = {}) {
+        super('alpaca');
+        this.keyId = options.keyId || process.env.ALPACA_API_KEY_ID;
+        this.secretKey = options.secretKey || process.env.ALPACA_SECRET_KEY;
+        this.paper = options.paper !== undefined ? options.paper : true;
+        this._client = options.client || null;
+        this.dataUrl = options.dataUrl || 'https://data.alpaca.markets';
+    }
+
+    // The SDK throws on construction without keys, so create it on first use
+    get client() {
+        if (!this._client) {
+            const Alpaca = require('@alpacahq/alpaca-trade-api');
+            this._client = new Alpaca({
+                keyId: this.keyId,
+                secretKey: this.secretKey,
+                paper: this.paper,
+                usePolygon: false
+            });
+        }
+        return this._client;
+    }
+
+    toBrokerSymbol(symbol) {
+        return SymbolRegistry.ticker(symbol, 'alpaca');
+    }
+
+    // --- Normalizers ---
+    normalizeAccount(account) {
+        return {
+            id: account.id,
+            status: account.status,
+            cash: toNumber(account.cash),
+            buyingPower: toNumber(account.buying_power),
+            portfolioValue: toNumber(account.portfolio_value),
+            equity: toNumber(account.equity)
+        };
+    }
+
+    normalizePosition(position) {
+        const plpc = toNumber(position.unrealized_plpc);
+        return {
+            symbol: toCanonicalSymbol(position.symbol),
+            qty: toNumber(position.qty),
+            avgEntryPrice: toNumber(position.avg_entry_price),
+            marketValue: toNumber(position.market_value),
+            unrealizedPL: toNumber(position.unrealized_pl),
+            unrealizedPLPercent: plpc !== null ? plpc * 100 : null
+        };
+    }
+
+    normalizeOrder(order) {
+        return this.publishOrder({
+            id: order.id,
+            clientOrderId: order.client_order_id,
+            symbol: toCanonicalSymbol(order.symbol),
+            side: order.side,
+            type: order.type || order.order_type,
+            timeInForce: order.time_in_force,
+            qty: toNumber(order.qty),
+            filledQty: toNumber(order.filled_qty) || 0,
+            filledAvgPrice: toNumber(order.filled_avg_price),
+            limitPrice: toNumber(order.limit_price),
+            stopPrice: toNumber(order.stop_price),
+            status: order.status,
+            createdAt: order.created_at,
+            updatedAt: order.updated_at,
+            orderClass: order.order_class || 'simple',
+            legs: order.legs && order.legs.length ? this.normalizeLegs(order) : null
+        });
+    }
+
+    // Alpaca nests exit legs under the parent; pick them out by order type.
+    // For OCO the parent itself is the take-profit limit.
+    normalizeLegs(order) {
+        const legs = order.legs.map(l => this.normalizeOrder(l));
+        const stopLoss = legs.find(l => l.type === 'stop' || l.type === 'stop_limit') || null;
+        const takeProfit = legs.find(l => l.type === 'limit')
+            || (order.order_class === 'oco' ? this.normalizeOrder({ ...order, legs: null }) : null);
+        return { takeProfit, stopLoss };
+    }
+
+    normalizeAsset(asset) {
+        return {
+            symbol: toCanonicalSymbol(asset.symbol),
+            name: asset.name,
+            assetClass: asset.class || asset.asset_class,
+            tradable: !!asset.tradable,
+            minOrderSize: toNumber(asset.min_order_size),
+            minNotional: toNumber(asset.min_notional),
+            qtyIncrement: toNumber(asset.min_trade_increment),
+            priceIncrement: toNumber(asset.price_increment)
+        };
+    }
+
+    // --- Account & positions ---
+    async getAccount() {
+        return this.normalizeAccount(await this.client.getAccount());
+    }
+
+    async getPositions() {
+        const positions = await this.client.getPositions();
+        return (positions || []).map(p => this.normalizePosition(p));
+    }
+
+    // --- Orders ---
+    async submitOrder(request) {
+        const order = normalizeOrderRequest(request);
+        const body = {
+            symbol: this.toBrokerSymbol(order.symbol),
+            qty: order.qty,
+            side: order.side,
+            type: order.type,
+            time_in_force: order.timeInForce
+        };
+        if (order.limitPrice !== undefined) body.limit_price = order.limitPrice;
+        if (order.stopPrice !== undefined) body.stop_price = order.stopPrice;
+        if (order.clientOrderId) body.client_order_id = order.clientOrderId;
+        return this.createOrder(body);
+    }
+
+    async submitBracketOrder(request) {
+        const order = normalizeOrderRequest(request);
+        const legs = normalizeExitLegs(request);
+        const body = {
+            symbol: this.toBrokerSymbol(order.symbol),
+            qty: order.qty,
+            side: order.side,
+            type: order.type,
+            time_in_force: order.timeInForce,
+            order_class: 'bracket',
+            take_profit: { limit_price: legs.takeProfit.limitPrice },
+            stop_loss: this.stopLossBody(legs.stopLoss)
+        };
+        if (order.limitPrice !== undefined) body.limit_price = order.limitPrice;
+        if (order.clientOrderId) body.client_order_id = order.clientOrderId;
+        return this.createOrder(body);
+    }
+
+    async submitOcoOrder(request) {
+        const order = normalizeOrderRequest({ ...request, type: 'limit' });
+        const legs = normalizeExitLegs(request);
+        const body = {
+            symbol: this.toBrokerSymbol(order.symbol),
+            qty: order.qty,
+            side: order.side,
+            type: 'limit',
+            time_in_force: order.timeInForce,
+            order_class: 'oco',
+            take_profit: { limit_price: legs.takeProfit.limitPrice },
+            stop_loss: this.stopLossBody(legs.stopLoss)
+        };
+        if (order.clientOrderId) body.client_order_id = order.clientOrderId;
+        return this.createOrder(body);
+    }
+
+    // Alpaca answers a reused client_order_id with a 422; that means an
+    // earlier attempt (e.g. one whose response was lost) already went through
+    async createOrder(body) {
+        try {
+            return this.normalizeOrder(await this.client.createOrder(body));
+        } catch (error) {
+            if (!body.client_order_id || !isDuplicateOrderError(error)) throw error;
+            return this.collapseDuplicate(body.client_order_id);
+        }
+    }
+
+    stopLossBody(stopLoss) {
+        const body = { stop_price: stopLoss.stopPrice };
+        if (stopLoss.limitPrice !== undefined) body.limit_price = stopLoss.limitPrice;
+        return body;
+    }
+
+    // Alpaca only accepts bracket / OCO order classes for equities; crypto
+    // orders are simple market, limit and stop-limit.
+    getCapabilities(symbol) {
+        const isCrypto = SymbolRegistry.isCrypto(symbol);
+        return { bracketOrders: !isCrypto, ocoOrders: !isCrypto };
+    }
+
+    async cancelOrder(orderId) {
+        await this.client.cancelOrder(orderId);
+        return true;
+    }
+
+    async replaceOrder(orderId, changes = {}) {
+        const body = {};
+        if (changes.qty !== undefined) body.qty = changes.qty;
+        if (changes.limitPrice !== undefined) body.limit_price = changes.limitPrice;
+        if (changes.stopPrice !== undefined) body.stop_price = changes.stopPrice;
+        if (changes.timeInForce !== undefined) body.time_in_force = changes.timeInForce;
+        return this.normalizeOrder(await this.client.replaceOrder(orderId, body));
+    }
+
+    async getOrder(orderId) {
+        return this.normalizeOrder(await this.client.getOrder(orderId));
+    }
+
+    async getOrderByClientId(clientOrderId) {
+        return this.normalizeOrder(await this.client.getOrderByClientId(clientOrderId));
+    }
+
+    async getOrders(params = {}) {
+        const orders = await this.client.getOrders({
+            status: params.status || 'open',
+            limit: params.limit,
+            symbols: params.symbols ? params.symbols.map(s => this.toBrokerSymbol(s)).join(',') : undefined
+        });
+        return (orders || []).map(o => this.normalizeOrder(o));
+    }
+
+    // --- Market data ---
+    // The SDK predates crypto market data, so quotes come from the REST API
+    async getLatestQuote(symbol) {
+        const canonical = toCanonicalSymbol(symbol);
+        const crypto = SymbolRegistry.isCrypto(canonical);
+        const ticker = SymbolRegistry.ticker(canonical, crypto ? 'alpacaData' : 'alpaca');
+        const url = crypto
+            ? `${this.dataUrl}/v1beta3/crypto/us/latest/quotes?symbols=${encodeURIComponent(ticker)}`
+            : `${this.dataUrl}/v2/stocks/${encodeURIComponent(ticker)}/quotes/latest`;
+        const resp = await axios.get(url, {
+            headers: {
+                'Apca-Api-Key-Id': this.keyId,
+                'Apca-Api-Secret-Key': this.secretKey
+            }
+        });
+        const quote = crypto ? resp.data.quotes && resp.data.quotes[ticker] : resp.data.quote;
+        if (!quote) throw new Error(`No quote from Alpaca for ${canonical}`);
+        const bid = toNumber(quote.bp);
+        const ask = toNumber(quote.ap);
+        return {
+            symbol: canonical,
+            bid,
+            ask,
+            mid: bid && ask ? (bid + ask) / 2 : (bid || ask),
+            timestamp: quote.t || null
+        };
+    }
+
+    // --- Asset metadata ---
+    // Precision learned here is kept in the SymbolRegistry
+    async getAsset(symbol) {
+        const asset = this.normalizeAsset(await this.client.getAsset(this.toBrokerSymbol(symbol)));
+        SymbolRegistry.register(asset);
+        return asset;
+    }
+
+    async getAssets(params = {}) {
+        const assets = await this.client.getAssets({
+            asset_class: params.assetClass || 'crypto',
+            status: params.status || 'active'
+        });
+        return (assets || []).map(a => this.normalizeAsset(a)).map(asset => {
+            SymbolRegistry.register(asset);
+            return asset;
+        });
+    }
+}
+
+AlpacaBroker.toCanonicalSymbol = toCanonicalSymbol;
+
+module.exports = AlpacaBroker;
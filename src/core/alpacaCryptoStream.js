@@ -0,0 +1,315 @@
+// Alpaca crypto market data stream: trades, quotes and minute bars over one WebSocket
+//
+// Connects to wss://stream.data.alpaca.markets/v1beta3/crypto/us, signs in
+// with ALPACA_API_KEY_ID / ALPACA_SECRET_KEY and subscribes every symbol a
+// monitor asked for. Alpaca allows one market data connection per account,
+// so a PortfolioRunner hands all its monitors the same stream.
+//
+// The connection is pinged every heartbeatSeconds. No pong or message for
+// two heartbeats counts as dead. A dropped or dead connection is reopened
+// after a wait that doubles from minDelaySeconds up to maxDelaySeconds, then
+// signs in and subscribes again. A rejected sign-in (bad keys, connection
+// limit) waits the longest delay before trying again.
+//
+// Config (user_settings/cryptoStream.json):
+//   { enabled: true, channels: ['trades', 'quotes', 'bars'],
+//     heartbeatSeconds: 15, minDelaySeconds: 1, maxDelaySeconds: 60 }
+//
+//   node src/core/alpacaCryptoStream.js BTC/USD ETH/USD   (prints the stream)
+const WebSocket = require('ws');
+const SymbolRegistry = require('./symbolRegistry');
+const { printStatus, printWarning } = require('./ui');
+
+const DEFAULT_URL = 'wss://stream.data.alpaca.markets/v1beta3/crypto/us';
+const CHANNELS = ['trades', 'quotes', 'bars'];
+// Sign-in errors that keep failing until something changes on our side
+const AUTH_ERRORS = [401, 402, 403, 406];
+
+function timeOf(value) {
+    return value ? new Date(value).getTime() : Date.now();
+}
+
+// Stream messages in the shapes the rest of BitFlow uses
+function parseTrade(message) {
+    return { price: parseFloat(message.p), size: parseFloat(message.s) || 0, time: timeOf(message.t), side: message.tks || null };
+}
+
+function parseQuote(message) {
+    const bid = parseFloat(message.bp);
+    const ask = parseFloat(message.ap);
+    return { bid, ask, bidSize: parseFloat(message.bs) || 0, askSize: parseFloat(message.as) || 0, mid: (bid + ask) / 2, time: timeOf(message.t) };
+}
+
+function parseBar(message) {
+    return {
+        timestamp: new Date(timeOf(message.t)).toISOString(),
+        open: parseFloat(message.o),
+        high: parseFloat(message.h),
+        low: parseFloat(message.l),
+        close: parseFloat(message.c),
+        volume: parseFloat(message.v) || 0
+    };
+}
+
+class AlpacaCryptoStream {
+    constructor(options = {}) {
+        this.url = options.url || DEFAULT_URL;
+        this.keyId = options.keyId || process.env.ALPACA_API_KEY_ID;
+        this.secretKey = options.secretKey || process.env.ALPACA_SECRET_KEY;
+        this.channels = (options.channels || CHANNELS).filter(channel => CHANNELS.includes(channel));
+        this.heartbeatSeconds = options.heartbeatSeconds || 15;
+        this.minDelaySeconds = options.minDelaySeconds || 1;
+        this.maxDelaySeconds = options.maxDelaySeconds || 60;
+        this.createSocket = options.createSocket || (url => new WebSocket(url));
+        this.now = options.now || (() => Date.now());
+        // canonical symbol -> [{ trade, quote, bar, status }]
+        this.listeners = {};
+        this.latest = {};
+        this.subscribed = null;
+        this.socket = null;
+        this.state = 'idle';
+        this.attempt = 0;
+        this.reconnects = 0;
+        this.authRejected = false;
+        this.lastMessageAt = null;
+        this.connectedAt = null;
+        this.lastError = null;
+        this.heartbeatTimer = null;
+        this.reconnectTimer = null;
+    }
+
+    // A stream when there are keys to sign in with and the config doesn't turn it off
+    static fromConfig(config, options = {}) {
+        if (config && config.enabled === false) return null;
+        const stream = new AlpacaCryptoStream({ ...(config || {}), ...options });
+        return stream.keyId && stream.secretKey ? stream : null;
+    }
+
+    // Listen to one symbol: handlers { trade, quote, bar, status } are each
+    // optional. Connects on the first subscriber. Returns an unsubscribe function.
+    subscribe(symbol, handlers) {
+        const canonical = SymbolRegistry.canonical(symbol);
+        const isNew = !this.listeners[canonical];
+        this.listeners[canonical] = (this.listeners[canonical] || []).concat(handlers);
+        if (this.state === 'idle' || this.state === 'closed') this.connect();
+        else if (isNew && this.state === 'streaming') this.sendSubscription('subscribe', [canonical]);
+        return () => {
+            if (!this.listeners[canonical]) return;
+            this.listeners[canonical] = this.listeners[canonical].filter(h => h !== handlers);
+            if (this.listeners[canonical].length > 0) return;
+            delete this.listeners[canonical];
+            if (Object.keys(this.listeners).length === 0) this.close();
+            else if (this.state === 'streaming') this.sendSubscription('unsubscribe', [canonical]);
+        };
+    }
+
+    symbols() {
+        return Object.keys(this.listeners);
+    }
+
+    isLive() {
+        return this.state === 'streaming';
+    }
+
+    status() {
+        return {
+            state: this.state,
+            symbols: this.symbols(),
+            connectedAt: this.connectedAt,
+            lastMessageAt: this.lastMessageAt,
+            reconnects: this.reconnects,
+            lastError: this.lastError
+        };
+    }
+
+    connect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.setState('connecting');
+        let socket;
+        try {
+            socket = this.createSocket(this.url);
+        } catch (error) {
+            this.lastError = error.message;
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+        this.lastMessageAt = this.now();
+        socket.on('message', data => {
+            if (socket === this.socket) this.handleMessage(data);
+        });
+        socket.on('pong', () => {
+            if (socket === this.socket) this.lastMessageAt = this.now();
+        });
+        socket.on('error', error => {
+            if (socket === this.socket) this.lastError = error.message;
+        });
+        socket.on('close', () => {
+            if (socket === this.socket) this.handleClose();
+        });
+        this.startHeartbeat();
+    }
+
+    // Stop for good: no reconnects until someone subscribes again
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        this.stopHeartbeat();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.setState('closed');
+        if (socket) {
+            try {
+                socket.close();
+            } catch (error) {
+                // already gone
+            }
+        }
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    sendSubscription(action, symbols) {
+        if (symbols.length === 0) return;
+        const tickers = symbols.map(symbol => SymbolRegistry.ticker(symbol, 'alpacaData'));
+        const message = { action };
+        this.channels.forEach(channel => { message[channel] = tickers; });
+        this.send(message);
+    }
+
+    handleMessage(data) {
+        this.lastMessageAt = this.now();
+        let messages;
+        try {
+            messages = JSON.parse(data.toString());
+        } catch (error) {
+            printWarning(`Crypto stream sent something that isn't JSON: ${error.message}`);
+            return;
+        }
+        (Array.isArray(messages) ? messages : [messages]).forEach(message => {
+            switch (message.T) {
+                case 'success':
+                    if (message.msg === 'connected') {
+                        this.setState('authenticating');
+                        this.send({ action: 'auth', key: this.keyId, secret: this.secretKey });
+                    } else if (message.msg === 'authenticated') {
+                        this.attempt = 0;
+                        this.authRejected = false;
+                        this.lastError = null;
+                        this.connectedAt = new Date(this.now()).toISOString();
+                        this.setState('streaming');
+                        this.sendSubscription('subscribe', this.symbols());
+                    }
+                    break;
+                case 'error':
+                    this.lastError = `${message.code} ${message.msg}`;
+                    this.authRejected = this.state === 'authenticating' || AUTH_ERRORS.includes(message.code);
+                    printWarning(`Crypto stream error: ${this.lastError}`);
+                    break;
+                case 'subscription':
+                    this.subscribed = { trades: message.trades || [], quotes: message.quotes || [], bars: message.bars || [] };
+                    break;
+                case 't':
+                    this.dispatch(message.S, 'trade', parseTrade(message));
+                    break;
+                case 'q':
+                    this.dispatch(message.S, 'quote', parseQuote(message));
+                    break;
+                case 'b':
+                    this.dispatch(message.S, 'bar', parseBar(message));
+                    break;
+                default:
+                    break;
+            }
+        });
+    }
+
+    dispatch(ticker, kind, update) {
+        const symbol = SymbolRegistry.canonical(ticker);
+        this.latest[symbol] = { ...this.latest[symbol], [kind]: update };
+        (this.listeners[symbol] || []).forEach(handlers => {
+            if (typeof handlers[kind] !== 'function') return;
+            try {
+                handlers[kind](update);
+            } catch (error) {
+                console.warn(`⚠️ Crypto stream ${kind} listener failed: ${error.message}`);
+            }
+        });
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        Object.values(this.listeners).forEach(list => list.forEach(handlers => {
+            if (typeof handlers.status === 'function') handlers.status(state);
+        }));
+    }
+
+    handleClose() {
+        this.socket = null;
+        this.stopHeartbeat();
+        if (this.state === 'closed') return;
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        this.setState('reconnecting');
+        const delay = this.authRejected
+            ? this.maxDelaySeconds
+            : Math.min(this.maxDelaySeconds, this.minDelaySeconds * 2 ** this.attempt);
+        this.attempt++;
+        this.reconnects++;
+        printStatus(`📡 Crypto stream disconnected${this.lastError ? ` (${this.lastError})` : ''}, reconnecting in ${delay}s`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay * 1000);
+    }
+
+    // Ping on every beat; a connection silent for two beats is dropped and reopened
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            const socket = this.socket;
+            if (!socket) return;
+            if (this.now() - this.lastMessageAt > 2 * this.heartbeatSeconds * 1000) {
+                this.lastError = `no heartbeat for ${2 * this.heartbeatSeconds}s`;
+                socket.terminate();
+                return;
+            }
+            if (socket.readyState === WebSocket.OPEN) socket.ping();
+        }, this.heartbeatSeconds * 1000);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+}
+
+AlpacaCryptoStream.DEFAULT_URL = DEFAULT_URL;
+
+module.exports = AlpacaCryptoStream;
+
+// CLI usage
+if (require.main === module) {
+    require('dotenv').config();
+    const symbols = process.argv.slice(2);
+    const stream = AlpacaCryptoStream.fromConfig(null);
+    if (!stream || symbols.length === 0) {
+        console.error(stream ? 'Usage: node src/core/alpacaCryptoStream.js BTC/USD [ETH/USD ...]' : 'Set ALPACA_API_KEY_ID and ALPACA_SECRET_KEY to stream Alpaca crypto data');
+        process.exit(1);
+    }
+    symbols.forEach(symbol => stream.subscribe(symbol, {
+        trade: t => console.log(`${new Date(t.time).toISOString()} ${SymbolRegistry.canonical(symbol)} trade ${t.price} x ${t.size}`),
+        quote: q => console.log(`${new Date(q.time).toISOString()} ${SymbolRegistry.canonical(symbol)} quote ${q.bid} / ${q.ask}`),
+        bar: b => console.log(`${b.timestamp} ${SymbolRegistry.canonical(symbol)} bar O ${b.open} H ${b.high} L ${b.low} C ${b.close} V ${b.volume}`),
+        status: state => printStatus(`📡 ${SymbolRegistry.canonical(symbol)}: ${state}`)
+    }));
+    process.on('SIGINT', () => {
+        stream.close();
+        process.exit(0);
+    });
+}
@@ -2,6 +2,7 @@
 const axios = require('axios');
 const fetch = require('node-fetch');
 const cheerio = require('cheerio');
+const SymbolRegistry = require('./symbolRegistry');
 
 const LLAMA_API_KEY = process.env.LLAMA_API_KEY;
 const POLYGON_API_KEY = process.env.POLYGON_API_KEY;
@@ -27,11 +28,9 @@ async function fetchPolygonNews(symbol) {
     if (!POLYGON_API_KEY) return [];
     
     try {
-        // Get the base symbol without the currency pair
-        const baseSymbol = symbol.split('/')[0];
-        
-        // For crypto, we need to search for the base symbol
-        const url = `https://api.polygon.io/v2/reference/news?ticker=${baseSymbol}&apiKey=${POLYGON_API_KEY}&limit=10&order=desc`;
+        // Polygon tags crypto news with the base currency (BTC for BTC/USD)
+        const ticker = SymbolRegistry.ticker(symbol, 'polygonNews');
+        const url = `https://api.polygon.io/v2/reference/news?ticker=${ticker}&apiKey=${POLYGON_API_KEY}&limit=10&order=desc`;
         const response = await fetch(url);
         const data = await response.json();
         
@@ -156,10 +155,9 @@ async function fetchArticleText(url) {
     }
 }
 
+// Kept for callers that only need a yes/no; the SymbolRegistry owns the answer
 function isCryptoTicker(ticker) {
-    return ticker.includes('/') || [
-        'BTC','ETH','LTC','XRP','DOGE','BNB','SOL','ADA','USDT','USDC','DOT','TRX','SHIB','AVAX','MATIC','WBTC','LINK','UNI','BCH','XLM','FIL','ETC','ICP','LDO','APT','CRO','ARB','QNT','VET','NEAR','OP','GRT','AAVE','MKR','ALGO','EGLD','XTZ','SAND','AXS','THETA','EOS','KAVA','MANA','SNX','RPL','FTM','XMR','FLOW','CHZ','CAKE','CRV','ENJ','ZEC','BAT','DASH','ZIL','COMP','1INCH','KSM','YFI','REN','BNT','BAL','SRM','LRC','OMG','NMR','OCEAN','BAND','STORJ','CVC','SUSHI','ANKR','SKL','GNO','GLM','REP','PAXG','CEL','RSR','REN','LPT','RUNE','SXP','HNT','DGB','KNC','CKB','ZEN','XEM','SC','LSK','STEEM','ARDR','STRAX','SYS','NXT','FCT','GAS','NAV','VTC','GAME','DCR','PIVX','XVG','BTG','BTM','QASH','WAVES','ICX','ONT','ZRX','QKC','WAN','LOOM','CENNZ','BTS','GNT','FUN','POWR','MITH','ELF','STORM','POLY','CMT','MANA','WTC','LRC','RCN','RDN','APPC','ENG','VIB','OST','LEND','TNT','FUEL','ARN','GVT','CDT','AMB','BCPT','GTO','QSP','SNM','BQX','TRIG','EVX','REQ','VIBE','WINGS','BRD','POE','TNB'
-    ].includes(ticker.toUpperCase());
+    return SymbolRegistry.isCrypto(ticker);
 }
 
 module.exports = {
@@ -0,0 +1,71 @@
+// Per-asset precision and order size rules
+//
+// Quantities are floored to the asset's qtyIncrement and prices rounded to
+// its priceIncrement (tick), both taken from the broker's asset metadata.
+// Orders smaller than minOrderSize or worth less than minNotional are
+// refused here rather than at the venue. Without metadata the old
+// defaults apply: 8 decimal quantities and cent ticks above $1.
+
+const DEFAULT_QTY_INCREMENT = 1e-8;
+
+// Number of decimals in an increment like 0.0001 (avoids 0.1 + 0.2 noise)
+function decimalsOf(increment) {
+    if (!increment || increment >= 1) return 0;
+    return Math.min(12, Math.ceil(-Math.log10(increment) - 1e-9));
+}
+
+function snap(value, increment, mode) {
+    const steps = value / increment;
+    // Tolerate float error just under a whole step (1 / 1e-9) before flooring
+    const whole = mode === 'floor' ? Math.floor(steps * (1 + 1e-12)) : Math.round(steps);
+    return parseFloat((whole * increment).toFixed(decimalsOf(increment)));
+}
+
+// Round a quantity down to the asset's increment
+function roundQty(qty, asset = null) {
+    const increment = (asset && asset.qtyIncrement) || DEFAULT_QTY_INCREMENT;
+    return qty > 0 ? snap(qty, increment, 'floor') : 0;
+}
+
+// Round a price to the asset's tick (cents above $1 when unknown).
+// mode 'floor' keeps a buy limit at or under the price it was given.
+function roundPrice(price, asset = null, mode = 'round') {
+    const increment = (asset && asset.priceIncrement) || (price >= 1 ? 0.01 : 1e-6);
+    return snap(price, increment, mode);
+}
+
+// Reason an order of this size can't be placed, or null when it can
+function checkOrderSize(qty, price, asset = null) {
+    if (!(qty > 0)) return `quantity ${qty} rounds to nothing`;
+    if (!asset) return null;
+    if (asset.minOrderSize && qty + 1e-12 < asset.minOrderSize) {
+        return `quantity ${qty} is below the minimum order size of ${asset.minOrderSize}`;
+    }
+    if (asset.minNotional && price && qty * price + 1e-9 < asset.minNotional) {
+        return `order value $${(qty * price).toFixed(2)} is below the $${asset.minNotional} minimum`;
+    }
+    return null;
+}
+
+// Round an order request (qty, limit / stop prices and exit legs) to what
+// the venue accepts
+function applyToRequest(request, asset = null) {
+    const rounded = { ...request, qty: roundQty(parseFloat(request.qty), asset) };
+    if (request.limitPrice != null) rounded.limitPrice = roundPrice(parseFloat(request.limitPrice), asset);
+    if (request.stopPrice != null) rounded.stopPrice = roundPrice(parseFloat(request.stopPrice), asset);
+    if (request.takeProfit) {
+        rounded.takeProfit = { ...request.takeProfit, limitPrice: roundPrice(parseFloat(request.takeProfit.limitPrice), asset) };
+    }
+    if (request.stopLoss) {
+        rounded.stopLoss = { ...request.stopLoss, stopPrice: roundPrice(parseFloat(request.stopLoss.stopPrice), asset) };
+        if (request.stopLoss.limitPrice != null) rounded.stopLoss.limitPrice = roundPrice(parseFloat(request.stopLoss.limitPrice), asset);
+    }
+    return rounded;
+}
+
+module.exports = {
+    roundQty,
+    roundPrice,
+    checkOrderSize,
+    applyToRequest
+};
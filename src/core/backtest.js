@@ -5,6 +5,7 @@ const { SMA, EMA } = require('technicalindicators');
 const tf = require('@tensorflow/tfjs');
 const fetch = require('node-fetch');
 const { printStatus, printSuccess, printWarning, printError, printBanner, printCard } = require('./ui');
+const ExitRuleEngine = require('./exitRules');
 
 const BACKTEST_OUTPUT_DIR = path.join(__dirname, '../../logs/backtests');
 
@@ -114,10 +115,10 @@ function loadCSV(filePath) {
     }).filter(x => !isNaN(x));
 }
 
-// --- Helper: Load historical data from Alpaca ---
+// --- Helper: Load historical data (local candle store, topped up from the market data sources) ---
 async function loadFromAlpaca(symbol, timeframe, limit) {
     const strategy = new BitFlow(symbol, 20, 20, timeframe);
-    const bars = await strategy.fetchAlpacaHistorical(symbol, timeframe, limit);
+    const bars = await strategy.fetchAlpacaHistorical(symbol, timeframe, limit, { allowStale: true });
     return bars.map(b => b.close || b.c).filter(x => !isNaN(x));
 }
 
@@ -192,7 +193,8 @@ function calcPerformance(trades, prices) {
 
 // --- Backtest Loop ---
 async function backtest(prices, params, symbol, timeframe, balance = 10000, options = {}) {
-    const { logTrades = true } = options;
+    // exitRules: extra exit rules (trailing, break-even, time...) on top of TP/SL
+    const { logTrades = true, exitRules = [] } = options;
     let logMeta = null;
     if (logTrades) {
         ensureDirectory(BACKTEST_OUTPUT_DIR);
@@ -212,6 +214,7 @@ async function backtest(prices, params, symbol, timeframe, balance = 10000, opti
     let position = null, entry = 0, trades = [];
     let position_size = null;
     let tp = 1, sl = 1;
+    let exitEngine = null, exitState = null;
     for (let i = 21; i < prices.length; i++) {
         // Use TensorFlow.js model to predict MA lengths
         const input = tf.tensor2d([prices.slice(i-20, i)]);
@@ -242,38 +245,47 @@ async function backtest(prices, params, symbol, timeframe, balance = 10000, opti
                 tp = 1;
                 sl = 1;
             }
+            exitEngine = ExitRuleEngine.fromConfig(exitRules, {
+                takeProfitPercent: tp,
+                stopLossPercent: sl,
+                rules: [{ type: 'indicator', name: 'Momentum Loss (Down Tick)', when: (state, ctx) => ctx.price < ctx.bars[ctx.bars.length - 2] }]
+            });
+            exitState = exitEngine.createState({ entryPrice: entry, entryIndex: i });
+            position.initial_size = position_size;
             continue;
         }
-        // Exit logic: Take profit, stop loss, or next down tick
+        // Exit logic: Take profit, stop loss, extra exit rules, or next down tick
         if (position) {
             const exit = prices[i];
-            let reason = null;
-            const pnl_pct = ((exit - position.entry) / position.entry) * 100;
-            if (pnl_pct >= tp) {
-                reason = 'Take Profit Hit';
-            } else if (pnl_pct <= -sl) {
-                reason = 'Stop Loss Hit';
-            } else if (prices[i] < prices[i-1]) {
-                reason = 'Momentum Loss (Down Tick)';
-            }
+            const decision = exitEngine.evaluate(exitState, { price: exit, index: i, bars: prices.slice(Math.max(0, i - 100), i + 1) });
+            const reason = decision.exit ? decision.reason : null;
             if (reason) {
+                // Scale-out tiers sell a share of the original size and keep the rest open
+                const partial = decision.partial && position.initial_size * decision.fraction < position_size;
+                const exit_size = partial ? position.initial_size * decision.fraction : position_size;
                 const trade = {
                     symbol,
                     timeframe,
+                    position_id: `${symbol}-${position.entry_idx}`,
+                    partial,
                     entry_idx: position.entry_idx,
                     entry_price: position.entry,
                     exit_idx: i,
                     exit_price: exit,
-                    position_size,
+                    position_size: exit_size,
                     tp,
                     sl,
-                    pnl: (exit - position.entry) * position_size,
+                    pnl: (exit - position.entry) * exit_size,
                     reason
                 };
                 trades.push(trade);
                 if (logMeta) {
                     logPositionToCSV(trade, logMeta);
                 }
+                if (partial) {
+                    position_size -= exit_size;
+                    continue;
+                }
                 position = null;
                 position_size = null;
                 tp = 1;
@@ -0,0 +1,238 @@
+// Broker adapter layer for BitFlow
+//
+// Every trading path (entries, TP/SL exits, manual sells, position and
+// account lookups) talks to a broker through this interface instead of a
+// venue SDK. Adapters normalize the venue's responses into the shapes below
+// so the trading logic never has to know which venue it is running against.
+//
+// Account:  { id, status, cash, buyingPower, portfolioValue, equity }
+// Position: { symbol, qty, avgEntryPrice, marketValue, unrealizedPL, unrealizedPLPercent }
+// Order:    { id, clientOrderId, symbol, side, type, timeInForce, qty, filledQty,
+//             filledAvgPrice, limitPrice, stopPrice, status, createdAt, updatedAt,
+//             orderClass, legs }
+//
+// Bracket and OCO submissions return the parent order with
+// legs = { takeProfit: Order, stopLoss: Order }. A submit whose clientOrderId
+// the venue already has returns that order with duplicate: true.
+// Asset:    { symbol, name, assetClass, tradable, minOrderSize, minNotional,
+//             qtyIncrement, priceIncrement }
+// Quote:    { symbol, bid, ask, mid, timestamp }
+//
+// getFeeSchedule() returns the venue's FeeSchedule (maker / taker tiers).
+
+const FeeSchedule = require('./feeSchedule');
+const SymbolRegistry = require('./symbolRegistry');
+
+// Venues report crypto symbols as BTCUSD; BitFlow works with BTC/USD
+function toCanonicalSymbol(symbol) {
+    return SymbolRegistry.canonical(symbol);
+}
+
+// Deterministic client order ID: the same signal on the same bar always maps
+// to the same ID, so a retried submit can't become a second order. `attempt`
+// moves past an earlier order for that bar that ended unfilled.
+function makeClientOrderId({ symbol, signal, barTime, attempt = 1 }) {
+    const slug = String(signal).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const id = `bitflow-${SymbolRegistry.ticker(symbol, 'key')}-${slug}-${new Date(barTime).getTime()}`;
+    return attempt > 1 ? `${id}-${attempt}` : id;
+}
+
+// Venues refuse a second order with a clientOrderId they've already seen
+function isDuplicateOrderError(error) {
+    const status = error && (error.statusCode || (error.response && error.response.status));
+    const body = error && (error.error || (error.response && error.response.data));
+    const message = `${error && error.message} ${body ? JSON.stringify(body) : ''}`;
+    return status === 422 && /client_order_id/i.test(message);
+}
+
+class BrokerAdapter {
+    constructor(name = 'broker') {
+        this.name = name;
+        this.orderListeners = [];
+        this.feeSchedule = null;
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.name} broker does not implement ${method}()`);
+    }
+
+    // --- Order updates ---
+    // Listeners see every order the adapter hands back or fills on its own,
+    // so an OrderTracker can follow orders without wrapping each call site
+    onOrderUpdate(listener) {
+        this.orderListeners.push(listener);
+        return () => {
+            this.orderListeners = this.orderListeners.filter(l => l !== listener);
+        };
+    }
+
+    publishOrder(order) {
+        this.orderListeners.forEach(listener => {
+            try {
+                listener(order);
+            } catch (error) {
+                console.warn(`⚠️ Order update listener failed: ${error.message}`);
+            }
+        });
+        return order;
+    }
+
+    // Resolve a duplicate submit to the order the venue already holds
+    async collapseDuplicate(clientOrderId) {
+        const existing = await this.getOrderByClientId(clientOrderId);
+        console.warn(`⚠️ Duplicate submit for ${clientOrderId} collapsed onto order ${existing.id}`);
+        return { ...existing, duplicate: true };
+    }
+
+    // --- Account & positions ---
+    async getAccount() {
+        this.notImplemented('getAccount');
+    }
+
+    async getPositions() {
+        this.notImplemented('getPositions');
+    }
+
+    // Convenience lookup shared by all adapters; BTC/USD and BTCUSD refer to
+    // the same position.
+    async getPosition(symbol) {
+        const positions = await this.getPositions();
+        return positions.find(p => SymbolRegistry.same(p.symbol, symbol)) || null;
+    }
+
+    // --- Orders ---
+    async submitOrder(request) {
+        this.notImplemented('submitOrder');
+    }
+
+    async cancelOrder(orderId) {
+        this.notImplemented('cancelOrder');
+    }
+
+    async replaceOrder(orderId, changes) {
+        this.notImplemented('replaceOrder');
+    }
+
+    async getOrder(orderId) {
+        this.notImplemented('getOrder');
+    }
+
+    async getOrders(params = {}) {
+        this.notImplemented('getOrders');
+    }
+
+    async getOrderByClientId(clientOrderId) {
+        this.notImplemented('getOrderByClientId');
+    }
+
+    // Entry order with a take-profit limit and a stop-loss leg held by the venue
+    async submitBracketOrder(request) {
+        this.notImplemented('submitBracketOrder');
+    }
+
+    // Take-profit limit and stop-loss for an existing position; one cancels the other
+    async submitOcoOrder(request) {
+        this.notImplemented('submitOcoOrder');
+    }
+
+    // --- Fees ---
+    getFeeSchedule() {
+        if (!this.feeSchedule) this.feeSchedule = FeeSchedule.forVenue(this.name);
+        return this.feeSchedule;
+    }
+
+    // Apply user_settings/feeSchedule.json when it has an entry for this venue
+    applyFeeOverrides(overrides) {
+        if (overrides && overrides[this.name]) this.feeSchedule = FeeSchedule.forVenue(this.name, overrides);
+    }
+
+    // --- Capabilities ---
+    // Whether the venue can hold exits for this symbol. When it cannot, the
+    // caller falls back to watching TP/SL locally.
+    getCapabilities(symbol) {
+        return { bracketOrders: false, ocoOrders: false };
+    }
+
+    // --- Market data ---
+    // Best bid / ask, used to price limit entries
+    async getLatestQuote(symbol) {
+        this.notImplemented('getLatestQuote');
+    }
+
+    // --- Asset metadata ---
+    async getAsset(symbol) {
+        this.notImplemented('getAsset');
+    }
+
+    async getAssets(params = {}) {
+        this.notImplemented('getAssets');
+    }
+}
+
+// Validate and fill defaults for an order request before it reaches an adapter
+function normalizeOrderRequest(request) {
+    if (!request || !request.symbol) throw new Error('Order request requires a symbol');
+    const qty = parseFloat(request.qty);
+    if (!qty || isNaN(qty) || qty <= 0) throw new Error(`Invalid order quantity: ${request.qty}`);
+    if (request.side !== 'buy' && request.side !== 'sell') throw new Error(`Invalid order side: ${request.side}`);
+    return {
+        symbol: request.symbol,
+        qty,
+        side: request.side,
+        type: request.type || 'market',
+        timeInForce: request.timeInForce || 'gtc',
+        limitPrice: request.limitPrice != null ? parseFloat(request.limitPrice) : undefined,
+        stopPrice: request.stopPrice != null ? parseFloat(request.stopPrice) : undefined,
+        clientOrderId: request.clientOrderId
+    };
+}
+
+// Validate the exit legs of a bracket / OCO request
+function normalizeExitLegs(request) {
+    const takeProfit = request.takeProfit || {};
+    const stopLoss = request.stopLoss || {};
+    const tpPrice = parseFloat(takeProfit.limitPrice);
+    const stopPrice = parseFloat(stopLoss.stopPrice);
+    if (!tpPrice || isNaN(tpPrice) || tpPrice <= 0) throw new Error(`Invalid take-profit price: ${takeProfit.limitPrice}`);
+    if (!stopPrice || isNaN(stopPrice) || stopPrice <= 0) throw new Error(`Invalid stop-loss price: ${stopLoss.stopPrice}`);
+    return {
+        takeProfit: { limitPrice: tpPrice },
+        stopLoss: {
+            stopPrice,
+            limitPrice: stopLoss.limitPrice != null ? parseFloat(stopLoss.limitPrice) : undefined
+        }
+    };
+}
+
+// Create a broker adapter by name. Implementations are required lazily so
+// that loading this module never pulls in a venue SDK that isn't used.
+function createBroker(name = 'alpaca', options = {}) {
+    switch (String(name).toLowerCase()) {
+        case 'alpaca': {
+            const AlpacaBroker = require('./alpacaBroker');
+            return new AlpacaBroker(options);
+        }
+        case 'simulated':
+        case 'sim': {
+            const SimulatedBroker = require('./simulatedBroker');
+            return new SimulatedBroker(options);
+        }
+        case 'dryrun':
+        case 'dry-run': {
+            const DryRunBroker = require('./dryRunBroker');
+            return new DryRunBroker(options);
+        }
+        default:
+            throw new Error(`Unknown broker: ${name}`);
+    }
+}
+
+module.exports = {
+    BrokerAdapter,
+    createBroker,
+    normalizeOrderRequest,
+    normalizeExitLegs,
+    toCanonicalSymbol,
+    makeClientOrderId,
+    isDuplicateOrderError
+};
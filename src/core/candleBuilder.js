@@ -0,0 +1,90 @@
+// Candle builder: a monitor's timeframe bars kept current from streamed data
+//
+// Seeded with the bars the monitor fetched (the last one may still be
+// forming), it folds in what the price stream delivers:
+//
+//   trade       moves the forming bar's close, high and low; a trade in a
+//               later period closes the forming bar and opens the next one
+//   minute bar  the venue's OHLCV for one closed minute of the forming bar,
+//               which also brings the volume (trades only move the price)
+//
+// Bars are replaced, never changed in place, so a series shared with the
+// candle store's cache is left alone. Between REST updates the indicators
+// and exit rules see the bar as it forms instead of the one fetched minutes ago.
+const MarketDataRouter = require('./marketData');
+
+function timeOf(bar) {
+    return new Date(bar.timestamp || bar.t).getTime();
+}
+
+class CandleBuilder {
+    constructor(options = {}) {
+        this.timeframe = options.timeframe || '5Min';
+        this.step = MarketDataRouter.TIMEFRAME_MS[this.timeframe];
+        if (!this.step) throw new Error(`Unknown timeframe: ${this.timeframe}`);
+        this.maxBars = options.maxBars || 1000;
+        this.now = options.now || (() => Date.now());
+        this.bars = [];
+        this.seededAt = 0;
+        this.lastTradeAt = 0;
+    }
+
+    // Start over from fetched bars. Returns the series the builder keeps current.
+    seed(bars) {
+        this.bars = (bars || []).slice(-this.maxBars);
+        this.seededAt = this.now();
+        return this.bars;
+    }
+
+    // Index of the bar `time` falls in, opening a new one at `price` when the
+    // time is past the last bar. -1 when it is older than the last bar.
+    // `closed` is set to the bar a rollover closed.
+    locate(time, price) {
+        const start = Math.floor(time / this.step) * this.step;
+        const last = this.bars[this.bars.length - 1];
+        const lastStart = last ? timeOf(last) : -Infinity;
+        if (start < lastStart) return { index: -1, closed: null };
+        if (start === lastStart) return { index: this.bars.length - 1, closed: null };
+        this.bars.push({ timestamp: new Date(start).toISOString(), open: price, high: price, low: price, close: price, volume: 0 });
+        if (this.bars.length > this.maxBars) this.bars.shift();
+        return { index: this.bars.length - 1, closed: last || null };
+    }
+
+    // trade: { price, time (ms) }. Returns the bar it closed, if any.
+    addTrade(trade) {
+        if (!(trade.price > 0)) return null;
+        const { index, closed } = this.locate(trade.time, trade.price);
+        if (index < 0) return null;
+        const bar = this.bars[index];
+        this.bars[index] = {
+            ...bar,
+            high: Math.max(bar.high, trade.price),
+            low: Math.min(bar.low, trade.price),
+            close: trade.price
+        };
+        this.lastTradeAt = Math.max(this.lastTradeAt, trade.time);
+        return closed;
+    }
+
+    // minute: a closed 1-minute bar { timestamp, open, high, low, close, volume }.
+    // Returns the bar it closed, if any.
+    addMinuteBar(minute) {
+        const time = timeOf(minute);
+        // Already counted in the bars we were seeded with
+        if (time + 60000 <= this.seededAt) return null;
+        const { index, closed } = this.locate(time, minute.open);
+        if (index < 0) return null;
+        const bar = this.bars[index];
+        this.bars[index] = {
+            ...bar,
+            high: Math.max(bar.high, minute.high),
+            low: Math.min(bar.low, minute.low),
+            // A trade after this minute already moved the close on
+            close: this.lastTradeAt >= time + 60000 ? bar.close : minute.close,
+            volume: (bar.volume || 0) + (minute.volume || 0)
+        };
+        return closed;
+    }
+}
+
+module.exports = CandleBuilder;
@@ -0,0 +1,145 @@
+// Local candle store: closed OHLCV bars on disk per symbol and timeframe
+//
+// Bars are kept in <dir>/<KEY>_<timeframe>.csv (data/bars, or
+// BITFLOW_DATA_DIR), the files the 'file' market data source reads. getBars()
+// serves from the file and only fetches what is missing:
+//
+//   tail    bars since the newest stored one (every call)
+//   head    fewer stored bars than asked for (once per process)
+//   gaps    missing bars inside the requested window (once per process)
+//
+// Only closed bars are written. The bar still forming is returned but fetched
+// again next time. When the newest bar is stale - nothing could be fetched, or
+// only old bars came back (the 'file' source reads these same files) -
+// getBars() returns [] so a live monitor never trades on old prices; backtests
+// pass { allowStale: true } to run from the store alone.
+//
+// Config (user_settings/candleStore.json): { enabled: true, dir: 'data/bars', staleBars: 3 }
+const fs = require('fs');
+const path = require('path');
+const SymbolRegistry = require('./symbolRegistry');
+const ReplayFeed = require('./replayFeed');
+const MarketDataRouter = require('./marketData');
+
+const DEFAULT_DIR = path.join(__dirname, '../../data/bars');
+const HEADER = 'timestamp,open,high,low,close,volume';
+
+function timeOf(bar) {
+    return new Date(bar.timestamp || bar.t).getTime();
+}
+
+function csvLine(bar) {
+    return [bar.timestamp, bar.open, bar.high, bar.low, bar.close, bar.volume].join(',');
+}
+
+class CandleStore {
+    constructor(options = {}) {
+        this.dir = path.resolve(options.dir || process.env.BITFLOW_DATA_DIR || DEFAULT_DIR);
+        this.fetchBars = options.fetchBars || null;
+        this.staleBars = options.staleBars !== undefined ? options.staleBars : 3;
+        this.now = options.now || (() => Date.now());
+        this.series = {};
+        // Head and inner gaps already asked for, so a source that doesn't have them isn't asked every tick
+        this.checked = new Set();
+    }
+
+    // A store unless the config turns it off
+    static fromConfig(config, options = {}) {
+        if (config && config.enabled === false) return null;
+        return new CandleStore({ ...(config || {}), ...options });
+    }
+
+    // Missing ranges between consecutive bars: [{ from, to, missing }] (times in ms)
+    static gaps(bars, timeframe) {
+        const step = MarketDataRouter.TIMEFRAME_MS[timeframe];
+        const gaps = [];
+        for (let i = 1; i < bars.length; i++) {
+            const previous = timeOf(bars[i - 1]);
+            const current = timeOf(bars[i]);
+            if (current - previous > step) {
+                gaps.push({ from: previous + step, to: current - step, missing: Math.round((current - previous) / step) - 1 });
+            }
+        }
+        return gaps;
+    }
+
+    filePath(symbol, timeframe) {
+        return path.join(this.dir, `${SymbolRegistry.ticker(symbol, 'key')}_${timeframe}.csv`);
+    }
+
+    // Stored bars, oldest first (read from disk once)
+    load(symbol, timeframe) {
+        const file = this.filePath(symbol, timeframe);
+        if (!this.series[file]) {
+            const bars = fs.existsSync(file) ? MarketDataRouter.normalizeBars(ReplayFeed.loadBars(file)) : [];
+            this.series[file] = bars.filter(bar => bar.timestamp);
+        }
+        return this.series[file];
+    }
+
+    // Write closed bars; new ones after the last stored bar are appended,
+    // anything else rewrites the file. Returns how many bars were added.
+    save(symbol, timeframe, bars) {
+        const file = this.filePath(symbol, timeframe);
+        const stored = this.load(symbol, timeframe);
+        const known = new Set(stored.map(bar => bar.timestamp));
+        const added = MarketDataRouter.normalizeBars(bars).filter(bar => bar.timestamp && !known.has(bar.timestamp));
+        if (added.length === 0) return 0;
+        fs.mkdirSync(this.dir, { recursive: true });
+        const last = stored.length > 0 ? timeOf(stored[stored.length - 1]) : -Infinity;
+        if (stored.length > 0 && timeOf(added[0]) > last) {
+            fs.appendFileSync(file, added.map(csvLine).join('\n') + '\n');
+            this.series[file] = stored.concat(added);
+        } else {
+            this.series[file] = MarketDataRouter.normalizeBars(stored.concat(added));
+            fs.writeFileSync(file, [HEADER, ...this.series[file].map(csvLine)].join('\n') + '\n');
+        }
+        return added.length;
+    }
+
+    // How many of the newest bars to fetch so the last `limit` are complete
+    fetchCount(symbol, timeframe, limit) {
+        const step = MarketDataRouter.TIMEFRAME_MS[timeframe];
+        const stored = this.load(symbol, timeframe);
+        const key = this.filePath(symbol, timeframe);
+        const recent = stored.slice(-limit);
+        // The forming bar is never stored, so limit - 1 closed bars are a full window
+        if (recent.length === 0 || (recent.length < limit - 1 && !this.checked.has(`${key}|head`))) {
+            this.checked.add(`${key}|head`);
+            return limit;
+        }
+        const now = this.now();
+        const gaps = CandleStore.gaps(recent, timeframe).filter(gap => !this.checked.has(`${key}|${gap.from}`));
+        gaps.forEach(gap => this.checked.add(`${key}|${gap.from}`));
+        const since = gaps.length > 0 ? gaps[0].from : timeOf(recent[recent.length - 1]);
+        // From `since` through the forming bar
+        return Math.min(limit, Math.floor((now - since) / step) + 1);
+    }
+
+    // The newest `limit` bars: stored closed bars topped up from fetchBars,
+    // plus the bar still forming
+    async getBars(symbol, timeframe, limit = 1000, options = {}) {
+        const step = MarketDataRouter.TIMEFRAME_MS[timeframe];
+        let fetched = [];
+        if (this.fetchBars) {
+            try {
+                fetched = MarketDataRouter.normalizeBars(await this.fetchBars(symbol, timeframe, this.fetchCount(symbol, timeframe, limit), options));
+            } catch (error) {
+                console.error(`⚠️ Candle store fetch for ${symbol} failed: ${error.message}`);
+            }
+        }
+        const now = this.now();
+        const closed = fetched.filter(bar => timeOf(bar) + step <= now);
+        const forming = fetched.filter(bar => timeOf(bar) + step > now);
+        this.save(symbol, timeframe, closed);
+        const bars = this.load(symbol, timeframe).concat(forming.slice(-1)).slice(-limit);
+        // Judged on what is returned, not on whether the fetch found anything:
+        // the 'file' source reads these same files and "finds" the stale bars
+        const newest = bars.length > 0 ? timeOf(bars[bars.length - 1]) : null;
+        const stale = newest === null || (this.staleBars > 0 && now - newest > (this.staleBars + 1) * step);
+        if (stale && !options.allowStale) return [];
+        return bars;
+    }
+}
+
+module.exports = CandleStore;
@@ -0,0 +1,185 @@
+// Correlation-aware capital allocation across crypto pairs
+//
+// Most alts move with BTC, so equal dollars in five pairs is close to five
+// times the same bet. The allocator weighs a group of symbols (the ones a
+// monitor or portfolio runner trades plus whatever the account holds) from
+// their bar returns, and caps what each may hold:
+//
+//   riskParity           equal risk contribution from the covariance matrix;
+//                        cap = weight x budget - held
+//   correlationPenalty   inverse-volatility weights, and every correlated
+//                        holding counts against the symbol:
+//                        cap = weight x budget - sum(corr+ x penalty x held)
+//
+// Config (user_settings/capitalAllocation.json):
+//   { method: 'riskParity', lookback: 100, penalty: 1, refreshMinutes: 15 }
+//
+// Bars come from options.fetchBars(symbol, limit); weights are refreshed at
+// most every refreshMinutes. Symbols without enough bars get an equal share.
+const { toCanonicalSymbol } = require('./brokerAdapter');
+
+const METHODS = ['riskParity', 'correlationPenalty'];
+const MIN_OBSERVATIONS = 20;
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function closeOf(bar) {
+    return bar.close !== undefined ? bar.close : bar.c;
+}
+
+function timeOf(bar) {
+    return new Date(bar.timestamp || bar.t).getTime();
+}
+
+class CapitalAllocator {
+    constructor(options = {}) {
+        if (options.method && !METHODS.includes(options.method)) {
+            throw new Error(`Unknown allocation method: ${options.method} (use ${METHODS.join(' or ')})`);
+        }
+        this.method = options.method || 'riskParity';
+        this.lookback = options.lookback || 100;
+        this.penalty = options.penalty !== undefined ? options.penalty : 1;
+        this.refreshMinutes = options.refreshMinutes || 15;
+        this.fetchBars = options.fetchBars || null;
+        this.allocation = null;
+    }
+
+    // Settings hold null when allocation isn't configured
+    static fromConfig(config, options = {}) {
+        if (!config) return null;
+        return new CapitalAllocator({ ...config, ...options });
+    }
+
+    // --- Statistics ---
+    // Bar returns keyed by bar time, newest `lookback` of them
+    static returnsOf(bars, lookback) {
+        const returns = new Map();
+        for (let i = 1; i < bars.length; i++) {
+            const previous = closeOf(bars[i - 1]);
+            const close = closeOf(bars[i]);
+            if (previous > 0 && close > 0) returns.set(timeOf(bars[i]), close / previous - 1);
+        }
+        return new Map([...returns.entries()].slice(-lookback));
+    }
+
+    // Covariance matrix over the bar times every series has
+    static covariance(series) {
+        let times = [...series[0].keys()];
+        series.slice(1).forEach(s => { times = times.filter(time => s.has(time)); });
+        const columns = series.map(s => times.map(time => s.get(time)));
+        const means = columns.map(mean);
+        const matrix = columns.map((a, i) => columns.map((b, j) =>
+            a.reduce((sum, value, k) => sum + (value - means[i]) * (b[k] - means[j]), 0) / Math.max(1, times.length - 1)
+        ));
+        return { matrix, observations: times.length };
+    }
+
+    // Equal risk contribution: w_i * (C w)_i the same for every symbol
+    static riskParityWeights(matrix) {
+        const n = matrix.length;
+        let weights = matrix.map((row, i) => 1 / Math.sqrt(row[i]));
+        const normalize = w => {
+            const total = w.reduce((sum, v) => sum + v, 0);
+            return w.map(v => v / total);
+        };
+        weights = normalize(weights);
+        for (let iteration = 0; iteration < 500; iteration++) {
+            const marginal = matrix.map(row => row.reduce((sum, c, j) => sum + c * weights[j], 0));
+            const contributions = weights.map((w, i) => w * marginal[i]);
+            const target = contributions.reduce((sum, c) => sum + c, 0) / n;
+            if (Math.max(...contributions.map(c => Math.abs(c - target))) < target * 1e-6) break;
+            weights = normalize(weights.map((w, i) => (contributions[i] > 0 ? w * Math.sqrt(target / contributions[i]) : w)));
+        }
+        return weights;
+    }
+
+    static inverseVolatilityWeights(matrix) {
+        const inverse = matrix.map((row, i) => 1 / Math.sqrt(row[i]));
+        const total = inverse.reduce((sum, v) => sum + v, 0);
+        return inverse.map(v => v / total);
+    }
+
+    // --- Allocation ---
+    // Weights and correlations for a group of symbols from their bars
+    compute(symbols, barsBySymbol) {
+        const keys = [...new Set(symbols.map(toCanonicalSymbol))];
+        const series = keys.map(symbol => CapitalAllocator.returnsOf(barsBySymbol[symbol] || [], this.lookback));
+        const priced = keys.filter((symbol, i) => series[i].size >= MIN_OBSERVATIONS);
+        const missing = keys.filter(symbol => !priced.includes(symbol));
+        const weights = {};
+        const correlation = {};
+        keys.forEach(symbol => { correlation[symbol] = { [symbol]: 1 }; });
+        let observations = 0;
+        if (priced.length > 0) {
+            const covariance = CapitalAllocator.covariance(priced.map(symbol => series[keys.indexOf(symbol)]));
+            observations = covariance.observations;
+            const usable = observations >= MIN_OBSERVATIONS && covariance.matrix.every((row, i) => row[i] > 0);
+            const fitted = !usable
+                ? priced.map(() => 1 / priced.length)
+                : this.method === 'riskParity'
+                    ? CapitalAllocator.riskParityWeights(covariance.matrix)
+                    : CapitalAllocator.inverseVolatilityWeights(covariance.matrix);
+            // Symbols without history take an equal share off the top
+            const share = priced.length / keys.length;
+            priced.forEach((symbol, i) => {
+                weights[symbol] = fitted[i] * share;
+                if (!usable) return;
+                priced.forEach((other, j) => {
+                    const { matrix } = covariance;
+                    correlation[symbol][other] = matrix[i][j] / Math.sqrt(matrix[i][i] * matrix[j][j]);
+                });
+            });
+        }
+        missing.forEach(symbol => { weights[symbol] = 1 / keys.length; });
+        return {
+            at: Date.now(),
+            method: this.method,
+            symbols: keys,
+            weights,
+            correlation,
+            observations,
+            note: missing.length > 0 ? `not enough bars for ${missing.join(', ')} (equal share)` : null
+        };
+    }
+
+    // Refresh the weights for `symbols` when they are stale or the group changed
+    async update(symbols) {
+        const keys = [...new Set(symbols.map(toCanonicalSymbol))].sort();
+        const current = this.allocation;
+        if (current && current.symbols.slice().sort().join() === keys.join() && Date.now() - current.at < this.refreshMinutes * 60000) {
+            return current;
+        }
+        const bars = {};
+        for (const symbol of keys) {
+            try {
+                bars[symbol] = this.fetchBars ? (await this.fetchBars(symbol, this.lookback + 1)) || [] : [];
+            } catch (error) {
+                console.warn(`⚠️ Could not load bars for ${symbol} allocation: ${error.message}`);
+                bars[symbol] = [];
+            }
+        }
+        this.allocation = this.compute(keys, bars);
+        return this.allocation;
+    }
+
+    // USD `symbol` may still add given the budget and what is held
+    // (held: { [symbol]: market value })
+    capFor(symbol, total, held = {}) {
+        const key = toCanonicalSymbol(symbol);
+        const allocation = this.allocation;
+        if (!allocation || allocation.weights[key] === undefined) return Infinity;
+        const target = allocation.weights[key] * total;
+        if (this.method === 'riskParity') return target - (held[key] || 0);
+        const correlated = Object.entries(held).reduce((sum, [other, value]) => {
+            const rho = other === key ? 1 : (allocation.correlation[key][other] || 0) * this.penalty;
+            return sum + Math.max(0, rho) * value;
+        }, 0);
+        return target - correlated;
+    }
+}
+
+CapitalAllocator.METHODS = METHODS;
+
+module.exports = CapitalAllocator;
@@ -0,0 +1,91 @@
+// Shared capital for monitors run from one process
+//
+// Every monitor a PortfolioRunner starts sees the same account cash. Before
+// sizing an entry, a monitor claims what its symbol may spend; the claim is
+// held until the order is done, so two symbols signalling at once can't
+// both size against the same dollars. A claim is capped by:
+//
+//   cash               account cash not claimed by other symbols
+//   budget             USD the runner may have deployed across its symbols
+//                      (0 = the account's equity)
+//   maxSymbolPercent   per-symbol cap, % of the budget (default: an equal share)
+//   allocation         with a CapitalAllocator, the symbol's correlation-aware
+//                      share less what it (and what moves with it) holds
+//
+// Filled entries count against the budget through the broker's positions.
+const { toCanonicalSymbol } = require('./brokerAdapter');
+
+class CapitalBudget {
+    constructor(options = {}) {
+        this.symbols = (options.symbols || []).map(toCanonicalSymbol);
+        this.budget = options.budget || 0;
+        this.maxSymbolPercent = options.maxSymbolPercent || (this.symbols.length > 0 ? 100 / this.symbols.length : 100);
+        this.allocator = options.allocator || null;
+        this.claims = {};
+    }
+
+    // Positions held in the runner's symbols, by symbol (all symbols with all = true)
+    deployed(positions = [], all = false) {
+        const held = {};
+        positions.forEach(p => {
+            const symbol = toCanonicalSymbol(p.symbol);
+            if (!all && this.symbols.length > 0 && !this.symbols.includes(symbol)) return;
+            held[symbol] = (held[symbol] || 0) + p.marketValue;
+        });
+        return held;
+    }
+
+    // Refresh the allocator's weights over the runner's symbols and whatever
+    // the account holds. Async (it loads bars), so called before the account
+    // is read for a claim.
+    async updateAllocation(positions = []) {
+        if (!this.allocator) return null;
+        return this.allocator.update([...this.symbols, ...Object.keys(this.deployed(positions, true))]);
+    }
+
+    // What `symbol` may spend now, reserved for it until release(symbol).
+    // Synchronous on purpose: called right after the account is read, no
+    // other monitor can claim in between. Returns { cash, cappedBy, limits }.
+    claim(symbol, account, positions = []) {
+        const key = toCanonicalSymbol(symbol);
+        const others = Object.entries(this.claims).filter(([s]) => s !== key).reduce((sum, [, cash]) => sum + cash, 0);
+        const held = this.deployed(positions);
+        const deployed = Object.values(held).reduce((sum, value) => sum + value, 0);
+        const total = this.budget > 0 ? this.budget : account.equity;
+        const limits = {
+            cash: account.cash - others,
+            budget: total - deployed - others,
+            symbol: (total * this.maxSymbolPercent) / 100 - (held[key] || 0)
+        };
+        if (this.allocator) limits.allocation = this.allocator.capFor(key, total, this.deployed(positions, true));
+        const cappedBy = Object.keys(limits).reduce((lowest, name) => (limits[name] < limits[lowest] ? name : lowest), 'cash');
+        const cash = Math.max(0, limits[cappedBy]);
+        this.claims[key] = cash;
+        return { cash, cappedBy, limits };
+    }
+
+    release(symbol) {
+        delete this.claims[toCanonicalSymbol(symbol)];
+    }
+
+    // Per-symbol view for the runner's status card
+    status(account, positions = []) {
+        const held = this.deployed(positions);
+        const total = this.budget > 0 ? this.budget : account.equity;
+        const cap = (total * this.maxSymbolPercent) / 100;
+        const weights = this.allocator && this.allocator.allocation ? this.allocator.allocation.weights : {};
+        return {
+            total,
+            deployed: Object.values(held).reduce((sum, value) => sum + value, 0),
+            symbols: this.symbols.map(symbol => ({
+                symbol,
+                deployed: held[symbol] || 0,
+                cap: weights[symbol] !== undefined ? Math.min(cap, weights[symbol] * total) : cap,
+                weight: weights[symbol],
+                claimed: this.claims[symbol] || 0
+            }))
+        };
+    }
+}
+
+module.exports = CapitalBudget;
@@ -0,0 +1,224 @@
+// Dry-run (signal-only) broker
+//
+// Runs the whole pipeline - data, signals, AI sizing, TP/SL - without
+// sending anything to a venue. Quotes and asset lookups still go to the
+// live broker; orders land in a shadow simulated book instead, so fills,
+// bracket legs and exits behave as they would on paper. Every order the
+// monitor would have sent is written to a journal with the reasoning it
+// was sent with, and the journal is marked to market on each price update
+// so the hypothetical P&L can be followed forward before any capital
+// (paper or otherwise) is committed.
+const fs = require('fs');
+const path = require('path');
+const SimulatedBroker = require('./simulatedBroker');
+const { toCanonicalSymbol } = require('./brokerAdapter');
+const SymbolRegistry = require('./symbolRegistry');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../logs/state');
+// Keep about a week of one-minute marks
+const MAX_MARKS = 10080;
+
+class DryRunBroker extends SimulatedBroker {
+    constructor(options = {}) {
+        const symbol = toCanonicalSymbol((options.symbols && options.symbols[0]) || options.symbol || 'BTC/USD');
+        const stateDir = process.env.BITFLOW_STATE_DIR || DEFAULT_STATE_DIR;
+        const file = SymbolRegistry.ticker(symbol, 'key');
+        super({
+            ...options,
+            name: 'dryrun',
+            statePath: options.statePath || path.join(stateDir, `dryrun_${file}.json`)
+        });
+        this.dryRun = true;
+        // Live venue for market data; without one the dry run is fully offline
+        this.source = options.source || null;
+        this.offline = !this.source || !!this.source.offline;
+        // Charge what the live venue would unless fees were set explicitly
+        if (this.source && typeof this.source.getFeeSchedule === 'function' && options.makerFee === undefined && options.takerFee === undefined) {
+            this.feeSchedule = this.source.getFeeSchedule();
+        }
+        this.journalPath = options.journalPath || path.join(stateDir, `dryrun_journal_${file}.json`);
+        this.markIntervalMs = options.markIntervalMs !== undefined ? options.markIntervalMs : 60000;
+        this.pendingReasoning = null;
+        this.journal = this.loadJournal();
+    }
+
+    // --- Journal persistence ---
+    loadJournal() {
+        try {
+            if (fs.existsSync(this.journalPath)) {
+                const journal = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'));
+                if (journal && Array.isArray(journal.orders)) {
+                    journal.marks = journal.marks || [];
+                    return journal;
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not load dry-run journal, starting fresh: ${error.message}`);
+        }
+        return {
+            startedAt: new Date().toISOString(),
+            startingBalance: this.state.startingBalance,
+            orders: [],
+            marks: [],
+            summary: null
+        };
+    }
+
+    saveJournal() {
+        try {
+            fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+            fs.writeFileSync(this.journalPath, JSON.stringify(this.journal, null, 2), 'utf8');
+        } catch (error) {
+            console.warn(`⚠️ Could not save dry-run journal: ${error.message}`);
+        }
+    }
+
+    // Every change to the shadow book is mirrored into the journal
+    saveState() {
+        super.saveState();
+        if (this.journal) this.syncJournal();
+    }
+
+    // Record new orders with their reasoning and copy the latest status,
+    // fills and fees onto the ones already journaled
+    syncJournal() {
+        const entries = new Map(this.journal.orders.map(e => [e.orderId, e]));
+        this.state.orders.forEach(order => {
+            let entry = entries.get(order.id);
+            if (!entry) {
+                // Bracket legs and replacements carry the reasoning of the order they came from
+                const origin = this.journal.orders.find(e => e.orderId === order.parentOrderId || e.replacedBy === order.id);
+                entry = {
+                    orderId: order.id,
+                    clientOrderId: order.clientOrderId,
+                    symbol: order.symbol,
+                    side: order.side,
+                    type: order.type,
+                    qty: order.qty,
+                    limitPrice: order.limitPrice,
+                    stopPrice: order.stopPrice,
+                    orderClass: order.orderClass,
+                    legRole: order.legRole || null,
+                    parentOrderId: order.parentOrderId || null,
+                    submittedAt: order.createdAt,
+                    signalPrice: this.prices[order.symbol] || null,
+                    reasoning: this.pendingReasoning || (origin ? origin.reasoning : null)
+                };
+                this.journal.orders.push(entry);
+                entries.set(order.id, entry);
+            }
+            Object.assign(entry, {
+                status: order.status,
+                filledQty: order.filledQty,
+                filledAvgPrice: order.filledAvgPrice,
+                fee: order.fee || 0,
+                filledAt: order.filledAt || null,
+                replacedBy: order.replacedBy || null,
+                rejectReason: order.rejectReason || null
+            });
+        });
+        this.markToMarket(true);
+    }
+
+    // --- Hypothetical P&L ---
+    summary() {
+        const positions = Object.values(this.state.positions);
+        const unrealizedPL = positions.reduce((sum, p) => sum + p.qty * ((this.prices[p.symbol] || p.avgEntryPrice) - p.avgEntryPrice), 0);
+        const equity = this.state.cash + positions.reduce((sum, p) => sum + p.qty * (this.prices[p.symbol] || p.avgEntryPrice), 0);
+        const startingBalance = this.journal.startingBalance;
+        return {
+            startingBalance,
+            equity,
+            realizedPL: this.state.realizedPL,
+            unrealizedPL,
+            totalPL: equity - startingBalance,
+            returnPercent: startingBalance > 0 ? ((equity - startingBalance) / startingBalance) * 100 : 0,
+            feesPaid: this.state.feesPaid,
+            ordersJournaled: this.journal.orders.length,
+            fills: this.journal.orders.filter(e => e.filledQty > 0).length,
+            openPositions: positions.map(p => ({ symbol: p.symbol, qty: p.qty, avgEntryPrice: p.avgEntryPrice }))
+        };
+    }
+
+    // Mark every filled order against the latest price and refresh the
+    // summary. Marks are appended at most once per markIntervalMs.
+    markToMarket(force = false) {
+        const now = Date.now();
+        const last = this.journal.marks[this.journal.marks.length - 1];
+        if (!force && last && now - Date.parse(last.time) < this.markIntervalMs) return;
+        this.journal.orders
+            .filter(e => e.filledQty > 0 && this.prices[e.symbol])
+            .forEach(e => {
+                const direction = e.side === 'buy' ? 1 : -1;
+                e.markPrice = this.prices[e.symbol];
+                e.pnlSinceFill = (e.markPrice - e.filledAvgPrice) * e.filledQty * direction;
+            });
+        const summary = this.summary();
+        this.journal.summary = { ...summary, markedAt: new Date(now).toISOString() };
+        if (!last || now - Date.parse(last.time) >= this.markIntervalMs) {
+            this.journal.marks.push({
+                time: new Date(now).toISOString(),
+                prices: { ...this.prices },
+                equity: summary.equity,
+                realizedPL: summary.realizedPL,
+                unrealizedPL: summary.unrealizedPL
+            });
+            if (this.journal.marks.length > MAX_MARKS) this.journal.marks.splice(0, this.journal.marks.length - MAX_MARKS);
+        }
+        this.saveJournal();
+    }
+
+    updatePrice(symbol, price) {
+        super.updatePrice(symbol, price);
+        if (this.prices[this.symbolKey(symbol)] && this.journal.orders.length > 0) this.markToMarket();
+    }
+
+    // --- Orders ---
+    // Requests may carry a `reasoning` object (signal, sizing, TP/SL) that
+    // venues ignore; here it goes into the journal with the order
+    async withReasoning(request, submit) {
+        this.pendingReasoning = request.reasoning || null;
+        try {
+            return await submit();
+        } finally {
+            this.pendingReasoning = null;
+        }
+    }
+
+    async submitOrder(request) {
+        return this.withReasoning(request, () => super.submitOrder(request));
+    }
+
+    async submitBracketOrder(request) {
+        return this.withReasoning(request, () => super.submitBracketOrder(request));
+    }
+
+    async submitOcoOrder(request) {
+        return this.withReasoning(request, () => super.submitOcoOrder(request));
+    }
+
+    // Exits take the same path they would live: bracket / OCO only where
+    // the live venue holds them, local TP/SL everywhere else
+    getCapabilities(symbol) {
+        return this.source ? this.source.getCapabilities(symbol) : super.getCapabilities(symbol);
+    }
+
+    // --- Market data ---
+    // Quotes and assets come from the live venue when there is one
+    async getLatestQuote(symbol) {
+        if (!this.source) return super.getLatestQuote(symbol);
+        const quote = await this.source.getLatestQuote(symbol);
+        if (quote && quote.mid) this.updatePrice(symbol, quote.mid);
+        return quote;
+    }
+
+    async getAsset(symbol) {
+        return this.source ? this.source.getAsset(symbol) : super.getAsset(symbol);
+    }
+
+    async getAssets(params = {}) {
+        return this.source ? this.source.getAssets(params) : super.getAssets(params);
+    }
+}
+
+module.exports = DryRunBroker;
@@ -26,7 +26,32 @@ class EnhancedMemorySystem {
             defaultStopLoss: 'auto',
             enableCrossunderSignals: true,
             enablePerformanceMetrics: true,
-            enablePositionLogging: true
+            enablePositionLogging: true,
+            exitOrderMode: 'bracket',
+            entryOrderType: 'market',
+            fixedTradeValue: 50,
+            limitEntryPrice: 'mid',
+            limitEntryOffsetPercent: 0.05,
+            limitEntryTimeout: 30,
+            limitEntryPolicy: 'reprice',
+            limitEntryMaxReprices: 3,
+            failurePolicy: 'skip',
+            failurePauseMinutes: 15,
+            failureErrorWindow: 10,
+            failurePauseAfter: 5,
+            failureFlattenAfter: 0,
+            riskMaxDailyLoss: 0,
+            riskMaxDailyLossPercent: 5,
+            riskMaxDrawdownPercent: 15,
+            riskMaxOpenPositions: 5,
+            riskMaxNotionalPerSymbol: 0,
+            riskMaxVarPercent: 0,
+            riskFlattenOnBreach: false,
+            throttleMaxConsecutiveLosses: 0,
+            throttleLossCooldownMinutes: 60,
+            throttleMaxTrades: 0,
+            throttleTradeWindowMinutes: 60,
+            throttleTradeCooldownMinutes: 30
         };
         
         // Settings validation rules
@@ -36,7 +61,32 @@ class EnhancedMemorySystem {
             defaultStopLoss: (value) => value === 'auto' || (typeof value === 'number' && value > 0 && value <= 10),
             enableCrossunderSignals: (value) => typeof value === 'boolean',
             enablePerformanceMetrics: (value) => typeof value === 'boolean',
-            enablePositionLogging: (value) => typeof value === 'boolean'
+            enablePositionLogging: (value) => typeof value === 'boolean',
+            exitOrderMode: (value) => ['bracket', 'oco', 'local'].includes(value),
+            entryOrderType: (value) => ['market', 'limit'].includes(value),
+            fixedTradeValue: (value) => typeof value === 'number' && value > 0 && value <= 1000000,
+            limitEntryPrice: (value) => ['bid', 'mid', 'offset'].includes(value),
+            limitEntryOffsetPercent: (value) => typeof value === 'number' && value >= 0 && value <= 5,
+            limitEntryTimeout: (value) => typeof value === 'number' && value >= 1 && value <= 3600,
+            limitEntryPolicy: (value) => ['reprice', 'cancel', 'market'].includes(value),
+            limitEntryMaxReprices: (value) => Number.isInteger(value) && value >= 0 && value <= 20,
+            failurePolicy: (value) => ['skip', 'pause', 'flatten'].includes(value),
+            failurePauseMinutes: (value) => typeof value === 'number' && value >= 1 && value <= 1440,
+            failureErrorWindow: (value) => typeof value === 'number' && value >= 1 && value <= 1440,
+            failurePauseAfter: (value) => Number.isInteger(value) && value >= 0 && value <= 100,
+            failureFlattenAfter: (value) => Number.isInteger(value) && value >= 0 && value <= 100,
+            riskMaxDailyLoss: (value) => typeof value === 'number' && value >= 0,
+            riskMaxDailyLossPercent: (value) => typeof value === 'number' && value >= 0 && value <= 100,
+            riskMaxDrawdownPercent: (value) => typeof value === 'number' && value >= 0 && value <= 100,
+            riskMaxOpenPositions: (value) => Number.isInteger(value) && value >= 0 && value <= 1000,
+            riskMaxNotionalPerSymbol: (value) => typeof value === 'number' && value >= 0,
+            riskMaxVarPercent: (value) => typeof value === 'number' && value >= 0 && value <= 100,
+            riskFlattenOnBreach: (value) => typeof value === 'boolean',
+            throttleMaxConsecutiveLosses: (value) => Number.isInteger(value) && value >= 0 && value <= 100,
+            throttleLossCooldownMinutes: (value) => typeof value === 'number' && value > 0 && value <= 10080,
+            throttleMaxTrades: (value) => Number.isInteger(value) && value >= 0 && value <= 1000,
+            throttleTradeWindowMinutes: (value) => typeof value === 'number' && value > 0 && value <= 10080,
+            throttleTradeCooldownMinutes: (value) => typeof value === 'number' && value > 0 && value <= 10080
         };
     }
 
@@ -333,6 +383,35 @@ class EnhancedMemorySystem {
         return success;
     }
 
+    /**
+     * Load a structured (JSON) setting such as exit rules
+     */
+    loadJSONSetting(name, defaultValue = null) {
+        const filePath = path.join(this.settingsDir, `${name}.json`);
+        if (!fs.existsSync(filePath)) {
+            return defaultValue;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.error(chalk.red(`❌ Error reading ${name}.json: ${error.message}`));
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Save a structured (JSON) setting
+     */
+    saveJSONSetting(name, value) {
+        try {
+            fs.writeFileSync(path.join(this.settingsDir, `${name}.json`), JSON.stringify(value, null, 2), 'utf8');
+            return true;
+        } catch (error) {
+            console.error(chalk.red(`❌ Error saving ${name}.json: ${error.message}`));
+            return false;
+        }
+    }
+
     /**
      * Get settings history
      */
@@ -3,6 +3,14 @@ const fs = require('fs');
 const path = require('path');
 const EnhancedMLEngine = require('./enhanced_ml_engine');
 const AdvancedTradingStrategy = require('./advanced_trading_strategy');
+const ExitRuleEngine = require('./exitRules');
+const EntryPlan = require('./entryPlan');
+const PositionSizer = require('./positionSizing');
+const FeeSchedule = require('./feeSchedule');
+const { roundQty, checkOrderSize } = require('./assetRules');
+const SymbolRegistry = require('./symbolRegistry');
+const MarketDataRouter = require('./marketData');
+const CandleStore = require('./candleStore');
 
 class EnhancedBacktestEngine {
     constructor(symbol = 'BTC/USD', initialBalance = 10000) {
@@ -98,6 +106,13 @@ class EnhancedBacktestEngine {
         }).filter(candle => candle.close && !isNaN(candle.close));
     }
 
+    // Bars from the local candle store, topped up from the market data sources
+    async loadFromAlpaca(symbol = this.symbol, timeframe = '5Min', limit = 1000) {
+        const router = MarketDataRouter.fromConfig(null);
+        const store = new CandleStore({ fetchBars: async (barSymbol, barTimeframe, count) => (await router.getBars(barSymbol, barTimeframe, count)).bars });
+        return store.getBars(symbol, timeframe, limit, { allowStale: true });
+    }
+
     // Generate synthetic price data for testing
     generateSyntheticData(days = 365, volatility = 0.02, startPrice = 50000) {
         const data = [];
@@ -158,7 +173,14 @@ class EnhancedBacktestEngine {
         
         // Backtest parameters
         const lookbackPeriod = config.lookbackPeriod || 100;
-        const transactionCost = config.transactionCost || 0.0025; // 0.25% per trade
+        // Taker rate from the venue's fee schedule unless a flat cost is given
+        const transactionCost = config.transactionCost !== undefined
+            ? config.transactionCost
+            : FeeSchedule.forVenue(config.venue || 'alpaca', config.feeSchedule).rate('taker');
+        this.asset = config.asset || null; // qtyIncrement / minOrderSize / minNotional
+        this.exitRules = config.exitRules || []; // Extra exit rules on top of dynamic TP/SL
+        this.entryPlan = EntryPlan.fromConfig(config.entryPlan); // Optional scale-in / DCA plan
+        this.positionSizer = PositionSizer.fromConfig(config.positionSizing); // Optional sizing model
         
         for (let i = lookbackPeriod; i < ohlcvData.length; i++) {
             const currentData = ohlcvData.slice(0, i + 1);
@@ -172,19 +194,34 @@ class EnhancedBacktestEngine {
                 
                 // Execute trade based on signal
                 if (signalData.signal === 'BUY' && !this.position) {
-                    await this.executeBuyOrder(currentPrice, signalData, transactionCost);
+                    await this.executeBuyOrder(currentPrice, signalData, transactionCost, ohlcvData[i], i, ohlcvData.slice(Math.max(0, i - 100), i + 1));
+                } else if (signalData.signal === 'BUY' && this.entryPlan) {
+                    const addQuantity = this.entryPlan.pyramidAdd(this.position.entries, currentPrice, { equity: this.calculateCurrentEquity(currentPrice) });
+                    if (addQuantity > 0) await this.executeScaleIn(currentPrice, addQuantity, transactionCost, 'Pyramid');
                 } else if (signalData.signal === 'SELL' && this.position) {
                     await this.executeSellOrder(currentPrice, 'Signal', transactionCost);
                 }
                 
-                // Check stop loss and take profit
+                // Ladder rungs fill at their limit when the bar trades through them
+                while (this.position && this.position.exitState.entryIndex < i && this.position.ladder.length > 0 && ohlcvData[i].low <= this.position.ladder[0].price) {
+                    const rung = this.position.ladder.shift();
+                    await this.executeScaleIn(rung.price, rung.qty, transactionCost, `Ladder -${rung.dropPercent}%`);
+                }
+                
+                // Check the position's exit rules (TP/SL, trailing, time...)
                 if (this.position) {
-                    const pnlPercent = ((currentPrice - this.position.entryPrice) / this.position.entryPrice) * 100;
-                    
-                    if (pnlPercent >= this.position.takeProfitPercent) {
-                        await this.executeSellOrder(currentPrice, 'Take Profit', transactionCost);
-                    } else if (pnlPercent <= -this.position.stopLossPercent) {
-                        await this.executeSellOrder(currentPrice, 'Stop Loss', transactionCost);
+                    const decision = this.position.exitEngine.evaluate(this.position.exitState, {
+                        price: currentPrice,
+                        high: ohlcvData[i].high,
+                        time: ohlcvData[i].timestamp,
+                        index: i,
+                        bars: ohlcvData.slice(Math.max(0, i - 100), i + 1)
+                    });
+                    if (decision.exit && decision.partial) {
+                        // Scale-out tier: sell its share of the original size
+                        await this.executeSellOrder(currentPrice, decision.reason, transactionCost, this.position.initialQuantity * decision.fraction);
+                    } else if (decision.exit) {
+                        await this.executeSellOrder(currentPrice, decision.reason, transactionCost);
                     }
                 }
                 
@@ -224,9 +261,15 @@ class EnhancedBacktestEngine {
         };
     }
 
-    async executeBuyOrder(price, signalData, transactionCost) {
-        // Calculate position size using advanced strategy
-        const positionSize = this.strategy.calculateOptimalPositionSize(this.balance, price, signalData.signal);
+    async executeBuyOrder(price, signalData, transactionCost, bar = {}, index = 0, bars = []) {
+        // Calculate dynamic TP/SL
+        const tpsl = this.strategy.calculateDynamicTPSL(this.strategy.monitor.historicalData, price);
+
+        // Size with the configured model (against the stop and this run's trades), else the advanced strategy
+        const positionSize = this.positionSizer
+            ? this.positionSizer.size({ equity: this.balance, cash: this.balance, price, stopLossPercent: tpsl.stopLoss, bars, trades: this.trades, feeRate: transactionCost, asset: this.asset }).qty
+            : roundQty(this.strategy.calculateOptimalPositionSize(this.balance, price, signalData.signal), this.asset);
+        if (checkOrderSize(positionSize, price, this.asset)) return; // Below the venue minimum
         const positionValue = positionSize * price;
         const fee = positionValue * transactionCost;
         
@@ -234,17 +277,26 @@ class EnhancedBacktestEngine {
             return; // Insufficient funds
         }
         
-        // Calculate dynamic TP/SL
-        const tpsl = this.strategy.calculateDynamicTPSL(this.strategy.monitor.historicalData, price);
+        const exitEngine = ExitRuleEngine.fromConfig(this.exitRules, {
+            takeProfitPercent: tpsl.takeProfit,
+            stopLossPercent: tpsl.stopLoss
+        });
         
+        const entries = EntryPlan.openPosition(`${this.symbol}-${index}`, price, positionSize);
         this.position = {
+            positionId: entries.id,
             entryPrice: price,
             quantity: positionSize,
+            initialQuantity: positionSize,
+            entries,
+            ladder: this.entryPlan ? this.entryPlan.ladderOrders(entries, { equity: this.balance }) : [],
             entryTime: new Date(),
             takeProfitPercent: tpsl.takeProfit,
             stopLossPercent: tpsl.stopLoss,
             signalConfidence: signalData.confidence,
-            marketRegime: signalData.marketRegime
+            marketRegime: signalData.marketRegime,
+            exitEngine,
+            exitState: exitEngine.createState({ entryPrice: price, entryTime: bar.timestamp || Date.now(), entryIndex: index })
         };
         
         this.balance -= (positionValue + fee);
@@ -252,19 +304,46 @@ class EnhancedBacktestEngine {
         console.log(`BUY: ${positionSize.toFixed(6)} @ $${price.toFixed(2)} | Confidence: ${(signalData.confidence * 100).toFixed(1)}% | TP: ${tpsl.takeProfit}% | SL: ${tpsl.stopLoss}%`);
     }
 
-    async executeSellOrder(price, reason, transactionCost) {
+    // Add to the open position and re-anchor its exits on the average cost
+    async executeScaleIn(price, quantity, transactionCost, reason) {
+        quantity = roundQty(quantity, this.asset);
+        if (checkOrderSize(quantity, price, this.asset)) return;
+        const positionValue = quantity * price;
+        const fee = positionValue * transactionCost;
+        if (positionValue + fee > this.balance) return;
+        
+        this.balance -= (positionValue + fee);
+        EntryPlan.addEntry(this.position.entries, price, quantity);
+        this.position.quantity += quantity;
+        this.position.initialQuantity += quantity;
+        this.position.entryPrice = this.position.entries.avgEntryPrice;
+        const { tiersFilled, entryTime, entryIndex } = this.position.exitState;
+        this.position.exitState = {
+            ...this.position.exitEngine.createState({ entryPrice: this.position.entryPrice, entryTime, entryIndex }),
+            tiersFilled
+        };
+        
+        console.log(`ADD: ${quantity.toFixed(6)} @ $${price.toFixed(2)} | Avg Entry: $${this.position.entryPrice.toFixed(2)} | Reason: ${reason}`);
+    }
+
+    // Sells the whole position unless a partial quantity is given
+    async executeSellOrder(price, reason, transactionCost, quantity = null) {
         if (!this.position) return;
         
-        const positionValue = this.position.quantity * price;
+        const sellQuantity = quantity ? Math.min(quantity, this.position.quantity) : this.position.quantity;
+        const partial = sellQuantity < this.position.quantity - 1e-12;
+        const positionValue = sellQuantity * price;
         const fee = positionValue * transactionCost;
-        const pnl = positionValue - (this.position.quantity * this.position.entryPrice) - fee;
-        const pnlPercent = (pnl / (this.position.quantity * this.position.entryPrice)) * 100;
+        const pnl = positionValue - (sellQuantity * this.position.entryPrice) - fee;
+        const pnlPercent = (pnl / (sellQuantity * this.position.entryPrice)) * 100;
         
         const trade = {
             symbol: this.symbol,
+            parentPositionId: this.position.positionId,
+            partial: partial,
             entryPrice: this.position.entryPrice,
             exitPrice: price,
-            quantity: this.position.quantity,
+            quantity: sellQuantity,
             entryTime: this.position.entryTime,
             exitTime: new Date(),
             pnl: pnl,
@@ -280,9 +359,14 @@ class EnhancedBacktestEngine {
         this.trades.push(trade);
         this.balance += positionValue - fee;
         
-        console.log(`SELL: ${this.position.quantity.toFixed(6)} @ $${price.toFixed(2)} | P&L: ${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%) | Reason: ${reason}`);
+        console.log(`SELL${partial ? ' (partial)' : ''}: ${sellQuantity.toFixed(6)} @ $${price.toFixed(2)} | P&L: ${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%) | Reason: ${reason}`);
         
-        this.position = null;
+        if (partial) {
+            this.position.quantity -= sellQuantity;
+            EntryPlan.reduce(this.position.entries, sellQuantity);
+        } else {
+            this.position = null;
+        }
     }
 
     calculateCurrentEquity(currentPrice) {
@@ -358,11 +442,11 @@ class EnhancedBacktestEngine {
         const report = this.generateReport();
         
         // Save JSON report
-        const jsonPath = path.join(outputDir, `backtest_${this.symbol.replace('/', '')}_${timestamp}.json`);
+        const jsonPath = path.join(outputDir, `backtest_${SymbolRegistry.ticker(this.symbol, 'key')}_${timestamp}.json`);
         fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
         
         // Save CSV of trades
-        const csvPath = path.join(outputDir, `trades_${this.symbol.replace('/', '')}_${timestamp}.csv`);
+        const csvPath = path.join(outputDir, `trades_${SymbolRegistry.ticker(this.symbol, 'key')}_${timestamp}.csv`);
         const csvHeader = 'symbol,entryPrice,exitPrice,quantity,entryTime,exitTime,pnl,pnlPercent,reason,takeProfitPercent,stopLossPercent,signalConfidence,marketRegime,fee\n';
         const csvData = this.trades.map(t => 
             `${t.symbol},${t.entryPrice},${t.exitPrice},${t.quantity},${t.entryTime.toISOString()},${t.exitTime.toISOString()},${t.pnl},${t.pnlPercent},${t.reason},${t.takeProfitPercent},${t.stopLossPercent},${t.signalConfidence},${t.marketRegime},${t.fee}`
@@ -0,0 +1,103 @@
+// Scale-in / DCA entry plans
+//
+// By default BitFlow holds one entry per position. An entry plan lets a
+// position be added to, either on further BUY signals (pyramid) or with
+// limit buys resting below the first fill (ladder). Every add is capped by
+// maxEntries and by the exposure limits, and the position keeps its
+// average cost so TP/SL and P&L follow the blended entry.
+//
+// Config (user_settings/entryPlan.json, or options.entryPlan in backtests):
+//   { mode: 'pyramid', maxEntries: 3, sizeFraction: 0.5, minMovePercent: 0.5, maxExposureUsd: 500 }
+//   { mode: 'ladder', rungs: [{ dropPercent: 1 }, { dropPercent: 2 }, { dropPercent: 3, sizeFraction: 2 }], maxExposurePercent: 25 }
+//
+// sizeFraction is relative to the first entry's quantity (default 1).
+// maxExposurePercent is a share of account equity.
+
+const MODES = ['pyramid', 'ladder'];
+
+class EntryPlan {
+    constructor(config = {}) {
+        if (!MODES.includes(config.mode)) {
+            throw new Error(`Unknown entry plan mode: ${config.mode} (expected ${MODES.join(' or ')})`);
+        }
+        this.mode = config.mode;
+        this.rungs = [...(config.rungs || [])].sort((a, b) => a.dropPercent - b.dropPercent);
+        this.maxEntries = config.maxEntries || (this.mode === 'ladder' ? this.rungs.length + 1 : 3);
+        this.sizeFraction = config.sizeFraction || 1;
+        this.minMovePercent = config.minMovePercent || 0;
+        this.maxExposureUsd = config.maxExposureUsd || null;
+        this.maxExposurePercent = config.maxExposurePercent || null;
+    }
+
+    // Settings hold `null` when no plan is configured
+    static fromConfig(config) {
+        if (!config || !config.mode) return null;
+        return new EntryPlan(config);
+    }
+
+    // Start a position record from its first fill
+    static openPosition(id, price, qty, time = Date.now()) {
+        const position = { id, exits: 0, entries: [], qty: 0, avgEntryPrice: 0, costBasis: 0, revision: 0 };
+        EntryPlan.addEntry(position, price, qty, time);
+        return position;
+    }
+
+    // Record a fill and re-average the cost basis
+    static addEntry(position, price, qty, time = Date.now()) {
+        position.entries.push({ price, qty, time });
+        position.costBasis += price * qty;
+        position.qty += qty;
+        position.avgEntryPrice = position.costBasis / position.qty;
+        position.revision++;
+        return position;
+    }
+
+    // Exits reduce size at the average cost; the average itself is unchanged
+    static reduce(position, qty) {
+        position.qty = Math.max(0, position.qty - qty);
+        position.costBasis = position.avgEntryPrice * position.qty;
+        return position;
+    }
+
+    // Largest quantity that keeps the position inside the exposure caps
+    capQuantity(qty, price, position, account = {}) {
+        const limits = [];
+        if (this.maxExposureUsd) limits.push(this.maxExposureUsd);
+        const equity = account.equity || account.portfolioValue || account.cash;
+        if (this.maxExposurePercent && equity) limits.push(equity * this.maxExposurePercent / 100);
+        if (limits.length === 0) return qty;
+        const room = Math.min(...limits) - position.qty * price;
+        return room > 0 ? Math.min(qty, room / price) : 0;
+    }
+
+    // Pyramid: quantity to add on a fresh BUY signal (0 when none is allowed)
+    pyramidAdd(position, price, account) {
+        if (this.mode !== 'pyramid' || position.entries.length >= this.maxEntries) return 0;
+        const last = position.entries[position.entries.length - 1];
+        if (price < last.price * (1 + this.minMovePercent / 100)) return 0;
+        return this.capQuantity(position.entries[0].qty * this.sizeFraction, price, position, account);
+    }
+
+    // Ladder: limit buys to rest below the first entry, each within the caps
+    ladderOrders(position, account) {
+        if (this.mode !== 'ladder') return [];
+        const first = position.entries[0];
+        const orders = [];
+        const projected = { ...position };
+        for (const rung of this.rungs.slice(0, this.maxEntries - position.entries.length)) {
+            const price = first.price * (1 - rung.dropPercent / 100);
+            const wanted = first.qty * (rung.sizeFraction || this.sizeFraction);
+            const qty = this.capQuantity(wanted, price, projected, account);
+            if (qty <= 0) break;
+            orders.push({ price, qty, dropPercent: rung.dropPercent });
+            projected.qty += qty;
+            // A rung trimmed by the cap is the last one
+            if (qty < wanted) break;
+        }
+        return orders;
+    }
+}
+
+EntryPlan.MODES = MODES;
+
+module.exports = EntryPlan;
@@ -0,0 +1,298 @@
+// Composable exit rules shared by live trading and both backtesters
+//
+// A position carries one ExitRuleEngine built from a list of rules. On every
+// price update the engine is given the latest price (and bar history when
+// available) and answers whether to exit and why. Stop-type rules (fixed,
+// trailing, break-even, chandelier) only ever raise the position's stop, so
+// the most protective stop wins and can be mirrored to a broker-held stop leg.
+//
+// Rule config (array order is evaluation order):
+//   { type: 'takeProfit', percent: 2 }
+//   { type: 'scaleOut', tiers: [{ percent: 2, fraction: 0.5 }, { percent: 4, fraction: 0.3 }] }
+//   { type: 'stopLoss', percent: 1 }
+//   { type: 'trailingStop', percent: 1.5, activationPercent: 0.5 }
+//   { type: 'trailingStop', atrMultiplier: 2, atrPeriod: 14 }
+//   { type: 'breakEven', triggerPercent: 1, offsetPercent: 0.1 }
+//   { type: 'timeStop', maxBars: 48 } or { type: 'timeStop', maxMinutes: 240 }
+//   { type: 'chandelier', period: 22, multiplier: 3 }
+//   { type: 'indicator', indicator: 'maCrossunder', fastLength: 10, slowLength: 30 }
+//   { type: 'indicator', indicator: 'rsiAbove', level: 70, period: 14 }
+//   { type: 'indicator', name: 'My Exit', when: (state, ctx) => boolean }
+const { SMA, EMA, RSI } = require('technicalindicators');
+
+// Bars may be plain closes (backtest.js) or OHLC objects
+function toBar(bar) {
+    if (typeof bar === 'number') return { high: bar, low: bar, close: bar };
+    const close = bar.close !== undefined ? bar.close : bar.c;
+    return {
+        high: bar.high !== undefined ? bar.high : (bar.h !== undefined ? bar.h : close),
+        low: bar.low !== undefined ? bar.low : (bar.l !== undefined ? bar.l : close),
+        close
+    };
+}
+
+// Average true range over the last `period` bars
+function calculateATR(bars, period = 14) {
+    const recent = (bars || []).slice(-(period + 1)).map(toBar);
+    if (recent.length < 2) return null;
+    let sum = 0;
+    for (let i = 1; i < recent.length; i++) {
+        const prevClose = recent[i - 1].close;
+        sum += Math.max(
+            recent[i].high - recent[i].low,
+            Math.abs(recent[i].high - prevClose),
+            Math.abs(recent[i].low - prevClose)
+        );
+    }
+    return sum / (recent.length - 1);
+}
+
+function closesOf(ctx) {
+    return (ctx.bars || []).map(b => toBar(b).close);
+}
+
+// --- Rule factories ---
+// Each rule is { type, kind, evaluate(state, ctx) }. kind is 'target', 'stop',
+// 'time' or 'signal'; stop rules raise state.stopPrice via raiseStop().
+const RULES = {
+    takeProfit(config) {
+        return {
+            type: 'takeProfit',
+            kind: 'target',
+            evaluate(state, ctx) {
+                const target = state.entryPrice * (1 + config.percent / 100);
+                state.takeProfitPrice = target;
+                return ctx.price >= target ? { reason: config.reason || 'Take Profit Hit' } : null;
+            }
+        };
+    },
+
+    // Partial exits: sell `fraction` of the original size as each tier is
+    // reached. Whatever the tiers leave over is closed by the other rules.
+    scaleOut(config) {
+        const tiers = [...(config.tiers || [])].sort((a, b) => a.percent - b.percent);
+        return {
+            type: 'scaleOut',
+            kind: 'target',
+            evaluate(state, ctx) {
+                const tier = tiers[state.tiersFilled];
+                const target = tier && state.entryPrice * (1 + tier.percent / 100);
+                if (!tier || ctx.price < target) return null;
+                state.tiersFilled++;
+                const soldFraction = tiers.slice(0, state.tiersFilled).reduce((sum, t) => sum + t.fraction, 0);
+                return {
+                    reason: tier.reason || `Take Profit ${state.tiersFilled}`,
+                    tier: state.tiersFilled,
+                    fraction: tier.fraction,
+                    targetPrice: target,
+                    partial: soldFraction < 0.999
+                };
+            }
+        };
+    },
+
+    stopLoss(config) {
+        return {
+            type: 'stopLoss',
+            kind: 'stop',
+            evaluate(state) {
+                raiseStop(state, state.entryPrice * (1 - config.percent / 100), config.reason || 'Stop Loss Hit');
+                return null;
+            }
+        };
+    },
+
+    trailingStop(config) {
+        const activation = config.activationPercent || 0;
+        return {
+            type: 'trailingStop',
+            kind: 'stop',
+            evaluate(state, ctx) {
+                if (state.highestPrice < state.entryPrice * (1 + activation / 100)) return null;
+                let distance;
+                if (config.atrMultiplier) {
+                    const atr = calculateATR(ctx.bars, config.atrPeriod || 14);
+                    if (!atr) return null;
+                    distance = atr * config.atrMultiplier;
+                } else {
+                    distance = state.highestPrice * (config.percent / 100);
+                }
+                raiseStop(state, state.highestPrice - distance, config.reason || 'Trailing Stop');
+                return null;
+            }
+        };
+    },
+
+    breakEven(config) {
+        return {
+            type: 'breakEven',
+            kind: 'stop',
+            evaluate(state) {
+                if (state.highestPrice >= state.entryPrice * (1 + config.triggerPercent / 100)) {
+                    raiseStop(state, state.entryPrice * (1 + (config.offsetPercent || 0) / 100), config.reason || 'Break-Even Stop');
+                }
+                return null;
+            }
+        };
+    },
+
+    timeStop(config) {
+        return {
+            type: 'timeStop',
+            kind: 'time',
+            evaluate(state, ctx) {
+                if (config.maxBars && ctx.index !== undefined && ctx.index - state.entryIndex >= config.maxBars) {
+                    return { reason: config.reason || 'Time Stop' };
+                }
+                if (config.maxMinutes && ctx.time && (ctx.time - state.entryTime) / 60000 >= config.maxMinutes) {
+                    return { reason: config.reason || 'Time Stop' };
+                }
+                return null;
+            }
+        };
+    },
+
+    // Chandelier exit: highest high of the lookback minus a multiple of ATR
+    chandelier(config) {
+        const period = config.period || 22;
+        return {
+            type: 'chandelier',
+            kind: 'stop',
+            evaluate(state, ctx) {
+                const bars = (ctx.bars || []).slice(-period).map(toBar);
+                const atr = calculateATR(ctx.bars, period);
+                if (!atr || bars.length === 0) return null;
+                const highestHigh = Math.max(...bars.map(b => b.high));
+                raiseStop(state, highestHigh - atr * (config.multiplier || 3), config.reason || 'Chandelier Exit');
+                return null;
+            }
+        };
+    },
+
+    indicator(config) {
+        const check = INDICATORS[config.indicator] || config.when;
+        if (typeof check !== 'function') throw new Error(`Unknown exit indicator: ${config.indicator}`);
+        return {
+            type: 'indicator',
+            kind: 'signal',
+            evaluate(state, ctx) {
+                return check(state, ctx, config) ? { reason: config.name || config.reason || INDICATOR_REASONS[config.indicator] || 'Indicator Exit' } : null;
+            }
+        };
+    }
+};
+
+// Indicator checks. Callers that already computed a signal (e.g. the live
+// monitor's adaptive MA crossunder) can pass it in ctx.indicators instead.
+const INDICATORS = {
+    maCrossunder(state, ctx, config) {
+        if (ctx.indicators && ctx.indicators.maCrossunder !== undefined) return !!ctx.indicators.maCrossunder;
+        const closes = closesOf(ctx);
+        const fastMA = SMA.calculate({ period: config.fastLength || 10, values: closes });
+        const slowMA = EMA.calculate({ period: config.slowLength || 30, values: closes });
+        if (fastMA.length < 2 || slowMA.length < 2) return false;
+        return fastMA[fastMA.length - 2] >= slowMA[slowMA.length - 2] && fastMA[fastMA.length - 1] < slowMA[slowMA.length - 1];
+    },
+
+    rsiAbove(state, ctx, config) {
+        const rsi = RSI.calculate({ period: config.period || 14, values: closesOf(ctx) });
+        return rsi.length > 0 && rsi[rsi.length - 1] >= (config.level || 70);
+    },
+
+    sellSignal(state, ctx) {
+        return !!(ctx.indicators && ctx.indicators.signal === 'SELL');
+    }
+};
+
+const INDICATOR_REASONS = {
+    maCrossunder: 'MA Crossunder',
+    rsiAbove: 'RSI Overbought',
+    sellSignal: 'Signal'
+};
+
+function raiseStop(state, price, reason) {
+    if (!isFinite(price) || price <= 0) return;
+    if (state.stopPrice === null || price > state.stopPrice) {
+        state.stopPrice = price;
+        state.stopReason = reason;
+    }
+}
+
+class ExitRuleEngine {
+    constructor(rules = []) {
+        this.rules = rules.map(rule => {
+            if (typeof rule.evaluate === 'function') return rule;
+            const factory = RULES[rule.type];
+            if (!factory) throw new Error(`Unknown exit rule: ${rule.type}`);
+            return factory(rule);
+        });
+    }
+
+    // Build the usual rule set: the position's TP/SL plus any extra rules from
+    // settings. Extra takeProfit / stopLoss entries replace the defaults.
+    static fromConfig(extraRules = [], defaults = {}) {
+        const rules = [];
+        const extras = Array.isArray(extraRules) ? extraRules : [];
+        const hasType = type => extras.some(r => r.type === type);
+        // A scale-out plan replaces the single full-size take profit
+        if (defaults.takeProfitPercent > 0 && !hasType('takeProfit') && !hasType('scaleOut')) {
+            rules.push({ type: 'takeProfit', percent: defaults.takeProfitPercent });
+        }
+        if (defaults.stopLossPercent > 0 && !hasType('stopLoss')) {
+            rules.push({ type: 'stopLoss', percent: defaults.stopLossPercent });
+        }
+        return new ExitRuleEngine([...rules, ...extras, ...(defaults.rules || [])]);
+    }
+
+    // Per-position state the rules read and update
+    createState({ entryPrice, entryTime = Date.now(), entryIndex = 0 }) {
+        return {
+            entryPrice,
+            entryTime: entryTime instanceof Date ? entryTime.getTime() : entryTime,
+            entryIndex,
+            highestPrice: entryPrice,
+            stopPrice: null,
+            stopReason: null,
+            takeProfitPrice: null,
+            tiersFilled: 0
+        };
+    }
+
+    hasScaleOut() {
+        return this.rules.some(r => r.type === 'scaleOut');
+    }
+
+    // ctx: { price, high?, time?, index?, bars?, indicators? }
+    // Returns { exit, reason, kind, stopPrice, takeProfitPrice } plus
+    // { partial, fraction, tier, targetPrice } for scale-out exits
+    evaluate(state, ctx) {
+        const now = ctx.time instanceof Date ? ctx.time.getTime() : ctx.time;
+        const context = { ...ctx, time: now };
+        state.highestPrice = Math.max(state.highestPrice, ctx.high !== undefined ? ctx.high : ctx.price);
+
+        // Update all stops first so a rule can't miss a stop raised after it
+        this.rules.filter(r => r.kind === 'stop').forEach(rule => rule.evaluate(state, context));
+
+        const finish = (exit, reason = null, kind = null, extra = {}) => ({
+            exit, reason, kind, stopPrice: state.stopPrice, takeProfitPrice: state.takeProfitPrice, partial: false, ...extra
+        });
+        for (const rule of this.rules) {
+            if (rule.kind === 'stop') {
+                if (state.stopPrice !== null && ctx.price <= state.stopPrice) return finish(true, state.stopReason, 'stop');
+                continue;
+            }
+            const hit = rule.evaluate(state, context);
+            if (hit) {
+                const { reason, ...extra } = hit;
+                return finish(true, reason, rule.kind, extra);
+            }
+        }
+        return finish(false);
+    }
+}
+
+ExitRuleEngine.calculateATR = calculateATR;
+ExitRuleEngine.RULES = RULES;
+ExitRuleEngine.INDICATORS = INDICATORS;
+
+module.exports = ExitRuleEngine;
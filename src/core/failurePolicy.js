@@ -0,0 +1,85 @@
+// Failure policy for trade execution
+//
+// A bad tick, a sizing problem or an unexpected error in executeTrade no
+// longer stops the monitor and exits the process (which took any open
+// position's TP/SL monitor down with it). The failure is logged to the
+// monitor's ErrorHandler and handled by policy:
+//
+//   skip     drop this signal and keep running (default)
+//   pause    take no new entries for pauseMinutes; exits keep running
+//   flatten  close the position at market and stop monitoring
+//
+// Repeated failures escalate: once pauseAfter recorded failures fall
+// inside the window the policy pauses, and at flattenAfter it flattens.
+// Only failures passed to record() count - API retries and stream errors
+// logged to the same ErrorHandler don't. flattenAfter is off by default so an open
+// position is never closed just because trading is failing.
+const ErrorHandler = require('./errorHandler');
+
+const ACTIONS = ['skip', 'pause', 'flatten'];
+
+class FailurePolicy {
+    constructor(options = {}, errorHandler = null) {
+        const action = options.action || 'skip';
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Unknown failure policy: ${action} (expected ${ACTIONS.join(', ')})`);
+        }
+        this.action = action;
+        this.pauseMinutes = options.pauseMinutes || 15;
+        this.windowMinutes = options.windowMinutes || 10;
+        this.pauseAfter = options.pauseAfter !== undefined ? options.pauseAfter : 5;
+        this.flattenAfter = options.flattenAfter || 0;
+        this.errorHandler = errorHandler || new ErrorHandler();
+        this.pausedUntil = null;
+        this.failures = [];
+    }
+
+    // Read the policy from user settings
+    static fromSettings(settings = {}, errorHandler = null) {
+        return new FailurePolicy({
+            action: settings.failurePolicy,
+            pauseMinutes: settings.failurePauseMinutes,
+            windowMinutes: settings.failureErrorWindow,
+            pauseAfter: settings.failurePauseAfter,
+            flattenAfter: settings.failureFlattenAfter
+        }, errorHandler);
+    }
+
+    // Log a failure and decide what to do about it. Returns
+    // { action, escalated } where action is one of ACTIONS.
+    record(error, context = 'trade') {
+        this.errorHandler.logError(error, `executeTrade_${context}`, 'error');
+        const now = Date.now();
+        const windowStart = now - this.windowMinutes * 60000;
+        this.failures = this.failures.filter(at => at > windowStart);
+        this.failures.push(now);
+        const count = this.failures.length;
+        let action = this.action;
+        if (this.flattenAfter > 0 && count >= this.flattenAfter) {
+            action = 'flatten';
+        } else if (action === 'skip' && this.pauseAfter > 0 && count >= this.pauseAfter) {
+            action = 'pause';
+        }
+        if (action === 'pause') this.pause();
+        return { action, escalated: action !== this.action };
+    }
+
+    pause(minutes = this.pauseMinutes) {
+        this.pausedUntil = Date.now() + minutes * 60000;
+    }
+
+    resume() {
+        this.pausedUntil = null;
+        this.failures = [];
+    }
+
+    // New entries are blocked while paused; exits are not
+    isPaused() {
+        if (this.pausedUntil && Date.now() >= this.pausedUntil) this.pausedUntil = null;
+        return !!this.pausedUntil;
+    }
+}
+
+FailurePolicy.ACTIONS = ACTIONS;
+
+module.exports = FailurePolicy;
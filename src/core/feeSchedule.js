@@ -0,0 +1,85 @@
+// Per-venue trading fee schedules
+//
+// Fees are maker / taker rates picked by 30-day traded volume (USD).
+// Each venue has a default schedule below; user_settings/feeSchedule.json
+// can override any venue, e.g.
+//
+//   { "alpaca": { "volume30d": 250000 },
+//     "simulated": { "maker": 0.001, "taker": 0.002 } }
+//
+// A flat { maker, taker } is a single tier. Brokers hand out their schedule
+// through getFeeSchedule(), so sizing, P&L and backtests all charge the same
+// fees the venue would.
+
+// Alpaca crypto fee tiers (maker / taker by 30-day volume)
+const VENUE_SCHEDULES = {
+    alpaca: [
+        { minVolume: 0, maker: 0.0015, taker: 0.0025 },
+        { minVolume: 100000, maker: 0.0012, taker: 0.0022 },
+        { minVolume: 500000, maker: 0.0010, taker: 0.0020 },
+        { minVolume: 1000000, maker: 0.0008, taker: 0.0018 },
+        { minVolume: 10000000, maker: 0.0005, taker: 0.0015 },
+        { minVolume: 25000000, maker: 0.0002, taker: 0.0013 },
+        { minVolume: 50000000, maker: 0.0002, taker: 0.0012 },
+        { minVolume: 100000000, maker: 0, taker: 0.0010 }
+    ]
+};
+const DEFAULT_TIERS = VENUE_SCHEDULES.alpaca;
+
+class FeeSchedule {
+    constructor({ venue = 'custom', tiers = DEFAULT_TIERS, volume30d = 0 } = {}) {
+        if (!Array.isArray(tiers) || tiers.length === 0) {
+            throw new Error(`Fee schedule for ${venue} needs at least one tier`);
+        }
+        tiers.forEach(tier => {
+            if (!(tier.maker >= 0) || !(tier.taker >= 0)) {
+                throw new Error(`Invalid fee tier for ${venue}: ${JSON.stringify(tier)}`);
+            }
+        });
+        this.venue = venue;
+        this.tiers = tiers
+            .map(tier => ({ minVolume: tier.minVolume || 0, maker: tier.maker, taker: tier.taker }))
+            .sort((a, b) => a.minVolume - b.minVolume);
+        this.volume30d = volume30d;
+    }
+
+    // Single-tier schedule
+    static flat(maker, taker, venue = 'custom') {
+        return new FeeSchedule({ venue, tiers: [{ minVolume: 0, maker, taker }] });
+    }
+
+    // Default schedule for a venue with any user override applied
+    static forVenue(venue, overrides = null) {
+        const key = String(venue || '').toLowerCase();
+        const override = (overrides && overrides[key]) || {};
+        let tiers = override.tiers || VENUE_SCHEDULES[key] || DEFAULT_TIERS;
+        if (override.maker !== undefined || override.taker !== undefined) {
+            const base = tiers[0];
+            tiers = [{
+                minVolume: 0,
+                maker: override.maker !== undefined ? override.maker : base.maker,
+                taker: override.taker !== undefined ? override.taker : base.taker
+            }];
+        }
+        return new FeeSchedule({ venue: key, tiers, volume30d: override.volume30d || 0 });
+    }
+
+    // { maker, taker } for the tier this volume falls in
+    rates(volume30d = this.volume30d) {
+        const tier = this.tiers.filter(t => volume30d >= t.minVolume).pop() || this.tiers[0];
+        return { maker: tier.maker, taker: tier.taker };
+    }
+
+    rate(liquidity = 'taker', volume30d = this.volume30d) {
+        return this.rates(volume30d)[liquidity === 'maker' ? 'maker' : 'taker'];
+    }
+
+    // Fee in quote currency for a fill of this notional value
+    fee(notional, liquidity = 'taker', volume30d = this.volume30d) {
+        return Math.abs(notional) * this.rate(liquidity, volume30d);
+    }
+}
+
+FeeSchedule.VENUE_SCHEDULES = VENUE_SCHEDULES;
+
+module.exports = FeeSchedule;
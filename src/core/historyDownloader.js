@@ -0,0 +1,194 @@
+// History downloader: a date range of bars, page by page, into the candle store
+//
+// Pulls Alpaca crypto bars between two dates, following next_page_token, at
+// most requestsPerMinute requests a minute (Alpaca allows 200). Rate limits
+// (HTTP 429, honouring Retry-After), server errors and dropped connections
+// are retried with a growing wait. Bars are written to the CandleStore every
+// flushBars bars, and the progress (the first bar not yet written) to
+// logs/state/history_<KEY>_<timeframe>.json, so an interrupted download picks
+// up where it stopped when run again with the same start. Without --end the
+// resumed run finishes the range it started; a different --end starts over.
+//
+//   npm run download-history -- BTC/USD --timeframe 1Min --start 2024-01-01 [--end 2025-01-01] [--rpm 180] [--fresh]
+//
+// --fresh ignores saved progress and starts the range over.
+const fs = require('fs');
+const path = require('path');
+const SymbolRegistry = require('./symbolRegistry');
+const CandleStore = require('./candleStore');
+const MarketDataRouter = require('./marketData');
+const { printBanner, printStatus, printSuccess, printWarning, printError } = require('./ui');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../logs/state');
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+class HistoryDownloader {
+    constructor(options = {}) {
+        this.store = options.store || new CandleStore();
+        this.provider = options.provider || new MarketDataRouter.AlpacaDataProvider();
+        this.pageLimit = options.pageLimit || 10000;
+        this.requestsPerMinute = options.requestsPerMinute || 180;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.flushBars = options.flushBars || 50000;
+        this.stateDir = options.stateDir || process.env.BITFLOW_STATE_DIR || DEFAULT_STATE_DIR;
+        this.now = options.now || (() => Date.now());
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.lastRequestAt = null;
+        this.pending = null;
+    }
+
+    progressPath(symbol, timeframe) {
+        return path.join(this.stateDir, `history_${SymbolRegistry.ticker(symbol, 'key')}_${timeframe}.json`);
+    }
+
+    loadProgress(symbol, timeframe) {
+        const file = this.progressPath(symbol, timeframe);
+        try {
+            if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️ Could not load download progress, starting over: ${error.message}`);
+        }
+        return null;
+    }
+
+    saveProgress(progress) {
+        try {
+            fs.mkdirSync(this.stateDir, { recursive: true });
+            fs.writeFileSync(this.progressPath(progress.symbol, progress.timeframe), JSON.stringify(progress, null, 2), 'utf8');
+        } catch (error) {
+            console.warn(`⚠️ Could not save download progress: ${error.message}`);
+        }
+    }
+
+    // One provider call, spaced to the rate limit and retried when the venue asks us to wait
+    async request(fn) {
+        const interval = 60000 / this.requestsPerMinute;
+        for (let attempt = 0; ; attempt++) {
+            if (this.lastRequestAt !== null) {
+                const wait = this.lastRequestAt + interval - this.now();
+                if (wait > 0) await this.sleep(wait);
+            }
+            this.lastRequestAt = this.now();
+            try {
+                return await fn();
+            } catch (error) {
+                const status = error.response && error.response.status;
+                const retryable = status ? RETRY_STATUSES.includes(status) : !!error.code;
+                if (!retryable || attempt >= this.maxRetries) throw error;
+                const retryAfter = error.response && error.response.headers && parseFloat(error.response.headers['retry-after']);
+                const backoff = retryAfter > 0 ? retryAfter * 1000 : Math.min(60000, 1000 * 2 ** attempt);
+                printWarning(`${status ? `HTTP ${status}` : error.code} from the venue, retrying in ${(backoff / 1000).toFixed(0)}s (${attempt + 1}/${this.maxRetries})`);
+                await this.sleep(backoff);
+            }
+        }
+    }
+
+    // Write the bars downloaded since the last flush and record how far we got
+    flush() {
+        if (!this.pending) return;
+        const { progress, bars } = this.pending;
+        if (bars.length === 0) return;
+        this.store.save(progress.symbol, progress.timeframe, bars);
+        const step = MarketDataRouter.TIMEFRAME_MS[progress.timeframe];
+        progress.cursor = new Date(new Date(bars[bars.length - 1].timestamp).getTime() + step).toISOString();
+        progress.bars += bars.length;
+        progress.updatedAt = new Date(this.now()).toISOString();
+        this.pending.bars = [];
+        this.saveProgress(progress);
+    }
+
+    // Download [start, end) into the store. Resolves to the finished progress:
+    // { symbol, timeframe, start, end, bars, pages, resumedFrom }
+    async download(symbol, timeframe, { start, end = null, fresh = false, onPage = null } = {}) {
+        const canonical = SymbolRegistry.canonical(symbol);
+        if (!MarketDataRouter.TIMEFRAME_MS[timeframe]) throw new Error(`Unknown timeframe: ${timeframe}`);
+        const from = new Date(start);
+        if (isNaN(from.getTime())) throw new Error(`Invalid date range: ${start} - ${end || 'now'}`);
+        const saved = fresh ? null : this.loadProgress(canonical, timeframe);
+        const sameStart = !!saved && saved.start === from.toISOString();
+        // Without an end, "now" moves between runs: finish the range already begun
+        const to = end ? new Date(end) : new Date(sameStart ? saved.end : this.now());
+        if (isNaN(to.getTime()) || from >= to) throw new Error(`Invalid date range: ${start} - ${end || 'now'}`);
+        const range = { symbol: canonical, timeframe, start: from.toISOString(), end: to.toISOString() };
+        const resumed = sameStart && saved.end === range.end ? saved : null;
+        const progress = resumed || { ...range, cursor: range.start, bars: 0, pages: 0, updatedAt: null };
+        progress.resumedFrom = resumed ? resumed.cursor : null;
+        this.pending = { progress, bars: [] };
+
+        // A resumed run starts a new query at the cursor; page tokens belong to
+        // their query, so the start stays put while this run pages through it
+        const queryStart = progress.cursor;
+        let pageToken = null;
+        try {
+            do {
+                const page = await this.request(() => this.provider.fetchPage(canonical, timeframe, {
+                    start: queryStart,
+                    end: progress.end,
+                    limit: this.pageLimit,
+                    pageToken
+                }));
+                const bars = MarketDataRouter.normalizeBars(page.bars).filter(bar => bar.timestamp >= queryStart && bar.timestamp < progress.end);
+                this.pending.bars.push(...bars);
+                progress.pages++;
+                pageToken = page.nextPageToken;
+                if (this.pending.bars.length >= this.flushBars || !pageToken) this.flush();
+                if (onPage) onPage({ ...progress, buffered: this.pending.bars.length, through: bars.length > 0 ? bars[bars.length - 1].timestamp : null });
+            } while (pageToken);
+        } catch (error) {
+            // Keep what was downloaded so the next run resumes after it
+            this.flush();
+            throw error;
+        } finally {
+            this.pending = null;
+        }
+
+        const done = { ...progress, cursor: progress.end, updatedAt: new Date(this.now()).toISOString() };
+        fs.rmSync(this.progressPath(canonical, timeframe), { force: true });
+        return done;
+    }
+}
+
+module.exports = HistoryDownloader;
+
+// CLI usage
+if (require.main === module) {
+    require('dotenv').config();
+    const args = process.argv.slice(2);
+    const options = { timeframe: '1Min', start: null, end: null, fresh: false };
+    let symbol = null;
+    let requestsPerMinute;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--timeframe') options.timeframe = args[++i];
+        else if (args[i] === '--start') options.start = args[++i];
+        else if (args[i] === '--end') options.end = args[++i];
+        else if (args[i] === '--rpm') requestsPerMinute = parseInt(args[++i], 10);
+        else if (args[i] === '--fresh') options.fresh = true;
+        else symbol = args[i];
+    }
+    if (!symbol || !options.start) {
+        printError('Usage: npm run download-history -- BTC/USD --timeframe 1Min --start 2024-01-01 [--end 2025-01-01] [--rpm 180] [--fresh]');
+        process.exit(1);
+    }
+    const downloader = new HistoryDownloader({ requestsPerMinute });
+    process.on('SIGINT', () => {
+        downloader.flush();
+        printWarning('\nStopped - run the same command again to resume');
+        process.exit(130);
+    });
+    printBanner(`HISTORY DOWNLOAD - ${SymbolRegistry.canonical(symbol)} ${options.timeframe}`);
+    downloader.download(symbol, options.timeframe, {
+        ...options,
+        onPage: progress => {
+            if (progress.pages === 1 && progress.resumedFrom) printStatus(`↩️  Resuming from ${progress.resumedFrom}`);
+            printStatus(`📥 Page ${progress.pages}: ${(progress.bars + progress.buffered).toLocaleString()} bars${progress.through ? ` through ${progress.through}` : ''}`);
+        }
+    }).then(done => {
+        printSuccess(`✅ ${done.bars.toLocaleString()} bars from ${done.start} to ${done.end} saved to ${downloader.store.filePath(done.symbol, done.timeframe)}`);
+    }).catch(error => {
+        printError(`History download failed: ${error.message}`);
+        if (fs.existsSync(downloader.progressPath(symbol, options.timeframe))) {
+            printWarning('Progress is saved - run the same command again to resume');
+        }
+        process.exit(1);
+    });
+}
@@ -0,0 +1,150 @@
+// Limit-order entries with timeout, repricing and cancel policy
+//
+// Instead of crossing the spread with a market order, post a limit buy at
+// the bid, the mid, or an offset below the signal price. If it hasn't
+// filled after `timeoutSeconds` the unfilled rest is cancelled and, by
+// policy, either reposted at a fresh price ('reprice'), sent as a market
+// order ('market'), or dropped ('cancel'). The caller gets the real
+// filled quantity and average fill price back so TP/SL are anchored on
+// what was actually paid.
+//
+// Given a clientOrderId, each posted order gets it with a -1, -2... suffix
+// (-mkt for the market fallback) so retried submits stay idempotent.
+const { printStatus, printSuccess, printWarning } = require('./ui');
+const { roundQty, roundPrice } = require('./assetRules');
+
+const PRICE_MODES = ['bid', 'mid', 'offset'];
+const POLICIES = ['reprice', 'cancel', 'market'];
+
+// Read the limit entry options from user settings
+function limitEntryOptions(settings = {}) {
+    return {
+        priceMode: settings.limitEntryPrice || 'mid',
+        offsetPercent: settings.limitEntryOffsetPercent !== undefined ? settings.limitEntryOffsetPercent : 0.05,
+        timeoutSeconds: settings.limitEntryTimeout || 30,
+        policy: settings.limitEntryPolicy || 'reprice',
+        maxReprices: settings.limitEntryMaxReprices !== undefined ? settings.limitEntryMaxReprices : 3
+    };
+}
+
+// Limit price for a buy, floored to the asset's tick. Falls back to the
+// offset price when the venue has no quote for the symbol.
+async function resolveLimitPrice(broker, symbol, signalPrice, options, asset = null) {
+    const offsetPrice = signalPrice * (1 - options.offsetPercent / 100);
+    if (options.priceMode === 'offset') return roundPrice(offsetPrice, asset, 'floor');
+    try {
+        const quote = await broker.getLatestQuote(symbol);
+        const price = options.priceMode === 'bid' ? quote.bid : quote.mid;
+        if (price && price > 0) return roundPrice(price, asset, 'floor');
+    } catch (error) {
+        printWarning(`No quote for ${symbol} (${error.message}); pricing limit entry at signal offset`);
+    }
+    return roundPrice(offsetPrice, asset, 'floor');
+}
+
+// Poll an order until it fills or the deadline passes
+async function waitForFill(broker, orderId, deadline, pollMs) {
+    let order = await broker.getOrder(orderId);
+    while (order.status !== 'filled' && Date.now() < deadline) {
+        if (['canceled', 'expired', 'rejected'].includes(order.status)) return order;
+        await new Promise(resolve => setTimeout(resolve, pollMs));
+        order = await broker.getOrder(orderId);
+    }
+    return order;
+}
+
+// Wait out an order, then cancel whatever is still open and read back
+// what it filled
+async function settleOrder(broker, orderId, deadline, pollMs) {
+    const final = await waitForFill(broker, orderId, deadline, pollMs);
+    if (final.status === 'filled') return final;
+    try {
+        await broker.cancelOrder(orderId);
+    } catch (error) {
+        // it may have filled between the last poll and the cancel
+    }
+    return broker.getOrder(orderId);
+}
+
+// Buy `qty` with limit orders per the options. Resolves to
+// { filledQty, avgFillPrice, orderIds, status } where status is
+// 'filled', 'partial' or 'unfilled'. Once something has filled, a failed
+// reprice or poll ends the entry as 'partial' instead of throwing, so the
+// caller still protects what was bought.
+async function executeLimitEntry(broker, { symbol, qty, signalPrice, options, clientOrderId = null, reasoning = null, asset = null, pollMs = 1000 }) {
+    const fills = [];
+    const orderIds = [];
+    const filledQty = () => fills.reduce((sum, f) => sum + f.qty, 0);
+    const record = order => {
+        if (order.filledQty > 0) fills.push({ qty: order.filledQty, price: order.filledAvgPrice });
+    };
+    const timeoutMs = options.timeoutSeconds * 1000;
+    // Posted but not yet recorded; settled on the way out if something throws
+    let pending = null;
+
+    try {
+        for (let attempt = 0; attempt <= options.maxReprices; attempt++) {
+            const remaining = roundQty(qty - filledQty(), asset);
+            const limitPrice = await resolveLimitPrice(broker, symbol, signalPrice, options, asset);
+            const order = await broker.submitOrder({
+                symbol,
+                qty: remaining,
+                side: 'buy',
+                type: 'limit',
+                limitPrice,
+                timeInForce: 'gtc',
+                clientOrderId: clientOrderId ? `${clientOrderId}-${attempt + 1}` : undefined,
+                reasoning
+            });
+            orderIds.push(order.id);
+            pending = order.id;
+            printStatus(`Limit entry posted: ${remaining} @ $${limitPrice} (${options.priceMode}), waiting ${options.timeoutSeconds}s`);
+
+            record(await settleOrder(broker, order.id, Date.now() + timeoutMs, pollMs));
+            pending = null;
+            if (qty - filledQty() <= qty * 1e-6) break;
+
+            if (options.policy === 'market') {
+                const rest = roundQty(qty - filledQty(), asset);
+                printWarning(`Limit entry timed out; buying remaining ${rest} at market`);
+                const marketOrder = await broker.submitOrder({
+                    symbol,
+                    qty: rest,
+                    side: 'buy',
+                    type: 'market',
+                    timeInForce: 'gtc',
+                    clientOrderId: clientOrderId ? `${clientOrderId}-mkt` : undefined,
+                    reasoning
+                });
+                orderIds.push(marketOrder.id);
+                pending = marketOrder.id;
+                record(marketOrder.status === 'filled' ? marketOrder : await settleOrder(broker, marketOrder.id, Date.now() + timeoutMs, pollMs));
+                pending = null;
+                break;
+            }
+            if (options.policy === 'cancel' || attempt === options.maxReprices) {
+                printWarning(`Limit entry timed out; cancelled with ${filledQty()} of ${qty} filled`);
+                break;
+            }
+            printStatus(`Limit entry timed out; repricing (${attempt + 1}/${options.maxReprices})`);
+        }
+    } catch (error) {
+        if (pending) {
+            try {
+                record(await settleOrder(broker, pending, Date.now(), pollMs));
+            } catch (settleError) {
+                // the broker is unreachable; keep what we already know
+            }
+        }
+        if (filledQty() <= 0) throw error;
+        printWarning(`Limit entry stopped early (${error.message}); keeping ${filledQty()} of ${qty} filled`);
+    }
+
+    const total = filledQty();
+    const avgFillPrice = total > 0 ? fills.reduce((sum, f) => sum + f.qty * f.price, 0) / total : null;
+    const status = total <= 0 ? 'unfilled' : (qty - total <= qty * 1e-6 ? 'filled' : 'partial');
+    if (total > 0) printSuccess(`Limit entry ${status}: ${total} @ avg $${avgFillPrice.toFixed(2)}`);
+    return { filledQty: total, avgFillPrice, orderIds, status };
+}
+
+module.exports = { executeLimitEntry, resolveLimitPrice, limitEntryOptions, PRICE_MODES, POLICIES };
@@ -0,0 +1,370 @@
+// Market data providers and the router that picks between them
+//
+// Each provider fetches OHLCV bars for a symbol and timeframe from one source:
+//
+//   alpaca    Alpaca crypto bars (ALPACA_API_KEY_ID / ALPACA_SECRET_KEY)
+//   yahoo     Yahoo Finance chart
+//   polygon   Polygon aggregates (POLYGON_API_KEY)
+//   file      local CSV/JSON files named <KEY>_<timeframe>.csv|json, e.g.
+//             BTCUSD_5Min.csv, in data/bars (or BITFLOW_DATA_DIR)
+//
+// Whatever the source, bars come back in one schema, oldest first:
+//   { timestamp (ISO string), open, high, low, close, volume }
+//
+// The router keeps a health score per source from its latency, recent errors
+// and whether its last bars were stale, and tries the healthiest source that
+// supports the symbol first. A source that errors, returns too few bars or
+// only stale ones is recorded and the next one is tried. A source that fails
+// maxFailures times in a row goes to the back of the line for cooldownSeconds.
+//
+// Config (user_settings/marketData.json):
+//   { providers: ['alpaca', 'yahoo', 'polygon', 'file'], staleBars: 3,
+//     maxFailures: 3, cooldownSeconds: 120, dataDir: 'data/bars' }
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const SymbolRegistry = require('./symbolRegistry');
+const ReplayFeed = require('./replayFeed');
+
+const TIMEFRAME_MS = {
+    '1Min': 60 * 1000,
+    '5Min': 5 * 60 * 1000,
+    '15Min': 15 * 60 * 1000,
+    '1Hour': 60 * 60 * 1000,
+    '1Day': 24 * 60 * 60 * 1000
+};
+const DEFAULT_PROVIDERS = ['alpaca', 'yahoo', 'polygon', 'file'];
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data/bars');
+// Weight of the newest sample in the latency and error averages
+const SMOOTHING = 0.3;
+
+function toIso(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = value instanceof Date ? value : new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function numberOf(bar, long, short) {
+    return parseFloat(bar[long] !== undefined ? bar[long] : bar[short]);
+}
+
+// One bar in the common schema, from any provider's field names
+function normalizeBar(bar) {
+    return {
+        timestamp: toIso(bar.timestamp !== undefined ? bar.timestamp : (bar.t !== undefined ? bar.t : bar.date)),
+        open: numberOf(bar, 'open', 'o'),
+        high: numberOf(bar, 'high', 'h'),
+        low: numberOf(bar, 'low', 'l'),
+        close: numberOf(bar, 'close', 'c'),
+        volume: numberOf(bar, 'volume', 'v') || 0
+    };
+}
+
+// Valid bars in the common schema, oldest first, one per timestamp
+function normalizeBars(bars) {
+    const normalized = (bars || []).map(normalizeBar).filter(b => !isNaN(b.close) && b.close > 0);
+    if (normalized.some(b => b.timestamp === null)) return normalized;
+    const byTime = new Map();
+    normalized.forEach(bar => byTime.set(bar.timestamp, bar));
+    return [...byTime.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// --- Providers ---
+// A provider has a name, supports(symbol, timeframe) and
+// fetchBars(symbol, timeframe, limit), which resolves to raw bars or throws.
+class AlpacaDataProvider {
+    constructor(options = {}) {
+        this.name = 'alpaca';
+        this.keyId = options.keyId || process.env.ALPACA_API_KEY_ID;
+        this.secretKey = options.secretKey || process.env.ALPACA_SECRET_KEY;
+        this.baseUrl = options.baseUrl || 'https://data.alpaca.markets';
+    }
+
+    supports(symbol) {
+        return !!this.keyId && SymbolRegistry.isCrypto(symbol);
+    }
+
+    // The latest `limit` bars. Without a start Alpaca begins at midnight UTC
+    // and counts forward, so ask for the window ending now, newest first,
+    // and turn it back around
+    async fetchBars(symbol, timeframe, limit) {
+        const ticker = SymbolRegistry.ticker(symbol, 'alpacaData');
+        const resp = await axios.get(`${this.baseUrl}/v1beta3/crypto/us/bars`, {
+            params: {
+                symbols: ticker,
+                timeframe,
+                start: new Date(Date.now() - limit * (TIMEFRAME_MS[timeframe] || TIMEFRAME_MS['1Min'])).toISOString(),
+                limit,
+                sort: 'desc'
+            },
+            headers: {
+                'Apca-Api-Key-Id': this.keyId,
+                'Apca-Api-Secret-Key': this.secretKey,
+                'Cache-Control': 'no-cache',
+                'Pragma': 'no-cache'
+            }
+        });
+        return ((resp.data.bars && resp.data.bars[ticker]) || []).reverse();
+    }
+
+    // One page of bars between two dates, oldest first: { bars, nextPageToken }
+    async fetchPage(symbol, timeframe, { start, end, limit = 10000, pageToken = null } = {}) {
+        const ticker = SymbolRegistry.ticker(symbol, 'alpacaData');
+        const resp = await axios.get(`${this.baseUrl}/v1beta3/crypto/us/bars`, {
+            params: {
+                symbols: ticker,
+                timeframe,
+                start,
+                end,
+                limit,
+                sort: 'asc',
+                ...(pageToken ? { page_token: pageToken } : {})
+            },
+            headers: {
+                'Apca-Api-Key-Id': this.keyId,
+                'Apca-Api-Secret-Key': this.secretKey
+            }
+        });
+        return {
+            bars: (resp.data.bars && resp.data.bars[ticker]) || [],
+            nextPageToken: resp.data.next_page_token || null
+        };
+    }
+}
+
+class YahooDataProvider {
+    constructor() {
+        this.name = 'yahoo';
+        // Yahoo serves 1m bars for the last week only (see periodDays)
+        this.intervals = { '1Min': '1m', '5Min': '5m', '15Min': '15m', '1Hour': '1h', '1Day': '1d' };
+    }
+
+    supports(symbol, timeframe) {
+        return !!this.intervals[timeframe];
+    }
+
+    // Days of history Yahoo serves for an interval
+    static periodDays(timeframe) {
+        if (timeframe === '1Min' || timeframe === '5Min') return 7;
+        if (timeframe === '15Min') return 30;
+        return 90;
+    }
+
+    async fetchBars(symbol, timeframe, limit) {
+        const yahooFinance = require('yahoo-finance2').default;
+        const period2 = new Date();
+        const period1 = new Date(period2.getTime() - YahooDataProvider.periodDays(timeframe) * 24 * 60 * 60 * 1000);
+        const chart = await yahooFinance.chart(SymbolRegistry.ticker(symbol, 'yahoo'), {
+            period1,
+            period2,
+            interval: this.intervals[timeframe]
+        });
+        const quotes = (chart && chart.quotes) || [];
+        return quotes
+            .filter(quote => quote.close !== null)
+            .map(quote => ({ timestamp: quote.date, open: quote.open, high: quote.high, low: quote.low, close: quote.close, volume: quote.volume || 0 }))
+            .slice(-limit);
+    }
+}
+
+class PolygonDataProvider {
+    constructor(options = {}) {
+        this.name = 'polygon';
+        this.apiKey = options.apiKey || process.env.POLYGON_API_KEY;
+        this.ranges = { '1Min': [1, 'minute'], '5Min': [5, 'minute'], '15Min': [15, 'minute'], '1Hour': [1, 'hour'], '1Day': [1, 'day'] };
+    }
+
+    supports(symbol, timeframe) {
+        return !!this.apiKey && !!this.ranges[timeframe];
+    }
+
+    async fetchBars(symbol, timeframe, limit) {
+        const [multiplier, span] = this.ranges[timeframe];
+        const to = Date.now();
+        // Ask for half again the window so gaps don't leave us short
+        const from = to - Math.ceil(limit * 1.5) * TIMEFRAME_MS[timeframe];
+        const ticker = encodeURIComponent(SymbolRegistry.ticker(symbol, 'polygon'));
+        const resp = await axios.get(
+            `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/${multiplier}/${span}/${from}/${to}?adjusted=true&sort=asc&limit=50000`,
+            { headers: { 'Authorization': `Bearer ${this.apiKey}` } }
+        );
+        return (resp.data.results || []).slice(-limit);
+    }
+}
+
+class FileDataProvider {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.dir = path.resolve(options.dir || process.env.BITFLOW_DATA_DIR || DEFAULT_DATA_DIR);
+    }
+
+    filePath(symbol, timeframe) {
+        const base = path.join(this.dir, `${SymbolRegistry.ticker(symbol, 'key')}_${timeframe}`);
+        return ['.csv', '.json'].map(ext => base + ext).find(file => fs.existsSync(file)) || null;
+    }
+
+    supports(symbol, timeframe) {
+        return this.filePath(symbol, timeframe) !== null;
+    }
+
+    async fetchBars(symbol, timeframe, limit) {
+        return ReplayFeed.loadBars(this.filePath(symbol, timeframe)).slice(-limit);
+    }
+}
+
+const PROVIDER_CLASSES = {
+    alpaca: AlpacaDataProvider,
+    yahoo: YahooDataProvider,
+    polygon: PolygonDataProvider,
+    file: FileDataProvider
+};
+
+// --- Router ---
+class MarketDataRouter {
+    constructor(options = {}) {
+        this.providers = options.providers || DEFAULT_PROVIDERS.map(name => MarketDataRouter.createProvider(name, options));
+        this.staleBars = options.staleBars !== undefined ? options.staleBars : 3;
+        this.maxFailures = options.maxFailures || 3;
+        this.cooldownSeconds = options.cooldownSeconds !== undefined ? options.cooldownSeconds : 120;
+        this.now = options.now || (() => Date.now());
+        this.stats = {};
+        this.providers.forEach(provider => {
+            this.stats[provider.name] = {
+                requests: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                errorRate: 0,
+                latencyMs: null,
+                stale: false,
+                lastError: null,
+                lastFailureAt: null,
+                lastSuccessAt: null
+            };
+        });
+    }
+
+    // Always returns a router; with no config it tries every source in the default order
+    static fromConfig(config, options = {}) {
+        const settings = { ...(config || {}), ...options };
+        const names = settings.providers || DEFAULT_PROVIDERS;
+        return new MarketDataRouter({
+            ...settings,
+            providers: names.map(name => (typeof name === 'string' ? MarketDataRouter.createProvider(name, settings) : name))
+        });
+    }
+
+    static createProvider(name, options = {}) {
+        const Provider = PROVIDER_CLASSES[name];
+        if (!Provider) throw new Error(`Unknown market data provider: ${name}`);
+        return new Provider({
+            apiKey: options.polygonKey,
+            dir: options.dataDir,
+            ...(options[name] || {})
+        });
+    }
+
+    provider(name) {
+        return this.providers.find(p => p.name === name) || null;
+    }
+
+    coolingDown(name) {
+        const stats = this.stats[name];
+        return stats.consecutiveFailures >= this.maxFailures && this.now() - stats.lastFailureAt < this.cooldownSeconds * 1000;
+    }
+
+    // 0-100: recent errors, slow responses and stale bars each cost points
+    health(name) {
+        const stats = this.stats[name];
+        if (this.coolingDown(name)) return 0;
+        let score = 100 - stats.errorRate * 50;
+        if (stats.latencyMs !== null) score -= Math.min(30, stats.latencyMs / 100);
+        if (stats.stale) score -= 25;
+        return Math.max(0, score);
+    }
+
+    // Sources that can serve the symbol, healthiest first (configured order breaks ties)
+    order(symbol, timeframe) {
+        return this.providers
+            .map((provider, index) => ({ provider, index, health: this.health(provider.name) }))
+            .filter(({ provider }) => provider.supports(symbol, timeframe))
+            .sort((a, b) => b.health - a.health || a.index - b.index)
+            .map(({ provider }) => provider);
+    }
+
+    isStale(bars, timeframe) {
+        const last = bars[bars.length - 1];
+        if (!last || !last.timestamp || !this.staleBars) return false;
+        return this.now() - new Date(last.timestamp).getTime() > this.staleBars * (TIMEFRAME_MS[timeframe] || TIMEFRAME_MS['5Min']);
+    }
+
+    record(name, latencyMs, error, stale) {
+        const stats = this.stats[name];
+        stats.requests++;
+        stats.latencyMs = stats.latencyMs === null ? latencyMs : stats.latencyMs + SMOOTHING * (latencyMs - stats.latencyMs);
+        stats.errorRate += SMOOTHING * ((error ? 1 : 0) - stats.errorRate);
+        if (error) {
+            stats.failures++;
+            stats.consecutiveFailures++;
+            stats.lastError = error;
+            stats.lastFailureAt = this.now();
+        } else {
+            stats.consecutiveFailures = 0;
+            stats.stale = stale;
+            stats.lastSuccessAt = this.now();
+        }
+    }
+
+    // Bars from the healthiest source that has at least minBars fresh ones.
+    // Resolves to { bars, source, attempts }; when no source is good enough
+    // the best it got (fresh before stale, then the most bars) is returned.
+    async getBars(symbol, timeframe, limit, options = {}) {
+        const minBars = options.minBars || 1;
+        const attempts = [];
+        let best = null;
+        for (const provider of this.order(symbol, timeframe)) {
+            const started = this.now();
+            let bars = [];
+            let error = null;
+            try {
+                bars = normalizeBars(await provider.fetchBars(symbol, timeframe, limit)).slice(-limit);
+                if (bars.length === 0) error = 'no bars';
+            } catch (err) {
+                error = err.message;
+            }
+            const stale = !error && this.isStale(bars, timeframe);
+            this.record(provider.name, this.now() - started, error, stale);
+            attempts.push({ source: provider.name, bars: bars.length, stale, error });
+            if (error) continue;
+            if (!stale && bars.length >= minBars) return { bars, source: provider.name, attempts };
+            const better = !best || (best.stale && !stale) || (best.stale === stale && bars.length > best.bars.length);
+            if (better) best = { bars, source: provider.name, stale };
+        }
+        return best ? { bars: best.bars, source: best.source, attempts } : { bars: [], source: null, attempts };
+    }
+
+    // One row per source for the status card
+    status() {
+        return this.providers.map(provider => {
+            const stats = this.stats[provider.name];
+            return {
+                source: provider.name,
+                health: this.health(provider.name),
+                latencyMs: stats.latencyMs,
+                requests: stats.requests,
+                failures: stats.failures,
+                stale: stats.stale,
+                coolingDown: this.coolingDown(provider.name),
+                lastError: stats.lastError
+            };
+        });
+    }
+}
+
+MarketDataRouter.TIMEFRAME_MS = TIMEFRAME_MS;
+MarketDataRouter.normalizeBars = normalizeBars;
+MarketDataRouter.AlpacaDataProvider = AlpacaDataProvider;
+MarketDataRouter.YahooDataProvider = YahooDataProvider;
+MarketDataRouter.PolygonDataProvider = PolygonDataProvider;
+MarketDataRouter.FileDataProvider = FileDataProvider;
+
+module.exports = MarketDataRouter;
@@ -0,0 +1,193 @@
+// Market scanner: rank the tradable crypto pairs by signal strength
+//
+// Walks the broker's active crypto assets (the list checkAlpacaAssetStatus
+// checks a symbol against), and for each pair computes
+// EnhancedMLEngine.extractFeatures, the market regime and a composite score:
+//
+//   trend      price against its 20/50 SMAs, MACD histogram, higher highs
+//   momentum   20-bar change
+//   breakout   closing at the 20-bar high, more so on rising volume
+//   oversold   RSI(14) under 30 or below the lower Bollinger band
+//   volume     last bar against the 20-bar average
+//
+// Scores run from -100 to 100; volatile regimes are marked down. The ranked
+// table tags each pair trending, oversold or breakout.
+//
+// Config (user_settings/scanner.json; CLI flags override it):
+//   { timeframe: '1Hour', quote: 'USD', exclude: ['USDT/USD', 'USDC/USD'], top: 5,
+//     weights: { trend: 3, momentum: 2, breakout: 2, oversold: 1.5, volume: 1 } }
+//
+//   node src/core/marketScanner.js [--timeframe 1Hour] [--top 5] [--monitor] [--dry-run]
+//
+// --monitor hands the top N to a PortfolioRunner.
+const EnhancedMLEngine = require('./enhanced_ml_engine');
+const EnhancedMemorySystem = require('./enhancedMemorySystem');
+const { createBroker, toCanonicalSymbol } = require('./brokerAdapter');
+const { printBanner, printCard, printWarning, formatMoney } = require('./ui');
+
+const DEFAULT_WEIGHTS = { trend: 3, momentum: 2, breakout: 2, oversold: 1.5, volume: 1 };
+const LOOKBACK = 100;
+
+function clamp(value, low = -1, high = 1) {
+    if (!isFinite(value)) return 0;
+    return Math.max(low, Math.min(high, value));
+}
+
+class MarketScanner {
+    constructor(options = {}) {
+        this.broker = options.broker || null;
+        this.fetchBars = options.fetchBars || null;
+        this.timeframe = options.timeframe || '1Hour';
+        this.quote = options.quote || 'USD';
+        this.exclude = (options.exclude || ['USDT/USD', 'USDC/USD']).map(toCanonicalSymbol);
+        this.top = options.top || 5;
+        this.weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+        this.volatilePenalty = options.volatilePenalty !== undefined ? options.volatilePenalty : 0.25;
+        this.mlEngine = options.mlEngine || new EnhancedMLEngine();
+    }
+
+    // Active, tradable crypto pairs quoted in this.quote
+    async universe() {
+        const assets = await this.broker.getAssets({ assetClass: 'crypto', status: 'active' });
+        return [...new Set(assets
+            .filter(a => a.tradable)
+            .map(a => toCanonicalSymbol(a.symbol))
+            .filter(symbol => symbol.endsWith(`/${this.quote}`) && !this.exclude.includes(symbol)))].sort();
+    }
+
+    // --- Scoring ---
+    // Component scores in -1..1 (oversold and breakout 0..1) from the features
+    static components(features) {
+        const macd = features.macd_histogram > 0 ? 0.25 : features.macd_histogram < 0 ? -0.25 : 0;
+        const atHigh = features.resistance_distance <= 0.002;
+        return {
+            trend: clamp((features.sma20_ratio - 1) * 20 + (features.sma50_ratio - 1) * 10 + features.trend_strength + macd),
+            momentum: clamp(features.price_change_20 * 10),
+            breakout: atHigh ? (features.volume_ratio >= 1.5 ? 1 : 0.5) : 0,
+            oversold: clamp(Math.max((0.3 - features.rsi14) / 0.3, -features.bb_position * 5), 0, 1),
+            volume: clamp((features.volume_ratio || 0) - 1)
+        };
+    }
+
+    score(features, regime) {
+        const components = MarketScanner.components(features);
+        const totalWeight = Object.values(this.weights).reduce((sum, w) => sum + w, 0);
+        const weighted = Object.entries(this.weights).reduce((sum, [name, w]) => sum + w * (components[name] || 0), 0);
+        let score = totalWeight > 0 ? (100 * weighted) / totalWeight : 0;
+        if (regime === 'volatile') score *= 1 - this.volatilePenalty;
+        const tags = [];
+        if (regime === 'trending' && components.trend > 0) tags.push('trending');
+        if (regime === 'trending' && components.trend < 0) tags.push('downtrend');
+        if (features.rsi14 < 0.3 || features.bb_position < 0) tags.push('oversold');
+        if (components.breakout === 1) tags.push('breakout');
+        return { score, components, tags };
+    }
+
+    // Features, regime and score for one pair's bars (null with too few bars)
+    analyze(symbol, bars) {
+        const features = bars.length >= LOOKBACK ? this.mlEngine.extractFeatures(bars, LOOKBACK) : null;
+        if (!features) return null;
+        const regime = this.mlEngine.detectMarketRegime(bars);
+        const last = bars[bars.length - 1];
+        return {
+            symbol,
+            price: last.close !== undefined ? last.close : last.c,
+            regime,
+            ...this.score(features, regime),
+            change: features.price_change_20 * 100,
+            rsi: features.rsi14 * 100,
+            volumeRatio: features.volume_ratio,
+            features
+        };
+    }
+
+    async scan(symbols = null) {
+        const universe = symbols ? symbols.map(toCanonicalSymbol) : await this.universe();
+        const results = [];
+        const skipped = [];
+        for (const symbol of universe) {
+            try {
+                const bars = (await this.fetchBars(symbol, this.timeframe, LOOKBACK + 50)) || [];
+                const result = this.analyze(symbol, bars);
+                if (result) results.push(result);
+                else skipped.push({ symbol, reason: `${bars.length} bars, need ${LOOKBACK}` });
+            } catch (error) {
+                skipped.push({ symbol, reason: error.message });
+            }
+        }
+        results.sort((a, b) => b.score - a.score);
+        return { at: new Date().toISOString(), timeframe: this.timeframe, results, skipped };
+    }
+
+    // Ranked table of a scan, best first
+    display(scan, limit = 20) {
+        const pad = (text, width) => String(text).padEnd(width);
+        const lines = [
+            `${pad('#', 3)} ${pad('Symbol', 11)} ${pad('Score', 6)} ${pad('Regime', 9)} ${pad('Price', 13)} ${pad('20-bar', 8)} ${pad('RSI', 4)} ${pad('Vol', 5)} Signals`,
+            ...scan.results.slice(0, limit).map((r, i) => [
+                pad(i + 1, 3),
+                pad(r.symbol, 11),
+                pad(r.score.toFixed(0), 6),
+                pad(r.regime, 9),
+                pad(formatMoney(r.price, r.price < 1 ? 6 : 2), 13),
+                pad(`${r.change >= 0 ? '+' : ''}${r.change.toFixed(1)}%`, 8),
+                pad(r.rsi.toFixed(0), 4),
+                pad(`${(r.volumeRatio || 0).toFixed(1)}x`, 5),
+                r.tags.join(', ') || '-'
+            ].join(' '))
+        ];
+        printCard(`Market Scan (${scan.timeframe}, ${scan.results.length} pairs)`, lines);
+        if (scan.skipped.length > 0) printWarning(`Skipped ${scan.skipped.length}: ${scan.skipped.map(s => `${s.symbol} (${s.reason})`).join(', ')}`);
+    }
+
+    // Best `count` symbols of a scan
+    topSymbols(scan, count = this.top) {
+        return scan.results.slice(0, count).map(r => r.symbol);
+    }
+}
+
+MarketScanner.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+module.exports = MarketScanner;
+
+// CLI usage
+if (require.main === module) {
+    require('dotenv').config();
+    const BitFlow = require('./BitFlow');
+    const PortfolioRunner = require('./portfolioRunner');
+    const memorySystem = new EnhancedMemorySystem();
+    const config = memorySystem.loadJSONSetting('scanner', {});
+    const args = process.argv.slice(2);
+    let monitor = false;
+    let dryRun = false;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--timeframe') config.timeframe = args[++i];
+        else if (args[i] === '--top') config.top = parseInt(args[++i], 10);
+        else if (args[i] === '--monitor') monitor = true;
+        else if (args[i] === '--dry-run') dryRun = true;
+    }
+    (async () => {
+        const broker = createBroker(process.env.BITFLOW_BROKER || 'alpaca', { paper: true });
+        // Bars come through a monitor so the scan uses the same market data sources and fallbacks
+        const source = new BitFlow('BTC/USD', 20, 20, config.timeframe || '1Hour', process.env.POLYGON_API_KEY, 'auto', 'auto', {}, null, { broker });
+        const scanner = new MarketScanner({ ...config, broker, fetchBars: (symbol, timeframe, limit) => source.fetchAlpacaHistorical(symbol, timeframe, limit) });
+        printBanner(`MARKET SCAN - ${scanner.timeframe}`);
+        const scan = await scanner.scan();
+        scanner.display(scan);
+        if (!monitor) return;
+        const symbols = scanner.topSymbols(scan);
+        if (symbols.length === 0) {
+            printWarning('Nothing to monitor');
+            process.exit(1);
+        }
+        const runner = PortfolioRunner.fromConfig({ ...memorySystem.loadJSONSetting('portfolio', {}), symbols, timeframe: scanner.timeframe, dryRun, broker });
+        process.on('SIGINT', () => {
+            runner.stop();
+            process.exit(0);
+        });
+        if (!(await runner.start())) process.exit(1);
+    })().catch(error => {
+        console.error('Market scan failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,322 @@
+// Order lifecycle tracking and broker reconciliation
+//
+// Every order the broker adapter hands back (or fills on its own) for this
+// monitor's symbol is run through a small state machine:
+//
+//   new ──► partially_filled ──► filled
+//    │            │
+//    └────────────┴──► canceled | rejected | expired | replaced
+//
+// Updates that would move an order backwards (a stale poll after a fill)
+// are ignored. Open orders and the active position are persisted under
+// logs/state/ so a restart can reconcile them against the broker instead
+// of double-buying or forgetting a position.
+const fs = require('fs');
+const path = require('path');
+const { toCanonicalSymbol } = require('./brokerAdapter');
+const SymbolRegistry = require('./symbolRegistry');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../logs/state');
+
+// Venue statuses folded into the lifecycle states
+const STATE_MAP = {
+    new: 'new',
+    accepted: 'new',
+    pending_new: 'new',
+    accepted_for_bidding: 'new',
+    held: 'new',
+    calculated: 'new',
+    pending_cancel: 'new',
+    pending_replace: 'new',
+    stopped: 'new',
+    suspended: 'new',
+    done_for_day: 'new',
+    partially_filled: 'partially_filled',
+    filled: 'filled',
+    canceled: 'canceled',
+    cancelled: 'canceled',
+    rejected: 'rejected',
+    expired: 'expired',
+    replaced: 'replaced'
+};
+
+const TRANSITIONS = {
+    new: ['partially_filled', 'filled', 'canceled', 'rejected', 'expired', 'replaced'],
+    partially_filled: ['partially_filled', 'filled', 'canceled', 'expired', 'replaced'],
+    filled: [],
+    canceled: [],
+    rejected: [],
+    expired: [],
+    replaced: []
+};
+
+const OPEN_STATES = ['new', 'partially_filled'];
+const MAX_CLOSED_ORDERS = 200;
+
+function toState(status) {
+    return STATE_MAP[String(status || '').toLowerCase()] || 'new';
+}
+
+class OrderTracker {
+    constructor(broker, options = {}) {
+        this.broker = broker;
+        this.symbol = toCanonicalSymbol(options.symbol);
+        const file = `orders_${broker.name}_${SymbolRegistry.ticker(this.symbol, 'key')}.json`;
+        this.statePath = options.statePath || path.join(process.env.BITFLOW_STATE_DIR || DEFAULT_STATE_DIR, file);
+        this.pollMs = options.pollMs || 5000;
+        this.listeners = [];
+        this.pollTimer = null;
+        this.state = this.loadState();
+        this.unsubscribe = broker.onOrderUpdate(order => this.update(order));
+    }
+
+    // --- Persistence ---
+    loadState() {
+        try {
+            if (fs.existsSync(this.statePath)) {
+                const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+                if (state && state.orders) return { orders: state.orders, position: state.position || null };
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not load order state, starting fresh: ${error.message}`);
+        }
+        return { orders: {}, position: null };
+    }
+
+    saveState() {
+        try {
+            // Keep every open order but only the most recent closed ones
+            const closed = Object.values(this.state.orders)
+                .filter(o => !OPEN_STATES.includes(o.state))
+                .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+            closed.slice(MAX_CLOSED_ORDERS).forEach(o => delete this.state.orders[o.id]);
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            fs.writeFileSync(this.statePath, JSON.stringify({
+                broker: this.broker.name,
+                symbol: this.symbol,
+                updatedAt: new Date().toISOString(),
+                ...this.state
+            }, null, 2), 'utf8');
+        } catch (error) {
+            console.warn(`⚠️ Could not save order state: ${error.message}`);
+        }
+    }
+
+    // --- Lifecycle ---
+    // Called with (record, previousState) whenever an order changes state or fills more
+    onTransition(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Apply a broker order to its record. Returns the record, or null for
+    // orders on other symbols.
+    update(order) {
+        if (!order || !order.id || toCanonicalSymbol(order.symbol) !== this.symbol) return null;
+        const next = toState(order.status);
+        const record = this.state.orders[order.id];
+        if (!record) {
+            this.state.orders[order.id] = {
+                id: order.id,
+                clientOrderId: order.clientOrderId || null,
+                side: order.side,
+                type: order.type,
+                qty: order.qty,
+                limitPrice: order.limitPrice || null,
+                stopPrice: order.stopPrice || null,
+                filledQty: order.filledQty || 0,
+                filledAvgPrice: order.filledAvgPrice || null,
+                status: order.status,
+                state: next,
+                history: [{ state: next, at: new Date().toISOString() }],
+                updatedAt: new Date().toISOString()
+            };
+            this.saveState();
+            this.notify(this.state.orders[order.id], null);
+            return this.state.orders[order.id];
+        }
+
+        const moreFilled = (order.filledQty || 0) > record.filledQty;
+        const allowed = next === record.state ? moreFilled : TRANSITIONS[record.state].includes(next);
+        if (!allowed) return record;
+        const previous = record.state;
+        Object.assign(record, {
+            status: order.status,
+            state: next,
+            filledQty: Math.max(record.filledQty, order.filledQty || 0),
+            filledAvgPrice: order.filledAvgPrice || record.filledAvgPrice,
+            limitPrice: order.limitPrice || record.limitPrice,
+            stopPrice: order.stopPrice || record.stopPrice,
+            updatedAt: new Date().toISOString()
+        });
+        if (next !== previous) record.history.push({ state: next, at: record.updatedAt });
+        this.saveState();
+        this.notify(record, previous);
+        return record;
+    }
+
+    notify(record, previous) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(record, previous);
+            } catch (error) {
+                console.warn(`⚠️ Order transition listener failed: ${error.message}`);
+            }
+        });
+    }
+
+    getOrder(orderId) {
+        return this.state.orders[orderId] || null;
+    }
+
+    findByClientOrderId(clientOrderId) {
+        return Object.values(this.state.orders).find(o => o.clientOrderId === clientOrderId) || null;
+    }
+
+    openOrders(side = null) {
+        return Object.values(this.state.orders)
+            .filter(o => OPEN_STATES.includes(o.state) && (!side || o.side === side));
+    }
+
+    async waitForFinal(orderId, timeoutMs, pollMs) {
+        return OrderTracker.waitForFinal(this.broker, orderId, timeoutMs, pollMs);
+    }
+
+    // Poll the broker until the order reaches a final state or the timeout
+    // passes. Resolves to the latest broker order either way.
+    static async waitForFinal(broker, orderId, timeoutMs = 30000, pollMs = 1000) {
+        const deadline = Date.now() + timeoutMs;
+        let order = await broker.getOrder(orderId);
+        while (OPEN_STATES.includes(toState(order.status)) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, pollMs));
+            order = await broker.getOrder(orderId);
+        }
+        return order;
+    }
+
+    // Refresh every open order from the broker (Alpaca has no order stream
+    // wired up, so this is how fills made while we weren't looking arrive)
+    async poll() {
+        for (const record of this.openOrders()) {
+            try {
+                await this.broker.getOrder(record.id);
+            } catch (error) {
+                console.warn(`⚠️ Could not refresh order ${record.id}: ${error.message}`);
+            }
+        }
+    }
+
+    start() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+        if (this.pollTimer.unref) this.pollTimer.unref();
+    }
+
+    stop() {
+        if (this.pollTimer) clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    // --- Position ---
+    // The monitor's active position record (entries, average cost, TP/SL)
+    savePosition(position) {
+        this.state.position = position ? JSON.parse(JSON.stringify(position)) : null;
+        this.saveState();
+    }
+
+    getSavedPosition() {
+        return this.state.position;
+    }
+
+    // --- Reconciliation ---
+    // Bring local state in line with the broker after a restart. Returns
+    // { position, openOrders, changes } where position is the saved record
+    // updated to what the broker holds (null when flat) and changes lists
+    // what had drifted while we were down. closed is set when a saved
+    // position was closed at the broker meanwhile: { position, exitPrice,
+    // quantity } with the fill read from the broker's closed orders (exitPrice
+    // null when it has no record of them), so the caller can journal it.
+    async reconcile() {
+        const changes = [];
+        let closed = null;
+
+        // Orders we think are open: fetch their real state
+        for (const record of this.openOrders()) {
+            const before = record.state;
+            try {
+                await this.broker.getOrder(record.id);
+            } catch (error) {
+                const missing = (error.response && error.response.status === 404) || /not found/i.test(error.message);
+                if (!missing) {
+                    console.warn(`⚠️ Could not refresh order ${record.id}: ${error.message}`);
+                    continue;
+                }
+                // The venue no longer knows it; treat it as gone
+                this.update({ id: record.id, symbol: this.symbol, status: 'expired' });
+            }
+            if (record.state !== before) changes.push(`order ${record.id} ${before} → ${record.state}`);
+        }
+
+        // Orders the broker has open that we never saw (placed before tracking, or by hand)
+        try {
+            const known = new Set(Object.keys(this.state.orders));
+            const open = await this.broker.getOrders({ status: 'open', symbols: [this.symbol] });
+            open.filter(o => !known.has(o.id)).forEach(o => changes.push(`adopted open ${o.side} order ${o.id}`));
+        } catch (error) {
+            console.warn(`⚠️ Could not list open orders: ${error.message}`);
+        }
+
+        // Position: the broker is the source of truth for size and cost
+        let position = this.state.position;
+        const held = await this.broker.getPosition(this.symbol);
+        if (held && held.qty > 0) {
+            if (!position) {
+                position = {
+                    id: `${SymbolRegistry.ticker(this.symbol, 'key')}-${Date.now()}`,
+                    exits: 0,
+                    entries: [{ price: held.avgEntryPrice, qty: held.qty, time: Date.now() }],
+                    qty: held.qty,
+                    avgEntryPrice: held.avgEntryPrice,
+                    costBasis: held.avgEntryPrice * held.qty,
+                    revision: 1,
+                    adopted: true
+                };
+                changes.push(`adopted ${held.qty} ${this.symbol} position held at the broker`);
+            } else if (Math.abs(position.qty - held.qty) > held.qty * 1e-6 || Math.abs(position.avgEntryPrice - held.avgEntryPrice) > held.avgEntryPrice * 1e-6) {
+                changes.push(`position ${position.qty} @ ${position.avgEntryPrice} → ${held.qty} @ ${held.avgEntryPrice}`);
+                position = { ...position, qty: held.qty, avgEntryPrice: held.avgEntryPrice, costBasis: held.avgEntryPrice * held.qty, revision: position.revision + 1 };
+            }
+        } else if (position) {
+            changes.push(`position ${position.id} was closed while BitFlow was stopped`);
+            const fill = await this.closingFill(position);
+            closed = { position, exitPrice: fill ? fill.exitPrice : null, quantity: fill ? Math.min(fill.quantity, position.qty) : position.qty };
+            position = null;
+        }
+        this.savePosition(position);
+        return { position, openOrders: this.openOrders(), changes, closed };
+    }
+
+    // Sells that filled after the position's first entry: what closed it at
+    // the broker. null when the venue has no record of them.
+    async closingFill(position) {
+        const times = (position.entries || []).map(e => new Date(e.time).getTime()).filter(Number.isFinite);
+        const opened = times.length > 0 ? Math.min(...times) : 0;
+        try {
+            const orders = await this.broker.getOrders({ status: 'closed', symbols: [this.symbol], limit: 100 });
+            const sells = orders.filter(o => o.side === 'sell' && o.filledQty > 0 && o.filledAvgPrice > 0
+                && new Date(o.updatedAt || o.createdAt).getTime() >= opened);
+            const quantity = sells.reduce((sum, o) => sum + o.filledQty, 0);
+            if (quantity <= 0) return null;
+            return { exitPrice: sells.reduce((sum, o) => sum + o.filledQty * o.filledAvgPrice, 0) / quantity, quantity };
+        } catch (error) {
+            console.warn(`⚠️ Could not read closed orders for ${this.symbol}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+OrderTracker.toState = toState;
+OrderTracker.STATE_MAP = STATE_MAP;
+OrderTracker.TRANSITIONS = TRANSITIONS;
+OrderTracker.OPEN_STATES = OPEN_STATES;
+
+module.exports = OrderTracker;
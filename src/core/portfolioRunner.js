@@ -0,0 +1,265 @@
+// Portfolio runner: many symbols from one BitFlow process
+//
+// Starts a monitor per symbol and hands them all the same broker (one
+// account view), SmartModelManager, bar cache, candle store, market data
+// router (so a failing source is skipped for every symbol), Alpaca crypto
+// stream (one connection per account), risk manager and risk report, plus a
+// CapitalBudget that splits the cash between them (weighted by their
+// correlations when user_settings/capitalAllocation.json is set). One timer
+// runs every monitor's update in turn instead of an interval per process.
+//
+// Config (user_settings/portfolio.json; CLI flags override it):
+//   { symbols: ['BTC/USD', 'ETH/USD', 'SOL/USD'], timeframe: '5Min',
+//     budget: 5000, maxSymbolPercent: 40, allocation: { method: 'riskParity' } }
+//
+//   node src/core/portfolioRunner.js BTC/USD ETH/USD --timeframe 15Min --budget 5000 [--dry-run]
+const path = require('path');
+const BitFlow = require('./BitFlow');
+const CapitalBudget = require('./capitalBudget');
+const CapitalAllocator = require('./capitalAllocator');
+const MarketDataRouter = require('./marketData');
+const CandleStore = require('./candleStore');
+const AlpacaCryptoStream = require('./alpacaCryptoStream');
+const RiskManager = require('./riskManager');
+const RiskReport = require('./riskReport');
+const ErrorHandler = require('./errorHandler');
+const EnhancedMemorySystem = require('./enhancedMemorySystem');
+const SmartModelManager = require('./smartModelManager');
+const { createBroker, toCanonicalSymbol } = require('./brokerAdapter');
+const { printBanner, printWarning, printError, printTableCard, formatMoney } = require('./ui');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../logs/state');
+
+// Bars shared by the runner's monitors. Requests for a symbol and timeframe
+// within ttlSeconds reuse one fetch (or join the one in flight); asking for
+// more bars than were fetched goes to the venue again.
+class BarCache {
+    constructor(options = {}) {
+        this.ttlSeconds = options.ttlSeconds || 30;
+        this.entries = {};
+    }
+
+    async get(symbol, timeframe, limit, fetch) {
+        const key = `${toCanonicalSymbol(symbol)}|${timeframe}`;
+        const cached = this.entries[key];
+        if (cached && cached.limit >= limit && Date.now() - cached.at < this.ttlSeconds * 1000) {
+            return (await cached.bars).slice(-limit);
+        }
+        const entry = { at: Date.now(), limit, bars: Promise.resolve().then(fetch) };
+        this.entries[key] = entry;
+        const bars = await entry.bars;
+        // Don't hold on to a failed fetch
+        if (!bars || bars.length === 0) {
+            if (this.entries[key] === entry) delete this.entries[key];
+            return [];
+        }
+        return bars.slice(-limit);
+    }
+}
+
+class PortfolioRunner {
+    constructor(symbols = [], options = {}) {
+        this.symbols = [...new Set(symbols.map(toCanonicalSymbol))];
+        if (this.symbols.length === 0) throw new Error('Portfolio runner needs at least one symbol');
+        this.timeframe = options.timeframe || '5Min';
+        const memorySystem = new EnhancedMemorySystem();
+        let broker = options.broker || createBroker(process.env.BITFLOW_BROKER || 'alpaca', { paper: true, symbols: this.symbols });
+        if ((options.dryRun || process.env.BITFLOW_DRY_RUN === '1') && !broker.dryRun) {
+            // One shadow book for the whole portfolio so the symbols share its cash
+            const stateDir = process.env.BITFLOW_STATE_DIR || DEFAULT_STATE_DIR;
+            broker = createBroker('dryrun', {
+                source: broker,
+                symbols: this.symbols,
+                statePath: path.join(stateDir, 'dryrun_portfolio.json'),
+                journalPath: path.join(stateDir, 'dryrun_journal_portfolio.json')
+            });
+        }
+        this.broker = broker;
+        this.dataCache = new BarCache();
+        this.marketData = MarketDataRouter.fromConfig(memorySystem.loadJSONSetting('marketData', null), { polygonKey: process.env.POLYGON_API_KEY });
+        // One store for every monitor, each symbol's gaps fetched through its own monitor
+        this.candleStore = CandleStore.fromConfig(memorySystem.loadJSONSetting('candleStore', null), {
+            fetchBars: (symbol, timeframe, limit, fetchOptions) => {
+                const monitor = this.monitors.find(m => m.symbol === toCanonicalSymbol(symbol)) || this.monitors[0];
+                return monitor.requestBars(symbol, timeframe, limit, fetchOptions);
+            }
+        });
+        this.priceStream = AlpacaCryptoStream.fromConfig(memorySystem.loadJSONSetting('cryptoStream', null));
+        this.allocator = CapitalAllocator.fromConfig(options.allocation || memorySystem.loadJSONSetting('capitalAllocation', null), {
+            fetchBars: (symbol, limit) => this.fetchBars(symbol, limit)
+        });
+        this.capitalBudget = new CapitalBudget({
+            symbols: this.symbols,
+            budget: options.budget,
+            maxSymbolPercent: options.maxSymbolPercent,
+            allocator: this.allocator
+        });
+        this.riskReport = new RiskReport({
+            ...memorySystem.loadJSONSetting('riskReport', {}),
+            fetchBars: (symbol, limit) => this.fetchBars(symbol, limit)
+        });
+        this.riskManager = RiskManager.fromSettings(memorySystem.loadAllSettings(), broker.name, this.riskReport);
+        const shared = {
+            broker,
+            runner: this,
+            dataCache: this.dataCache,
+            marketData: this.marketData,
+            candleStore: this.candleStore,
+            priceStream: this.priceStream,
+            capitalBudget: this.capitalBudget,
+            riskReport: this.riskReport,
+            riskManager: this.riskManager,
+            smartModelManager: options.smartModelManager || new SmartModelManager()
+        };
+        const errorHandler = options.errorHandler || new ErrorHandler();
+        this.monitors = this.symbols.map(symbol => new BitFlow(
+            symbol,
+            options.baseLength || 20,
+            options.evalPeriod || 20,
+            this.timeframe,
+            process.env.POLYGON_API_KEY,
+            options.takeProfit || 'auto',
+            options.stopLoss || 'auto',
+            {},
+            errorHandler,
+            shared
+        ));
+        this.timer = null;
+        this.ticking = false;
+        this.lastRiskReportAt = 0;
+    }
+
+    static fromConfig(config = {}) {
+        return new PortfolioRunner(config.symbols || [], config);
+    }
+
+    // Bars for the risk report and allocator: a monitor's own when it has them
+    async fetchBars(symbol, limit) {
+        const monitor = this.monitors.find(m => m.symbol === toCanonicalSymbol(symbol));
+        if (monitor && monitor.historicalData.length > 0) return monitor.historicalData;
+        return this.monitors[0].fetchAlpacaHistorical(symbol, this.timeframe, limit);
+    }
+
+    // --- Startup ---
+    // Get one symbol ready: tradable, enough bars, orders reconciled and any
+    // open position protected. A symbol that isn't ready is left out.
+    async prepare(monitor) {
+        const status = await monitor.checkAlpacaAssetStatus();
+        if (!status.tradable) {
+            printWarning(`${monitor.symbol} left out: ${status.error || status.message}`);
+            return false;
+        }
+        const minimumBars = Math.max(monitor.baseLength + 10, 30);
+        const bars = await monitor.fetchAlpacaHistorical(monitor.symbol, this.timeframe, Math.max(monitor.baseLength * 2, 100) * 2);
+        if (bars.length < minimumBars) {
+            printWarning(`${monitor.symbol} left out: ${bars.length} bars, need at least ${minimumBars}`);
+            return false;
+        }
+        await monitor.initializeHistoricalData();
+        monitor.startPriceStream();
+        await monitor.reconcileOrders();
+        const position = await monitor.getCurrentPosition();
+        if (position.exists) await monitor.startExistingPositionMonitoring();
+        monitor.isMonitoring = true;
+        return true;
+    }
+
+    async start() {
+        printBanner(`PORTFOLIO RUNNER - ${this.symbols.join(', ')}`);
+        const { polygonStatus } = await this.monitors[0].checkMarketStatus();
+        if (!polygonStatus.open) {
+            printError(`Cannot start monitoring - ${polygonStatus.error || polygonStatus.message}`);
+            return false;
+        }
+        const ready = [];
+        for (const monitor of this.monitors) {
+            if (await this.prepare(monitor)) ready.push(monitor);
+        }
+        this.monitors = ready;
+        if (ready.length === 0) {
+            printError('Cannot start monitoring - no symbol is ready');
+            return false;
+        }
+        await this.tick();
+        this.timer = setInterval(() => this.tick(), MarketDataRouter.TIMEFRAME_MS[this.timeframe] || MarketDataRouter.TIMEFRAME_MS['5Min']);
+        printBanner(`MONITORING ACTIVE - ${ready.map(m => m.symbol).join(', ')}`);
+        return true;
+    }
+
+    // --- Updates ---
+    // Every monitor's update in turn, then the portfolio cards. A pass still
+    // running (a limit entry waiting on its fill) makes the next one skip.
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            for (const monitor of this.monitors) {
+                if (monitor.isMonitoring) await monitor.displayRegularUpdate();
+            }
+            await this.displayStatus();
+            if (Date.now() - this.lastRiskReportAt >= this.riskReport.refreshMinutes * 60000) {
+                this.lastRiskReportAt = Date.now();
+                await this.monitors[0].displayRiskReport();
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async displayStatus() {
+        try {
+            const positions = await this.broker.getPositions();
+            await this.capitalBudget.updateAllocation(positions);
+            const account = await this.broker.getAccount();
+            const status = this.capitalBudget.status(account, positions);
+            printTableCard(`Portfolio (${formatMoney(status.deployed)} of ${formatMoney(status.total)} deployed)`, [
+                ['Cash', formatMoney(account.cash)],
+                ...this.monitors.map(monitor => {
+                    const symbol = status.symbols.find(s => s.symbol === monitor.symbol);
+                    const state = monitor.isMonitoring ? '' : ' (stopped)';
+                    const weight = symbol.weight !== undefined ? ` (${(symbol.weight * 100).toFixed(0)}%)` : '';
+                    return [monitor.symbol, `${formatMoney(monitor.currentPrice)} | held ${formatMoney(symbol.deployed)} of ${formatMoney(symbol.cap)}${weight}${state}`];
+                })
+            ]);
+        } catch (error) {
+            printWarning('Could not load the portfolio status: ' + error.message);
+        }
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.monitors.forEach(monitor => monitor.stopMonitoring());
+    }
+}
+
+PortfolioRunner.BarCache = BarCache;
+
+module.exports = PortfolioRunner;
+
+// CLI usage
+if (require.main === module) {
+    require('dotenv').config();
+    const config = new EnhancedMemorySystem().loadJSONSetting('portfolio', {});
+    const args = process.argv.slice(2);
+    const symbols = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dry-run') config.dryRun = true;
+        else if (args[i] === '--timeframe') config.timeframe = args[++i];
+        else if (args[i] === '--budget') config.budget = parseFloat(args[++i]);
+        else if (args[i] === '--max-symbol-percent') config.maxSymbolPercent = parseFloat(args[++i]);
+        else symbols.push(args[i]);
+    }
+    if (symbols.length > 0) config.symbols = symbols;
+    (async () => {
+        const runner = PortfolioRunner.fromConfig(config);
+        process.on('SIGINT', () => {
+            runner.stop();
+            process.exit(0);
+        });
+        if (!(await runner.start())) process.exit(1);
+    })().catch(error => {
+        console.error('Portfolio runner failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,140 @@
+// Position sizing models
+//
+// Without a sizing config an entry buys the AI's quantity or fixedTradeValue
+// USD. A sizer replaces both with one of:
+//
+//   fixed       tradeValue USD per entry
+//   fractional  lose riskPercent of equity if the stop loss is hit
+//   volatility  lose riskPercent of equity on a move of volMultiple x the
+//               ATR (or the stdev of bar returns) over `period` bars
+//   kelly       fractional Kelly (EnhancedMLEngine.calculateKellyPosition)
+//               from the symbol's closed trades; needs minTrades of them
+//
+// Config (user_settings/positionSizing.json, or options.positionSizing in backtests):
+//   { mode: 'fractional', riskPercent: 1, maxPositionPercent: 10 }
+//   { mode: 'volatility', riskPercent: 1, measure: 'atr', period: 14, volMultiple: 2, maxPositionUsd: 1000 }
+//   { mode: 'kelly', minTrades: 20, maxPositionPercent: 10 }
+//
+// Every mode is capped by maxPositionPercent of equity (default 10),
+// maxPositionUsd when set, and the cash left after the taker fee. A mode
+// that lacks its inputs (no stop, too few bars or trades) falls back to
+// tradeValue.
+const fs = require('fs');
+const path = require('path');
+const ExitRuleEngine = require('./exitRules');
+const { roundQty } = require('./assetRules');
+
+const MODES = ['fixed', 'fractional', 'volatility', 'kelly'];
+const DEFAULT_TRADE_VALUE = 50;
+const DEFAULT_HISTORY_PATH = path.join(__dirname, '../logs/position_log.json');
+
+// Standard deviation of close-to-close returns over the last `period` bars
+function returnStdev(bars, period = 14) {
+    const closes = (bars || []).slice(-(period + 1)).map(b => (typeof b === 'number' ? b : b.close));
+    if (closes.length < 3) return null;
+    const returns = closes.slice(1).map((close, i) => close / closes[i] - 1);
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    return Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1));
+}
+
+class PositionSizer {
+    constructor(config = {}) {
+        if (!MODES.includes(config.mode)) {
+            throw new Error(`Unknown position sizing mode: ${config.mode} (expected ${MODES.join(', ')})`);
+        }
+        this.mode = config.mode;
+        this.tradeValue = config.tradeValue || DEFAULT_TRADE_VALUE;
+        this.riskPercent = config.riskPercent || 1;
+        this.measure = config.measure === 'stdev' ? 'stdev' : 'atr';
+        this.period = config.period || 14;
+        this.volMultiple = config.volMultiple || 2;
+        this.minTrades = config.minTrades || 20;
+        this.maxPositionPercent = config.maxPositionPercent || 10;
+        this.maxPositionUsd = config.maxPositionUsd || null;
+        this.historyPath = config.historyPath || DEFAULT_HISTORY_PATH;
+    }
+
+    // Settings hold `null` when no sizing model is configured
+    static fromConfig(config, defaults = {}) {
+        if (!config || !config.mode) return null;
+        return new PositionSizer({ ...defaults, ...config });
+    }
+
+    // Win rate and average win / loss (as fractions) of closed trades
+    static tradeStats(trades = []) {
+        const closed = trades.filter(t => t && !isNaN(parseFloat(t.netPnl !== undefined ? t.netPnl : t.pnl)));
+        const result = t => parseFloat(t.netPnl !== undefined ? t.netPnl : t.pnl);
+        const wins = closed.filter(t => result(t) > 0);
+        const losses = closed.filter(t => result(t) < 0);
+        const avgPercent = list => list.reduce((sum, t) => sum + Math.abs(parseFloat(t.pnlPercent) || 0), 0) / list.length / 100;
+        return {
+            trades: closed.length,
+            winRate: closed.length > 0 ? wins.length / closed.length : 0,
+            avgWin: wins.length > 0 ? avgPercent(wins) : 0,
+            avgLoss: losses.length > 0 ? avgPercent(losses) : 0
+        };
+    }
+
+    // Closed trades for a symbol from the live position log
+    loadTradeHistory(symbol) {
+        try {
+            if (!fs.existsSync(this.historyPath)) return [];
+            const trades = JSON.parse(fs.readFileSync(this.historyPath, 'utf8'));
+            return Array.isArray(trades) ? trades.filter(t => !symbol || t.symbol === symbol) : [];
+        } catch (error) {
+            console.warn(`⚠️ Could not read trade history for sizing: ${error.message}`);
+            return [];
+        }
+    }
+
+    // USD to put on by the configured model, with a note on how it was found
+    targetValue({ equity, price, stopLossPercent, bars, trades, symbol }) {
+        const fallback = why => ({ value: this.tradeValue, note: `${why}, using $${this.tradeValue}` });
+        const risk = equity * (this.riskPercent / 100);
+        if (this.mode === 'fractional') {
+            if (!(stopLossPercent > 0)) return fallback('no stop loss to size against');
+            return { value: risk / (stopLossPercent / 100), note: `${this.riskPercent}% of equity at a ${stopLossPercent}% stop` };
+        }
+        if (this.mode === 'volatility') {
+            const volatility = this.measure === 'stdev'
+                ? returnStdev(bars, this.period)
+                : (ExitRuleEngine.calculateATR(bars, this.period) || 0) / price;
+            if (!(volatility > 0)) return fallback(`not enough bars for ${this.measure.toUpperCase()}`);
+            const move = volatility * this.volMultiple;
+            return { value: risk / move, note: `${this.riskPercent}% of equity on a ${(move * 100).toFixed(2)}% move (${this.volMultiple}x ${this.measure.toUpperCase()})` };
+        }
+        if (this.mode === 'kelly') {
+            const stats = PositionSizer.tradeStats(trades || this.loadTradeHistory(symbol));
+            if (stats.trades < this.minTrades) return fallback(`${stats.trades} of ${this.minTrades} trades for Kelly`);
+            // Loaded on demand: the engine pulls in TensorFlow
+            const EnhancedMLEngine = require('./enhanced_ml_engine');
+            const qty = new EnhancedMLEngine().calculateKellyPosition(stats.winRate, stats.avgWin, stats.avgLoss, equity, price);
+            return { value: qty * price, note: `Kelly on ${stats.trades} trades, ${(stats.winRate * 100).toFixed(0)}% won` };
+        }
+        return { value: this.tradeValue, note: `fixed $${this.tradeValue}` };
+    }
+
+    // Size an entry. Resolves the model's target, applies the caps and rounds
+    // to the asset's increment: { qty, value, mode, note, cappedBy }
+    size({ equity, cash, price, stopLossPercent = null, bars = [], trades = null, symbol = null, feeRate = 0, asset = null }) {
+        const target = this.targetValue({ equity, price, stopLossPercent, bars, trades, symbol });
+        const caps = [['maxPositionPercent', equity * (this.maxPositionPercent / 100)], ['cash', cash / (1 + feeRate)]];
+        if (this.maxPositionUsd) caps.push(['maxPositionUsd', this.maxPositionUsd]);
+        let value = target.value;
+        let cappedBy = null;
+        caps.forEach(([name, limit]) => {
+            if (limit < value) {
+                value = limit;
+                cappedBy = name;
+            }
+        });
+        const qty = price > 0 ? roundQty(Math.max(0, value) / price, asset) : 0;
+        return { qty, value: qty * price, mode: this.mode, note: `${this.mode}: ${target.note}`, cappedBy };
+    }
+}
+
+PositionSizer.MODES = MODES;
+PositionSizer.DEFAULT_TRADE_VALUE = DEFAULT_TRADE_VALUE;
+PositionSizer.returnStdev = returnStdev;
+
+module.exports = PositionSizer;
@@ -0,0 +1,213 @@
+// Pre-trade check pipeline
+//
+// Every entry order passes through a chain of checks before it is sent.
+// Each check answers pass, block or resize (with a reason); the first block
+// stops the chain and resizes multiply together. Every decision is written
+// to logs/pre_trade_checks.log. Exits are never checked.
+//
+// Check config (user_settings/preTradeChecks.json; array order is evaluation order):
+//   { type: 'minVolume', ratio: 0.5, period: 20 }            last bar volume vs the average of the bars before it
+//   { type: 'maxSpread', percent: 0.2 }                      broker quote spread, % of mid
+//   { type: 'staleness', maxSeconds: 120 }                   age of the latest price
+//   { type: 'priceDivergence', percent: 0.5 }                broker (Alpaca) mid vs the reference (Yahoo) price
+//   { type: 'timeWindow', start: '13:30', end: '20:00', days: [1, 2, 3, 4, 5], utcOffsetMinutes: 0 }
+//   { type: 'sentimentVeto', minScore: -0.5, minConfidence: 0.5 }
+//   { type: 'custom', name: 'My Check', check: async (order, ctx) => ({ action, reason }) }
+//
+// Any check may add action: 'resize' (with resizeFraction, default 0.5) to
+// shrink the order instead of blocking it. A check without the data it
+// needs (no volume, quote or reference price) passes and says so; one that
+// throws passes too unless it sets onError: 'block'.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOG_PATH = path.join(__dirname, '../logs/pre_trade_checks.log');
+
+function pass(reason = null) {
+    return { action: 'pass', reason };
+}
+
+// Minutes since midnight for 'HH:MM'
+function minutesOf(clock) {
+    const [hours, minutes] = String(clock).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+// --- Check factories ---
+// Each check is { type, name, run(order, ctx) } where run resolves to
+// { action: 'pass' | 'fail', reason }; the pipeline turns a fail into the
+// check's configured block or resize.
+const CHECKS = {
+    minVolume(config) {
+        const ratio = config.ratio || 0.5;
+        const period = config.period || 20;
+        return {
+            async run(order, ctx) {
+                const bars = (ctx.bars || []).slice(-(period + 1));
+                const volumes = bars.map(b => b.volume !== undefined ? b.volume : b.v).filter(v => v !== undefined && v !== null);
+                if (volumes.length < 2) return pass('no volume data');
+                const last = volumes[volumes.length - 1];
+                const average = volumes.slice(0, -1).reduce((sum, v) => sum + v, 0) / (volumes.length - 1);
+                if (last < average * ratio) {
+                    return { action: 'fail', reason: `volume ${last.toFixed(2)} is under ${ratio}x the ${volumes.length - 1}-bar average ${average.toFixed(2)}` };
+                }
+                return pass();
+            }
+        };
+    },
+
+    maxSpread(config) {
+        return {
+            async run(order, ctx) {
+                const quote = await ctx.quote();
+                if (!quote || !(quote.bid > 0) || !(quote.ask > 0)) return pass('no quote');
+                const spread = ((quote.ask - quote.bid) / ((quote.ask + quote.bid) / 2)) * 100;
+                if (spread > config.percent) return { action: 'fail', reason: `spread ${spread.toFixed(3)}% is over ${config.percent}%` };
+                return pass();
+            }
+        };
+    },
+
+    staleness(config) {
+        const maxSeconds = config.maxSeconds || 120;
+        return {
+            async run(order, ctx) {
+                if (!ctx.priceTime) return pass('no price time');
+                const age = (ctx.now - new Date(ctx.priceTime).getTime()) / 1000;
+                if (age > maxSeconds) return { action: 'fail', reason: `latest price is ${Math.round(age)}s old (max ${maxSeconds}s)` };
+                return pass();
+            }
+        };
+    },
+
+    priceDivergence(config) {
+        return {
+            async run(order, ctx) {
+                const [quote, reference] = await Promise.all([ctx.quote(), ctx.referencePrice()]);
+                const venue = quote && quote.mid;
+                if (!(venue > 0) || !(reference > 0)) return pass('no reference price');
+                const divergence = (Math.abs(venue - reference) / reference) * 100;
+                if (divergence > config.percent) {
+                    return { action: 'fail', reason: `venue $${venue.toFixed(2)} and reference $${reference.toFixed(2)} differ by ${divergence.toFixed(2)}% (max ${config.percent}%)` };
+                }
+                return pass();
+            }
+        };
+    },
+
+    // Trading hours in UTC (shifted by utcOffsetMinutes); a window whose
+    // end is before its start runs across midnight
+    timeWindow(config) {
+        const start = minutesOf(config.start || '00:00');
+        const end = minutesOf(config.end || '24:00');
+        const offset = config.utcOffsetMinutes || 0;
+        return {
+            async run(order, ctx) {
+                const local = new Date(ctx.now + offset * 60000);
+                const minute = local.getUTCHours() * 60 + local.getUTCMinutes();
+                const day = local.getUTCDay();
+                if (config.days && !config.days.includes(day)) return { action: 'fail', reason: `day ${day} is outside the trading days` };
+                const inside = start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+                if (!inside) return { action: 'fail', reason: `outside the ${config.start || '00:00'}-${config.end || '24:00'} window` };
+                return pass();
+            }
+        };
+    },
+
+    sentimentVeto(config) {
+        const minScore = config.minScore !== undefined ? config.minScore : -0.5;
+        const minConfidence = config.minConfidence || 0;
+        return {
+            async run(order, ctx) {
+                const sentiment = await ctx.sentiment();
+                if (!sentiment || !sentiment.articlesAnalyzed) return pass('no news');
+                if (sentiment.score < minScore && sentiment.confidence >= minConfidence) {
+                    return { action: 'fail', reason: `news sentiment ${sentiment.sentiment} (score ${sentiment.score}, ${sentiment.articlesAnalyzed} articles)` };
+                }
+                return pass();
+            }
+        };
+    },
+
+    // May answer block / resize (with a fraction) directly
+    custom(config) {
+        return {
+            async run(order, ctx) {
+                return (await config.check(order, ctx)) || pass();
+            }
+        };
+    }
+};
+
+class PreTradeChecks {
+    constructor(checks = [], options = {}) {
+        this.checks = checks.map(config => {
+            const factory = CHECKS[config.type];
+            if (!factory) throw new Error(`Unknown pre-trade check: ${config.type}`);
+            return {
+                ...factory(config),
+                type: config.type,
+                name: config.name || config.type,
+                onFail: config.action === 'resize' ? 'resize' : 'block',
+                resizeFraction: config.resizeFraction || 0.5,
+                onError: config.onError === 'block' ? 'block' : 'pass'
+            };
+        });
+        this.logPath = options.logPath || DEFAULT_LOG_PATH;
+    }
+
+    // Settings hold `[]` when no checks are configured
+    static fromConfig(config, options = {}) {
+        if (!Array.isArray(config) || config.length === 0) return null;
+        return new PreTradeChecks(config, options);
+    }
+
+    // ctx: { symbol, signal, price, bars, priceTime, now, quote(), referencePrice(), sentiment() }
+    // Resolves to { action: 'pass' | 'block' | 'resize', fraction, reason, decisions }
+    async evaluate(order, ctx) {
+        const decisions = [];
+        let fraction = 1;
+        for (const check of this.checks) {
+            let decision;
+            try {
+                const result = await check.run(order, ctx);
+                const action = result.action === 'fail' ? check.onFail : result.action;
+                decision = { check: check.name, action, reason: result.reason || null };
+                if (action === 'resize') decision.fraction = result.fraction || check.resizeFraction;
+            } catch (error) {
+                decision = { check: check.name, action: check.onError, reason: `check failed: ${error.message}` };
+            }
+            decisions.push(decision);
+            if (decision.action === 'block') break;
+            if (decision.action === 'resize') fraction *= decision.fraction;
+        }
+        const blocked = decisions.find(d => d.action === 'block');
+        const resized = decisions.filter(d => d.action === 'resize');
+        const result = {
+            action: blocked ? 'block' : resized.length > 0 ? 'resize' : 'pass',
+            fraction: blocked ? 0 : fraction,
+            reason: blocked ? `${blocked.check}: ${blocked.reason}` : resized.map(d => `${d.check}: ${d.reason}`).join('; ') || null,
+            decisions
+        };
+        this.log(order, ctx, result);
+        return result;
+    }
+
+    // One line per check, like api_errors.log
+    log(order, ctx, result) {
+        const timestamp = new Date().toISOString();
+        const lines = result.decisions.map(d =>
+            `[${timestamp}] [${ctx.symbol} ${ctx.signal} ${order.qty}] ${d.check}: ${d.action}${d.fraction ? ` x${d.fraction}` : ''}${d.reason ? ` - ${d.reason}` : ''}\n`
+        );
+        try {
+            fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+            fs.appendFileSync(this.logPath, lines.join(''), 'utf8');
+        } catch (error) {
+            console.warn(`⚠️ Could not write pre-trade check log: ${error.message}`);
+        }
+    }
+}
+
+PreTradeChecks.CHECKS = CHECKS;
+
+module.exports = PreTradeChecks;
@@ -0,0 +1,90 @@
+// Replayed price feed for offline runs
+//
+// Loads OHLCV bars from a CSV (timestamp,open,high,low,close,volume) or JSON
+// file and plays them back one bar per update, so the monitor and the
+// simulated broker can run with no network access at all.
+const fs = require('fs');
+const path = require('path');
+
+function parseCsvBars(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+    const header = lines[0].toLowerCase().split(',').map(h => h.trim());
+    const hasHeader = header.includes('close') || header.includes('c');
+    const columns = hasHeader ? header : ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+    const col = (...names) => columns.findIndex(c => names.includes(c));
+    const idx = {
+        timestamp: col('timestamp', 'time', 't', 'date'),
+        open: col('open', 'o'),
+        high: col('high', 'h'),
+        low: col('low', 'l'),
+        close: col('close', 'c'),
+        volume: col('volume', 'v')
+    };
+    return lines.slice(hasHeader ? 1 : 0).map(line => {
+        const cells = line.split(',').map(c => c.trim());
+        return {
+            timestamp: idx.timestamp >= 0 ? cells[idx.timestamp] : null,
+            open: parseFloat(cells[idx.open]),
+            high: parseFloat(cells[idx.high]),
+            low: parseFloat(cells[idx.low]),
+            close: parseFloat(cells[idx.close]),
+            volume: idx.volume >= 0 ? parseFloat(cells[idx.volume]) || 0 : 0
+        };
+    });
+}
+
+function normalizeBar(bar) {
+    return {
+        timestamp: bar.timestamp || bar.t || bar.date || null,
+        open: parseFloat(bar.open !== undefined ? bar.open : bar.o),
+        high: parseFloat(bar.high !== undefined ? bar.high : bar.h),
+        low: parseFloat(bar.low !== undefined ? bar.low : bar.l),
+        close: parseFloat(bar.close !== undefined ? bar.close : bar.c),
+        volume: parseFloat(bar.volume !== undefined ? bar.volume : bar.v) || 0
+    };
+}
+
+class ReplayFeed {
+    constructor(filePath, options = {}) {
+        this.filePath = path.resolve(filePath);
+        this.bars = ReplayFeed.loadBars(this.filePath);
+        if (this.bars.length === 0) {
+            throw new Error(`Replay file has no usable bars: ${this.filePath}`);
+        }
+        // Start far enough in that the strategy has history to warm up on
+        const warmup = options.warmupBars !== undefined ? options.warmupBars : 200;
+        this.cursor = Math.min(Math.max(warmup, 1), this.bars.length);
+    }
+
+    static loadBars(filePath) {
+        const text = fs.readFileSync(filePath, 'utf8');
+        const raw = filePath.toLowerCase().endsWith('.json') ? JSON.parse(text) : parseCsvBars(text);
+        const bars = Array.isArray(raw) ? raw : (raw.bars || []);
+        return bars.map(normalizeBar).filter(b => !isNaN(b.close) && b.close > 0);
+    }
+
+    // Bars that have "happened" so far, newest last
+    getBars(limit = 1000) {
+        return this.bars.slice(Math.max(0, this.cursor - limit), this.cursor);
+    }
+
+    currentBar() {
+        return this.bars[this.cursor - 1];
+    }
+
+    // Step forward one bar; returns false once the file is exhausted
+    advance(steps = 1) {
+        if (this.isFinished()) return false;
+        this.cursor = Math.min(this.cursor + steps, this.bars.length);
+        return true;
+    }
+
+    isFinished() {
+        return this.cursor >= this.bars.length;
+    }
+}
+
+ReplayFeed.parseCsvBars = parseCsvBars;
+
+module.exports = ReplayFeed;
@@ -0,0 +1,232 @@
+// Portfolio-level risk limits
+//
+// Checked before every order executeTrade places. Orders that reduce
+// exposure (sells) always pass; entries are refused when they would break:
+//
+//   maxDailyLoss / maxDailyLossPercent  equity drop since the start of the
+//                                       UTC day (realized + unrealized)
+//   maxDrawdownPercent                  drop from the account's equity peak
+//   maxOpenPositions                    positions held across all symbols
+//   maxNotionalPerSymbol                position value per symbol (USD)
+//   maxVarPercent                       VaR of the holdings plus the order,
+//                                       % of equity (needs a RiskReport)
+//
+// The first two are hard limits: breaching one trips a kill switch that
+// blocks all new entries (until the next UTC day for the daily loss, until
+// reset() for drawdown) and, with flattenOnBreach, closes every position.
+// The kill switch and the equity marks are saved under logs/state/ so a
+// restart can't clear them. 0 turns a limit off.
+const fs = require('fs');
+const path = require('path');
+const SymbolRegistry = require('./symbolRegistry');
+const { makeClientOrderId } = require('./brokerAdapter');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../logs/state');
+const HARD_LIMITS = ['dailyLoss', 'drawdown'];
+
+function utcDay(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+class RiskManager {
+    constructor(options = {}) {
+        this.maxDailyLoss = options.maxDailyLoss || 0;
+        this.maxDailyLossPercent = options.maxDailyLossPercent || 0;
+        this.maxDrawdownPercent = options.maxDrawdownPercent || 0;
+        this.maxOpenPositions = options.maxOpenPositions || 0;
+        this.maxNotionalPerSymbol = options.maxNotionalPerSymbol || 0;
+        this.maxVarPercent = options.maxVarPercent || 0;
+        this.flattenOnBreach = !!options.flattenOnBreach;
+        this.riskReport = options.riskReport || null;
+        const file = `risk_${options.broker || 'alpaca'}.json`;
+        this.statePath = options.statePath || path.join(process.env.BITFLOW_STATE_DIR || DEFAULT_STATE_DIR, file);
+        this.state = this.loadState();
+    }
+
+    // Read the limits from user settings
+    static fromSettings(settings = {}, broker = 'alpaca', riskReport = null) {
+        return new RiskManager({
+            maxDailyLoss: settings.riskMaxDailyLoss,
+            maxDailyLossPercent: settings.riskMaxDailyLossPercent,
+            maxDrawdownPercent: settings.riskMaxDrawdownPercent,
+            maxOpenPositions: settings.riskMaxOpenPositions,
+            maxNotionalPerSymbol: settings.riskMaxNotionalPerSymbol,
+            maxVarPercent: settings.riskMaxVarPercent,
+            flattenOnBreach: settings.riskFlattenOnBreach,
+            riskReport,
+            broker
+        });
+    }
+
+    // --- Persistence ---
+    loadState() {
+        try {
+            if (fs.existsSync(this.statePath)) {
+                const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+                if (state) return { day: null, dayStartEquity: null, peakEquity: null, halted: null, ...state };
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not load risk state, starting fresh: ${error.message}`);
+        }
+        return { day: null, dayStartEquity: null, peakEquity: null, halted: null };
+    }
+
+    saveState() {
+        try {
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+        } catch (error) {
+            console.warn(`⚠️ Could not save risk state: ${error.message}`);
+        }
+    }
+
+    // --- Kill switch ---
+    // The active halt, or null. A daily-loss halt lifts at the next UTC day.
+    isHalted(now = Date.now()) {
+        const halted = this.state.halted;
+        if (halted && halted.until && now >= Date.parse(halted.until)) {
+            this.state.halted = null;
+            this.saveState();
+        }
+        return this.state.halted;
+    }
+
+    halt(limit, reason, now = Date.now()) {
+        const nextDay = new Date(`${utcDay(now)}T00:00:00.000Z`).getTime() + 86400000;
+        this.state.halted = {
+            limit,
+            reason,
+            at: new Date(now).toISOString(),
+            until: limit === 'dailyLoss' ? new Date(nextDay).toISOString() : null
+        };
+        this.saveState();
+        return this.state.halted;
+    }
+
+    // Clear the kill switch and start the drawdown peak over
+    reset() {
+        this.state.halted = null;
+        this.state.peakEquity = null;
+        this.saveState();
+    }
+
+    // --- Limits ---
+    // Whether the UTC day has turned since the opening equity was recorded
+    needsDayStart(now = Date.now()) {
+        return this.state.day !== utcDay(now);
+    }
+
+    // Record a new UTC day's opening equity. Monitors call this from their
+    // regular update so losses taken before the day's first entry count
+    // toward the daily loss. Returns false when the day was already started.
+    startDay(equity, now = Date.now()) {
+        if (!this.needsDayStart(now)) return false;
+        this.state.day = utcDay(now);
+        this.state.dayStartEquity = equity;
+        this.state.peakEquity = Math.max(this.state.peakEquity || 0, equity);
+        this.saveState();
+        return true;
+    }
+
+    // Update the day's opening equity and the peak, and report which hard
+    // limit (if any) the current equity breaks
+    evaluate(equity, now = Date.now()) {
+        this.startDay(equity, now);
+        this.state.peakEquity = Math.max(this.state.peakEquity || 0, equity);
+        this.saveState();
+
+        const dailyLoss = Math.max(0, this.state.dayStartEquity - equity);
+        const dailyLossPercent = this.state.dayStartEquity > 0 ? (dailyLoss / this.state.dayStartEquity) * 100 : 0;
+        const drawdownPercent = this.state.peakEquity > 0 ? ((this.state.peakEquity - equity) / this.state.peakEquity) * 100 : 0;
+        let breach = null;
+        if (this.maxDailyLoss > 0 && dailyLoss >= this.maxDailyLoss) {
+            breach = { limit: 'dailyLoss', reason: `daily loss $${dailyLoss.toFixed(2)} reached the $${this.maxDailyLoss} limit` };
+        } else if (this.maxDailyLossPercent > 0 && dailyLossPercent >= this.maxDailyLossPercent) {
+            breach = { limit: 'dailyLoss', reason: `daily loss ${dailyLossPercent.toFixed(2)}% reached the ${this.maxDailyLossPercent}% limit` };
+        } else if (this.maxDrawdownPercent > 0 && drawdownPercent >= this.maxDrawdownPercent) {
+            breach = { limit: 'drawdown', reason: `drawdown ${drawdownPercent.toFixed(2)}% from $${this.state.peakEquity.toFixed(2)} reached the ${this.maxDrawdownPercent}% limit` };
+        }
+        return { equity, dailyLoss, dailyLossPercent, drawdownPercent, breach };
+    }
+
+    // Decide whether an order may go out. Resolves to
+    // { allowed, reason, breach, flatten } where breach is true only when
+    // this check tripped the kill switch.
+    async check(broker, request, price) {
+        if (request.side !== 'buy') return { allowed: true, reason: null, breach: false, flatten: false };
+        const account = await broker.getAccount();
+        const status = this.evaluate(account.equity);
+        const halted = this.isHalted();
+        if (halted) return { allowed: false, reason: `trading halted: ${halted.reason}`, breach: false, flatten: false };
+        if (status.breach) {
+            this.halt(status.breach.limit, status.breach.reason);
+            return { allowed: false, reason: status.breach.reason, breach: true, flatten: this.flattenOnBreach };
+        }
+
+        const positions = await broker.getPositions();
+        const held = positions.find(p => SymbolRegistry.same(p.symbol, request.symbol));
+        if (!held && this.maxOpenPositions > 0 && positions.length >= this.maxOpenPositions) {
+            return { allowed: false, reason: `${positions.length} open positions (limit ${this.maxOpenPositions})`, breach: false, flatten: false };
+        }
+        if (this.maxNotionalPerSymbol > 0) {
+            const notional = (held ? held.marketValue : 0) + request.qty * price;
+            if (notional > this.maxNotionalPerSymbol) {
+                return { allowed: false, reason: `${request.symbol} exposure $${notional.toFixed(2)} would exceed $${this.maxNotionalPerSymbol}`, breach: false, flatten: false };
+            }
+        }
+        if (this.maxVarPercent > 0 && this.riskReport && account.equity > 0) {
+            // The worse of historical and parametric VaR with the order added
+            const report = await this.riskReport.build(broker, { add: { symbol: request.symbol, value: request.qty * price } });
+            const valueAtRisk = Math.max(report.historical.var, report.parametric.var);
+            const varPercent = (valueAtRisk / account.equity) * 100;
+            if (report.observations > 0 && varPercent > this.maxVarPercent) {
+                return { allowed: false, reason: `${report.confidence * 100}% VaR $${valueAtRisk.toFixed(2)} (${varPercent.toFixed(2)}% of equity) would exceed ${this.maxVarPercent}%`, breach: false, flatten: false };
+            }
+        }
+        return { allowed: true, reason: null, breach: false, flatten: false };
+    }
+
+    // Cancel every open order and close every position at market. Each
+    // position goes through `closePosition(position)` - the caller's order
+    // path, which journals the close - or, without one, a market sell with
+    // a client order ID fixed by the halt, so a retried flatten can't sell
+    // twice. One failed close doesn't stop the rest. Resolves to
+    // { closed: [symbol], failed: [{ symbol, error }] }.
+    async flattenAll(broker, exclude = [], closePosition = null) {
+        const mine = symbol => !exclude.some(s => SymbolRegistry.same(s, symbol));
+        const closed = [];
+        const failed = [];
+        for (const order of (await broker.getOrders({ status: 'open' })).filter(o => mine(o.symbol))) {
+            try {
+                await broker.cancelOrder(order.id);
+            } catch (error) {
+                // already filled or cancelled
+            }
+        }
+        const haltedAt = this.state.halted ? Date.parse(this.state.halted.at) : Date.now();
+        for (const position of (await broker.getPositions()).filter(p => mine(p.symbol) && p.qty > 0)) {
+            try {
+                if (closePosition) {
+                    await closePosition(position);
+                } else {
+                    await broker.submitOrder({
+                        symbol: position.symbol,
+                        qty: position.qty,
+                        side: 'sell',
+                        type: 'market',
+                        timeInForce: 'gtc',
+                        clientOrderId: makeClientOrderId({ symbol: position.symbol, signal: 'Risk Flatten', barTime: haltedAt })
+                    });
+                }
+                closed.push(position.symbol);
+            } catch (error) {
+                failed.push({ symbol: position.symbol, error: error.message });
+            }
+        }
+        return { closed, failed };
+    }
+}
+
+RiskManager.HARD_LIMITS = HARD_LIMITS;
+
+module.exports = RiskManager;
@@ -0,0 +1,205 @@
+// Value-at-Risk and stress scenarios for open positions
+//
+// Historical VaR/CVaR replays the holdings' last `lookback` bar returns
+// against today's position values; parametric VaR/CVaR fits a normal
+// distribution to the same portfolio P&L series, so correlation between
+// holdings is kept either way. Both are USD losses over `horizonBars` bars
+// at `confidence`. Stress scenarios apply price shocks to every holding and
+// project the P&L.
+//
+// Config (user_settings/riskReport.json):
+//   { confidence: 0.95, lookback: 250, horizonBars: 1, refreshMinutes: 60,
+//     scenarios: [{ name: 'BTC -10%', shocks: { 'BTC/USD': -10 } },
+//                 { name: 'Alts -25%', shocks: { alts: -25 } }] }
+//
+// A shock key is a symbol, 'alts' (everything but BTC) or 'all'; the most
+// specific key wins. Bars come from options.fetchBars(symbol, limit).
+const SymbolRegistry = require('./symbolRegistry');
+
+const DEFAULT_SCENARIOS = [
+    { name: 'BTC -10%', shocks: { 'BTC/USD': -10 } },
+    { name: 'Alts -25%', shocks: { alts: -25 } }
+];
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function stdev(values) {
+    if (values.length < 2) return 0;
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - average) ** 2, 0) / (values.length - 1));
+}
+
+// Inverse of the standard normal CDF (Acklam's approximation)
+function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) return -normalQuantile(1 - p);
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function closeOf(bar) {
+    return bar.close !== undefined ? bar.close : bar.c;
+}
+
+function timeOf(bar) {
+    const time = bar.timestamp || bar.t;
+    return time ? new Date(time).getTime() : null;
+}
+
+class RiskReport {
+    constructor(options = {}) {
+        this.confidence = options.confidence || 0.95;
+        this.lookback = options.lookback || 250;
+        this.horizonBars = options.horizonBars || 1;
+        this.refreshMinutes = options.refreshMinutes || 60;
+        this.scenarios = Array.isArray(options.scenarios) ? options.scenarios : DEFAULT_SCENARIOS;
+        this.fetchBars = options.fetchBars || null;
+        this.cacheSeconds = options.cacheSeconds !== undefined ? options.cacheSeconds : 300;
+        this.barCache = {};
+    }
+
+    // --- Statistics ---
+    // Losses are positive USD; a P&L series that never loses has 0 VaR
+    static historical(pnl, confidence) {
+        if (pnl.length === 0) return { var: 0, cvar: 0 };
+        const sorted = [...pnl].sort((a, b) => a - b);
+        const index = Math.min(Math.floor((1 - confidence) * sorted.length), sorted.length - 1);
+        return {
+            var: Math.max(0, -sorted[index]),
+            cvar: Math.max(0, -mean(sorted.slice(0, index + 1)))
+        };
+    }
+
+    static parametric(pnl, confidence) {
+        if (pnl.length < 2) return { var: 0, cvar: 0 };
+        const mu = mean(pnl);
+        const sigma = stdev(pnl);
+        const z = normalQuantile(confidence);
+        const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+        return {
+            var: Math.max(0, z * sigma - mu),
+            cvar: Math.max(0, (sigma * density) / (1 - confidence) - mu)
+        };
+    }
+
+    // horizon-bar returns keyed by bar time, or by distance from the last
+    // bar when the bars carry no timestamps
+    returnsOf(bars, byTime) {
+        const returns = new Map();
+        const h = this.horizonBars;
+        for (let i = h; i < bars.length; i++) {
+            const previous = closeOf(bars[i - h]);
+            const close = closeOf(bars[i]);
+            if (!(previous > 0) || !(close > 0)) continue;
+            returns.set(byTime ? timeOf(bars[i]) : i - bars.length, close / previous - 1);
+        }
+        return returns;
+    }
+
+    // --- Stress ---
+    static shockFor(shocks, symbol) {
+        const exact = Object.keys(shocks).find(key => SymbolRegistry.same(key, symbol));
+        if (exact) return shocks[exact];
+        if (SymbolRegistry.get(symbol).base !== 'BTC' && shocks.alts !== undefined) return shocks.alts;
+        return shocks.all !== undefined ? shocks.all : 0;
+    }
+
+    stress(positions, equity) {
+        return this.scenarios.map(scenario => {
+            const bySymbol = positions.map(p => {
+                const shock = RiskReport.shockFor(scenario.shocks || {}, p.symbol);
+                return { symbol: p.symbol, shock, pnl: (p.value * shock) / 100 };
+            });
+            const pnl = bySymbol.reduce((sum, p) => sum + p.pnl, 0);
+            return { name: scenario.name, pnl, percent: equity > 0 ? (pnl / equity) * 100 : 0, bySymbol };
+        });
+    }
+
+    // --- Report ---
+    // positions: [{ symbol, value }] in USD; bars: { [symbol]: bars }
+    compute(positions, bars, equity) {
+        const byTime = positions.every(p => (bars[p.symbol] || []).every(bar => timeOf(bar) !== null));
+        const series = {};
+        positions.forEach(p => { series[p.symbol] = this.returnsOf(bars[p.symbol] || [], byTime); });
+        const missing = positions.filter(p => series[p.symbol].size === 0).map(p => p.symbol);
+        const priced = positions.filter(p => series[p.symbol].size > 0);
+
+        // Only bars every holding has, newest `lookback` of them
+        let keys = priced.length > 0 ? [...series[priced[0].symbol].keys()] : [];
+        priced.slice(1).forEach(p => { keys = keys.filter(key => series[p.symbol].has(key)); });
+        keys = keys.sort((a, b) => a - b).slice(-this.lookback);
+        const pnl = keys.map(key => priced.reduce((sum, p) => sum + p.value * series[p.symbol].get(key), 0));
+
+        const notes = [];
+        if (missing.length > 0) notes.push(`no price history for ${missing.join(', ')} (left out of VaR)`);
+        if (priced.length > 0 && keys.length < 30) notes.push(`only ${keys.length} observations`);
+        return {
+            at: new Date().toISOString(),
+            equity,
+            exposure: positions.reduce((sum, p) => sum + Math.abs(p.value), 0),
+            confidence: this.confidence,
+            horizonBars: this.horizonBars,
+            observations: keys.length,
+            historical: RiskReport.historical(pnl, this.confidence),
+            parametric: RiskReport.parametric(pnl, this.confidence),
+            positions: positions.map(p => {
+                const own = [...series[p.symbol].entries()].sort((a, b) => a[0] - b[0]).slice(-this.lookback).map(([, r]) => p.value * r);
+                return {
+                    symbol: p.symbol,
+                    value: p.value,
+                    historical: RiskReport.historical(own, this.confidence),
+                    parametric: RiskReport.parametric(own, this.confidence)
+                };
+            }),
+            stress: this.stress(positions, equity),
+            note: notes.length > 0 ? notes.join('; ') : null
+        };
+    }
+
+    async loadBars(symbol) {
+        const cached = this.barCache[symbol];
+        if (cached && Date.now() - cached.at < this.cacheSeconds * 1000) return cached.bars;
+        let bars = [];
+        try {
+            bars = (await this.fetchBars(symbol, this.lookback + this.horizonBars + 1)) || [];
+        } catch (error) {
+            console.warn(`⚠️ Could not load bars for ${symbol} risk: ${error.message}`);
+        }
+        this.barCache[symbol] = { at: Date.now(), bars };
+        return bars;
+    }
+
+    // Report on the broker's current holdings. options.add ({ symbol, value })
+    // includes an order that hasn't been placed yet.
+    async build(broker, options = {}) {
+        const [account, held] = await Promise.all([broker.getAccount(), broker.getPositions()]);
+        const positions = held.filter(p => p.qty !== 0).map(p => ({ symbol: SymbolRegistry.canonical(p.symbol), value: p.marketValue }));
+        if (options.add) {
+            const symbol = SymbolRegistry.canonical(options.add.symbol);
+            const existing = positions.find(p => p.symbol === symbol);
+            if (existing) existing.value += options.add.value;
+            else positions.push({ symbol, value: options.add.value });
+        }
+        const bars = {};
+        if (this.fetchBars) {
+            for (const p of positions) bars[p.symbol] = await this.loadBars(p.symbol);
+        }
+        return this.compute(positions, bars, account.equity);
+    }
+}
+
+RiskReport.DEFAULT_SCENARIOS = DEFAULT_SCENARIOS;
+RiskReport.normalQuantile = normalQuantile;
+
+module.exports = RiskReport;
@@ -0,0 +1,549 @@
+// Offline simulated exchange for paper trading without Alpaca
+//
+// Keeps its own cash, positions and order book in a JSON state file so the
+// account survives restarts. Orders are filled against whatever price feed
+// the monitor provides (live quotes or a replayed bar file), with
+// configurable fees and slippage.
+const fs = require('fs');
+const path = require('path');
+const { BrokerAdapter, normalizeOrderRequest, normalizeExitLegs, toCanonicalSymbol } = require('./brokerAdapter');
+const FeeSchedule = require('./feeSchedule');
+
+const DEFAULT_STATE_PATH = path.join(__dirname, '../../logs/state/simulated_broker.json');
+// Orders that can fill now; 'held' bracket legs wait for their parent
+const ACTIVE_STATUSES = ['new', 'accepted', 'partially_filled'];
+const OPEN_STATUSES = [...ACTIVE_STATUSES, 'held'];
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+class SimulatedBroker extends BrokerAdapter {
+    constructor(options = {}) {
+        super(options.name || 'simulated');
+        this.offline = true;
+        this.statePath = options.statePath || process.env.BITFLOW_SIM_STATE || DEFAULT_STATE_PATH;
+        this.startingBalance = options.startingBalance !== undefined ? options.startingBalance : envNumber('BITFLOW_SIM_BALANCE', 10000);
+        this.makerFee = options.makerFee !== undefined ? options.makerFee : envNumber('BITFLOW_SIM_MAKER_FEE', 0.0015);
+        this.takerFee = options.takerFee !== undefined ? options.takerFee : envNumber('BITFLOW_SIM_TAKER_FEE', 0.0025);
+        this.feeSchedule = FeeSchedule.flat(this.makerFee, this.takerFee, this.name);
+        this.slippageBps = options.slippageBps !== undefined ? options.slippageBps : envNumber('BITFLOW_SIM_SLIPPAGE_BPS', 5);
+        this.priceSource = options.priceSource || null; // (symbol) => latest price
+        this.symbols = options.symbols || [];
+        this.prices = {};
+        this.state = this.loadState();
+    }
+
+    // --- Persistence ---
+    loadState() {
+        try {
+            if (fs.existsSync(this.statePath)) {
+                const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+                if (state && typeof state.cash === 'number') {
+                    state.positions = state.positions || {};
+                    state.orders = state.orders || [];
+                    state.nextOrderSeq = state.nextOrderSeq || state.orders.length + 1;
+                    return state;
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not load simulated broker state, starting fresh: ${error.message}`);
+        }
+        return this.freshState();
+    }
+
+    freshState() {
+        return {
+            startingBalance: this.startingBalance,
+            cash: this.startingBalance,
+            realizedPL: 0,
+            feesPaid: 0,
+            positions: {},
+            orders: [],
+            nextOrderSeq: 1,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    saveState() {
+        try {
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+        } catch (error) {
+            console.warn(`⚠️ Could not save simulated broker state: ${error.message}`);
+        }
+    }
+
+    // Wipe the account back to a starting balance
+    reset(startingBalance = this.startingBalance) {
+        this.startingBalance = startingBalance;
+        this.state = this.freshState();
+        this.saveState();
+    }
+
+    // --- Price feed ---
+    symbolKey(symbol) {
+        return toCanonicalSymbol(symbol);
+    }
+
+    // Push a new price into the simulator and fill any orders it triggers
+    updatePrice(symbol, price) {
+        const key = this.symbolKey(symbol);
+        if (!price || isNaN(price) || price <= 0) return;
+        this.prices[key] = price;
+        this.matchOrders(key);
+    }
+
+    getLastPrice(symbol) {
+        const key = this.symbolKey(symbol);
+        if (this.priceSource) {
+            const price = parseFloat(this.priceSource(key));
+            if (price && !isNaN(price) && price > 0 && price !== this.prices[key]) {
+                this.updatePrice(key, price);
+            }
+        }
+        return this.prices[key] || null;
+    }
+
+    // Pull fresh prices for everything we hold or have working
+    syncPrices() {
+        const symbols = new Set([
+            ...Object.keys(this.state.positions),
+            ...this.state.orders.filter(o => OPEN_STATUSES.includes(o.status)).map(o => o.symbol)
+        ]);
+        symbols.forEach(symbol => this.getLastPrice(symbol));
+    }
+
+    // --- Account & positions ---
+    async getAccount() {
+        this.syncPrices();
+        const positionsValue = Object.values(this.state.positions)
+            .reduce((sum, p) => sum + p.qty * (this.prices[p.symbol] || p.avgEntryPrice), 0);
+        const reserved = this.state.orders
+            .filter(o => OPEN_STATUSES.includes(o.status) && o.side === 'buy' && o.limitPrice)
+            .reduce((sum, o) => sum + (o.qty - o.filledQty) * o.limitPrice * (1 + this.getFeeSchedule().rate('maker')), 0);
+        const equity = this.state.cash + positionsValue;
+        return {
+            id: 'simulated',
+            status: 'ACTIVE',
+            cash: this.state.cash,
+            buyingPower: Math.max(0, this.state.cash - reserved),
+            portfolioValue: equity,
+            equity
+        };
+    }
+
+    async getPositions() {
+        this.syncPrices();
+        return Object.values(this.state.positions).map(p => {
+            const price = this.prices[p.symbol] || p.avgEntryPrice;
+            const costBasis = p.qty * p.avgEntryPrice;
+            const marketValue = p.qty * price;
+            return {
+                symbol: p.symbol,
+                qty: p.qty,
+                avgEntryPrice: p.avgEntryPrice,
+                marketValue,
+                unrealizedPL: marketValue - costBasis,
+                unrealizedPLPercent: costBasis > 0 ? ((marketValue - costBasis) / costBasis) * 100 : 0
+            };
+        });
+    }
+
+    // --- Orders ---
+    async submitOrder(request) {
+        if (this.hasClientOrderId(request.clientOrderId)) return this.collapseDuplicate(request.clientOrderId);
+        const order = this.createOrder(normalizeOrderRequest(request));
+        const price = this.getLastPrice(order.symbol);
+        if (price) this.tryFill(order, price, true);
+        this.saveState();
+        return this.describeOrder(order);
+    }
+
+    // Bracket: the exit legs are held until the entry fills, then work as OCO
+    async submitBracketOrder(request) {
+        if (this.hasClientOrderId(request.clientOrderId)) return this.collapseDuplicate(request.clientOrderId);
+        const req = normalizeOrderRequest(request);
+        const legs = normalizeExitLegs(request);
+        const entry = this.createOrder(req, { orderClass: 'bracket' });
+        const exitSide = req.side === 'buy' ? 'sell' : 'buy';
+        const ocoGroupId = `oco-${entry.id}`;
+        const legOptions = { orderClass: 'bracket', parentOrderId: entry.id, ocoGroupId, status: 'held', skipChecks: true };
+        this.createOrder({ ...req, side: exitSide, type: 'limit', limitPrice: legs.takeProfit.limitPrice, stopPrice: undefined, clientOrderId: undefined }, { ...legOptions, legRole: 'takeProfit' });
+        this.createOrder({
+            ...req,
+            side: exitSide,
+            type: legs.stopLoss.limitPrice ? 'stop_limit' : 'stop',
+            limitPrice: legs.stopLoss.limitPrice,
+            stopPrice: legs.stopLoss.stopPrice,
+            clientOrderId: undefined
+        }, { ...legOptions, legRole: 'stopLoss' });
+        const price = this.getLastPrice(entry.symbol);
+        if (price) this.tryFill(entry, price, true);
+        this.saveState();
+        return this.describeOrder(entry);
+    }
+
+    // OCO: take-profit limit and stop leg against an existing position
+    async submitOcoOrder(request) {
+        if (this.hasClientOrderId(request.clientOrderId)) return this.collapseDuplicate(request.clientOrderId);
+        const req = normalizeOrderRequest({ ...request, type: 'limit' });
+        const legs = normalizeExitLegs(request);
+        const takeProfit = this.createOrder({ ...req, limitPrice: legs.takeProfit.limitPrice }, { orderClass: 'oco', legRole: 'takeProfit' });
+        takeProfit.ocoGroupId = `oco-${takeProfit.id}`;
+        this.createOrder({
+            ...req,
+            type: legs.stopLoss.limitPrice ? 'stop_limit' : 'stop',
+            limitPrice: legs.stopLoss.limitPrice,
+            stopPrice: legs.stopLoss.stopPrice,
+            clientOrderId: undefined
+        }, { orderClass: 'oco', parentOrderId: takeProfit.id, ocoGroupId: takeProfit.ocoGroupId, legRole: 'stopLoss' });
+        const price = this.getLastPrice(takeProfit.symbol);
+        if (price) {
+            this.tryFill(takeProfit, price, true);
+            const stopLeg = this.legsOf(takeProfit).stopLoss;
+            if (stopLeg) this.tryFill(stopLeg, price, true);
+        }
+        this.saveState();
+        return this.describeOrder(takeProfit);
+    }
+
+    getCapabilities(symbol) {
+        return { bracketOrders: true, ocoOrders: true };
+    }
+
+    // Like a real venue, a clientOrderId can only be used once
+    hasClientOrderId(clientOrderId) {
+        return !!clientOrderId && this.state.orders.some(o => o.clientOrderId === clientOrderId);
+    }
+
+    // Validate a normalized request and add it to the book (unfilled)
+    createOrder(req, options = {}) {
+        const symbol = this.symbolKey(req.symbol);
+        if (!['market', 'limit', 'stop', 'stop_limit'].includes(req.type)) {
+            throw new Error(`Simulated broker does not support ${req.type} orders`);
+        }
+        if ((req.type === 'limit' || req.type === 'stop_limit') && !req.limitPrice) {
+            throw new Error(`${req.type} order requires a limit price`);
+        }
+        if ((req.type === 'stop' || req.type === 'stop_limit') && !req.stopPrice) {
+            throw new Error(`${req.type} order requires a stop price`);
+        }
+        if (req.side === 'sell' && !options.skipChecks) {
+            const position = this.state.positions[symbol];
+            if (!position || position.qty + 1e-12 < req.qty) {
+                throw new Error(`insufficient qty available for order (requested: ${req.qty}, available: ${position ? position.qty : 0})`);
+            }
+        }
+
+        const now = new Date().toISOString();
+        const order = {
+            id: `sim-${this.state.nextOrderSeq++}`,
+            clientOrderId: req.clientOrderId || null,
+            symbol,
+            side: req.side,
+            type: req.type,
+            timeInForce: req.timeInForce,
+            qty: req.qty,
+            filledQty: 0,
+            filledAvgPrice: null,
+            limitPrice: req.limitPrice || null,
+            stopPrice: req.stopPrice || null,
+            status: options.status || 'new',
+            createdAt: now,
+            updatedAt: now,
+            orderClass: options.orderClass || 'simple'
+        };
+        if (options.parentOrderId) order.parentOrderId = options.parentOrderId;
+        if (options.ocoGroupId) order.ocoGroupId = options.ocoGroupId;
+        if (options.legRole) order.legRole = options.legRole;
+
+        if (!options.skipChecks) {
+            const price = this.getLastPrice(symbol);
+            if (req.type === 'market') {
+                if (!price) {
+                    throw new Error(`No price available for ${symbol}; cannot fill market order`);
+                }
+                this.checkBuyingPower(order, price);
+            } else if (req.side === 'buy' && order.limitPrice) {
+                this.checkBuyingPower(order, order.limitPrice);
+            }
+        }
+
+        this.state.orders.push(order);
+        return order;
+    }
+
+    legsOf(order) {
+        const legs = this.state.orders.filter(o => o.parentOrderId === order.id);
+        if (legs.length === 0) return null;
+        const takeProfit = legs.find(l => l.legRole === 'takeProfit') || (order.legRole === 'takeProfit' ? order : null);
+        return { takeProfit, stopLoss: legs.find(l => l.legRole === 'stopLoss') || null };
+    }
+
+    // Copy of an order with its exit legs attached, matching the adapter shape
+    describeOrder(order) {
+        const legs = this.legsOf(order);
+        return this.publishOrder({
+            ...order,
+            legs: legs ? {
+                takeProfit: legs.takeProfit ? { ...legs.takeProfit } : null,
+                stopLoss: legs.stopLoss ? { ...legs.stopLoss } : null
+            } : null
+        });
+    }
+
+    checkBuyingPower(order, price) {
+        if (order.side !== 'buy') return;
+        const cost = order.qty * price * (1 + this.getFeeSchedule().rate('taker') + this.slippageBps / 10000);
+        if (cost > this.state.cash + 1e-9) {
+            throw new Error(`insufficient balance for order (required: ${cost.toFixed(2)}, available: ${this.state.cash.toFixed(2)})`);
+        }
+    }
+
+    // Fill every open order for a symbol that the current price triggers
+    matchOrders(symbol) {
+        const price = this.prices[symbol];
+        if (!price) return;
+        const working = this.state.orders.filter(o => o.symbol === symbol && OPEN_STATUSES.includes(o.status));
+        const before = new Map(working.map(o => [o, o.status]));
+        let changed = false;
+        working
+            .filter(o => ACTIVE_STATUSES.includes(o.status))
+            .forEach(order => {
+                if (this.tryFill(order, price)) changed = true;
+            });
+        if (!changed) return;
+        this.saveState();
+        // Stream fills (and the legs they released or cancelled) to listeners
+        working.filter(o => o.status !== before.get(o)).forEach(o => this.describeOrder(o));
+    }
+
+    // Returns true when the order was filled at this price. Limit orders that
+    // are marketable on arrival take liquidity at the touch; resting limits
+    // fill later at their own price as maker.
+    tryFill(order, price, onSubmit = false) {
+        if (!ACTIVE_STATUSES.includes(order.status)) return false;
+
+        // Stop orders trigger first, then behave as market / limit
+        if (order.stopPrice && !order.triggeredAt) {
+            const triggered = order.side === 'sell' ? price <= order.stopPrice : price >= order.stopPrice;
+            if (!triggered) return false;
+            order.triggeredAt = new Date().toISOString();
+        }
+
+        let fillPrice = null;
+        let liquidity = 'taker';
+        const isLimit = order.type === 'limit' || order.type === 'stop_limit';
+        if (!isLimit) {
+            const slip = this.slippageBps / 10000;
+            fillPrice = order.side === 'buy' ? price * (1 + slip) : price * (1 - slip);
+        } else if ((order.side === 'buy' && price <= order.limitPrice) || (order.side === 'sell' && price >= order.limitPrice)) {
+            liquidity = onSubmit ? 'taker' : 'maker';
+            fillPrice = onSubmit ? price : order.limitPrice;
+        }
+        if (fillPrice === null) {
+            order.status = 'accepted';
+            order.updatedAt = new Date().toISOString();
+            return false;
+        }
+
+        const qty = order.qty - order.filledQty;
+        const fee = this.getFeeSchedule().fee(qty * fillPrice, liquidity);
+        if (order.side === 'buy' && qty * fillPrice + fee > this.state.cash + 1e-9) {
+            this.rejectOrder(order, 'insufficient balance');
+            return false;
+        }
+        const position = this.state.positions[order.symbol];
+        if (order.side === 'sell' && (!position || position.qty + 1e-12 < qty)) {
+            this.rejectOrder(order, 'insufficient qty');
+            return false;
+        }
+        this.applyFill(order, qty, fillPrice, fee);
+        order.liquidity = liquidity;
+        this.afterFill(order, price);
+        return true;
+    }
+
+    rejectOrder(order, reason) {
+        order.status = 'rejected';
+        order.rejectReason = reason;
+        order.updatedAt = new Date().toISOString();
+        this.cancelSiblings(order);
+    }
+
+    // Release held bracket legs and cancel the other side of an OCO pair
+    afterFill(order, price) {
+        this.state.orders
+            .filter(o => o.parentOrderId === order.id && o.status === 'held')
+            .forEach(leg => {
+                leg.status = 'new';
+                leg.updatedAt = new Date().toISOString();
+            });
+        this.cancelSiblings(order);
+        this.state.orders
+            .filter(o => o.parentOrderId === order.id && o.status === 'new')
+            .forEach(leg => this.tryFill(leg, price));
+    }
+
+    cancelSiblings(order) {
+        if (!order.ocoGroupId) return;
+        this.state.orders
+            .filter(o => o !== order && o.ocoGroupId === order.ocoGroupId && OPEN_STATUSES.includes(o.status))
+            .forEach(o => {
+                o.status = 'canceled';
+                o.updatedAt = new Date().toISOString();
+            });
+    }
+
+    applyFill(order, qty, fillPrice, fee) {
+        const symbol = order.symbol;
+        const position = this.state.positions[symbol];
+        if (order.side === 'buy') {
+            this.state.cash -= qty * fillPrice + fee;
+            if (position) {
+                const totalQty = position.qty + qty;
+                position.avgEntryPrice = (position.qty * position.avgEntryPrice + qty * fillPrice) / totalQty;
+                position.qty = totalQty;
+            } else {
+                this.state.positions[symbol] = { symbol, qty, avgEntryPrice: fillPrice, openedAt: new Date().toISOString() };
+            }
+        } else {
+            this.state.cash += qty * fillPrice - fee;
+            const realized = (fillPrice - position.avgEntryPrice) * qty - fee;
+            this.state.realizedPL += realized;
+            position.qty -= qty;
+            if (position.qty <= 1e-12) delete this.state.positions[symbol];
+        }
+        this.state.feesPaid += fee;
+
+        const prevFilled = order.filledQty;
+        order.filledQty = prevFilled + qty;
+        order.filledAvgPrice = ((order.filledAvgPrice || 0) * prevFilled + fillPrice * qty) / order.filledQty;
+        order.fee = (order.fee || 0) + fee;
+        order.status = 'filled';
+        order.filledAt = new Date().toISOString();
+        order.updatedAt = order.filledAt;
+    }
+
+    findOrder(orderId) {
+        const order = this.state.orders.find(o => o.id === orderId || o.clientOrderId === orderId);
+        if (!order) throw new Error(`Order not found: ${orderId}`);
+        return order;
+    }
+
+    async cancelOrder(orderId) {
+        const order = this.findOrder(orderId);
+        if (!OPEN_STATUSES.includes(order.status)) {
+            throw new Error(`Order ${orderId} is ${order.status} and cannot be cancelled`);
+        }
+        order.status = 'canceled';
+        order.updatedAt = new Date().toISOString();
+        // Cancelling a bracket parent drops its legs; cancelling a leg drops its pair
+        this.state.orders
+            .filter(o => o.parentOrderId === order.id && OPEN_STATUSES.includes(o.status))
+            .forEach(o => {
+                o.status = 'canceled';
+                o.updatedAt = order.updatedAt;
+            });
+        this.cancelSiblings(order);
+        this.saveState();
+        return true;
+    }
+
+    async replaceOrder(orderId, changes = {}) {
+        const order = this.findOrder(orderId);
+        if (!OPEN_STATUSES.includes(order.status)) {
+            throw new Error(`Order ${orderId} is ${order.status} and cannot be replaced`);
+        }
+        const req = normalizeOrderRequest({
+            symbol: order.symbol,
+            side: order.side,
+            type: order.type,
+            timeInForce: changes.timeInForce || order.timeInForce,
+            qty: changes.qty !== undefined ? changes.qty : order.qty - order.filledQty,
+            limitPrice: changes.limitPrice !== undefined ? changes.limitPrice : order.limitPrice,
+            stopPrice: changes.stopPrice !== undefined ? changes.stopPrice : order.stopPrice
+        });
+        // The replacement keeps the original's place in any bracket / OCO group
+        const replacement = this.createOrder(req, {
+            orderClass: order.orderClass,
+            parentOrderId: order.parentOrderId,
+            ocoGroupId: order.ocoGroupId,
+            legRole: order.legRole,
+            status: order.status === 'held' ? 'held' : 'new',
+            skipChecks: order.status === 'held'
+        });
+        order.status = 'replaced';
+        order.updatedAt = new Date().toISOString();
+        order.replacedBy = replacement.id;
+        this.state.orders
+            .filter(o => o.parentOrderId === order.id)
+            .forEach(o => { o.parentOrderId = replacement.id; });
+        const price = this.getLastPrice(replacement.symbol);
+        if (price) this.tryFill(replacement, price, true);
+        this.saveState();
+        return this.describeOrder(replacement);
+    }
+
+    async getOrder(orderId) {
+        this.syncPrices();
+        return this.describeOrder(this.findOrder(orderId));
+    }
+
+    async getOrderByClientId(clientOrderId) {
+        this.syncPrices();
+        const order = this.state.orders.find(o => o.clientOrderId === clientOrderId);
+        if (!order) throw new Error(`Order not found: ${clientOrderId}`);
+        return this.describeOrder(order);
+    }
+
+    async getOrders(params = {}) {
+        this.syncPrices();
+        const status = params.status || 'open';
+        let orders = this.state.orders.filter(o => {
+            if (status === 'all') return true;
+            return status === 'open' ? OPEN_STATUSES.includes(o.status) : !OPEN_STATUSES.includes(o.status);
+        });
+        if (params.symbols) {
+            const wanted = params.symbols.map(s => this.symbolKey(s));
+            orders = orders.filter(o => wanted.includes(o.symbol));
+        }
+        if (params.limit) orders = orders.slice(-params.limit);
+        return orders.map(o => this.describeOrder(o));
+    }
+
+    // --- Market data ---
+    // Synthetic quote around the last price; the spread is the slippage
+    // a market order would pay on either side
+    async getLatestQuote(symbol) {
+        const key = this.symbolKey(symbol);
+        const price = this.getLastPrice(key);
+        if (!price) throw new Error(`No simulated price for ${key}`);
+        const halfSpread = price * this.slippageBps / 10000;
+        return { symbol: key, bid: price - halfSpread, ask: price + halfSpread, mid: price, timestamp: new Date().toISOString() };
+    }
+
+    // --- Asset metadata ---
+    async getAsset(symbol) {
+        const key = this.symbolKey(symbol);
+        return {
+            symbol: key,
+            name: key,
+            assetClass: 'crypto',
+            tradable: true,
+            minOrderSize: 0.000001,
+            minNotional: null,
+            qtyIncrement: 0.000000001,
+            priceIncrement: 0.01
+        };
+    }
+
+    async getAssets(params = {}) {
+        const symbols = new Set([...this.symbols, ...Object.keys(this.prices), ...Object.keys(this.state.positions)]);
+        return Promise.all([...symbols].map(s => this.getAsset(s)));
+    }
+}
+
+module.exports = SimulatedBroker;
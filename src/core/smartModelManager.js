@@ -5,6 +5,7 @@ const chalk = require('chalk');
 const EfficientTradingLLM = require('./efficientTradingLLM');
 const https = require('https');
 const { parseStringPromise } = require('xml2js');
+const SymbolRegistry = require('./symbolRegistry');
 let HuggingFaceTradingLLM = null;
 try {
     HuggingFaceTradingLLM = require('./huggingfaceTradingLLM');
@@ -357,7 +358,8 @@ class SmartModelManager {
      */
     async fetchGoogleNews(symbol) {
         return new Promise((resolve) => {
-            const q = encodeURIComponent(symbol.replace('/', ' '));
+            const { base, quote } = SymbolRegistry.get(symbol);
+            const q = encodeURIComponent(quote ? `${base} ${quote}` : base);
             const url = `https://news.google.com/rss/search?q=${q}&hl=en-US&gl=US&ceid=US:en`;
             let data = '';
             https.get(url, (res) => {
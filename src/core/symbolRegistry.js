@@ -0,0 +1,135 @@
+// Symbol registry: one canonical instrument, every provider's ticker
+//
+// BitFlow names instruments canonically: 'BTC/USD' for crypto pairs, 'AAPL'
+// for stocks. Each provider spells them its own way:
+//
+//   alpaca        BTCUSD      trading API (orders, positions, assets)
+//   alpacaData    BTC/USD     market data API
+//   yahoo         BTC-USD
+//   polygon       X:BTCUSD    aggregates and snapshots
+//   polygonNews   BTC         news search (the base currency)
+//   key           BTCUSD      state file names and order IDs
+//
+// Any spelling (BTCUSD, btc/usd, BTC-USD, X:BTCUSD) resolves to the same
+// instrument, so compare symbols with same() rather than string equality.
+// Precision (qtyIncrement, priceIncrement, minOrderSize, minNotional) is
+// learned from the broker's asset metadata.
+//
+// Tickers or precision can be overridden per symbol in
+// user_settings/symbols.json, e.g. { "UNI/USD": { "yahoo": "UNI7083-USD" } }
+const QUOTE_CURRENCIES = ['USDT', 'USDC', 'USD', 'BTC', 'ETH'];
+const PROVIDERS = ['alpaca', 'alpacaData', 'yahoo', 'polygon', 'polygonNews', 'key'];
+const PRECISION_FIELDS = ['qtyIncrement', 'priceIncrement', 'minOrderSize', 'minNotional'];
+
+// Bare tickers treated as crypto (a BTC news search isn't a stock search)
+const CRYPTO_BASES = new Set([
+    'BTC', 'ETH', 'LTC', 'XRP', 'DOGE', 'BNB', 'SOL', 'ADA', 'USDT', 'USDC', 'DOT', 'TRX', 'SHIB', 'AVAX', 'MATIC', 'WBTC', 'LINK', 'UNI', 'BCH', 'XLM', 'FIL', 'ETC', 'ICP', 'LDO', 'APT', 'CRO', 'ARB', 'QNT', 'VET', 'NEAR', 'OP', 'GRT', 'AAVE', 'MKR', 'ALGO', 'EGLD', 'XTZ', 'SAND', 'AXS', 'THETA', 'EOS', 'KAVA', 'MANA', 'SNX', 'RPL', 'FTM', 'XMR', 'FLOW', 'CHZ', 'CAKE', 'CRV', 'ENJ', 'ZEC', 'BAT', 'DASH', 'ZIL', 'COMP', '1INCH', 'KSM', 'YFI', 'REN', 'BNT', 'BAL', 'SRM', 'LRC', 'OMG', 'NMR', 'OCEAN', 'BAND', 'STORJ', 'CVC', 'SUSHI', 'ANKR', 'SKL', 'GNO', 'GLM', 'REP', 'PAXG', 'CEL', 'RSR', 'LPT', 'RUNE', 'SXP', 'HNT', 'DGB', 'KNC', 'CKB', 'ZEN', 'XEM', 'SC', 'LSK', 'STEEM', 'ARDR', 'STRAX', 'SYS', 'NXT', 'FCT', 'GAS', 'NAV', 'VTC', 'GAME', 'DCR', 'PIVX', 'XVG', 'BTG', 'BTM', 'QASH', 'WAVES', 'ICX', 'ONT', 'ZRX', 'QKC', 'WAN', 'LOOM', 'CENNZ', 'BTS', 'GNT', 'FUN', 'POWR', 'MITH', 'ELF', 'STORM', 'POLY', 'CMT', 'WTC', 'RCN', 'RDN', 'APPC', 'ENG', 'VIB', 'OST', 'LEND', 'TNT', 'FUEL', 'ARN', 'GVT', 'CDT', 'AMB', 'BCPT', 'GTO', 'QSP', 'SNM', 'BQX', 'TRIG', 'EVX', 'REQ', 'VIBE', 'WINGS', 'BRD', 'POE', 'TNB', 'PEPE', 'BONK', 'WIF', 'SUI', 'TIA', 'SEI', 'INJ', 'STETH'
+]);
+
+class SymbolRegistry {
+    // Canonical form of any spelling: BTCUSD, btc/usd, BTC-USD, X:BTCUSD -> BTC/USD
+    static canonical(symbol) {
+        let raw = String(symbol || '').trim().toUpperCase();
+        if (raw.startsWith('X:')) raw = raw.slice(2);
+        if (raw.includes('/')) return raw;
+        // A bare crypto base stays whole: WBTC is not W/BTC, STETH not ST/ETH
+        if (CRYPTO_BASES.has(raw)) return raw;
+        const dashed = raw.match(/^([A-Z0-9]+)-([A-Z]+)$/);
+        if (dashed && QUOTE_CURRENCIES.includes(dashed[2])) return `${dashed[1]}/${dashed[2]}`;
+        const quote = QUOTE_CURRENCIES.find(q => raw.endsWith(q) && raw.length > q.length);
+        return quote ? `${raw.slice(0, -quote.length)}/${quote}` : raw;
+    }
+
+    // The instrument for a symbol: { symbol, base, quote, assetClass, tickers, precision }
+    static get(symbol) {
+        const canonical = SymbolRegistry.canonical(symbol);
+        if (!SymbolRegistry.instruments[canonical]) {
+            SymbolRegistry.instruments[canonical] = SymbolRegistry.describe(canonical);
+        }
+        return SymbolRegistry.instruments[canonical];
+    }
+
+    static describe(canonical) {
+        const [base, quote = null] = canonical.split('/');
+        const crypto = quote !== null || CRYPTO_BASES.has(base);
+        const compact = quote ? `${base}${quote}` : base;
+        const instrument = {
+            symbol: canonical,
+            base,
+            quote,
+            assetClass: crypto ? 'crypto' : 'us_equity',
+            tickers: {
+                alpaca: compact,
+                alpacaData: canonical,
+                yahoo: quote ? `${base}-${quote}` : base,
+                polygon: crypto && quote ? `X:${compact}` : compact,
+                polygonNews: base,
+                key: compact
+            },
+            precision: {}
+        };
+        const override = SymbolRegistry.overrides[canonical];
+        if (override) SymbolRegistry.apply(instrument, override);
+        return instrument;
+    }
+
+    static apply(instrument, fields) {
+        PROVIDERS.forEach(provider => { if (fields[provider]) instrument.tickers[provider] = fields[provider]; });
+        PRECISION_FIELDS.forEach(field => { if (fields[field] != null) instrument.precision[field] = fields[field]; });
+        if (fields.assetClass) instrument.assetClass = fields.assetClass;
+    }
+
+    // The symbol as `provider` spells it
+    static ticker(symbol, provider) {
+        if (!PROVIDERS.includes(provider)) throw new Error(`Unknown symbol provider: ${provider}`);
+        return SymbolRegistry.get(symbol).tickers[provider];
+    }
+
+    static same(a, b) {
+        return SymbolRegistry.canonical(a) === SymbolRegistry.canonical(b);
+    }
+
+    static isCrypto(symbol) {
+        return SymbolRegistry.get(symbol).assetClass === 'crypto';
+    }
+
+    // Known precision for order rounding (null when none has been learned)
+    static precision(symbol) {
+        const { precision } = SymbolRegistry.get(symbol);
+        return Object.keys(precision).length > 0 ? { symbol: SymbolRegistry.canonical(symbol), ...precision } : null;
+    }
+
+    // Record what a broker reports about an asset (normalized asset metadata)
+    static register(asset) {
+        if (!asset || !asset.symbol) return null;
+        const instrument = SymbolRegistry.get(asset.symbol);
+        PRECISION_FIELDS.forEach(field => { if (asset[field] != null) instrument.precision[field] = asset[field]; });
+        if (asset.assetClass) instrument.assetClass = asset.assetClass;
+        // Settings win over the broker
+        const override = SymbolRegistry.overrides[instrument.symbol];
+        if (override) SymbolRegistry.apply(instrument, override);
+        return instrument;
+    }
+
+    // Per-symbol overrides from user_settings/symbols.json
+    static configure(overrides) {
+        if (!overrides) return;
+        Object.entries(overrides).forEach(([symbol, fields]) => {
+            const canonical = SymbolRegistry.canonical(symbol);
+            SymbolRegistry.overrides[canonical] = { ...SymbolRegistry.overrides[canonical], ...fields };
+            if (SymbolRegistry.instruments[canonical]) SymbolRegistry.apply(SymbolRegistry.instruments[canonical], fields);
+        });
+    }
+
+    static reset() {
+        SymbolRegistry.instruments = {};
+        SymbolRegistry.overrides = {};
+    }
+}
+
+SymbolRegistry.instruments = {};
+SymbolRegistry.overrides = {};
+SymbolRegistry.QUOTE_CURRENCIES = QUOTE_CURRENCIES;
+SymbolRegistry.PROVIDERS = PROVIDERS;
+
+module.exports = SymbolRegistry;
@@ -0,0 +1,126 @@
+// Loss-streak cooldowns and trade-frequency throttling
+//
+// Sits between a BUY signal and its order. New entries pause for a
+// cooldown when either:
+//
+//   maxConsecutiveLosses  positions in a row closed at a net loss
+//                         (paused for lossCooldownMinutes)
+//   maxTrades             entries opened within tradeWindowMinutes
+//                         (paused for tradeCooldownMinutes)
+//
+// Exits are never throttled. On fast timeframes the MA crossover can flip
+// back and forth every few bars; this keeps the monitor from chasing it.
+// The streak, recent entries and any cooldown are saved per broker and
+// symbol under logs/state/ so a restart doesn't clear them. 0 turns a
+// limit off.
+const fs = require('fs');
+const path = require('path');
+const SymbolRegistry = require('./symbolRegistry');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../logs/state');
+
+class TradeThrottle {
+    constructor(options = {}) {
+        this.maxConsecutiveLosses = options.maxConsecutiveLosses || 0;
+        this.lossCooldownMinutes = options.lossCooldownMinutes || 60;
+        this.maxTrades = options.maxTrades || 0;
+        this.tradeWindowMinutes = options.tradeWindowMinutes || 60;
+        this.tradeCooldownMinutes = options.tradeCooldownMinutes || 30;
+        const file = `throttle_${options.broker || 'alpaca'}_${SymbolRegistry.ticker(options.symbol || 'BTC/USD', 'key')}.json`;
+        this.statePath = options.statePath || path.join(process.env.BITFLOW_STATE_DIR || DEFAULT_STATE_DIR, file);
+        this.state = this.loadState();
+    }
+
+    // Read the limits from user settings
+    static fromSettings(settings = {}, symbol = 'BTC/USD', broker = 'alpaca') {
+        return new TradeThrottle({
+            maxConsecutiveLosses: settings.throttleMaxConsecutiveLosses,
+            lossCooldownMinutes: settings.throttleLossCooldownMinutes,
+            maxTrades: settings.throttleMaxTrades,
+            tradeWindowMinutes: settings.throttleTradeWindowMinutes,
+            tradeCooldownMinutes: settings.throttleTradeCooldownMinutes,
+            symbol,
+            broker
+        });
+    }
+
+    // --- Persistence ---
+    loadState() {
+        const fresh = { lossStreak: 0, openPnl: 0, entries: [], cooldown: null };
+        try {
+            if (fs.existsSync(this.statePath)) {
+                const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+                if (state) return { ...fresh, ...state };
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not load throttle state, starting fresh: ${error.message}`);
+        }
+        return fresh;
+    }
+
+    saveState() {
+        try {
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+        } catch (error) {
+            console.warn(`⚠️ Could not save throttle state: ${error.message}`);
+        }
+    }
+
+    // --- Cooldown ---
+    // The active cooldown ({ until, reason }), or null once it has run out
+    activeCooldown(now = Date.now()) {
+        const cooldown = this.state.cooldown;
+        if (cooldown && now >= Date.parse(cooldown.until)) {
+            this.state.cooldown = null;
+            this.saveState();
+        }
+        return this.state.cooldown;
+    }
+
+    startCooldown(minutes, reason, now = Date.now()) {
+        this.state.cooldown = { until: new Date(now + minutes * 60000).toISOString(), reason };
+        this.saveState();
+        return this.state.cooldown;
+    }
+
+    // Decide whether a new entry may go out: { allowed, reason }
+    allowEntry(now = Date.now()) {
+        const cooldown = this.activeCooldown(now);
+        if (cooldown) return { allowed: false, reason: `cooling down until ${cooldown.until}: ${cooldown.reason}` };
+        if (this.maxTrades > 0) {
+            const since = now - this.tradeWindowMinutes * 60000;
+            this.state.entries = this.state.entries.filter(time => Date.parse(time) > since);
+            if (this.state.entries.length >= this.maxTrades) {
+                const started = this.startCooldown(this.tradeCooldownMinutes, `${this.state.entries.length} entries in ${this.tradeWindowMinutes} min`, now);
+                return { allowed: false, reason: `cooling down until ${started.until}: ${started.reason}` };
+            }
+        }
+        return { allowed: true, reason: null };
+    }
+
+    // --- Trade results ---
+    recordEntry(now = Date.now()) {
+        const since = now - this.tradeWindowMinutes * 60000;
+        this.state.entries = this.state.entries.filter(time => Date.parse(time) > since);
+        this.state.entries.push(new Date(now).toISOString());
+        this.saveState();
+    }
+
+    // Count a position's exits; partial exits add up until it is flat so a
+    // scale-out that nets a profit isn't scored on its last tranche
+    recordExit(netPnl, partial = false, now = Date.now()) {
+        this.state.openPnl += netPnl;
+        if (partial) return this.saveState();
+        const lost = this.state.openPnl < 0;
+        this.state.openPnl = 0;
+        this.state.lossStreak = lost ? this.state.lossStreak + 1 : 0;
+        if (lost && this.maxConsecutiveLosses > 0 && this.state.lossStreak >= this.maxConsecutiveLosses) {
+            this.startCooldown(this.lossCooldownMinutes, `${this.state.lossStreak} losses in a row`, now);
+            this.state.lossStreak = 0;
+        }
+        this.saveState();
+    }
+}
+
+module.exports = TradeThrottle;
@@ -8,6 +8,19 @@ const path = require('path');
 const { SMA, EMA } = require('technicalindicators');
 const { printStatus, printSuccess, printWarning, printError, printBanner, printCard } = require('./ui');
 const { analyzeSentiment } = require('./apiHelpers');
+const ExitRuleEngine = require('./exitRules');
+const EntryPlan = require('./entryPlan');
+const { executeLimitEntry, limitEntryOptions } = require('./limitEntry');
+const OrderTracker = require('./orderTracker');
+const { makeClientOrderId } = require('./brokerAdapter');
+const SymbolRegistry = require('./symbolRegistry');
+const FailurePolicy = require('./failurePolicy');
+const FeeSchedule = require('./feeSchedule');
+const PositionSizer = require('./positionSizing');
+const { roundQty, roundPrice, checkOrderSize, applyToRequest } = require('./assetRules');
+
+// How long to wait for a market order to report its fill
+const FILL_TIMEOUT_MS = 30000;
 
 function logApiError(context, error) {
     const logPath = path.join(__dirname, '../api_errors.log');
@@ -90,6 +103,7 @@ async function logPositionTrade(monitor, tradeData) {
         
         // JSON Logging ONLY
         const jsonLogPath = path.join(__dirname, '../logs/position_log.json');
+        fs.mkdirSync(path.dirname(jsonLogPath), { recursive: true });
         let jsonArr = [];
         if (fs.existsSync(jsonLogPath)) {
             try {
@@ -114,286 +128,1008 @@ async function logPositionTrade(monitor, tradeData) {
     }
 }
 
+// Asset metadata (quantity increment, price tick, minimums) for the
+// monitor's symbol, fetched from the broker once. Without it, whatever the
+// SymbolRegistry knows (symbols.json or an earlier asset listing) is used.
+async function loadAsset(monitor) {
+    if (monitor.asset === undefined) {
+        try {
+            monitor.asset = await monitor.broker.getAsset(monitor.symbol);
+            SymbolRegistry.register(monitor.asset);
+        } catch (error) {
+            monitor.asset = SymbolRegistry.precision(monitor.symbol);
+            printWarning(`No asset metadata for ${monitor.symbol}, using ${monitor.asset ? 'registry' : 'default'} precision: ${error.message}`);
+        }
+    }
+    return monitor.asset;
+}
+
+// The venue's fee schedule (maker / taker tiers)
+function feeSchedule(monitor) {
+    return typeof monitor.broker.getFeeSchedule === 'function' ? monitor.broker.getFeeSchedule() : FeeSchedule.forVenue(monitor.broker.name);
+}
+
+// Fees for a round trip: entry at taker, exit at the given liquidity
+function roundTripFee(monitor, entryPrice, exitPrice, quantity, exitLiquidity = 'taker') {
+    const fees = feeSchedule(monitor);
+    return fees.fee(entryPrice * quantity, 'taker') + fees.fee(exitPrice * quantity, exitLiquidity);
+}
+
+// Start tracking a new position from its first fill. Every journal entry
+// written for its exits (partial or final) carries this id as parentPositionId.
+// `exits` keeps the TP/SL percents so a restart can re-protect the position.
+function openPosition(monitor, entryPrice, quantity, exits = {}) {
+    const id = `${SymbolRegistry.ticker(monitor.symbol, 'key')}-${Date.now()}`;
+    monitor.activePosition = Object.assign(EntryPlan.openPosition(id, entryPrice, quantity), exits);
+    savePosition(monitor);
+    return monitor.activePosition;
+}
+
+// Persist the position record alongside the tracked orders
+function savePosition(monitor) {
+    if (monitor.orderTracker) monitor.orderTracker.savePosition(monitor.activePosition);
+}
+
+// Market orders come back before the venue reports the fill. Wait for the
+// final state so sizes and P&L use what actually filled; whatever is still
+// open after the timeout is cancelled. Throws when nothing filled.
+async function confirmFill(monitor, order) {
+    if (order.status === 'filled') return order;
+    let final = await OrderTracker.waitForFinal(monitor.broker, order.id, FILL_TIMEOUT_MS);
+    if (OrderTracker.OPEN_STATES.includes(OrderTracker.toState(final.status))) {
+        try {
+            await monitor.broker.cancelOrder(order.id);
+        } catch (error) {
+            // it may have filled between the last poll and the cancel
+        }
+        final = await monitor.broker.getOrder(order.id);
+    }
+    if (!(final.filledQty > 0)) {
+        throw new Error(`Order ${order.id} ${final.status} with nothing filled`);
+    }
+    if (final.filledQty < order.qty) {
+        printWarning(`Order ${order.id} ${final.status}: only ${final.filledQty} of ${order.qty} filled`);
+    }
+    return { ...final, legs: final.legs || order.legs };
+}
+
+// Open time of the bar the current signal came from; the current minute
+// when no bars are loaded
+function signalBarTime(monitor) {
+    const bars = monitor.historicalData || [];
+    const last = bars[bars.length - 1];
+    const time = last ? new Date(last.timestamp || last.t || last.time).getTime() : NaN;
+    return isNaN(time) ? Math.floor(Date.now() / 60000) * 60000 : time;
+}
+
+// Claim the client order ID for `signal` on the current bar. Returns null
+// when an order under it is already working or filled, so the caller
+// doesn't place a second one. IDs whose orders ended unfilled (rejected,
+// cancelled) are skipped so the signal can be retried on the same bar.
+function claimClientOrderId(monitor, signal, barTime = signalBarTime(monitor)) {
+    const key = `${signal}@${barTime}`;
+    monitor.orderAttempts = monitor.orderAttempts || {};
+    monitor.submittedOrderIds = monitor.submittedOrderIds || new Set();
+    let attempt = monitor.orderAttempts[key] || 1;
+    for (;;) {
+        const clientOrderId = makeClientOrderId({ symbol: monitor.symbol, signal, barTime, attempt });
+        const record = monitor.orderTracker && monitor.orderTracker.findByClientOrderId(clientOrderId);
+        const spent = record && !OrderTracker.OPEN_STATES.includes(record.state) && !(record.filledQty > 0);
+        if (spent) {
+            attempt++;
+            continue;
+        }
+        monitor.orderAttempts[key] = attempt;
+        if (record || monitor.submittedOrderIds.has(clientOrderId)) {
+            printWarning(`${signal} order ${clientOrderId} was already submitted; not placing it again`);
+            return null;
+        }
+        monitor.submittedOrderIds.add(clientOrderId);
+        return clientOrderId;
+    }
+}
+
+// Place a market-style order for `signal` and wait for its fill. The order
+// carries a deterministic client order ID, so the ErrorHandler's network
+// retries can't open a second position: a retry the venue already accepted
+// collapses onto the first order. Resolves to null for a duplicate signal.
+async function placeOrder(monitor, signal, request, method = 'submitOrder') {
+    // Round to the asset's increments; refuse what the venue would refuse
+    const asset = await loadAsset(monitor);
+    request = applyToRequest(request, asset);
+    const problem = request.side === 'buy'
+        ? checkOrderSize(request.qty, request.limitPrice || monitor.currentPrice, asset)
+        : checkOrderSize(request.qty, null, null);
+    if (problem) throw new Error(`${signal} order not placed: ${problem}`);
+    request = await preTradeAllows(monitor, signal, request, asset);
+    if (!request) return null;
+    if (!(await riskAllows(monitor, signal, request))) return null;
+    const barTime = signalBarTime(monitor);
+    const clientOrderId = claimClientOrderId(monitor, signal, barTime);
+    if (!clientOrderId) return null;
+    // Venues ignore `reasoning`; a dry-run broker journals it with the order
+    const reasoning = { signal, price: monitor.currentPrice, ...request.reasoning };
+    const submit = () => monitor.broker[method]({ ...request, clientOrderId, reasoning });
+    let order;
+    try {
+        order = monitor.errorHandler
+            ? await monitor.errorHandler.handleAsyncError(submit, `${signal} order`)
+            : await submit();
+    } catch (error) {
+        // The venue never took it, so the ID is still free
+        monitor.submittedOrderIds.delete(clientOrderId);
+        throw error;
+    }
+    try {
+        return await confirmFill(monitor, order);
+    } catch (error) {
+        // Ended with nothing filled: the next try on this bar needs a new ID
+        monitor.orderAttempts[`${signal}@${barTime}`]++;
+        throw error;
+    }
+}
+
+// Pick up scale-in fills (pyramid adds, ladder rungs resting at the broker)
+// so our average cost matches the venue's
+function syncPositionEntries(monitor, brokerPosition) {
+    const position = monitor.activePosition;
+    if (!position || !brokerPosition) return;
+    const added = brokerPosition.qty - position.qty;
+    if (added <= position.qty * 1e-6) return;
+    const fillPrice = (brokerPosition.avgEntryPrice * brokerPosition.qty - position.costBasis) / added;
+    EntryPlan.addEntry(position, fillPrice > 0 ? fillPrice : monitor.currentPrice, added);
+    savePosition(monitor);
+    printSuccess(`Scale-in filled: +${added.toFixed(6)} @ $${(fillPrice > 0 ? fillPrice : monitor.currentPrice).toFixed(2)}. Average entry $${position.avgEntryPrice.toFixed(2)} over ${position.entries.length} entries`);
+}
+
+// Cancel every open order for the symbol - bracket / OCO exit legs and
+// ladder buys - before a market close, so none of them can fill against
+// the next position
+async function cancelOpenOrders(monitor) {
+    const openOrders = await monitor.broker.getOrders({ status: 'open', symbols: [monitor.symbol] });
+    for (const order of openOrders) {
+        try {
+            await monitor.broker.cancelOrder(order.id);
+        } catch (error) {
+            // already filled or cancelled
+        }
+    }
+}
+
+// Resting ladder buys are only wanted while the position is open
+async function cancelLadderOrders(monitor, position) {
+    for (const orderId of (position && position.ladderOrderIds) || []) {
+        try {
+            await monitor.broker.cancelOrder(orderId);
+        } catch (error) {
+            // already filled or cancelled
+        }
+    }
+}
+
+function hasScaleOut(monitor) {
+    return (monitor.exitRules || []).some(rule => rule.type === 'scaleOut');
+}
+
+// Decide who holds the TP/SL exit: the broker (bracket / OCO) or our local
+// polling loop. Local polling is used when the venue can't hold exits, or
+// when a scale-out plan needs more targets than one bracket can carry.
+function resolveExitOrderMode(monitor) {
+    const requested = (monitor.userSettings && monitor.userSettings.exitOrderMode) || 'bracket';
+    if (requested === 'local' || typeof monitor.broker.getCapabilities !== 'function') return 'local';
+    if (hasScaleOut(monitor)) return 'local';
+    const caps = monitor.broker.getCapabilities(monitor.symbol);
+    if (requested === 'bracket' && caps.bracketOrders) return 'bracket';
+    if (caps.ocoOrders) return 'oco';
+    return 'local';
+}
+
+// Adaptive MA crossunder check shared by the local and broker-held exit loops
+async function detectMACrossunder(monitor) {
+    if (!monitor.userSettings || !monitor.userSettings.enableCrossunderSignals) return false;
+    const prices = await monitor.getCryptoData();
+    const volatility = monitor.calculateVolatility(prices.slice(-100));
+    let fastLength = Math.max(5, Math.round((monitor.baseLength || 20) - (monitor.volScale || 10) * volatility));
+    let slowLength = Math.max(fastLength + 5, Math.round((monitor.baseLength || 20) + (monitor.volScale || 10) * volatility));
+    const fastMA = SMA.calculate({ period: fastLength, values: prices });
+    const slowMA = EMA.calculate({ period: slowLength, values: prices });
+    if (prices.length < 2 || fastMA.length < 2 || slowMA.length < 2) return false;
+    const lastFast = fastMA[fastMA.length - 1];
+    const lastSlow = slowMA[slowMA.length - 1];
+    const prevFast = fastMA[fastMA.length - 2];
+    const prevSlow = slowMA[slowMA.length - 2];
+    return prevFast >= prevSlow && lastFast < lastSlow;
+}
+
+// Print, notify and journal an exit fill. Partial exits (details.partial)
+// get their own journal entry and leave the position and its TP/SL open.
+async function reportPositionClose(monitor, details) {
+    const { entryPrice, exitPrice, quantity, reason } = details;
+    const partial = !!details.partial;
+    const pnl = (exitPrice - entryPrice) * quantity;
+    const pnlPercent = ((exitPrice - entryPrice) / entryPrice) * 100;
+    const pnlEmoji = pnl >= 0 ? '📈' : '📉';
+    const pnlStr = pnl >= 0 ? 'PROFIT' : 'LOSS';
+    const position = monitor.activePosition || openPosition(monitor, entryPrice, quantity);
+    position.exits++;
+    EntryPlan.reduce(position, quantity);
+
+    printBanner((partial ? 'PARTIAL EXIT - ' : 'POSITION CLOSED - ') + monitor.symbol);
+    printStatus(`Reason: ${reason}`);
+    printStatus(`Entry Price: $${entryPrice.toFixed(2)}`);
+    printStatus(`Exit Price: $${exitPrice.toFixed(2)}`);
+    printStatus(`Quantity: ${quantity.toFixed(6)}`);
+    if (partial) printStatus(`Remaining: ${details.remainingQuantity.toFixed(6)}`);
+    printStatus(`${pnlEmoji} ${pnlStr}: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
+
+    // Enhanced notification with full details
+    const fee = roundTripFee(monitor, entryPrice, exitPrice, quantity, details.liquidity);
+    const netPnl = pnl - fee;
+    const detailedMessage = `${pnlStr}: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)\nEntry: $${entryPrice.toFixed(2)} | Exit: $${exitPrice.toFixed(2)}\nQuantity: ${quantity.toFixed(6)} | Reason: ${reason}\nFee: $${fee.toFixed(2)} | Net P&L: $${netPnl.toFixed(2)}`;
+    monitor.sendDesktopNotification(`${partial ? 'Partial Exit' : 'Position Closed'} - ${monitor.symbol}`, detailedMessage);
+
+    // Log position trade with comprehensive data for training
+    const tradeData = {
+        symbol: monitor.symbol,
+        timestamp: new Date().toISOString(),
+        exitId: `${position.id}-${position.exits}`,
+        parentPositionId: position.id,
+        partial,
+        remainingQuantity: partial ? details.remainingQuantity : 0,
+        entries: position.entries.length,
+        entryPrice: entryPrice,
+        exitPrice: exitPrice,
+        quantity: quantity,
+        pnl: pnl,
+        pnlPercent: pnlPercent,
+        fee: fee,
+        netPnl: netPnl,
+        closeReason: reason,
+        takeProfitPercent: details.takeProfitPercent,
+        stopLossPercent: details.stopLossPercent,
+        takeProfitPrice: details.takeProfitPrice,
+        stopLossPrice: details.stopLossPrice,
+        timeframe: monitor.timeframe,
+        currentPrice: details.currentPrice
+    };
+    await logPositionTrade(monitor, tradeData);
+    if (monitor.tradeThrottle) monitor.tradeThrottle.recordExit(netPnl, partial);
+    if (partial) return savePosition(monitor);
+
+    // Clear saved TP/SL values since position is closed
+    monitor.clearTPSLValues(monitor.symbol);
+    await cancelLadderOrders(monitor, position);
+    monitor.activePosition = null;
+    savePosition(monitor);
+}
+
+// Exit rules for a live position: its TP/SL plus any extra rules from
+// user_settings/exitRules.json, and the MA crossunder exit when enabled
+function buildExitEngine(monitor, takeProfitPercent, stopLossPercent) {
+    const crossunder = monitor.userSettings && monitor.userSettings.enableCrossunderSignals
+        ? [{ type: 'indicator', indicator: 'maCrossunder' }]
+        : [];
+    return ExitRuleEngine.fromConfig(monitor.exitRules || [], {
+        takeProfitPercent: parseFloat(takeProfitPercent),
+        stopLossPercent: parseFloat(stopLossPercent),
+        rules: crossunder
+    });
+}
+
+// `indicators` reuses the last check's values (the crossunder fetches bars)
+async function exitContext(monitor, indicators = null) {
+    return {
+        price: monitor.currentPrice,
+        time: Date.now(),
+        bars: monitor.historicalData || [],
+        indicators: indicators || { maCrossunder: await detectMACrossunder(monitor) }
+    };
+}
+
+// The local TP/SL loop checks on every streamed price, at most once a second
+// and at least every 5 seconds. Without a stream it checks every 5 seconds.
+async function waitForPriceCheck(monitor) {
+    if (typeof monitor.isStreaming !== 'function' || !monitor.isStreaming()) {
+        return new Promise(resolve => setTimeout(resolve, 5000));
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await monitor.waitForPrice(4000);
+}
+
 async function monitorTakeProfitStopLoss(monitor, entryPrice, quantity, takeProfitPercent, stopLossPercent) {
-    const symbol = monitor.symbol.replace('/', '');
-    const takeProfitPrice = entryPrice * (1 + takeProfitPercent / 100);
-    const stopLossPrice = entryPrice * (1 - stopLossPercent / 100);
-    printStatus(`TP/SL Monitor: TP $${takeProfitPrice.toFixed(2)}, SL $${stopLossPrice.toFixed(2)}`);
+    let takeProfitPrice = entryPrice * (1 + takeProfitPercent / 100);
+    let stopLossPrice = entryPrice * (1 - stopLossPercent / 100);
+    const engine = buildExitEngine(monitor, takeProfitPercent, stopLossPercent);
+    let exitState = engine.createState({ entryPrice });
+    let revision = monitor.activePosition ? monitor.activePosition.revision : 0;
+    if (engine.hasScaleOut()) {
+        printStatus(`TP/SL Monitor: scale-out tiers, SL $${stopLossPrice.toFixed(2)}`);
+    } else {
+        printStatus(`TP/SL Monitor: TP $${takeProfitPrice.toFixed(2)}, SL $${stopLossPrice.toFixed(2)}`);
+    }
     let closed = false;
-    while (!closed) {
-        await new Promise(resolve => setTimeout(resolve, 5000)); // check every 5 seconds
-        let currentPrice = monitor.currentPrice;
-        if (!currentPrice || isNaN(currentPrice)) continue;
-        // Always fetch the latest available position size before closing
-        let actualQty = quantity;
+    let actualQty = quantity;
+    let positionCheckedAt = 0;
+    let indicators = null;
+    const refreshPosition = async () => {
+        positionCheckedAt = Date.now();
+        actualQty = quantity;
         try {
-            const positions = await monitor.alpaca.getPositions();
-            const pos = positions.find(p => p.symbol === monitor.symbol.replace('/', ''));
+            const pos = await monitor.broker.getPosition(monitor.symbol);
             if (pos) {
-                actualQty = parseFloat(pos.qty);
+                actualQty = pos.qty;
+                syncPositionEntries(monitor, pos);
             }
         } catch (e) {
             // fallback: use original quantity
         }
-        // 1. Check for MA crossunder (SELL signal) - only if enabled in preferences
-        if (monitor.userPreferences.enableCrossunderSignals) {
-            const prices = await monitor.getCryptoData();
-            // Use adaptive MA logic
-            const volatility = monitor.calculateVolatility(prices.slice(-100));
-            let fastLength = Math.max(5, Math.round((monitor.baseLength || 20) - (monitor.volScale || 10) * volatility));
-            let slowLength = Math.max(fastLength + 5, Math.round((monitor.baseLength || 20) + (monitor.volScale || 10) * volatility));
-            const fastMA = SMA.calculate({ period: fastLength, values: prices });
-            const slowMA = EMA.calculate({ period: slowLength, values: prices });
-            if (prices.length >= 2 && fastMA.length >= 2 && slowMA.length >= 2) {
-                const lastFast = fastMA[fastMA.length - 1];
-                const lastSlow = slowMA[slowMA.length - 1];
-                const prevFast = fastMA[fastMA.length - 2];
-                const prevSlow = slowMA[slowMA.length - 2];
-                if (prevFast >= prevSlow && lastFast < lastSlow) {
-                    // MA crossunder detected
-                    printWarning(`TP/SL Monitor: MA crossunder detected. Closing position.`);
-                    monitor.sendDesktopNotification('MA Crossunder', `${monitor.symbol} - MA crossunder detected, closing position`);
-                    try {
-                        await monitor.alpaca.createOrder({
-                            symbol,
-                            qty: actualQty,
-                            side: 'sell',
-                            type: 'market',
-                            time_in_force: 'gtc'
-                        });
-                        closed = true;
-                        printWarning(`TP/SL Monitor: Position closed due to MA crossunder.`);
-                        
-                        // Calculate and display P&L
-                        const exitPrice = currentPrice;
-                        const pnl = (exitPrice - entryPrice) * actualQty;
-                        const pnlPercent = ((exitPrice - entryPrice) / entryPrice) * 100;
-                        const pnlEmoji = pnl >= 0 ? '📈' : '📉';
-                        const pnlStr = pnl >= 0 ? 'PROFIT' : 'LOSS';
-                        
-                        printBanner('POSITION CLOSED - ' + monitor.symbol);
-                        printStatus('Reason: MA Crossunder');
-                        printStatus(`Entry Price: $${entryPrice.toFixed(2)}`);
-                        printStatus(`Exit Price: $${exitPrice.toFixed(2)}`);
-                        printStatus(`Quantity: ${actualQty.toFixed(6)}`);
-                        printStatus(`${pnlEmoji} ${pnlStr}: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
-                        
-                        // Enhanced notification with full details
-                        const fee = Math.abs(exitPrice * actualQty) * 0.0025; // 0.25% taker fee
-                        const netPnl = pnl - fee;
-                        const detailedMessage = `${pnlStr}: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)\nEntry: $${entryPrice.toFixed(2)} | Exit: $${exitPrice.toFixed(2)}\nQuantity: ${actualQty.toFixed(6)} | Reason: MA Crossunder\nFee: $${fee.toFixed(2)} | Net P&L: $${netPnl.toFixed(2)}`;
-                        monitor.sendDesktopNotification(`Position Closed - ${monitor.symbol}`, detailedMessage);
-                        
-                        // Log position trade (omit MA/score fields)
-                        const tradeData = {
-                            symbol: monitor.symbol,
-                            timestamp: new Date().toISOString(),
-                            entryPrice: entryPrice,
-                            exitPrice: exitPrice,
-                            quantity: actualQty,
-                            pnl: pnl,
-                            pnlPercent: pnlPercent,
-                            closeReason: 'MA Crossunder',
-                            takeProfitPercent: takeProfitPercent,
-                            stopLossPercent: stopLossPercent,
-                            takeProfitPrice: takeProfitPrice,
-                            stopLossPrice: stopLossPrice,
-                            timeframe: monitor.timeframe,
-                            currentPrice: currentPrice
-                        };
-                        await logPositionTrade(monitor, tradeData);
-                        
-                        // Clear saved TP/SL values since position is closed
-                        monitor.clearTPSLValues(monitor.symbol);
-                    } catch (error) {
-                        logApiError('MA crossunder sell order', error);
-                        printError('Error closing position at MA crossunder: ' + error.message);
-                        monitor.sendDesktopNotification('Order Error', `${monitor.symbol} - Error closing position: ${error.message}`);
-                    }
-                    break;
+    };
+    while (!closed) {
+        await waitForPriceCheck(monitor);
+        // Closed elsewhere (SELL signal, failure policy flatten)
+        if (!monitor.activePosition) break;
+        let currentPrice = monitor.currentPrice;
+        if (!currentPrice || isNaN(currentPrice)) continue;
+        // Streamed prices wake this loop often; the broker and the bars are asked every 5 seconds
+        const positionChecked = Date.now() - positionCheckedAt >= 5000;
+        if (positionChecked) await refreshPosition();
+        const scaledIn = entriesChanged(monitor, revision);
+        if (scaledIn) {
+            // Re-anchor TP/SL on the new average cost
+            revision = scaledIn.revision;
+            entryPrice = scaledIn.avgEntryPrice;
+            quantity = scaledIn.qty;
+            takeProfitPrice = entryPrice * (1 + takeProfitPercent / 100);
+            stopLossPrice = entryPrice * (1 - stopLossPercent / 100);
+            exitState = { ...engine.createState({ entryPrice }), tiersFilled: exitState.tiersFilled };
+            printStatus(`TP/SL Monitor: average entry $${entryPrice.toFixed(2)}, TP $${takeProfitPrice.toFixed(2)}, SL $${stopLossPrice.toFixed(2)}`);
+        }
+        let context;
+        try {
+            context = await exitContext(monitor, positionChecked ? null : indicators);
+        } catch (error) {
+            logApiError('Exit context', error);
+            continue;
+        }
+        indicators = context.indicators;
+        const decision = engine.evaluate(exitState, context);
+        if (!decision.exit) continue;
+        // Always fetch the latest available position size before closing
+        if (!positionChecked) await refreshPosition();
+
+        if (decision.partial) {
+            // Scale-out tier: sell its share of the original size, keep watching the rest
+            const sellQty = roundQty(Math.min(actualQty, quantity * decision.fraction), monitor.asset);
+            if (sellQty <= 0 || sellQty >= actualQty) {
+                printWarning(`TP/SL Monitor: ${decision.reason} leaves nothing to hold. Closing position.`);
+            } else {
+                printWarning(`TP/SL Monitor: ${decision.reason}. Selling ${sellQty} of ${actualQty}.`);
+                let order = null;
+                try {
+                    order = await placeOrder(monitor, decision.reason, {
+                        symbol: monitor.symbol,
+                        qty: sellQty,
+                        side: 'sell',
+                        type: 'market',
+                        timeInForce: 'gtc'
+                    });
+                } catch (error) {
+                    logApiError(`${decision.reason} partial sell order`, error);
+                    printError(`Error selling partial position (${decision.reason}): ` + error.message);
                 }
+                if (!order) {
+                    // Nothing was sold: retry this tier on the next check
+                    exitState.tiersFilled--;
+                    continue;
+                }
+                // The tier is sold; a failed report must not sell it again
+                try {
+                    await reportPositionClose(monitor, {
+                        entryPrice,
+                        exitPrice: order.filledAvgPrice || currentPrice,
+                        quantity: order.filledQty,
+                        reason: decision.reason,
+                        partial: true,
+                        remainingQuantity: roundQty(actualQty - order.filledQty, monitor.asset),
+                        takeProfitPercent,
+                        stopLossPercent,
+                        takeProfitPrice: decision.targetPrice,
+                        stopLossPrice: decision.stopPrice || stopLossPrice,
+                        currentPrice
+                    });
+                } catch (error) {
+                    logApiError(`${decision.reason} partial exit report`, error);
+                }
+                continue;
+            }
+        }
+
+        printWarning(`TP/SL Monitor: ${decision.reason}. Closing position.`);
+        monitor.sendDesktopNotification(decision.reason, `${monitor.symbol} - ${decision.reason} at $${currentPrice.toFixed(2)}, closing position`);
+        try {
+            const order = await placeOrder(monitor, decision.reason, {
+                symbol: monitor.symbol,
+                qty: actualQty,
+                side: 'sell',
+                type: 'market',
+                timeInForce: 'gtc'
+            });
+            if (!order) continue;
+            closed = true;
+            printWarning(`TP/SL Monitor: Position closed (${decision.reason}).`);
+            await reportPositionClose(monitor, {
+                entryPrice,
+                exitPrice: order.filledAvgPrice || currentPrice,
+                quantity: order.filledQty,
+                reason: decision.reason,
+                takeProfitPercent,
+                stopLossPercent,
+                takeProfitPrice,
+                stopLossPrice: decision.stopPrice || stopLossPrice,
+                currentPrice
+            });
+        } catch (error) {
+            logApiError(`${decision.reason} sell order`, error);
+            printError(`Error closing position (${decision.reason}): ` + error.message);
+            monitor.sendDesktopNotification('Order Error', `${monitor.symbol} - Error closing position: ${error.message}`);
+        }
+        break;
+    }
+}
+
+// Returns the position when scale-in fills changed its entries since
+// `revision`, so an exit loop knows to re-anchor on the new average cost
+function entriesChanged(monitor, revision) {
+    const position = monitor.activePosition;
+    return position && position.revision !== revision ? position : null;
+}
+
+// Watch exit legs the broker is holding (bracket or OCO). The broker fills
+// TP/SL on its own, so a crash here never leaves the position unprotected.
+// This loop records the close, moves the broker's stop up as trailing /
+// break-even rules tighten it, and handles time and indicator exits itself.
+async function monitorBrokerExits(monitor, legs, entryPrice, quantity, takeProfitPercent, stopLossPercent) {
+    let takeProfitPrice = legs.takeProfit.limitPrice;
+    let stopLeg = legs.stopLoss;
+    const engine = buildExitEngine(monitor, takeProfitPercent, stopLossPercent);
+    let exitState = engine.createState({ entryPrice });
+    let revision = monitor.activePosition ? monitor.activePosition.revision : 0;
+    printStatus(`Broker-held exits: TP $${takeProfitPrice.toFixed(2)}, SL $${stopLeg.stopPrice.toFixed(2)}`);
+    const closedStatuses = ['canceled', 'expired', 'rejected', 'replaced'];
+    while (true) {
+        await new Promise(resolve => setTimeout(resolve, 5000)); // check every 5 seconds
+        // Closed elsewhere (SELL signal, manual sell, failure policy flatten)
+        if (!monitor.activePosition) break;
+        let takeProfit, stopLoss;
+        try {
+            [takeProfit, stopLoss] = await Promise.all([
+                monitor.broker.getOrder(legs.takeProfit.id),
+                monitor.broker.getOrder(stopLeg.id)
+            ]);
+        } catch (error) {
+            logApiError('Exit order status', error);
+            continue;
+        }
+        const details = { entryPrice, takeProfitPercent, stopLossPercent, takeProfitPrice, stopLossPrice: stopLeg.stopPrice, currentPrice: monitor.currentPrice };
+        // A filled leg closed the position: report it once, even if reporting fails
+        const filledLeg = takeProfit.status === 'filled' ? takeProfit : (stopLoss.status === 'filled' ? stopLoss : null);
+        if (filledLeg) {
+            const reason = filledLeg === takeProfit ? 'Take Profit Hit' : (exitState.stopReason || 'Stop Loss Hit');
+            printWarning(`Broker exit: ${filledLeg === takeProfit ? 'Take profit' : reason} filled.`);
+            try {
+                await reportPositionClose(monitor, { ...details, exitPrice: filledLeg.filledAvgPrice, quantity: filledLeg.filledQty, reason, liquidity: filledLeg === takeProfit ? 'maker' : undefined });
+            } catch (error) {
+                logApiError('Broker exit report', error);
+            }
+            return;
+        }
+        if (closedStatuses.includes(takeProfit.status) && closedStatuses.includes(stopLoss.status)) {
+            // Exits were pulled outside BitFlow; keep protecting what is left locally
+            let position;
+            try {
+                position = await monitor.broker.getPosition(monitor.symbol);
+            } catch (error) {
+                logApiError('Position lookup', error);
+                continue;
+            }
+            if (position && position.qty > 0) {
+                printWarning('Broker exit orders were cancelled. Falling back to local TP/SL monitoring.');
+                return monitorTakeProfitStopLoss(monitor, entryPrice, position.qty, takeProfitPercent, stopLossPercent);
+            }
+            return;
+        }
+        if (!monitor.currentPrice || isNaN(monitor.currentPrice)) continue;
+
+        try {
+            syncPositionEntries(monitor, await monitor.broker.getPosition(monitor.symbol));
+        } catch (error) {
+            logApiError('Position lookup', error);
+        }
+        const scaledIn = entriesChanged(monitor, revision);
+        if (scaledIn) {
+            // The legs only cover the old size: re-place them on the full
+            // position, anchored on the new average cost
+            revision = scaledIn.revision;
+            entryPrice = scaledIn.avgEntryPrice;
+            quantity = scaledIn.qty;
+            try {
+                await monitor.broker.cancelOrder(legs.takeProfit.id);
+            } catch (error) {
+                logApiError('Exit leg cancel', error);
+            }
+            const newLegs = await placeOcoExit(
+                monitor,
+                quantity,
+                entryPrice * (1 + takeProfitPercent / 100),
+                entryPrice * (1 - stopLossPercent / 100)
+            );
+            if (!newLegs) return monitorTakeProfitStopLoss(monitor, entryPrice, quantity, takeProfitPercent, stopLossPercent);
+            legs = newLegs;
+            stopLeg = legs.stopLoss;
+            takeProfitPrice = legs.takeProfit.limitPrice;
+            exitState = { ...engine.createState({ entryPrice }), tiersFilled: exitState.tiersFilled };
+            continue;
+        }
+
+        let decision;
+        try {
+            decision = engine.evaluate(exitState, await exitContext(monitor));
+        } catch (error) {
+            logApiError('Exit context', error);
+            continue;
+        }
+        // Trailing / break-even / chandelier tightened the stop: move the broker's leg
+        const newStop = decision.stopPrice ? roundPrice(decision.stopPrice, monitor.asset) : null;
+        if (newStop && newStop > stopLeg.stopPrice && newStop < monitor.currentPrice) {
+            try {
+                stopLeg = await monitor.broker.replaceOrder(stopLeg.id, { stopPrice: newStop });
+                printStatus(`Broker stop raised to $${newStop.toFixed(2)} (${decision.reason || exitState.stopReason})`);
+            } catch (error) {
+                logApiError('Stop leg replace', error);
             }
         }
-        // 2. Check for TP
-        if (currentPrice >= takeProfitPrice) {
-            printWarning(`TP/SL Monitor: Take profit hit. Closing position.`);
-            monitor.sendDesktopNotification('Take Profit Hit', `${monitor.symbol} - Take profit target reached at $${currentPrice.toFixed(2)}`);
+        // TP and stop exits are the broker's job; time and indicator exits are ours
+        if (decision.exit && (decision.kind === 'time' || decision.kind === 'signal')) {
+            printWarning(`Broker exit: ${decision.reason}. Cancelling exits and closing position.`);
+            monitor.sendDesktopNotification(decision.reason, `${monitor.symbol} - ${decision.reason}, closing position`);
             try {
-                await monitor.alpaca.createOrder({
-                    symbol,
-                    qty: actualQty,
+                await monitor.broker.cancelOrder(legs.takeProfit.id);
+                const position = await monitor.broker.getPosition(monitor.symbol);
+                const qty = position ? position.qty : quantity;
+                const order = await placeOrder(monitor, decision.reason, {
+                    symbol: monitor.symbol,
+                    qty,
                     side: 'sell',
                     type: 'market',
-                    time_in_force: 'gtc'
+                    timeInForce: 'gtc'
                 });
-                closed = true;
-                printWarning(`TP/SL Monitor: Position closed at take-profit.`);
-                
-                // Calculate and display P&L
-                const exitPrice = currentPrice;
-                const pnl = (exitPrice - entryPrice) * actualQty;
-                const pnlPercent = ((exitPrice - entryPrice) / entryPrice) * 100;
-                const pnlEmoji = pnl >= 0 ? '📈' : '📉';
-                const pnlStr = pnl >= 0 ? 'PROFIT' : 'LOSS';
-                
-                printBanner('POSITION CLOSED - ' + monitor.symbol);
-                printStatus('Reason: Take Profit Hit');
-                printStatus(`Entry Price: $${entryPrice.toFixed(2)}`);
-                printStatus(`Exit Price: $${exitPrice.toFixed(2)}`);
-                printStatus(`Quantity: ${actualQty.toFixed(6)}`);
-                printStatus(`${pnlEmoji} ${pnlStr}: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
-                
-                // Enhanced notification with full details
-                const fee = Math.abs(exitPrice * actualQty) * 0.0025; // 0.25% taker fee
-                const netPnl = pnl - fee;
-                const detailedMessage = `${pnlStr}: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)\nEntry: $${entryPrice.toFixed(2)} | Exit: $${exitPrice.toFixed(2)}\nQuantity: ${actualQty.toFixed(6)} | Reason: Take Profit Hit\nFee: $${fee.toFixed(2)} | Net P&L: $${netPnl.toFixed(2)}`;
-                monitor.sendDesktopNotification(`Position Closed - ${monitor.symbol}`, detailedMessage);
-                
-                // Log position trade with comprehensive data for training
-                const tradeData = {
-                    symbol: monitor.symbol,
-                    timestamp: new Date().toISOString(),
-                    entryPrice: entryPrice,
-                    exitPrice: exitPrice,
-                    quantity: actualQty,
-                    pnl: pnl,
-                    pnlPercent: pnlPercent,
-                    closeReason: 'Take Profit Hit',
-                    takeProfitPercent: takeProfitPercent,
-                    stopLossPercent: stopLossPercent,
-                    takeProfitPrice: takeProfitPrice,
-                    stopLossPrice: stopLossPrice,
-                    timeframe: monitor.timeframe,
-                    currentPrice: currentPrice
-                };
-                logPositionTrade(monitor, tradeData);
-                
-                // Clear saved TP/SL values since position is closed
-                monitor.clearTPSLValues(monitor.symbol);
+                if (order) await reportPositionClose(monitor, { ...details, exitPrice: order.filledAvgPrice || monitor.currentPrice, quantity: order.filledQty, reason: decision.reason });
             } catch (error) {
-                logApiError('TP sell order', error);
-                printError('Error closing position at take-profit: ' + error.message);
+                logApiError(`${decision.reason} sell order`, error);
+                printError(`Error closing position (${decision.reason}): ` + error.message);
                 monitor.sendDesktopNotification('Order Error', `${monitor.symbol} - Error closing position: ${error.message}`);
             }
-            break;
+            return;
+        }
+    }
+}
+
+// Put an OCO exit on an already-open position. Returns the exit legs, or
+// null when the broker can't (or won't) hold them.
+async function placeOcoExit(monitor, quantity, takeProfitPrice, stopLossPrice) {
+    try {
+        const oco = await monitor.broker.submitOcoOrder({
+            symbol: monitor.symbol,
+            qty: quantity,
+            side: 'sell',
+            timeInForce: 'gtc',
+            takeProfit: { limitPrice: roundPrice(takeProfitPrice, monitor.asset) },
+            stopLoss: { stopPrice: roundPrice(stopLossPrice, monitor.asset) }
+        });
+        printSuccess(`OCO exit placed: TP $${oco.legs.takeProfit.limitPrice}, SL $${oco.legs.stopLoss.stopPrice}`);
+        return oco.legs;
+    } catch (error) {
+        logApiError('OCO exit order', error);
+        printWarning('Could not place OCO exit, using local TP/SL monitoring: ' + error.message);
+        return null;
+    }
+}
+
+// Protect a position found at startup: resume watching exits the broker is
+// already holding, place an OCO if it can hold one, else poll locally.
+async function protectExistingPosition(monitor, entryPrice, quantity, takeProfitPercent, stopLossPercent) {
+    if (!monitor.activePosition) {
+        openPosition(monitor, entryPrice, quantity, { takeProfitPercent, stopLossPercent });
+    } else if (monitor.activePosition.takeProfitPercent === undefined) {
+        Object.assign(monitor.activePosition, { takeProfitPercent, stopLossPercent });
+        savePosition(monitor);
+    }
+    await loadAsset(monitor);
+    const mode = resolveExitOrderMode(monitor);
+    if (mode !== 'local') {
+        try {
+            const openOrders = await monitor.broker.getOrders({ status: 'open', symbols: [monitor.symbol] });
+            const sells = openOrders.filter(o => o.side === 'sell');
+            const takeProfit = sells.find(o => o.type === 'limit');
+            const stopLoss = sells.find(o => o.type === 'stop' || o.type === 'stop_limit');
+            if (takeProfit && stopLoss) {
+                printStatus('Resuming broker-held exit orders');
+                return monitorBrokerExits(monitor, { takeProfit, stopLoss }, entryPrice, quantity, takeProfitPercent, stopLossPercent);
+            }
+        } catch (error) {
+            logApiError('Open exit orders lookup', error);
+        }
+        const legs = await placeOcoExit(
+            monitor,
+            quantity,
+            entryPrice * (1 + takeProfitPercent / 100),
+            entryPrice * (1 - stopLossPercent / 100)
+        );
+        if (legs) return monitorBrokerExits(monitor, legs, entryPrice, quantity, takeProfitPercent, stopLossPercent);
+    }
+    return monitorTakeProfitStopLoss(monitor, entryPrice, quantity, takeProfitPercent, stopLossPercent);
+}
+
+// A market bracket is priced off the signal price before the fill is known.
+// Move its legs onto the real average fill so TP/SL match what was paid.
+async function anchorBracketLegs(monitor, legs, entryPrice, takeProfitPercent, stopLossPercent) {
+    const takeProfitPrice = roundPrice(entryPrice * (1 + takeProfitPercent / 100), monitor.asset);
+    const stopLossPrice = roundPrice(entryPrice * (1 - stopLossPercent / 100), monitor.asset);
+    const anchored = { ...legs };
+    try {
+        if (legs.takeProfit.limitPrice !== takeProfitPrice) {
+            anchored.takeProfit = await monitor.broker.replaceOrder(legs.takeProfit.id, { limitPrice: takeProfitPrice });
+        }
+        if (legs.stopLoss.stopPrice !== stopLossPrice) {
+            anchored.stopLoss = await monitor.broker.replaceOrder(legs.stopLoss.id, { stopPrice: stopLossPrice });
         }
-        // 3. Check for SL
-        if (currentPrice <= stopLossPrice) {
-            printWarning(`TP/SL Monitor: Stop loss hit. Closing position.`);
-            monitor.sendDesktopNotification('Stop Loss Hit', `${monitor.symbol} - Stop loss triggered at $${currentPrice.toFixed(2)}`);
+        if (anchored.takeProfit !== legs.takeProfit || anchored.stopLoss !== legs.stopLoss) {
+            printStatus(`Exit legs anchored on fill $${entryPrice.toFixed(2)}: TP $${takeProfitPrice}, SL $${stopLossPrice}`);
+        }
+    } catch (error) {
+        logApiError('Bracket leg anchor', error);
+        printWarning('Could not move exit legs onto the fill price: ' + error.message);
+    }
+    return anchored;
+}
+
+// Ladder plan: rest limit buys below the first fill. The exit loop picks
+// up their fills through syncPositionEntries.
+async function placeLadderOrders(monitor, account) {
+    const position = monitor.activePosition;
+    position.ladderOrderIds = [];
+    for (const rung of monitor.entryPlan.ladderOrders(position, account)) {
+        const qty = roundQty(rung.qty, monitor.asset);
+        const limitPrice = roundPrice(rung.price, monitor.asset);
+        const problem = checkOrderSize(qty, limitPrice, monitor.asset);
+        if (problem) {
+            printStatus(`Ladder rung at -${rung.dropPercent}% skipped: ${problem}`);
+            continue;
+        }
+        if (!(await riskAllows(monitor, `ladder ${rung.dropPercent}`, { symbol: monitor.symbol, qty, side: 'buy', limitPrice }))) break;
+        const clientOrderId = claimClientOrderId(monitor, `ladder ${rung.dropPercent}`);
+        if (!clientOrderId) continue;
+        try {
+            const order = await monitor.broker.submitOrder({
+                symbol: monitor.symbol,
+                qty,
+                side: 'buy',
+                type: 'limit',
+                limitPrice,
+                timeInForce: 'gtc',
+                clientOrderId
+            });
+            position.ladderOrderIds.push(order.id);
+            printStatus(`Ladder buy placed: ${qty} @ $${limitPrice} (-${rung.dropPercent}%)`);
+        } catch (error) {
+            logApiError('Ladder buy order', error);
+            printWarning(`Could not place ladder buy at -${rung.dropPercent}%: ` + error.message);
+        }
+    }
+    savePosition(monitor);
+}
+
+// Pyramid plan: add to an open position on a fresh BUY signal, within the
+// plan's entry and exposure caps (and the symbol's capital budget, if any)
+async function scaleIntoPosition(monitor, currentPosition, account, budgetCash = Infinity) {
+    const position = monitor.activePosition || openPosition(monitor, currentPosition.avgEntryPrice, currentPosition.qty);
+    const wanted = Math.min(monitor.entryPlan.pyramidAdd(position, monitor.currentPrice, account), budgetCash / monitor.currentPrice);
+    const quantity = roundQty(wanted, await loadAsset(monitor));
+    if (quantity <= 0) {
+        printStatus(`🔄 BUY signal: entry plan allows no add to ${monitor.symbol} (${position.entries.length} entries, $${(position.qty * monitor.currentPrice).toFixed(2)} exposure)`);
+        return;
+    }
+    printCard('SCALE-IN ORDER', [
+      `Symbol: ${monitor.symbol}`,
+      `Quantity: ${quantity}`,
+      `Current Price: $${monitor.currentPrice}`,
+      `Entry: ${position.entries.length + 1} of ${monitor.entryPlan.maxEntries}`,
+      `Average Entry: $${position.avgEntryPrice.toFixed(2)}`
+    ]);
+    try {
+        const order = await placeOrder(monitor, `scale-in ${position.entries.length + 1}`, {
+            symbol: monitor.symbol,
+            qty: quantity,
+            side: 'buy',
+            type: 'market',
+            timeInForce: 'gtc'
+        });
+        if (!order) return;
+        printSuccess(`Scale-in order filled: ${order.filledQty} @ $${order.filledAvgPrice.toFixed(2)}`);
+        monitor.sendDesktopNotification('Scale-In', `${monitor.symbol} - Added ${quantity} at $${monitor.currentPrice.toFixed(2)}`);
+        // The exit loop sees the fill via syncPositionEntries too; syncing
+        // here just makes the new average visible right away
+        syncPositionEntries(monitor, await monitor.broker.getPosition(monitor.symbol));
+    } catch (error) {
+        logApiError('Scale-in order', error);
+        printError('Error executing scale-in order: ' + error.message);
+        monitor.sendDesktopNotification('Order Error', `${monitor.symbol} - Error executing scale-in order: ${error.message}`);
+        await handleTradeFailure(monitor, error, 'scale-in order');
+    }
+}
+
+// Close whatever is held at market. Resting orders (exit legs, ladder
+// buys) are pulled first so they can't hold the quantity or re-open it.
+async function flattenPosition(monitor, reason) {
+    try {
+        await cancelOpenOrders(monitor);
+        const position = await monitor.broker.getPosition(monitor.symbol);
+        if (!position || position.qty <= 0) return;
+        const order = await placeOrder(monitor, reason, {
+            symbol: monitor.symbol,
+            qty: position.qty,
+            side: 'sell',
+            type: 'market',
+            timeInForce: 'gtc'
+        });
+        if (!order) return;
+        await reportPositionClose(monitor, {
+            entryPrice: monitor.activePosition ? monitor.activePosition.avgEntryPrice : position.avgEntryPrice,
+            exitPrice: order.filledAvgPrice || monitor.currentPrice,
+            quantity: order.filledQty,
+            reason,
+            currentPrice: monitor.currentPrice
+        });
+    } catch (error) {
+        logApiError('Flatten position', error);
+        printError(`Could not flatten ${monitor.symbol}: ${error.message}`);
+    }
+}
+
+// Close a position in another symbol through placeOrder and journal it:
+// with that symbol's monitor when a portfolio runs one, otherwise with a
+// view of this monitor for the symbol (no tracker or throttle of its own)
+async function closeHeldPosition(monitor, position, reason) {
+    const symbol = SymbolRegistry.canonical(position.symbol);
+    const price = position.qty > 0 && position.marketValue ? position.marketValue / position.qty : null;
+    const owner = (monitor.runner && monitor.runner.monitors.find(m => SymbolRegistry.same(m.symbol, symbol)))
+        || Object.assign(Object.create(monitor), { symbol, asset: undefined, activePosition: null, orderTracker: null, tradeThrottle: null, currentPrice: price });
+    const order = await placeOrder(owner, reason, {
+        symbol,
+        qty: position.qty,
+        side: 'sell',
+        type: 'market',
+        timeInForce: 'gtc'
+    });
+    if (!order) throw new Error(`${reason} sell was not placed`);
+    await reportPositionClose(owner, {
+        entryPrice: owner.activePosition ? owner.activePosition.avgEntryPrice : position.avgEntryPrice,
+        exitPrice: order.filledAvgPrice || owner.currentPrice,
+        quantity: order.filledQty,
+        reason,
+        currentPrice: owner.currentPrice
+    });
+    return order;
+}
+
+// Run an order past the monitor's risk manager (see riskManager.js). A
+// breached hard limit notifies and, if configured, flattens everything.
+async function riskAllows(monitor, signal, request) {
+    if (!monitor.riskManager) return true;
+    let verdict;
+    try {
+        verdict = await monitor.riskManager.check(monitor.broker, request, request.limitPrice || monitor.currentPrice);
+    } catch (error) {
+        // Without account data we can't tell whether an entry is safe
+        logApiError('Risk check', error);
+        printWarning(`Risk check failed (${error.message}); ${request.side === 'buy' ? 'entry refused' : 'exit allowed'}`);
+        return request.side !== 'buy';
+    }
+    if (verdict.allowed) return true;
+    printWarning(`${signal} order for ${monitor.symbol} blocked by risk limits: ${verdict.reason}`);
+    if (verdict.breach) {
+        printError(`Risk limit hit: ${verdict.reason}. New entries blocked${verdict.flatten ? '; flattening all positions' : ''}.`);
+        monitor.sendDesktopNotification('Risk Limit Hit', `${monitor.symbol} - ${verdict.reason}. New entries blocked${verdict.flatten ? ', flattening all positions' : ''}.`);
+        if (verdict.flatten) {
+            await flattenPosition(monitor, 'Risk Limit');
             try {
-                await monitor.alpaca.createOrder({
-                    symbol,
-                    qty: actualQty,
-                    side: 'sell',
-                    type: 'market',
-                    time_in_force: 'gtc'
+                const { closed, failed } = await monitor.riskManager.flattenAll(monitor.broker, [monitor.symbol], position => closeHeldPosition(monitor, position, 'Risk Limit'));
+                if (closed.length > 0) printWarning(`Closed ${closed.join(', ')} at market`);
+                failed.forEach(f => {
+                    logApiError('Risk flatten', new Error(`${f.symbol}: ${f.error}`));
+                    printError(`Could not flatten ${f.symbol}: ${f.error}`);
                 });
-                closed = true;
-                printWarning(`TP/SL Monitor: Position closed at stop-loss.`);
-                
-                // Calculate and display P&L
-                const exitPrice = currentPrice;
-                const pnl = (exitPrice - entryPrice) * actualQty;
-                const pnlPercent = ((exitPrice - entryPrice) / entryPrice) * 100;
-                const pnlEmoji = pnl >= 0 ? '📈' : '📉';
-                const pnlStr = pnl >= 0 ? 'PROFIT' : 'LOSS';
-                
-                printBanner('POSITION CLOSED - ' + monitor.symbol);
-                printStatus('Reason: Stop Loss Hit');
-                printStatus(`Entry Price: $${entryPrice.toFixed(2)}`);
-                printStatus(`Exit Price: $${exitPrice.toFixed(2)}`);
-                printStatus(`Quantity: ${actualQty.toFixed(6)}`);
-                printStatus(`${pnlEmoji} ${pnlStr}: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
-                
-                // Enhanced notification with full details
-                const fee = Math.abs(exitPrice * actualQty) * 0.0025; // 0.25% taker fee
-                const netPnl = pnl - fee;
-                const detailedMessage = `${pnlStr}: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)\nEntry: $${entryPrice.toFixed(2)} | Exit: $${exitPrice.toFixed(2)}\nQuantity: ${actualQty.toFixed(6)} | Reason: Stop Loss Hit\nFee: $${fee.toFixed(2)} | Net P&L: $${netPnl.toFixed(2)}`;
-                monitor.sendDesktopNotification(`Position Closed - ${monitor.symbol}`, detailedMessage);
-                
-                // Log position trade with comprehensive data for training
-                const tradeData = {
-                    symbol: monitor.symbol,
-                    timestamp: new Date().toISOString(),
-                    entryPrice: entryPrice,
-                    exitPrice: exitPrice,
-                    quantity: actualQty,
-                    pnl: pnl,
-                    pnlPercent: pnlPercent,
-                    closeReason: 'Stop Loss Hit',
-                    takeProfitPercent: takeProfitPercent,
-                    stopLossPercent: stopLossPercent,
-                    takeProfitPrice: takeProfitPrice,
-                    stopLossPrice: stopLossPrice,
-                    timeframe: monitor.timeframe,
-                    currentPrice: currentPrice
-                };
-                await logPositionTrade(monitor, tradeData);
-                
-                // Clear saved TP/SL values since position is closed
-                monitor.clearTPSLValues(monitor.symbol);
             } catch (error) {
-                logApiError('SL sell order', error);
-                printError('Error closing position at stop-loss: ' + error.message);
-                monitor.sendDesktopNotification('Order Error', `${monitor.symbol} - Error closing position: ${error.message}`);
+                logApiError('Risk flatten', error);
+                printError('Could not flatten all positions: ' + error.message);
             }
-            break;
         }
     }
+    return false;
+}
+
+// What the pre-trade checks can look at. Quote, reference price and
+// sentiment are fetched only when a check asks, and at most once.
+function preTradeContext(monitor, signal) {
+    const once = fetch => {
+        let result = null;
+        return () => (result = result || Promise.resolve().then(fetch));
+    };
+    const bars = monitor.historicalData || [];
+    const lastBar = bars[bars.length - 1];
+    return {
+        symbol: monitor.symbol,
+        signal,
+        price: monitor.currentPrice,
+        bars,
+        priceTime: monitor.currentPriceAt || (lastBar && (lastBar.timestamp || lastBar.t)) || null,
+        now: Date.now(),
+        quote: once(() => monitor.broker.getLatestQuote(monitor.symbol)),
+        referencePrice: once(() => (typeof monitor.fetchReferencePrice === 'function' ? monitor.fetchReferencePrice() : null)),
+        sentiment: once(() => analyzeSentiment(monitor.symbol))
+    };
+}
+
+// Run an entry through the monitor's pre-trade checks (see
+// preTradeChecks.js). Resolves to the request to send - smaller if a check
+// resized it - or null when it was blocked. Exits always pass.
+async function preTradeAllows(monitor, signal, request, asset) {
+    if (!monitor.preTradeChecks || request.side !== 'buy') return request;
+    const result = await monitor.preTradeChecks.evaluate(request, preTradeContext(monitor, signal));
+    if (result.action === 'block') {
+        printWarning(`${signal} order for ${monitor.symbol} blocked by pre-trade check ${result.reason}`);
+        return null;
+    }
+    if (result.action === 'resize') {
+        const qty = roundQty(request.qty * result.fraction, asset);
+        const problem = checkOrderSize(qty, request.limitPrice || monitor.currentPrice, asset);
+        if (problem) {
+            printWarning(`${signal} order for ${monitor.symbol} not placed: resized ${problem} (${result.reason})`);
+            return null;
+        }
+        printStatus(`${signal} order for ${monitor.symbol} resized to ${qty} by pre-trade checks - ${result.reason}`);
+        return { ...request, qty };
+    }
+    return request;
+}
+
+// Apply the monitor's failure policy (see failurePolicy.js) to a failed
+// trade. Unless the policy flattens, an open position keeps its TP/SL
+// monitor and BitFlow keeps running.
+async function handleTradeFailure(monitor, error, context) {
+    if (!monitor.failurePolicy) monitor.failurePolicy = new FailurePolicy({}, monitor.errorHandler);
+    const policy = monitor.failurePolicy;
+    const { action, escalated } = policy.record(error, context);
+    const why = escalated ? ' after too many recent errors' : '';
+    if (action === 'skip') {
+        printWarning(`Skipping this ${monitor.symbol} signal (${context} failed)`);
+    } else if (action === 'pause') {
+        printWarning(`Pausing new ${monitor.symbol} entries for ${policy.pauseMinutes} min${why}. Open positions stay protected.`);
+        monitor.sendDesktopNotification('Trading Paused', `${monitor.symbol} - New entries paused for ${policy.pauseMinutes} min: ${error.message}`);
+    } else {
+        printError(`Flattening ${monitor.symbol} and stopping${why}`);
+        monitor.sendDesktopNotification('Trading Stopped', `${monitor.symbol} - Flattening position and stopping: ${error.message}`);
+        await flattenPosition(monitor, 'Failure Policy');
+        monitor.stopMonitoring();
+    }
+    return action;
 }
 
 async function executeTrade(monitor, signal) {
+    let budget = null;
     try {
+        if (signal === 'BUY' && monitor.failurePolicy && monitor.failurePolicy.isPaused()) {
+            printStatus(`BUY signal skipped: new ${monitor.symbol} entries are paused`);
+            return;
+        }
+        if (signal === 'BUY' && monitor.tradeThrottle) {
+            const throttle = monitor.tradeThrottle.allowEntry();
+            if (!throttle.allowed) {
+                printWarning(`BUY signal skipped: ${monitor.symbol} entries are ${throttle.reason}`);
+                return;
+            }
+        }
         if (!monitor.currentPrice || isNaN(monitor.currentPrice)) {
             printError('Invalid current price, cannot execute trade');
             monitor.sendDesktopNotification('Trade Error', 'Invalid current price, cannot execute trade');
-            monitor.stopMonitoring();
-            process.exit(1);
+            await handleTradeFailure(monitor, new Error(`Invalid current price: ${monitor.currentPrice}`), 'price check');
             return;
         }
         // Get current positions and account info
-        const positions = await monitor.alpaca.getPositions();
-        const account = await monitor.alpaca.getAccount();
-        const currentPosition = positions.find(p => p.symbol === monitor.symbol.replace('/', ''));
-        const availableCash = parseFloat(account.cash);
-        const fixedQuantity = 0.0009; // Intended trade size
+        const currentPosition = await monitor.broker.getPosition(monitor.symbol);
+        // Correlation-aware weights load bars, so refresh them before the account is read
+        if (signal === 'BUY' && monitor.capitalBudget && monitor.capitalBudget.allocator) {
+            await monitor.capitalBudget.updateAllocation(await monitor.broker.getPositions());
+        }
+        // Monitors run together share the account: spend only this symbol's
+        // share. Account and positions are read together and claimed with no
+        // await in between, so another monitor's claim can't slip past the cash read.
+        const [account, positions] = await Promise.all([
+            monitor.broker.getAccount(),
+            signal === 'BUY' && monitor.capitalBudget ? monitor.broker.getPositions() : null
+        ]);
+        if (signal === 'BUY' && monitor.capitalBudget) {
+            budget = monitor.capitalBudget.claim(monitor.symbol, account, positions);
+            if (budget.cash < account.cash) printStatus(`Capital budget: $${budget.cash.toFixed(2)} for ${monitor.symbol} (capped by ${budget.cappedBy})`);
+        }
+        const availableCash = budget ? budget.cash : account.cash;
         let quantity;
         let takeProfitPercent = monitor.takeProfit;
         let stopLossPercent = monitor.stopLoss;
         if (signal === 'BUY' && !currentPosition) {
+            // A buy still working at the broker (e.g. from before a restart)
+            // would fill into the position this signal is about to open
+            const pendingBuys = monitor.orderTracker ? monitor.orderTracker.openOrders('buy') : [];
+            if (pendingBuys.length > 0) {
+                printWarning(`BUY signal ignored: buy order ${pendingBuys[0].id} for ${monitor.symbol} is still ${pendingBuys[0].state}`);
+                return;
+            }
+            const asset = await loadAsset(monitor);
             // Use Llama API/manual for position sizing and TP/SL
             let llamaResult = null;
             if (monitor.takeProfit === 'auto' || monitor.stopLoss === 'auto') {
                 llamaResult = await monitor.getPositionSizeWithLLM(availableCash, monitor.currentPrice, monitor.symbol);
             }
-            if (llamaResult && llamaResult.qty > 0) {
-                quantity = llamaResult.qty;
+            const aiSized = !!(llamaResult && llamaResult.qty > 0);
+            let sizing = null;
+            if (aiSized) {
+                quantity = roundQty(llamaResult.qty, asset);
                 if (monitor.takeProfit === 'auto') takeProfitPercent = llamaResult.takeProfit;
                 if (monitor.stopLoss === 'auto') stopLossPercent = llamaResult.stopLoss;
-                
+
                 // Save TP/SL values generated by Llama
                 monitor.saveTPSLValues(monitor.symbol, monitor.currentPrice, takeProfitPercent, stopLossPercent);
             } else {
-                // Calculate max affordable quantity
-                const maxAffordable = availableCash / monitor.currentPrice;
-                quantity = Math.min(fixedQuantity, maxAffordable);
-                // Round down to 6 decimals (BTC precision)
-                quantity = Math.floor(quantity * 1e6) / 1e6;
-                if (quantity <= 0) {
-                    printError(`Insufficient cash to buy any ${monitor.symbol}. Available cash: $${availableCash}`);
-                    monitor.sendDesktopNotification('Trade Error', `Insufficient cash to buy ${monitor.symbol}`);
-                    monitor.stopMonitoring();
-                    process.exit(1);
-                    return;
-                }
-                if (quantity < fixedQuantity) {
-                    printWarning(`Requested quantity (${fixedQuantity}) exceeds available cash. Adjusted to ${quantity}.`);
-                }
                 // Use manual TP/SL, clamp to 0.1-10%
                 if (monitor.takeProfit !== 'auto') takeProfitPercent = Math.max(0.1, Math.min(parseFloat(monitor.takeProfit), 10));
                 if (monitor.stopLoss !== 'auto') stopLossPercent = Math.max(0.1, Math.min(parseFloat(monitor.stopLoss), 10));
             }
+            if (monitor.positionSizer) {
+                // A configured sizing model decides the quantity; the AI still sets TP/SL
+                sizing = monitor.positionSizer.size({
+                    equity: account.equity,
+                    cash: availableCash,
+                    price: monitor.currentPrice,
+                    stopLossPercent: parseFloat(stopLossPercent),
+                    bars: monitor.historicalData,
+                    symbol: monitor.symbol,
+                    feeRate: feeSchedule(monitor).rate('taker'),
+                    asset
+                });
+                quantity = sizing.qty;
+                printStatus(`Position sizing - ${sizing.note}${sizing.cappedBy ? ` (capped by ${sizing.cappedBy})` : ''}`);
+            } else if (!aiSized) {
+                // Fixed trade value, capped by what the cash covers after fees
+                const tradeValue = (monitor.userSettings && monitor.userSettings.fixedTradeValue) || PositionSizer.DEFAULT_TRADE_VALUE;
+                const maxAffordable = availableCash / (monitor.currentPrice * (1 + feeSchedule(monitor).rate('taker')));
+                quantity = roundQty(Math.min(tradeValue / monitor.currentPrice, maxAffordable), asset);
+                if (maxAffordable < tradeValue / monitor.currentPrice) {
+                    printWarning(`Trade value $${tradeValue} exceeds available cash. Adjusted to ${quantity}.`);
+                }
+            }
+            if (quantity <= 0 && (sizing || !aiSized)) {
+                printError(`Insufficient cash to buy any ${monitor.symbol}. Available cash: $${availableCash}`);
+                monitor.sendDesktopNotification('Trade Error', `Insufficient cash to buy ${monitor.symbol}`);
+                await handleTradeFailure(monitor, new Error(`Insufficient cash: $${availableCash}`), 'position sizing');
+                return;
+            }
+            const sizeProblem = checkOrderSize(quantity, monitor.currentPrice, asset);
+            if (sizeProblem) {
+                printError(`Cannot size a ${monitor.symbol} order: ${sizeProblem}`);
+                monitor.sendDesktopNotification('Trade Error', `${monitor.symbol} - ${sizeProblem}`);
+                await handleTradeFailure(monitor, new Error(sizeProblem), 'position sizing');
+                return;
+            }
             printCard('BUY ORDER', [
               `Symbol: ${monitor.symbol}`,
               `Quantity: ${quantity}`,
@@ -406,25 +1142,95 @@ async function executeTrade(monitor, signal) {
             // Desktop notification for buy order
             monitor.sendDesktopNotification('Buy Order', `${monitor.symbol} - Buying ${quantity} at $${monitor.currentPrice.toFixed(2)}`);
             
-            // --- Place a simple market order for entry ---
+            // --- Place the entry; let the broker hold TP/SL when it can ---
+            const tpPct = parseFloat(takeProfitPercent);
+            const slPct = parseFloat(stopLossPercent);
+            const exitMode = isNaN(tpPct) || isNaN(slPct) ? 'local' : resolveExitOrderMode(monitor);
+            const takeProfitPrice = roundPrice(monitor.currentPrice * (1 + tpPct / 100), asset);
+            const stopLossPrice = roundPrice(monitor.currentPrice * (1 - slPct / 100), asset);
+            // Limit entries can't carry a bracket: exits go on once the real fill is known
+            const limitEntry = !!(monitor.userSettings && monitor.userSettings.entryOrderType === 'limit');
+            const reasoning = {
+                sizing: sizing ? sizing.mode : (aiSized ? 'ai' : 'fixed'),
+                sizingNote: sizing ? sizing.note : ((llamaResult && llamaResult.reasoning) || null),
+                availableCash,
+                takeProfitPercent: tpPct,
+                stopLossPercent: slPct,
+                exitMode: limitEntry ? 'limit entry' : exitMode
+            };
             let order;
             try {
-                order = await monitor.alpaca.createOrder({
-                    symbol: monitor.symbol.replace('/', ''),
-                    qty: quantity,
-                    side: 'buy',
-                    type: 'market',
-                    time_in_force: 'gtc'
-                });
-                printSuccess(`Order placed successfully: ${order.id}`);
+                if (limitEntry) {
+                    const checked = await preTradeAllows(monitor, signal, { symbol: monitor.symbol, qty: quantity, side: 'buy' }, asset);
+                    if (!checked) return;
+                    quantity = checked.qty;
+                    if (!(await riskAllows(monitor, signal, checked))) return;
+                    const clientOrderId = claimClientOrderId(monitor, signal);
+                    if (!clientOrderId) return;
+                    const fill = await executeLimitEntry(monitor.broker, {
+                        symbol: monitor.symbol,
+                        qty: quantity,
+                        signalPrice: monitor.currentPrice,
+                        options: limitEntryOptions(monitor.userSettings),
+                        clientOrderId,
+                        reasoning: { signal, price: monitor.currentPrice, ...reasoning },
+                        asset
+                    });
+                    if (fill.filledQty <= 0) {
+                        printWarning(`Limit entry for ${monitor.symbol} did not fill. Skipping this signal.`);
+                        monitor.sendDesktopNotification('Entry Cancelled', `${monitor.symbol} - Limit buy did not fill`);
+                        return;
+                    }
+                    order = { id: fill.orderIds[fill.orderIds.length - 1], filledQty: fill.filledQty, filledAvgPrice: fill.avgFillPrice };
+                } else if (exitMode === 'bracket') {
+                    order = await placeOrder(monitor, signal, {
+                        symbol: monitor.symbol,
+                        qty: quantity,
+                        side: 'buy',
+                        type: 'market',
+                        timeInForce: 'gtc',
+                        takeProfit: { limitPrice: takeProfitPrice },
+                        stopLoss: { stopPrice: stopLossPrice },
+                        reasoning
+                    }, 'submitBracketOrder');
+                    if (!order) return;
+                    printSuccess(`Bracket order filled: ${order.id} (TP $${takeProfitPrice}, SL $${stopLossPrice})`);
+                } else {
+                    order = await placeOrder(monitor, signal, {
+                        symbol: monitor.symbol,
+                        qty: quantity,
+                        side: 'buy',
+                        type: 'market',
+                        timeInForce: 'gtc',
+                        reasoning
+                    });
+                    if (!order) return;
+                    printSuccess(`Order filled: ${order.filledQty} @ $${order.filledAvgPrice.toFixed(2)}`);
+                }
                 monitor.sendDesktopNotification('Order Filled', `${monitor.symbol} - Buy order filled successfully`);
-                // Start monitoring for TP/SL in the background
-                monitorTakeProfitStopLoss(monitor, monitor.currentPrice, quantity, takeProfitPercent, stopLossPercent);
+                const entryPrice = order.filledAvgPrice || monitor.currentPrice;
+                const filledQty = order.filledQty || quantity;
+                openPosition(monitor, entryPrice, filledQty, { takeProfitPercent: tpPct, stopLossPercent: slPct });
+                if (monitor.tradeThrottle) monitor.tradeThrottle.recordEntry();
+                if (monitor.entryPlan) await placeLadderOrders(monitor, account);
+                // Watch the exits in the background
+                if (exitMode === 'bracket' && order.legs) {
+                    const legs = await anchorBracketLegs(monitor, order.legs, entryPrice, tpPct, slPct);
+                    monitorBrokerExits(monitor, legs, entryPrice, filledQty, tpPct, slPct)
+                        .catch(error => logApiError('Broker exit monitor', error));
+                } else if (exitMode !== 'local') {
+                    protectExistingPosition(monitor, entryPrice, filledQty, tpPct, slPct)
+                        .catch(error => logApiError('Exit protection', error));
+                } else {
+                    monitorTakeProfitStopLoss(monitor, entryPrice, filledQty, takeProfitPercent, stopLossPercent)
+                        .catch(error => logApiError('TP/SL monitor', error));
+                }
             } catch (error) {
                 logApiError('BUY order', error);
                 printError('Error executing buy order: ' + error.message);
                 monitor.sendDesktopNotification('Order Error', `${monitor.symbol} - Error executing buy order: ${error.message}`);
                 if (error.response && error.response.data) printError('Error details: ' + JSON.stringify(error.response.data));
+                await handleTradeFailure(monitor, error, 'buy order');
                 if (error.response && error.response.data && error.response.data.message && error.response.data.message.toLowerCase().includes('insufficient balance')) {
                     printWarning('Insufficient balance for buy order. Continuing monitoring.');
                 } else {
@@ -433,12 +1239,11 @@ async function executeTrade(monitor, signal) {
             }
         } else if (signal === 'SELL' && currentPosition) {
             // Only sell up to what you own
-            quantity = parseFloat(currentPosition.qty);
+            quantity = currentPosition.qty;
             if (quantity <= 0) {
                 printError(`No position to sell for ${monitor.symbol}.`);
                 monitor.sendDesktopNotification('Trade Error', `No position to sell for ${monitor.symbol}`);
-                monitor.stopMonitoring();
-                process.exit(1);
+                await handleTradeFailure(monitor, new Error(`Invalid position quantity: ${quantity}`), 'position sizing');
                 return;
             }
             printCard('SELL ORDER', [
@@ -452,14 +1257,17 @@ async function executeTrade(monitor, signal) {
             
             let order;
             try {
-                order = await monitor.alpaca.createOrder({
-                    symbol: monitor.symbol.replace('/', ''),
+                await cancelOpenOrders(monitor);
+                order = await placeOrder(monitor, signal, {
+                    symbol: monitor.symbol,
                     qty: quantity,
                     side: 'sell',
                     type: 'market',
-                    time_in_force: 'gtc'
+                    timeInForce: 'gtc'
                 });
-                printSuccess(`Order placed successfully: ${order.id}`);
+                if (!order) return;
+                quantity = order.filledQty;
+                printSuccess(`Order filled: ${order.filledQty} @ $${order.filledAvgPrice.toFixed(2)}`);
                 monitor.sendDesktopNotification('Order Filled', `${monitor.symbol} - Sell order filled successfully`);
             } catch (error) {
                 logApiError('SELL order', error);
@@ -468,16 +1276,19 @@ async function executeTrade(monitor, signal) {
                 if (error.response && error.response.data) {
                     printError('Error details: ' + JSON.stringify(error.response.data));
                 }
+                await handleTradeFailure(monitor, error, 'sell order');
                 return;
             }
             // Calculate and print profit/loss
-            const entryPrice = parseFloat(currentPosition.avg_entry_price);
-            const exitPrice = parseFloat(monitor.currentPrice);
+            const entryPrice = currentPosition.avgEntryPrice;
+            const exitPrice = parseFloat(order.filledAvgPrice || monitor.currentPrice);
             const pnl = (exitPrice - entryPrice) * quantity;
+            const fee = roundTripFee(monitor, entryPrice, exitPrice, quantity);
             const pnlStr = pnl >= 0 ? `Profit` : `Loss`;
             printCard('TRADE SUMMARY', [
               `Result: ${pnlStr}`,
               `PnL: $${pnl.toFixed(2)}`,
+              `Fees: $${fee.toFixed(2)} | Net: $${(pnl - fee).toFixed(2)}`,
               `Entry: $${entryPrice.toFixed(2)}`,
               `Exit: $${exitPrice.toFixed(2)}`,
               `Quantity: ${quantity}`
@@ -486,14 +1297,22 @@ async function executeTrade(monitor, signal) {
             
             // Log position trade with comprehensive data for training
             const pnlPercent = ((exitPrice - entryPrice) / entryPrice) * 100;
+            const position = monitor.activePosition || openPosition(monitor, entryPrice, quantity);
+            position.exits++;
             const tradeData = {
                 symbol: monitor.symbol,
                 timestamp: new Date().toISOString(),
+                exitId: `${position.id}-${position.exits}`,
+                parentPositionId: position.id,
+                partial: false,
+                remainingQuantity: 0,
                 entryPrice: entryPrice,
                 exitPrice: exitPrice,
                 quantity: quantity,
                 pnl: pnl,
                 pnlPercent: pnlPercent,
+                fee: fee,
+                netPnl: pnl - fee,
                 closeReason: 'Manual SELL',
                 takeProfitPercent: monitor.takeProfit,
                 stopLossPercent: monitor.stopLoss,
@@ -503,9 +1322,15 @@ async function executeTrade(monitor, signal) {
                 currentPrice: monitor.currentPrice
             };
             await logPositionTrade(monitor, tradeData);
+            if (monitor.tradeThrottle) monitor.tradeThrottle.recordExit(tradeData.netPnl);
             
             // Clear saved TP/SL values since position is closed
             monitor.clearTPSLValues(monitor.symbol);
+            await cancelLadderOrders(monitor, position);
+            monitor.activePosition = null;
+            savePosition(monitor);
+        } else if (signal === 'BUY' && currentPosition && monitor.entryPlan) {
+            await scaleIntoPosition(monitor, currentPosition, account, budget ? budget.cash : Infinity);
         }
     } catch (error) {
         logApiError('General trade execution', error);
@@ -514,9 +1339,22 @@ async function executeTrade(monitor, signal) {
         if (error.response && error.response.data) {
             printError('Error details: ' + JSON.stringify(error.response.data));
         }
-        monitor.stopMonitoring();
-        process.exit(1);
+        await handleTradeFailure(monitor, error, 'trade execution');
+    } finally {
+        if (budget) monitor.capitalBudget.release(monitor.symbol);
     }
 }
 
-module.exports = { executeTrade, monitorTakeProfitStopLoss, logPositionTrade }; 
\ No newline at end of file
+module.exports = {
+    executeTrade,
+    placeOrder,
+    handleTradeFailure,
+    monitorTakeProfitStopLoss,
+    monitorBrokerExits,
+    protectExistingPosition,
+    resolveExitOrderMode,
+    logPositionTrade,
+    cancelOpenOrders,
+    reportPositionClose,
+    logApiError
+}; 
\ No newline at end of file
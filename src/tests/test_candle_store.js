@@ -0,0 +1,134 @@
+// Test script for the local candle store (gaps, incremental backfill)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-candles-'));
+process.env.BITFLOW_STATE_DIR = tmpDir;
+process.env.BITFLOW_DATA_DIR = tmpDir;
+
+const CandleStore = require('../core/candleStore');
+const BitFlow = require('../core/BitFlow');
+const { createBroker } = require('../core/brokerAdapter');
+
+async function testCandleStore() {
+    console.log('🚀 Testing Candle Store\n');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+    const step = 5 * 60 * 1000;
+    // The venue's 5Min bars up to the one forming at `at`
+    let clock = Date.UTC(2024, 4, 1, 12, 2);
+    const now = () => clock;
+    const venueBars = (limit, at = clock) => {
+        const forming = Math.floor(at / step) * step;
+        return Array.from({ length: limit }, (_, i) => {
+            const time = forming - (limit - 1 - i) * step;
+            const c = 100 + (time / step) % 50;
+            return { t: new Date(time).toISOString(), o: c, h: c + 1, l: c - 1, c, v: 2 };
+        });
+    };
+    const requests = [];
+    const fetchBars = async (symbol, timeframe, limit) => {
+        requests.push(limit);
+        return venueBars(limit);
+    };
+
+    try {
+        // Test 1: Gap detection
+        console.log('1. Testing gap detection...');
+        const series = venueBars(10).filter((bar, i) => i !== 3 && i !== 6 && i !== 7);
+        const gaps = CandleStore.gaps(series, '5Min');
+        check(gaps.length === 2 && gaps[0].missing === 1 && gaps[1].missing === 2, 'Missing bars found between stored ones');
+        check(gaps[1].from === new Date(series[4].t).getTime() + step && gaps[1].to === new Date(series[5].t).getTime() - step, 'Gap range covers exactly the missing bars');
+
+        // Test 2: First start fetches, later ones only what is new
+        console.log('\n2. Testing incremental backfill...');
+        const store = new CandleStore({ fetchBars, now });
+        const first = await store.getBars('BTC/USD', '5Min', 100);
+        const file = path.join(tmpDir, 'BTCUSD_5Min.csv');
+        const onDisk = fs.readFileSync(file, 'utf8').trim().split('\n');
+        check(requests[0] === 100 && first.length === 100 && onDisk.length === 100, 'Empty store backfilled; 99 closed bars written, forming bar only returned');
+        check(first[99].timestamp === new Date(Math.floor(clock / step) * step).toISOString(), 'Forming bar returned last');
+        clock += 3 * step;
+        const restarted = new CandleStore({ fetchBars, now });
+        const next = await restarted.getBars('BTC/USD', '5Min', 100);
+        check(requests[1] === 5 && next.length === 100 && fs.readFileSync(file, 'utf8').trim().split('\n').length === 103, `Restart fetched ${requests[1]} bars and appended 3`);
+        await restarted.getBars('BTC/USD', '5Min', 100);
+        check(requests[2] === 2, 'An update within the same bar fetches 2 bars');
+
+        // Test 3: Gaps are filled once
+        console.log('\n3. Testing gap filling...');
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        fs.writeFileSync(file, lines.filter((line, i) => i < 40 || i > 45).join('\n') + '\n');
+        const gapped = new CandleStore({ fetchBars, now });
+        check(CandleStore.gaps(gapped.load('BTC/USD', '5Min'), '5Min')[0].missing === 6, 'Hole detected in the file');
+        const filled = await gapped.getBars('BTC/USD', '5Min', 90);
+        check(requests[3] === 64 && CandleStore.gaps(gapped.load('BTC/USD', '5Min'), '5Min').length === 0 && filled.length === 90, 'Fetched from the gap on and filled it');
+        const venueHole = new CandleStore({ fetchBars: async (symbol, timeframe, limit) => { requests.push(limit); return venueBars(limit).filter((bar, i) => i !== limit - 10); }, now, dir: path.join(tmpDir, 'hole') });
+        await venueHole.getBars('ETH/USD', '5Min', 50);
+        await venueHole.getBars('ETH/USD', '5Min', 50);
+        check(requests.slice(-2).join() === '50,10', 'A gap the venue doesn\'t have is asked for once');
+        await venueHole.getBars('ETH/USD', '5Min', 50);
+        check(requests[requests.length - 1] === 2, 'Then only the newest bars');
+
+        // Test 4: Offline
+        console.log('\n4. Testing offline reads...');
+        clock += 12 * step;
+        const offline = new CandleStore({ fetchBars: async () => { throw new Error('ENOTFOUND'); }, now });
+        check((await quiet(() => offline.getBars('BTC/USD', '5Min', 50))).length === 0, 'Stale store with no source gives no live bars');
+        check((await quiet(() => offline.getBars('BTC/USD', '5Min', 50, { allowStale: true }))).length === 50, 'Backtests read the stored bars');
+        const echo = new CandleStore({ fetchBars: async (symbol, timeframe, limit) => offline.load(symbol, timeframe).slice(-limit), now });
+        check((await echo.getBars('BTC/USD', '5Min', 50)).length === 0, 'Stale bars fetched back from the store\'s own files are still stale');
+        const replay = new CandleStore({ now });
+        check((await replay.getBars('BTC/USD', '5Min', 20, { allowStale: true })).length === 20 && CandleStore.fromConfig({ enabled: false }) === null, 'No fetcher, same bars; store can be turned off');
+
+        // Test 5: A monitor starts from the store
+        console.log('\n5. Testing the monitor wiring...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000 });
+        const limits = [];
+        const newMonitor = () => quiet(async () => {
+            const monitor = new BitFlow('SOL/USD', 20, 20, '5Min', null, 'auto', 'auto', {}, null, { broker, smartModelManager: {} });
+            monitor.requestBars = async (symbol, timeframe, limit) => {
+                limits.push(limit);
+                return venueBars(limit, Date.now());
+            };
+            return monitor;
+        });
+        const monitor = await newMonitor();
+        await quiet(() => monitor.initializeHistoricalData());
+        const restartedMonitor = await newMonitor();
+        await quiet(() => restartedMonitor.initializeHistoricalData());
+        check(limits[0] === 200 && limits[1] <= 3 && restartedMonitor.historicalData.length === 200, `Restarted monitor fetched ${limits[1]} bars, not 200`);
+        await quiet(() => restartedMonitor.getCryptoData());
+        check(limits[2] <= 3 && fs.existsSync(path.join(tmpDir, 'SOLUSD_5Min.csv')), 'Updates fetch only the newest bars');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Candle store tests passed' : `\n❌ ${failures} candle store check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testCandleStore().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testCandleStore };
@@ -0,0 +1,154 @@
+// Test script for correlation-aware capital allocation
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-allocator-'));
+process.env.BITFLOW_STATE_DIR = tmpDir;
+process.env.BITFLOW_DATA_DIR = tmpDir;
+
+const { createBroker } = require('../core/brokerAdapter');
+const CapitalAllocator = require('../core/capitalAllocator');
+const PortfolioRunner = require('../core/portfolioRunner');
+const ErrorHandler = require('../core/errorHandler');
+const { executeTrade } = require('../core/tradeUtils');
+
+async function testCapitalAllocator() {
+    console.log('🚀 Testing Capital Allocator\n');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+    // Repeatable noise, so the correlations are the same every run
+    let seed = 7;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+    // 201 five-minute bars ending with the one forming now, so the candle store takes them as live
+    const start = Math.floor(Date.now() / 300000) * 300000 - 200 * 300000;
+    const barsFrom = (returns, first) => {
+        const bars = [{ t: new Date(start).toISOString(), c: first, o: first, h: first, l: first, v: 10 }];
+        returns.forEach((r, i) => {
+            const c = bars[i].c * (1 + r);
+            bars.push({ t: new Date(start + (i + 1) * 300000).toISOString(), c, o: c, h: c, l: c, v: 10 });
+        });
+        return bars;
+    };
+    // BTC is the market factor, ETH mostly the same factor, PAXG its own thing
+    const factor = Array.from({ length: 200 }, () => noise() * 0.02);
+    const series = {
+        'BTC/USD': barsFrom(factor, 100),
+        'ETH/USD': barsFrom(factor.map(f => f * 1.2 + noise() * 0.004), 50),
+        'PAXG/USD': barsFrom(factor.map(() => noise() * 0.01), 20)
+    };
+
+    try {
+        // Test 1: Weights from a covariance matrix
+        console.log('1. Testing the weighting...');
+        const diagonal = [[0.04, 0], [0, 0.01]];
+        const inverse = CapitalAllocator.inverseVolatilityWeights(diagonal);
+        check(close(inverse[0], 1 / 3) && close(inverse[1], 2 / 3), 'Inverse-volatility weights');
+        check(CapitalAllocator.riskParityWeights(diagonal).every((w, i) => close(w, inverse[i], 1e-4)), 'Uncorrelated risk parity is inverse volatility');
+        const correlated = [[0.04, 0.018, 0], [0.018, 0.01, 0], [0, 0, 0.02]];
+        const weights = CapitalAllocator.riskParityWeights(correlated);
+        const contributions = weights.map((w, i) => w * correlated[i].reduce((sum, c, j) => sum + c * weights[j], 0));
+        check(contributions.every(c => close(c, contributions[0], 1e-8)) && close(weights.reduce((a, b) => a + b, 0), 1), 'Equal risk contributions');
+
+        // Test 2: Allocation from bars
+        console.log('\n2. Testing allocations from bars...');
+        const parity = new CapitalAllocator({ method: 'riskParity', lookback: 150 }).compute(['BTCUSD', 'ETH/USD', 'PAXG/USD'], series);
+        check(parity.observations === 150 && parity.correlation['BTC/USD']['ETH/USD'] > 0.9, `BTC/ETH correlation ${parity.correlation['BTC/USD']['ETH/USD'].toFixed(2)}`);
+        const shares = Object.entries(parity.weights).map(([symbol, w]) => `${symbol} ${(w * 100).toFixed(0)}%`).join(', ');
+        check(parity.weights['PAXG/USD'] > parity.weights['BTC/USD'] && parity.weights['PAXG/USD'] > parity.weights['ETH/USD'], `Uncorrelated pair gets the biggest share: ${shares}`);
+        const partial = new CapitalAllocator().compute(['BTC/USD', 'DOGE/USD'], { 'BTC/USD': series['BTC/USD'] });
+        check(partial.weights['DOGE/USD'] === 0.5 && close(partial.weights['BTC/USD'], 0.5) && partial.note.includes('DOGE/USD'), 'Symbols without bars take an equal share');
+        const penalty = new CapitalAllocator({ method: 'correlationPenalty' });
+        penalty.allocation = penalty.compute(['BTC/USD', 'ETH/USD', 'PAXG/USD'], series);
+        const free = penalty.capFor('ETH/USD', 3000, {});
+        const withBtc = penalty.capFor('ETH/USD', 3000, { 'BTC/USD': 500 });
+        check(withBtc < free - 450 && penalty.capFor('PAXG/USD', 3000, { 'BTC/USD': 500 }) > penalty.capFor('PAXG/USD', 3000, {}) - 100, `BTC held counts against ETH ($${free.toFixed(0)} -> $${withBtc.toFixed(0)}), barely against PAXG`);
+        let fetched = 0;
+        const cached = new CapitalAllocator({ fetchBars: async symbol => { fetched++; return series[symbol]; } });
+        await cached.update(['BTC/USD', 'ETH/USD']);
+        await cached.update(['ETH/USD', 'BTC/USD']);
+        await cached.update(['BTC/USD', 'ETH/USD', 'PAXG/USD']);
+        check(fetched === 5, 'Weights reused until the group changes');
+        let rejected = false;
+        try {
+            new CapitalAllocator({ method: 'equal' });
+        } catch (error) {
+            rejected = error.message.includes('Unknown allocation method');
+        }
+        check(rejected && CapitalAllocator.fromConfig(null) === null, 'Unknown methods rejected, no config no allocator');
+
+        // Test 3: Entries sized by the allocation
+        console.log('\n3. Testing correlation-aware entry sizing...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000, slippageBps: 0, takerFee: 0 });
+        Object.entries(series).forEach(([symbol, bars]) => broker.updatePrice(symbol, bars[bars.length - 1].c));
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        errorHandler.logError = () => {};
+        const runner = await quiet(async () => new PortfolioRunner(['BTC/USD', 'ETH/USD', 'PAXG/USD'], {
+            broker,
+            budget: 3000,
+            maxSymbolPercent: 100,
+            allocation: { method: 'correlationPenalty', lookback: 150 },
+            takeProfit: 4,
+            stopLoss: 2,
+            errorHandler,
+            smartModelManager: {}
+        }));
+        check(runner.capitalBudget.allocator === runner.allocator && runner.allocator.method === 'correlationPenalty', 'Runner budget uses the configured allocator');
+        for (const monitor of runner.monitors) {
+            monitor.requestBars = async symbol => series[symbol] || [];
+            monitor.userSettings = { ...monitor.userSettings, exitOrderMode: 'local', entryOrderType: 'market', fixedTradeValue: 3000 };
+            monitor.positionSizer = null;
+            monitor.preTradeChecks = null;
+            monitor.sendDesktopNotification = () => {};
+            monitor.saveTPSLValues = () => {};
+        }
+        await quiet(() => Promise.all(runner.monitors.map(m => runner.prepare(m))));
+        const [btcMonitor, ethMonitor] = runner.monitors;
+        await quiet(() => executeTrade(btcMonitor, 'BUY'));
+        const btcHeld = (await broker.getPosition('BTC/USD')).marketValue;
+        const ethCap = runner.allocator.capFor('ETH/USD', 3000, { 'BTC/USD': btcHeld });
+        await quiet(() => executeTrade(ethMonitor, 'BUY'));
+        const ethPosition = await broker.getPosition('ETH/USD');
+        const ethHeld = ethPosition ? ethPosition.marketValue : 0;
+        check(btcHeld > 0 && btcHeld <= runner.allocator.allocation.weights['BTC/USD'] * 3000 + 1, `BTC entry sized to its weight: $${btcHeld.toFixed(2)}`);
+        check(ethHeld <= Math.max(0, ethCap) + 1 && ethHeld < runner.allocator.allocation.weights['ETH/USD'] * 3000, `ETH entry cut for the BTC already held: $${ethHeld.toFixed(2)}`);
+        const status = runner.capitalBudget.status(await broker.getAccount(), await broker.getPositions());
+        check(status.symbols.every(s => s.weight > 0 && s.cap <= 3000), 'Status shows each symbol\'s weight');
+        runner.monitors.forEach(m => { m.activePosition = null; }); // lets the local TP/SL loops finish
+        await quiet(async () => runner.stop());
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Capital allocator tests passed' : `\n❌ ${failures} capital allocator check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testCapitalAllocator().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testCapitalAllocator };
@@ -0,0 +1,217 @@
+// Test script for the Alpaca crypto stream client and candle builder
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-stream-'));
+process.env.BITFLOW_STATE_DIR = tmpDir;
+process.env.BITFLOW_DATA_DIR = tmpDir;
+
+const AlpacaCryptoStream = require('../core/alpacaCryptoStream');
+const CandleBuilder = require('../core/candleBuilder');
+const BitFlow = require('../core/BitFlow');
+const { createBroker } = require('../core/brokerAdapter');
+
+// A local stand-in for stream.data.alpaca.markets speaking its protocol
+function fakeAlpaca(options = {}) {
+    const server = new WebSocket.Server({ port: 0, host: '127.0.0.1', autoPong: options.autoPong !== false });
+    const venue = { server, sockets: [], received: [] };
+    server.on('connection', socket => {
+        venue.sockets.push(socket);
+        socket.on('message', data => {
+            const message = JSON.parse(data.toString());
+            venue.received.push(message);
+            if (message.action === 'auth') {
+                if (message.key === 'key' && message.secret === 'secret') {
+                    socket.send(JSON.stringify([{ T: 'success', msg: 'authenticated' }]));
+                } else {
+                    socket.send(JSON.stringify([{ T: 'error', code: 402, msg: 'auth failed' }]));
+                    socket.close();
+                }
+            } else if (message.action === 'subscribe') {
+                socket.send(JSON.stringify([{ T: 'subscription', trades: message.trades, quotes: message.quotes, bars: message.bars }]));
+            }
+        });
+        socket.send(JSON.stringify([{ T: 'success', msg: 'connected' }]));
+    });
+    venue.url = () => `ws://127.0.0.1:${server.address().port}`;
+    venue.push = messages => venue.sockets.forEach(socket => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(messages));
+    });
+    venue.close = () => new Promise(resolve => {
+        venue.sockets.forEach(socket => socket.terminate());
+        server.close(resolve);
+    });
+    return new Promise(resolve => server.on('listening', () => resolve(venue)));
+}
+
+async function testCryptoStream() {
+    console.log('🚀 Testing Alpaca Crypto Stream\n');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const logs = [];
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = (...args) => logs.push(args.join(' '));
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    // Wait for a condition, giving up after timeoutMs
+    const until = async (condition, timeoutMs = 3000) => {
+        const started = Date.now();
+        while (!condition() && Date.now() - started < timeoutMs) await sleep(10);
+        return condition();
+    };
+    const subscriptions = venue => venue.received.filter(m => m.action === 'subscribe');
+    const venues = [];
+    const streams = [];
+    const open = async options => {
+        const venue = await fakeAlpaca(options);
+        venues.push(venue);
+        return venue;
+    };
+    const connect = (url, options = {}) => {
+        const stream = new AlpacaCryptoStream({ url, keyId: 'key', secretKey: 'secret', minDelaySeconds: 0.05, maxDelaySeconds: 0.2, ...options });
+        streams.push(stream);
+        return stream;
+    };
+
+    try {
+        // Test 1: Sign-in, subscriptions and messages
+        console.log('1. Testing sign-in and subscriptions...');
+        const venue = await open();
+        const stream = connect(venue.url());
+        const btc = { trades: [], quotes: [], bars: [], states: [] };
+        const unsubscribeBtc = stream.subscribe('BTCUSD', {
+            trade: t => btc.trades.push(t),
+            quote: q => btc.quotes.push(q),
+            bar: b => btc.bars.push(b),
+            status: s => btc.states.push(s)
+        });
+        await until(() => subscriptions(venue).length === 1);
+        const auth = venue.received.find(m => m.action === 'auth');
+        check(auth && auth.key === 'key' && stream.isLive() && btc.states.join() === 'connecting,authenticating,streaming', 'Signs in once the venue says connected');
+        check(JSON.stringify(subscriptions(venue)[0]) === JSON.stringify({ action: 'subscribe', trades: ['BTC/USD'], quotes: ['BTC/USD'], bars: ['BTC/USD'] }), 'Subscribes trades, quotes and bars with the Alpaca ticker');
+        venue.push([
+            { T: 't', S: 'BTC/USD', p: 64000.5, s: 0.01, t: '2024-05-01T12:00:01.5Z', i: 1, tks: 'B' },
+            { T: 'q', S: 'BTC/USD', bp: 63999, bs: 1, ap: 64001, as: 2, t: '2024-05-01T12:00:02Z' },
+            { T: 'b', S: 'BTC/USD', o: 63900, h: 64100, l: 63850, c: 64000, v: 12.5, t: '2024-05-01T12:00:00Z' },
+            { T: 't', S: 'ETH/USD', p: 3000, s: 1, t: '2024-05-01T12:00:03Z' }
+        ]);
+        await until(() => btc.bars.length === 1);
+        check(btc.trades.length === 1 && btc.trades[0].price === 64000.5 && btc.trades[0].time === Date.parse('2024-05-01T12:00:01.5Z'), 'Trades parsed and routed to their symbol only');
+        check(btc.quotes[0].mid === 64000 && btc.bars[0].close === 64000 && btc.bars[0].volume === 12.5 && btc.bars[0].timestamp === '2024-05-01T12:00:00.000Z', 'Quotes and minute bars parsed');
+        const unsubscribeEth = stream.subscribe('ETH/USD', {});
+        await until(() => subscriptions(venue).length === 2);
+        check(subscriptions(venue)[1].trades.join() === 'ETH/USD', 'A symbol added later is subscribed on its own');
+        unsubscribeEth();
+        await until(() => venue.received.some(m => m.action === 'unsubscribe'));
+        check(venue.received.find(m => m.action === 'unsubscribe').bars.join() === 'ETH/USD' && stream.isLive(), 'Its last listener leaving unsubscribes it');
+
+        // Test 2: Reconnects
+        console.log('\n2. Testing reconnects...');
+        venue.sockets.forEach(socket => socket.terminate());
+        await quiet(() => until(() => subscriptions(venue).length === 3));
+        check(stream.isLive() && stream.reconnects === 1 && btc.states.slice(-4).join() === 'reconnecting,connecting,authenticating,streaming', 'Dropped connection reopened and signed in again');
+        check(subscriptions(venue)[2].trades.join() === 'BTC/USD', 'Subscriptions restored after reconnecting');
+        unsubscribeBtc();
+        check(stream.state === 'closed' && stream.socket === null, 'Last listener leaving closes the stream');
+        const refused = connect(venue.url().replace(/:\d+$/, ':1'), { minDelaySeconds: 0.02, maxDelaySeconds: 0.08 });
+        logs.length = 0;
+        const unsubscribeRefused = refused.subscribe('BTC/USD', {});
+        await quiet(() => until(() => refused.reconnects >= 4));
+        unsubscribeRefused();
+        const delays = logs.filter(line => line.includes('reconnecting in')).map(line => line.match(/in ([\d.]+)s/)[1]);
+        check(delays.slice(0, 4).join() === '0.02,0.04,0.08,0.08', `Backoff doubles up to the cap (${delays.slice(0, 4).join('s, ')}s)`);
+        const denied = connect(venue.url(), { secretKey: 'wrong', minDelaySeconds: 0.01, maxDelaySeconds: 0.3 });
+        logs.length = 0;
+        const unsubscribeDenied = denied.subscribe('BTC/USD', {});
+        await quiet(() => until(() => denied.reconnects >= 1));
+        unsubscribeDenied();
+        check(denied.lastError === '402 auth failed' && logs.some(line => line.includes('reconnecting in 0.3s')), 'Rejected sign-in waits the longest delay');
+
+        // Test 3: Heartbeats
+        console.log('\n3. Testing heartbeats...');
+        const silent = await open({ autoPong: false });
+        const quietStream = connect(silent.url(), { heartbeatSeconds: 0.05 });
+        const unsubscribeQuiet = quietStream.subscribe('BTC/USD', {});
+        await quiet(() => until(() => quietStream.reconnects >= 1));
+        check(quietStream.reconnects >= 1 && /no heartbeat/.test(quietStream.lastError), 'A silent connection is dropped and reopened');
+        unsubscribeQuiet();
+        const healthy = connect(venue.url(), { heartbeatSeconds: 0.05 });
+        const unsubscribeHealthy = healthy.subscribe('BTC/USD', {});
+        await sleep(300);
+        check(healthy.isLive() && healthy.reconnects === 0, 'Pongs keep a quiet but healthy connection open');
+        unsubscribeHealthy();
+
+        // Test 4: Candle builder
+        console.log('\n4. Testing the candle builder...');
+        const start = Date.UTC(2024, 4, 1, 12, 0);
+        const seeded = [
+            { timestamp: new Date(start - 300000).toISOString(), open: 99, high: 101, low: 98, close: 100, volume: 5 },
+            { timestamp: new Date(start).toISOString(), open: 100, high: 100.5, low: 99.5, close: 100, volume: 1 }
+        ];
+        const builder = new CandleBuilder({ timeframe: '5Min', now: () => start + 90000 });
+        const live = builder.seed(seeded);
+        builder.addTrade({ price: 102, time: start + 90000 });
+        builder.addMinuteBar({ timestamp: new Date(start + 60000).toISOString(), open: 100, high: 101, low: 99, close: 100.8, volume: 3 });
+        check(live[1].high === 102 && live[1].low === 99 && live[1].close === 100.8 && live[1].volume === 4 && seeded[1].high === 100.5, 'Trades and minute bars fold into the forming bar without touching the fetched one');
+        builder.addMinuteBar({ timestamp: new Date(start).toISOString(), open: 100, high: 100.5, low: 99.5, close: 100, volume: 1 });
+        check(live[1].volume === 4, 'Minutes already in the fetched bar are not counted twice');
+        const closed = builder.addTrade({ price: 103, time: start + 300000 + 5000 });
+        check(closed && closed.close === 100.8 && live.length === 3 && live[2].open === 103 && live[2].timestamp === new Date(start + 300000).toISOString(), 'A trade in the next period closes the bar and opens another');
+        check(builder.addTrade({ price: 50, time: start - 600000 }) === null && live[2].low === 103, 'Late trades for older bars ignored');
+
+        // Test 5: A monitor priced by the stream
+        console.log('\n5. Testing the monitor wiring...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000 });
+        const shared = connect(venue.url());
+        const monitor = await quiet(async () => new BitFlow('BTC/USD', 20, 20, '1Min', null, 'auto', 'auto', {}, null, { broker, smartModelManager: {}, priceStream: shared }));
+        monitor.requestBars = async (symbol, timeframe, limit) => {
+            const forming = Math.floor(Date.now() / 60000) * 60000;
+            return Array.from({ length: limit }, (_, i) => ({ t: new Date(forming - (limit - 1 - i) * 60000).toISOString(), o: 100, h: 101, l: 99, c: 100, v: 1 }));
+        };
+        await quiet(() => monitor.initializeHistoricalData());
+        await quiet(async () => {
+            monitor.startPriceStream();
+            await until(() => monitor.isStreaming());
+        });
+        const next = monitor.waitForPrice(2000);
+        venue.push([{ T: 't', S: 'BTC/USD', p: 105.5, s: 0.2, t: new Date().toISOString() }]);
+        check(await next === 105.5 && monitor.currentPrice === 105.5 && broker.getLastPrice('BTC/USD') === 105.5, 'Streamed trades move the current price and wake price waiters');
+        const bar = monitor.historicalData[monitor.historicalData.length - 1];
+        check(bar.close === 105.5 && bar.high === 105.5 && monitor.historicalData.length === 200, 'Forming bar updated in place of the fetched one');
+        await quiet(() => monitor.getCryptoData());
+        check(monitor.currentPrice === 105.5, 'Bar updates don\'t overwrite a fresher streamed price');
+        check(await monitor.waitForPrice(50) === null, 'Waiting for a price times out');
+        await quiet(() => monitor.stopPriceStream());
+        check(!monitor.isStreaming() && shared.state === 'closed', 'Stopping the monitor releases the stream');
+    } finally {
+        streams.forEach(stream => stream.close());
+        await Promise.all(venues.map(venue => venue.close()));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Crypto stream tests passed' : `\n❌ ${failures} crypto stream check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testCryptoStream().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testCryptoStream };
@@ -0,0 +1,66 @@
+// Test script for scale-in / DCA entry plans
+const EntryPlan = require('../core/entryPlan');
+
+async function testEntryPlan() {
+    console.log('🚀 Testing Entry Plans\n');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+
+    // Test 1: Average cost tracking
+    console.log('1. Testing average cost...');
+    const position = EntryPlan.openPosition('BTCUSD-1', 100, 1);
+    EntryPlan.addEntry(position, 90, 1);
+    check(position.avgEntryPrice === 95 && position.qty === 2 && position.entries.length === 2, `Average entry $${position.avgEntryPrice} over 2 entries`);
+    EntryPlan.reduce(position, 0.5);
+    check(position.avgEntryPrice === 95 && position.qty === 1.5, 'Partial exit keeps the average cost');
+    EntryPlan.addEntry(position, 110, 1.5);
+    check(Math.abs(position.avgEntryPrice - 102.5) < 1e-9, `Re-averaged after add: $${position.avgEntryPrice}`);
+
+    // Test 2: Pyramid adds respect move, entry and exposure caps
+    console.log('\n2. Testing pyramid plan...');
+    const pyramid = new EntryPlan({ mode: 'pyramid', maxEntries: 3, sizeFraction: 0.5, minMovePercent: 1, maxExposureUsd: 400 });
+    const held = EntryPlan.openPosition('BTCUSD-2', 100, 2);
+    check(pyramid.pyramidAdd(held, 100.5, {}) === 0, 'No add before price moves 1%');
+    check(pyramid.pyramidAdd(held, 102, {}) === 1, 'Adds half the first size after the move');
+    EntryPlan.addEntry(held, 102, 1);
+    const capped = pyramid.pyramidAdd(held, 104, {});
+    check(capped < 1 && Math.abs((held.qty + capped) * 104 - 400) < 1e-9, `Add trimmed to exposure cap (${capped.toFixed(4)})`);
+    EntryPlan.addEntry(held, 104, capped);
+    check(pyramid.pyramidAdd(held, 110, {}) === 0, 'No add past maxEntries');
+    const percentCap = new EntryPlan({ mode: 'pyramid', maxExposurePercent: 10 });
+    check(percentCap.pyramidAdd(EntryPlan.openPosition('x', 100, 10), 100, { equity: 10000 }) === 0, 'Exposure percent of equity enforced');
+
+    // Test 3: Ladder rungs below the first entry
+    console.log('\n3. Testing ladder plan...');
+    const ladder = new EntryPlan({ mode: 'ladder', rungs: [{ dropPercent: 2 }, { dropPercent: 1 }, { dropPercent: 3, sizeFraction: 2 }] });
+    const rungs = ladder.ladderOrders(EntryPlan.openPosition('ETHUSD-1', 2000, 1), {});
+    check(rungs.length === 3 && rungs.map(r => r.price).join(',') === '1980,1960,1940', `Rungs at ${rungs.map(r => r.price).join(', ')}`);
+    check(rungs[2].qty === 2, 'Rung size fraction applied');
+    const cappedLadder = new EntryPlan({ mode: 'ladder', rungs: [{ dropPercent: 1 }, { dropPercent: 2 }], maxExposureUsd: 3000 });
+    check(cappedLadder.ladderOrders(EntryPlan.openPosition('ETHUSD-2', 2000, 1), {}).length === 1, 'Ladder stops at the exposure cap');
+
+    // Test 4: Config handling
+    console.log('\n4. Testing config...');
+    check(EntryPlan.fromConfig(null) === null && EntryPlan.fromConfig({}) === null, 'No plan when unconfigured');
+    try {
+        new EntryPlan({ mode: 'martingale' });
+        check(false, 'Unknown mode should throw');
+    } catch (error) {
+        check(error.message.includes('Unknown entry plan mode'), 'Unknown mode rejected');
+    }
+
+    console.log(failures === 0 ? '\n🎉 Entry plan tests passed' : `\n❌ ${failures} entry plan check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testEntryPlan().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testEntryPlan };
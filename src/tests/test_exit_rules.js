@@ -0,0 +1,152 @@
+// Test script for the composable exit rule engine
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExitRuleEngine = require('../core/exitRules');
+const EntryPlan = require('../core/entryPlan');
+const ErrorHandler = require('../core/errorHandler');
+const FailurePolicy = require('../core/failurePolicy');
+const { createBroker, makeClientOrderId } = require('../core/brokerAdapter');
+const { monitorTakeProfitStopLoss } = require('../core/tradeUtils');
+
+function runPath(engine, prices, entryPrice = 100) {
+    const state = engine.createState({ entryPrice, entryTime: 0, entryIndex: 0 });
+    for (let i = 0; i < prices.length; i++) {
+        const decision = engine.evaluate(state, { price: prices[i], index: i + 1, time: (i + 1) * 60000, bars: [entryPrice, ...prices.slice(0, i + 1)] });
+        if (decision.exit) return { ...decision, index: i, price: prices[i] };
+    }
+    return { exit: false, stopPrice: state.stopPrice };
+}
+
+async function testExitRules() {
+    console.log('🚀 Testing Exit Rule Engine\n');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+
+    // Test 1: Fixed TP / SL
+    console.log('1. Testing fixed take profit and stop loss...');
+    const fixed = ExitRuleEngine.fromConfig([], { takeProfitPercent: 2, stopLossPercent: 1 });
+    check(runPath(fixed, [100.5, 101, 102.1]).reason === 'Take Profit Hit', 'Take profit hit at +2%');
+    check(runPath(fixed, [99.5, 98.9]).reason === 'Stop Loss Hit', 'Stop loss hit at -1%');
+
+    // Test 2: Trailing stop follows the high and never moves down
+    console.log('\n2. Testing trailing stop...');
+    const trailing = ExitRuleEngine.fromConfig([{ type: 'trailingStop', percent: 1 }], { stopLossPercent: 5 });
+    const trailed = runPath(trailing, [101, 103, 105, 104.5, 103.9]);
+    check(trailed.reason === 'Trailing Stop' && trailed.price === 103.9, `Trailing stop exited at ${trailed.price} (stop ${trailed.stopPrice && trailed.stopPrice.toFixed(2)})`);
+
+    // Test 3: Break-even after +1%
+    console.log('\n3. Testing break-even stop...');
+    const breakEven = ExitRuleEngine.fromConfig([{ type: 'breakEven', triggerPercent: 1, offsetPercent: 0.1 }], { stopLossPercent: 3 });
+    const be = runPath(breakEven, [100.5, 101.2, 100.6, 100.05]);
+    check(be.reason === 'Break-Even Stop' && be.price === 100.05, 'Stop moved to break-even and hit');
+
+    // Test 4: Time stop
+    console.log('\n4. Testing time stop...');
+    const timeStop = ExitRuleEngine.fromConfig([{ type: 'timeStop', maxBars: 3 }], { takeProfitPercent: 10, stopLossPercent: 10 });
+    check(runPath(timeStop, [100, 100.1, 100.2, 100.3]).index === 2, 'Exited after 3 bars');
+    const minutesStop = ExitRuleEngine.fromConfig([{ type: 'timeStop', maxMinutes: 2 }], {});
+    check(runPath(minutesStop, [100, 100, 100]).reason === 'Time Stop', 'Exited after max minutes');
+
+    // Test 5: Chandelier exit on OHLC bars
+    console.log('\n5. Testing chandelier exit...');
+    const chandelier = new ExitRuleEngine([{ type: 'chandelier', period: 5, multiplier: 2 }]);
+    const bars = [100, 102, 104, 106, 108].map(c => ({ high: c + 1, low: c - 1, close: c }));
+    const cState = chandelier.createState({ entryPrice: 100 });
+    const hold = chandelier.evaluate(cState, { price: 108, bars });
+    const atr = ExitRuleEngine.calculateATR(bars, 5);
+    check(!hold.exit && Math.abs(hold.stopPrice - (109 - 2 * atr)) < 1e-9, `Chandelier stop at ${hold.stopPrice.toFixed(2)}`);
+    check(chandelier.evaluate(cState, { price: 103, bars }).reason === 'Chandelier Exit', 'Chandelier exit triggered');
+
+    // Test 6: Indicator exits
+    console.log('\n6. Testing indicator exits...');
+    const indicator = ExitRuleEngine.fromConfig([{ type: 'indicator', indicator: 'maCrossunder' }], { stopLossPercent: 5 });
+    const iState = indicator.createState({ entryPrice: 100 });
+    check(indicator.evaluate(iState, { price: 100, indicators: { maCrossunder: true } }).reason === 'MA Crossunder', 'Precomputed MA crossunder respected');
+    const custom = new ExitRuleEngine([{ type: 'indicator', name: 'Down Tick', when: (state, ctx) => ctx.price < 100 }]);
+    check(custom.evaluate(custom.createState({ entryPrice: 100 }), { price: 99 }).reason === 'Down Tick', 'Custom indicator rule');
+    try {
+        new ExitRuleEngine([{ type: 'bogus' }]);
+        check(false, 'Unknown rule should throw');
+    } catch (error) {
+        check(error.message.includes('Unknown exit rule'), 'Unknown rule rejected');
+    }
+
+    // Test 7: Scale-out tiers exit in parts, trailing stop closes the rest
+    console.log('\n7. Testing scale-out tiers...');
+    const scaleOut = ExitRuleEngine.fromConfig([
+        { type: 'scaleOut', tiers: [{ percent: 2, fraction: 0.5 }, { percent: 4, fraction: 0.3 }] },
+        { type: 'trailingStop', percent: 1, activationPercent: 4 }
+    ], { takeProfitPercent: 2, stopLossPercent: 3 });
+    const sState = scaleOut.createState({ entryPrice: 100 });
+    const exits = [101, 102.5, 103, 104.2, 106, 104.8].map(price => scaleOut.evaluate(sState, { price })).filter(d => d.exit);
+    check(exits.length === 3, `Three exits recorded (${exits.map(d => d.reason).join(', ')})`);
+    check(exits[0].partial && exits[0].fraction === 0.5 && exits[0].reason === 'Take Profit 1', 'TP1 sells 50%');
+    check(exits[1].partial && exits[1].fraction === 0.3 && exits[1].tier === 2, 'TP2 sells 30%');
+    check(!exits[2].partial && exits[2].reason === 'Trailing Stop', 'Remainder closed by trailing stop');
+    const fullTiers = new ExitRuleEngine([{ type: 'scaleOut', tiers: [{ percent: 1, fraction: 0.5 }, { percent: 2, fraction: 0.5 }] }]);
+    const fState = fullTiers.createState({ entryPrice: 100 });
+    fullTiers.evaluate(fState, { price: 101 });
+    check(!fullTiers.evaluate(fState, { price: 102 }).partial, 'Last tier of a fully allocated plan closes the position');
+
+    // Test 8: A tier whose sell didn't go out is retried, a sold one is not sold again
+    console.log('\n8. Testing scale-out orders from the TP/SL monitor...');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-exits-'));
+    try {
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000, slippageBps: 0, takerFee: 0 });
+        broker.updatePrice('BTC/USD', 100);
+        await broker.submitOrder({ symbol: 'BTC/USD', qty: 1, side: 'buy', type: 'market', timeInForce: 'gtc' });
+        // The tier's order ID is taken at first, so placeOrder sends nothing
+        const barTime = Date.UTC(2024, 4, 1, 12);
+        const takenId = makeClientOrderId({ symbol: 'BTC/USD', signal: 'Take Profit 1', barTime });
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        errorHandler.logError = () => {};
+        const monitor = {
+            symbol: 'BTC/USD',
+            broker,
+            errorHandler,
+            failurePolicy: FailurePolicy.fromSettings({}, errorHandler),
+            userSettings: {},
+            exitRules: [{ type: 'scaleOut', tiers: [{ percent: 2, fraction: 0.5 }] }],
+            activePosition: EntryPlan.openPosition('BTCUSD-1', 100, 1),
+            currentPrice: 103,
+            historicalData: [{ timestamp: new Date(barTime).toISOString(), close: 100 }],
+            submittedOrderIds: new Set([takenId]),
+            isStreaming: () => true,
+            waitForPrice: () => Promise.resolve(),
+            sendDesktopNotification() {},
+            clearTPSLValues() {},
+            getCryptoData: async () => []
+        };
+        broker.updatePrice('BTC/USD', 103);
+        const log = console.log;
+        console.log = () => {};
+        const watching = monitorTakeProfitStopLoss(monitor, 100, 1, 10, 5);
+        setTimeout(() => monitor.submittedOrderIds.delete(takenId), 1500);
+        await new Promise(resolve => setTimeout(resolve, 3500));
+        console.log = log;
+        const sells = (await broker.getOrders({ status: 'closed' })).filter(o => o.side === 'sell' && o.status === 'filled');
+        const held = await broker.getPosition('BTC/USD');
+        check(sells.length === 1 && held && held.qty === 0.5, `Tier retried after sending nothing, then sold once (${sells.length} sell, ${held ? held.qty : 0} held)`);
+        monitor.activePosition = null;
+        await watching;
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Exit rule tests passed' : `\n❌ ${failures} exit rule check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testExitRules().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testExitRules };
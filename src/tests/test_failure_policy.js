@@ -0,0 +1,116 @@
+// Test script for the executeTrade failure policy (skip / pause / flatten, escalation)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const FailurePolicy = require('../core/failurePolicy');
+const ErrorHandler = require('../core/errorHandler');
+const { executeTrade } = require('../core/tradeUtils');
+
+async function testFailurePolicy() {
+    console.log('🚀 Testing Failure Policy\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-failure-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const quietHandler = () => {
+        const handler = new ErrorHandler();
+        const logError = handler.logError.bind(handler);
+        // Keep the expected failures out of the test output
+        handler.logError = (error, context, severity) => {
+            const consoleError = console.error;
+            console.error = () => {};
+            try {
+                return logError(error, context, severity);
+            } finally {
+                console.error = consoleError;
+            }
+        };
+        return handler;
+    };
+    const newMonitor = (name, settings = {}) => {
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, `${name}.json`), startingBalance: 10000 });
+        broker.updatePrice('BTC/USD', 100);
+        const errorHandler = quietHandler();
+        return {
+            symbol: 'BTC/USD',
+            broker,
+            errorHandler,
+            failurePolicy: FailurePolicy.fromSettings(settings, errorHandler),
+            currentPrice: NaN,
+            stopped: false,
+            stopMonitoring() { this.stopped = true; },
+            sendDesktopNotification() {}
+        };
+    };
+    const exit = process.exit;
+    process.exit = code => { throw new Error(`process.exit(${code}) called`); };
+
+    try {
+        // Test 1: Base actions and escalation thresholds
+        console.log('1. Testing escalation...');
+        const policy = new FailurePolicy({ pauseAfter: 3, flattenAfter: 5, windowMinutes: 1 }, quietHandler());
+        const actions = [1, 2, 3, 4, 5].map(n => policy.record(new Error(`failure ${n}`), 'test').action);
+        check(actions.join(',') === 'skip,skip,pause,pause,flatten', `Actions as errors pile up: ${actions.join(' → ')}`);
+        const defaults = new FailurePolicy({}, quietHandler());
+        const many = Array.from({ length: 20 }, () => defaults.record(new Error('boom'), 'test').action);
+        check(!many.includes('flatten'), 'Default never flattens an open position');
+        const shared = quietHandler();
+        const counted = new FailurePolicy({ pauseAfter: 2, windowMinutes: 1 }, shared);
+        for (let n = 0; n < 5; n++) shared.logError(new Error('API retry'), 'placeOrder', 'error');
+        const first = counted.record(new Error('order rejected'), 'test').action;
+        check(first === 'skip' && !counted.isPaused(), 'Other errors in the shared log don\'t escalate');
+        counted.failures = counted.failures.map(at => at - 2 * 60000);
+        check(counted.record(new Error('order rejected'), 'test').action === 'skip', 'Failures outside the window drop off');
+        check(counted.record(new Error('order rejected'), 'test').action === 'pause', 'Second failure in the window pauses');
+        try {
+            new FailurePolicy({ action: 'panic' });
+            check(false, 'Unknown policy should throw');
+        } catch (error) {
+            check(error.message.includes('Unknown failure policy'), 'Unknown policy rejected');
+        }
+
+        // Test 2: Bad tick skips the signal instead of exiting
+        console.log('\n2. Testing invalid price...');
+        const skipper = newMonitor('skip');
+        await executeTrade(skipper, 'BUY');
+        check(!skipper.stopped && (await skipper.broker.getPosition('BTC/USD')) === null, 'Signal skipped, monitoring continues');
+        check(skipper.errorHandler.errorLog.some(e => e.context === 'executeTrade_price check'), 'Failure logged to the ErrorHandler');
+
+        // Test 3: Pause blocks entries for a while
+        console.log('\n3. Testing pause...');
+        const pauser = newMonitor('pause', { failurePolicy: 'pause', failurePauseMinutes: 5 });
+        await executeTrade(pauser, 'BUY');
+        check(pauser.failurePolicy.isPaused() && !pauser.stopped, 'Entries paused, monitoring continues');
+        pauser.currentPrice = 100;
+        await executeTrade(pauser, 'BUY');
+        check((await pauser.broker.getPosition('BTC/USD')) === null, 'BUY skipped while paused');
+        pauser.failurePolicy.pausedUntil = Date.now() - 1;
+        check(!pauser.failurePolicy.isPaused(), 'Pause expires');
+
+        // Test 4: Flatten pulls resting orders and stops
+        console.log('\n4. Testing flatten...');
+        const flattener = newMonitor('flatten', { failurePolicy: 'flatten' });
+        const resting = await flattener.broker.submitOrder({ symbol: 'BTC/USD', qty: 1, side: 'buy', type: 'limit', limitPrice: 90, timeInForce: 'gtc' });
+        await executeTrade(flattener, 'BUY');
+        check((await flattener.broker.getOrder(resting.id)).status === 'canceled', 'Resting orders cancelled');
+        check(flattener.stopped, 'Monitoring stopped');
+    } finally {
+        process.exit = exit;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Failure policy tests passed' : `\n❌ ${failures} failure policy check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testFailurePolicy().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testFailurePolicy };
@@ -0,0 +1,118 @@
+// Test script for venue fee schedules and per-asset precision rules
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const FeeSchedule = require('../core/feeSchedule');
+const AssetRules = require('../core/assetRules');
+const FailurePolicy = require('../core/failurePolicy');
+const ErrorHandler = require('../core/errorHandler');
+const { executeTrade, placeOrder } = require('../core/tradeUtils');
+
+async function testFeesPrecision() {
+    console.log('🚀 Testing Fee Schedules and Asset Precision\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-fees-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    // ETH-like asset: 0.001 lots, $0.10 ticks, $10 minimum
+    const asset = { symbol: 'ETH/USD', tradable: true, minOrderSize: 0.001, minNotional: 10, qtyIncrement: 0.001, priceIncrement: 0.1 };
+    const newMonitor = (name, settings = {}) => {
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, `${name}.json`), startingBalance: 10000, slippageBps: 0 });
+        broker.getAsset = async () => asset;
+        broker.updatePrice('ETH/USD', 3000);
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        const logged = [];
+        errorHandler.logError = (error, context) => logged.push(context);
+        return {
+            logged,
+            symbol: 'ETH/USD',
+            broker,
+            errorHandler,
+            failurePolicy: FailurePolicy.fromSettings({}, errorHandler),
+            userSettings: settings,
+            currentPrice: 3000,
+            historicalData: [{ timestamp: new Date('2024-05-01T12:05:00Z'), close: 3000 }],
+            stopMonitoring() {},
+            sendDesktopNotification() {}
+        };
+    };
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+
+    try {
+        // Test 1: Fee tiers and overrides
+        console.log('1. Testing fee schedules...');
+        const alpaca = FeeSchedule.forVenue('alpaca');
+        check(alpaca.rate('taker') === 0.0025 && alpaca.rate('maker') === 0.0015, 'Alpaca base tier 0.15% / 0.25%');
+        check(alpaca.rate('taker', 750000) === 0.0020, 'Higher 30-day volume moves down a tier');
+        const overridden = FeeSchedule.forVenue('alpaca', { alpaca: { volume30d: 150000 } });
+        check(overridden.rates().taker === 0.0022, 'Volume set in feeSchedule.json picks the tier');
+        const flat = FeeSchedule.forVenue('simulated', { simulated: { maker: 0.001, taker: 0.002 } });
+        check(close(flat.fee(1000, 'maker'), 1) && close(flat.fee(1000), 2), 'Flat override charges $1 maker / $2 taker on $1000');
+        const sim = createBroker('simulated', { statePath: path.join(tmpDir, 'override.json'), startingBalance: 10000, slippageBps: 0 });
+        sim.applyFeeOverrides({ simulated: { maker: 0.001, taker: 0.002 } });
+        sim.updatePrice('BTC/USD', 100);
+        const fill = await sim.submitOrder({ symbol: 'BTC/USD', qty: 10, side: 'buy', type: 'market' });
+        check(close(fill.fee, 2), `Simulated fill charged through the schedule: $${fill.fee.toFixed(2)}`);
+
+        // Test 2: Rounding to increments and ticks
+        console.log('\n2. Testing asset precision...');
+        check(AssetRules.roundQty(0.0123456, asset) === 0.012, 'Quantity floored to 0.001 lots');
+        check(AssetRules.roundPrice(3012.34, asset) === 3012.3, 'Price rounded to a $0.10 tick');
+        check(AssetRules.roundQty(1, { qtyIncrement: 1e-9 }) === 1 && AssetRules.roundQty(2.9999999, { qtyIncrement: 1 }) === 2, 'Float noise never rounds up past what we hold');
+        check(AssetRules.checkOrderSize(0.002, 3000, asset).includes('$10 minimum'), 'Order under the minimum notional refused');
+        check(AssetRules.checkOrderSize(0.0005, 30000, asset).includes('minimum order size'), 'Order under the minimum size refused');
+
+        // Test 3: Orders are placed at the venue's precision
+        console.log('\n3. Testing order placement...');
+        const placer = newMonitor('placer');
+        const order = await quiet(() => placeOrder(placer, 'BUY', { symbol: 'ETH/USD', qty: 0.0126789, side: 'buy', type: 'limit', limitPrice: 3050.06 }));
+        check(order.qty === 0.012 && order.limitPrice === 3050.1, `Placed ${order.qty} @ $${order.limitPrice}`);
+        let error = null;
+        try {
+            await quiet(() => placeOrder(placer, 'BUY', { symbol: 'ETH/USD', qty: 0.002, side: 'buy', type: 'market' }));
+        } catch (e) {
+            error = e;
+        }
+        check(error && /not placed: order value/.test(error.message), 'Dust order refused before reaching the venue');
+
+        // Test 4: Sizing uses the trade value and the asset rules
+        console.log('\n4. Testing position sizing...');
+        const sizer = newMonitor('sizer');
+        sizer.takeProfit = 2;
+        sizer.stopLoss = 1;
+        sizer.userSettings = { exitOrderMode: 'local', fixedTradeValue: 5 };
+        await quiet(() => executeTrade(sizer, 'BUY'));
+        check((await sizer.broker.getPosition('ETH/USD')) === null, 'A $5 trade under the $10 minimum is not sent');
+        check(sizer.logged.includes('executeTrade_position sizing'), 'Sizing failure handled by the failure policy');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Fee and precision tests passed' : `\n❌ ${failures} fee and precision check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testFeesPrecision().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testFeesPrecision };
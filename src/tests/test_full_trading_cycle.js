@@ -58,7 +58,7 @@ async function testFullTradingCycle() {
         
         // Test account balance retrieval
         try {
-            const account = await monitor.alpaca.getAccount();
+            const account = await monitor.broker.getAccount();
             console.log(`✅ Account balance: $${parseFloat(account.cash).toFixed(2)}`);
         } catch (error) {
             console.log(`⚠️ Account access: ${error.message}`);
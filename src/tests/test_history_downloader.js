@@ -0,0 +1,146 @@
+// Test script for the paginated, resumable history downloader
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CandleStore = require('../core/candleStore');
+const HistoryDownloader = require('../core/historyDownloader');
+
+async function testHistoryDownloader() {
+    console.log('🚀 Testing History Downloader\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-history-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const quiet = async fn => {
+        const log = console.log;
+        const warn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.warn = warn;
+        }
+    };
+    // A venue with 1Min bars from 23:00 on Dec 31 that pages by index
+    const origin = Date.UTC(2023, 11, 31, 23);
+    const venue = (options = {}) => {
+        const calls = [];
+        const provider = {
+            calls,
+            fail: options.fail || (() => null),
+            async fetchPage(symbol, timeframe, { start, end, limit, pageToken }) {
+                calls.push({ start, pageToken, at: clock });
+                clock += 50;
+                const error = this.fail(calls.length);
+                if (error) throw error;
+                const first = pageToken ? parseInt(pageToken, 10) : Math.ceil((Date.parse(start) - origin) / 60000);
+                const last = Math.min(first + limit, Math.ceil((Date.parse(end) - origin) / 60000));
+                const bars = [];
+                for (let i = first; i < last; i++) {
+                    bars.push({ t: new Date(origin + i * 60000).toISOString(), o: 100 + i, h: 101 + i, l: 99 + i, c: 100 + i, v: 1 });
+                }
+                return { bars, nextPageToken: last < Math.ceil((Date.parse(end) - origin) / 60000) ? String(last) : null };
+            }
+        };
+        return provider;
+    };
+    let clock = Date.UTC(2024, 5, 1);
+    const sleeps = [];
+    const downloader = (provider, options = {}) => new HistoryDownloader({
+        store: new CandleStore({ dir: path.join(tmpDir, 'bars') }),
+        provider,
+        stateDir: tmpDir,
+        pageLimit: 25,
+        requestsPerMinute: 60,
+        now: () => clock,
+        sleep: async ms => { sleeps.push(ms); clock += ms; },
+        ...options
+    });
+    const storedLines = name => fs.readFileSync(path.join(tmpDir, 'bars', name), 'utf8').trim().split('\n').length - 1;
+    const range = { start: '2024-01-01T00:00:00Z', end: '2024-01-01T02:00:00Z' };
+
+    try {
+        // Test 1: Pages through a date range
+        console.log('1. Testing pagination and date ranges...');
+        const provider = venue();
+        const done = await quiet(() => downloader(provider).download('BTCUSD', '1Min', range));
+        check(done.bars === 120 && done.pages === 5 && provider.calls.slice(1).every(c => c.pageToken && Date.parse(c.start) === Date.parse(range.start)), `${done.bars} bars in ${done.pages} pages, following the page token`);
+        check(storedLines('BTCUSD_1Min.csv') === 120 && !fs.existsSync(path.join(tmpDir, 'history_BTCUSD_1Min.json')), 'Written to the candle store; no progress left behind');
+        const gaps = provider.calls.slice(1).map((c, i) => c.at - provider.calls[i].at);
+        check(gaps.every(gap => gap >= 1000), `Requests spaced for 60/min (${Math.min(...gaps)}ms apart)`);
+        let rejected = false;
+        try {
+            await downloader(venue()).download('BTC/USD', '1Min', { start: '2024-02-01', end: '2024-01-01' });
+        } catch (error) {
+            rejected = error.message.includes('Invalid date range');
+        }
+        check(rejected, 'Backwards ranges rejected');
+
+        // Test 2: Rate limits and errors
+        console.log('\n2. Testing retries...');
+        const limited = venue({ fail: n => (n === 2 ? { response: { status: 429, headers: { 'retry-after': '3' } } } : null) });
+        sleeps.length = 0;
+        const retried = await quiet(() => downloader(limited).download('ETH/USD', '1Min', range));
+        check(retried.bars === 120 && limited.calls.length === 6 && sleeps.includes(3000), 'HTTP 429 waits Retry-After and carries on');
+        const dropped = venue({ fail: n => (n <= 2 ? Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) : null) });
+        sleeps.length = 0;
+        await quiet(() => downloader(dropped).download('SOL/USD', '1Min', range));
+        check(sleeps.filter(ms => ms >= 1000).slice(0, 2).join() === '1000,2000', 'Dropped connections retried with a growing wait');
+        const denied = venue({ fail: () => ({ response: { status: 403, headers: {} }, message: 'forbidden' }) });
+        let thrown = null;
+        try {
+            await downloader(denied).download('LTC/USD', '1Min', range);
+        } catch (error) {
+            thrown = error;
+        }
+        check(thrown && denied.calls.length === 1, 'Other errors are not retried');
+
+        // Test 3: Interrupted downloads resume
+        console.log('\n3. Testing resume...');
+        const long = { start: '2024-01-01T00:00:00Z', end: '2024-01-01T05:00:00Z' };
+        const interrupted = venue({ fail: n => (n === 5 ? { response: { status: 401, headers: {} }, message: 'unauthorized' } : null) });
+        try {
+            await quiet(() => downloader(interrupted, { flushBars: 50 }).download('DOGE/USD', '1Min', long));
+        } catch (error) {
+            // expected
+        }
+        const progress = JSON.parse(fs.readFileSync(path.join(tmpDir, 'history_DOGEUSD_1Min.json'), 'utf8'));
+        check(progress.cursor === '2024-01-01T01:40:00.000Z' && progress.bars === 100 && storedLines('DOGEUSD_1Min.csv') === 100, `Progress saved at ${progress.cursor} after ${progress.bars} bars`);
+        const resumedVenue = venue();
+        const resumed = await quiet(() => downloader(resumedVenue, { flushBars: 50 }).download('DOGE/USD', '1Min', long));
+        check(resumed.resumedFrom === progress.cursor && resumedVenue.calls[0].start === progress.cursor && resumedVenue.calls.length === 8, 'Second run starts at the saved cursor');
+        check(resumed.bars === 300 && storedLines('DOGEUSD_1Min.csv') === 300, 'Every bar stored once');
+        const again = venue();
+        await quiet(() => downloader(again).download('DOGE/USD', '1Min', { ...long, fresh: true }));
+        check(Date.parse(again.calls[0].start) === Date.parse(long.start) && storedLines('DOGEUSD_1Min.csv') === 300, '--fresh starts the range over without duplicating bars');
+        // Without an end the range runs to "now", which has moved on by the second run
+        clock = Date.UTC(2024, 0, 1, 3);
+        const openEnded = venue({ fail: n => (n === 3 ? { response: { status: 401, headers: {} }, message: 'unauthorized' } : null) });
+        try {
+            await quiet(() => downloader(openEnded, { flushBars: 25 }).download('LTC/USD', '1Min', { start: long.start }));
+        } catch (error) {
+            // expected
+        }
+        clock += 3600000;
+        const finished = await quiet(() => downloader(venue(), { flushBars: 25 }).download('LTC/USD', '1Min', { start: long.start }));
+        check(finished.resumedFrom === '2024-01-01T00:50:00.000Z' && finished.end === '2024-01-01T03:00:00.000Z' && finished.bars === 180, 'Open-ended download resumes and finishes the range it began');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 History downloader tests passed' : `\n❌ ${failures} history downloader check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testHistoryDownloader().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testHistoryDownloader };
@@ -0,0 +1,136 @@
+// Test script for idempotent order submission (deterministic client order IDs)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker, makeClientOrderId } = require('../core/brokerAdapter');
+const AlpacaBroker = require('../core/alpacaBroker');
+const OrderTracker = require('../core/orderTracker');
+const ErrorHandler = require('../core/errorHandler');
+const { placeOrder } = require('../core/tradeUtils');
+
+async function testIdempotentOrders() {
+    console.log('🚀 Testing Idempotent Orders\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-idempotent-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const bar = Date.parse('2024-05-01T12:05:00Z');
+    const newMonitor = name => {
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, `${name}.json`), startingBalance: 10000 });
+        broker.updatePrice('BTC/USD', 100);
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        errorHandler.logError = () => {};
+        return {
+            symbol: 'BTC/USD',
+            broker,
+            errorHandler,
+            historicalData: [{ timestamp: new Date(bar), close: 100 }],
+            orderTracker: new OrderTracker(broker, { symbol: 'BTC/USD', statePath: path.join(tmpDir, `${name}_orders.json`) })
+        };
+    };
+    const buy = { symbol: 'BTC/USD', qty: 1, side: 'buy', type: 'market', timeInForce: 'gtc' };
+    const quiet = async fn => {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+        }
+    };
+
+    try {
+        // Test 1: IDs derive from symbol, signal and bar
+        console.log('1. Testing client order IDs...');
+        const id = makeClientOrderId({ symbol: 'BTC/USD', signal: 'BUY', barTime: bar });
+        check(id === makeClientOrderId({ symbol: 'BTCUSD', signal: 'buy', barTime: new Date(bar) }), `Same signal and bar give the same ID (${id})`);
+        check(id !== makeClientOrderId({ symbol: 'BTC/USD', signal: 'BUY', barTime: bar + 60000 }), 'Next bar gets a new ID');
+        check(makeClientOrderId({ symbol: 'BTC/USD', signal: 'Take Profit 1', barTime: bar, attempt: 2 }).endsWith('take-profit-1-' + bar + '-2'), 'Reasons slugged and attempts suffixed');
+
+        // Test 2: Venue collapses a reused client order ID
+        console.log('\n2. Testing duplicate submit at the venue...');
+        const { broker } = newMonitor('venue');
+        const first = await broker.submitOrder({ ...buy, clientOrderId: id });
+        const again = await broker.submitOrder({ ...buy, clientOrderId: id });
+        check(again.id === first.id && again.duplicate === true, `Second submit resolved to ${again.id}`);
+        check((await broker.getPosition('BTC/USD')).qty === 1, 'Only one position opened');
+
+        // Test 3: Retry after a lost response collapses onto the first order
+        console.log('\n3. Testing retried submit...');
+        const flaky = newMonitor('flaky');
+        const submitOrder = flaky.broker.submitOrder.bind(flaky.broker);
+        let calls = 0;
+        flaky.broker.submitOrder = async request => {
+            const order = await submitOrder(request);
+            if (++calls === 1) throw new Error('socket hang up');
+            return order;
+        };
+        const filled = await quiet(() => placeOrder(flaky, 'BUY', buy));
+        check(calls === 2 && filled.status === 'filled' && filled.duplicate, 'Retry returned the original fill');
+        check((await flaky.broker.getPosition('BTC/USD')).qty === 1, 'Retry did not double the position');
+        check(await quiet(() => placeOrder(flaky, 'BUY', buy)) === null, 'Same signal on the same bar is ignored');
+
+        // Test 4: Refused and unfilled orders free the signal for another try
+        console.log('\n4. Testing retry after a failed order...');
+        const poor = newMonitor('poor');
+        let error = null;
+        try {
+            await quiet(() => placeOrder(poor, 'BUY', { ...buy, qty: 500 }));
+        } catch (e) {
+            error = e;
+        }
+        check(error && /insufficient balance/i.test(error.message), 'Order the venue refused is not kept');
+        const retry = await quiet(() => placeOrder(poor, 'BUY', buy));
+        check(retry && retry.clientOrderId === id, `Retried under the same ID: ${retry && retry.clientOrderId}`);
+        const cancelled = newMonitor('cancelled');
+        const submitCancelled = cancelled.broker.submitOrder.bind(cancelled.broker);
+        cancelled.broker.submitOrder = async request => {
+            const order = await submitCancelled({ ...request, type: 'limit', limitPrice: 50 });
+            await cancelled.broker.cancelOrder(order.id);
+            return order;
+        };
+        error = null;
+        try {
+            await quiet(() => placeOrder(cancelled, 'BUY', buy));
+        } catch (e) {
+            error = e;
+        }
+        check(error && /nothing filled/.test(error.message), `Unfilled order reported: ${error && error.message}`);
+        cancelled.broker.submitOrder = submitCancelled;
+        const second = await quiet(() => placeOrder(cancelled, 'BUY', buy));
+        check(second && second.clientOrderId === `${id}-2`, `Next try moved to ${second && second.clientOrderId}`);
+
+        // Test 5: Alpaca 422 on a reused ID is looked up instead of failing
+        console.log('\n5. Testing Alpaca duplicate handling...');
+        const existing = { id: 'a-1', client_order_id: id, symbol: 'BTCUSD', side: 'buy', type: 'market', qty: '1', filled_qty: '1', filled_avg_price: '100', status: 'filled' };
+        const alpaca = new AlpacaBroker({
+            client: {
+                createOrder: async () => {
+                    const err = new Error('422 - {"code":40010001,"message":"client_order_id must be unique"}');
+                    err.statusCode = 422;
+                    throw err;
+                },
+                getOrderByClientId: async clientOrderId => (clientOrderId === id ? existing : null)
+            }
+        });
+        const collapsed = await quiet(() => alpaca.submitOrder({ ...buy, clientOrderId: id }));
+        check(collapsed.id === 'a-1' && collapsed.duplicate && collapsed.filledQty === 1, 'Existing Alpaca order returned');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Idempotent order tests passed' : `\n❌ ${failures} idempotent order check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testIdempotentOrders().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testIdempotentOrders };
@@ -0,0 +1,125 @@
+// Test script for limit-order entries (pricing, timeout, reprice / cancel / market policies)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const { executeLimitEntry, resolveLimitPrice, limitEntryOptions } = require('../core/limitEntry');
+
+async function testLimitEntry() {
+    console.log('🚀 Testing Limit Entries\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-limit-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const newBroker = name => {
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, `${name}.json`), startingBalance: 10000, slippageBps: 10 });
+        broker.updatePrice('BTC/USD', 100);
+        return broker;
+    };
+    const quiet = async fn => {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+        }
+    };
+    const fast = overrides => ({ ...limitEntryOptions({}), timeoutSeconds: 0.2, ...overrides });
+
+    try {
+        // Test 1: Limit price from bid, mid or offset
+        console.log('1. Testing limit pricing...');
+        const broker = newBroker('pricing');
+        check(await resolveLimitPrice(broker, 'BTC/USD', 100, fast({ priceMode: 'bid' })) === 99.9, 'Bid price from quote');
+        check(await resolveLimitPrice(broker, 'BTC/USD', 100, fast({ priceMode: 'mid' })) === 100, 'Mid price from quote');
+        check(await resolveLimitPrice(broker, 'BTC/USD', 100, fast({ priceMode: 'offset', offsetPercent: 0.5 })) === 99.5, 'Offset below signal price');
+        check(await resolveLimitPrice(broker, 'ETH/USD', 2000, fast({ priceMode: 'bid', offsetPercent: 1 })) === 1980, 'Falls back to offset without a quote');
+
+        // Test 2: Resting limit fills when price trades down to it
+        console.log('\n2. Testing fill before timeout...');
+        const fillBroker = newBroker('fill');
+        setTimeout(() => fillBroker.updatePrice('BTC/USD', 99.8), 50);
+        const filled = await executeLimitEntry(fillBroker, { symbol: 'BTC/USD', qty: 1, signalPrice: 100, options: fast({ priceMode: 'bid' }), pollMs: 20 });
+        check(filled.status === 'filled' && filled.filledQty === 1 && filled.avgFillPrice === 99.9, `Filled at the bid: $${filled.avgFillPrice}`);
+
+        // Test 3: Cancel policy drops the order after the timeout
+        console.log('\n3. Testing cancel policy...');
+        const cancelBroker = newBroker('cancel');
+        const cancelled = await executeLimitEntry(cancelBroker, { symbol: 'BTC/USD', qty: 1, signalPrice: 100, options: fast({ priceMode: 'bid', policy: 'cancel' }), pollMs: 20 });
+        const cancelledOrder = await cancelBroker.getOrder(cancelled.orderIds[0]);
+        check(cancelled.status === 'unfilled' && cancelledOrder.status === 'canceled', 'Unfilled order cancelled');
+        check((await cancelBroker.getPosition('BTC/USD')) === null, 'No position opened');
+
+        // Test 4: Reprice policy reposts at a fresh quote
+        console.log('\n4. Testing reprice policy...');
+        const repriceBroker = newBroker('reprice');
+        setTimeout(() => repriceBroker.updatePrice('BTC/USD', 101), 100);
+        setTimeout(() => repriceBroker.updatePrice('BTC/USD', 100.8), 350);
+        const repriced = await executeLimitEntry(repriceBroker, { symbol: 'BTC/USD', qty: 1, signalPrice: 100, options: fast({ priceMode: 'bid', policy: 'reprice', maxReprices: 2 }), pollMs: 20 });
+        check(repriced.orderIds.length === 2 && repriced.status === 'filled', `Filled after ${repriced.orderIds.length - 1} reprice`);
+        check(repriced.avgFillPrice === 100.89, `Second order priced off the new bid: $${repriced.avgFillPrice}`);
+
+        // Test 5: Market policy completes the entry after the timeout
+        console.log('\n5. Testing market policy...');
+        const marketBroker = newBroker('market');
+        const crossed = await executeLimitEntry(marketBroker, { symbol: 'BTC/USD', qty: 0.5, signalPrice: 100, options: fast({ priceMode: 'bid', policy: 'market' }), pollMs: 20 });
+        check(crossed.status === 'filled' && crossed.orderIds.length === 2, 'Remaining quantity bought at market');
+        check(crossed.avgFillPrice === 100.1, `Average fill reported from the market order: $${crossed.avgFillPrice}`);
+
+        // Test 6: Fills that land before something throws are still reported
+        console.log('\n6. Testing errors after a partial fill...');
+        const fakeBroker = ({ failSubmit, marketPolls = 0 }) => {
+            const orders = {};
+            let submits = 0;
+            return {
+                getLatestQuote: async () => ({ bid: 99.9, mid: 100 }),
+                submitOrder: async request => {
+                    submits++;
+                    if (submits === failSubmit) throw new Error('qty below minimum');
+                    const id = `order-${submits}`;
+                    orders[id] = request.type === 'market'
+                        ? { id, qty: request.qty, status: 'new', filledQty: 0, polls: marketPolls }
+                        : { id, qty: request.qty, status: 'partially_filled', filledQty: 0.4, filledAvgPrice: 99.9 };
+                    return { ...orders[id] };
+                },
+                getOrder: async id => {
+                    const order = orders[id];
+                    if (order.polls !== undefined && order.polls-- <= 0) Object.assign(order, { status: 'filled', filledQty: order.qty, filledAvgPrice: 100.1 });
+                    return { ...order };
+                },
+                cancelOrder: async id => { orders[id].status = 'canceled'; }
+            };
+        };
+        const stopped = await quiet(() => executeLimitEntry(fakeBroker({ failSubmit: 2 }), { symbol: 'BTC/USD', qty: 1, signalPrice: 100, options: fast({ policy: 'reprice' }), pollMs: 20 }));
+        check(stopped.status === 'partial' && stopped.filledQty === 0.4, `Failed reprice keeps the partial fill: ${stopped.filledQty}`);
+        let thrown = null;
+        try {
+            await executeLimitEntry(fakeBroker({ failSubmit: 1 }), { symbol: 'BTC/USD', qty: 1, signalPrice: 100, options: fast({}), pollMs: 20 });
+        } catch (error) {
+            thrown = error;
+        }
+        check(thrown !== null, 'Still throws when nothing filled');
+
+        // Test 7: The market fallback waits for its fill
+        console.log('\n7. Testing a market fallback that fills late...');
+        const late = await quiet(() => executeLimitEntry(fakeBroker({ marketPolls: 3 }), { symbol: 'BTC/USD', qty: 1, signalPrice: 100, options: fast({ policy: 'market' }), pollMs: 20 }));
+        check(late.status === 'filled' && Math.abs(late.filledQty - 1) < 1e-9, `Late market fill counted: ${late.filledQty}`);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Limit entry tests passed' : `\n❌ ${failures} limit entry check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testLimitEntry().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testLimitEntry };
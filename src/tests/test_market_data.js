@@ -0,0 +1,163 @@
+// Test script for the market data providers and router
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-marketdata-'));
+process.env.BITFLOW_STATE_DIR = tmpDir;
+process.env.BITFLOW_DATA_DIR = tmpDir;
+
+const MarketDataRouter = require('../core/marketData');
+const BitFlow = require('../core/BitFlow');
+const { createBroker } = require('../core/brokerAdapter');
+
+async function testMarketData() {
+    console.log('🚀 Testing Market Data Router\n');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+    // A clock the fake sources move forward by their latency
+    let clock = Date.UTC(2024, 4, 1, 12);
+    const now = () => clock;
+    const bars = (count, endAt = clock) => Array.from({ length: count }, (_, i) => {
+        const c = 100 + i;
+        return { t: new Date(endAt - (count - 1 - i) * 300000).toISOString(), o: c, h: c + 1, l: c - 1, c, v: 5 };
+    });
+    const source = (name, behaviour, latencyMs = 100) => ({
+        name,
+        calls: 0,
+        supports: () => true,
+        async fetchBars(symbol, timeframe, limit) {
+            this.calls++;
+            clock += latencyMs;
+            return behaviour(symbol, timeframe, limit);
+        }
+    });
+
+    try {
+        // Test 1: Every source's bars in one schema
+        console.log('1. Testing normalization...');
+        const mixed = MarketDataRouter.normalizeBars([
+            { t: '2024-05-01T00:05:00Z', o: 2, h: 3, l: 1, c: 2.5, v: 7 },
+            { timestamp: new Date('2024-05-01T00:00:00Z'), open: 1, high: 2, low: 0.5, close: 1.5, volume: 3 },
+            { t: Date.parse('2024-05-01T00:10:00Z'), o: 3, h: 4, l: 2, c: 3.5 },
+            { t: '2024-05-01T00:05:00Z', o: 2, h: 3, l: 1, c: 2.6, v: 8 },
+            { t: '2024-05-01T00:15:00Z', c: null }
+        ]);
+        check(mixed.length === 3 && mixed.map(b => b.timestamp.slice(11, 16)).join() === '00:00,00:05,00:10', 'Alpaca, Yahoo and Polygon bars sorted, deduplicated, invalid ones dropped');
+        check(Object.keys(mixed[0]).join() === 'timestamp,open,high,low,close,volume' && mixed[1].close === 2.6 && mixed[2].volume === 0, 'One OHLCV schema');
+
+        // Test 2: Health-scored fallback
+        console.log('\n2. Testing the fallback chain...');
+        const alpaca = source('alpaca', () => { throw new Error('HTTP 500'); });
+        const yahoo = source('yahoo', (symbol, timeframe, limit) => bars(limit), 800);
+        const router = new MarketDataRouter({ providers: [alpaca, yahoo], now, cooldownSeconds: 60 });
+        const first = await router.getBars('BTC/USD', '5Min', 50);
+        check(first.source === 'yahoo' && first.bars.length === 50 && first.attempts[0].error === 'HTTP 500', 'Falls back when a source errors');
+        check(router.health('alpaca') < router.health('yahoo') && router.order('BTC/USD', '5Min')[0] === yahoo, `Failing source ranked below the slow one (${router.health('alpaca').toFixed(0)} vs ${router.health('yahoo').toFixed(0)})`);
+        await router.getBars('BTC/USD', '5Min', 50);
+        check(alpaca.calls === 1 && yahoo.calls === 2, 'Healthiest source asked first');
+        const flaky = source('alpaca', () => { throw new Error('timeout'); });
+        const polygon = source('polygon', (symbol, timeframe, limit) => bars(limit));
+        const cooling = new MarketDataRouter({ providers: [flaky, polygon], now, maxFailures: 2, cooldownSeconds: 60 });
+        cooling.stats.polygon.errorRate = 1; // polygon looks worse until alpaca cools down
+        await cooling.getBars('BTC/USD', '5Min', 10);
+        await cooling.getBars('BTC/USD', '5Min', 10);
+        check(cooling.coolingDown('alpaca') && cooling.health('alpaca') === 0 && cooling.order('BTC/USD', '5Min')[0] === polygon, 'Repeated failures cool a source down');
+        clock += 61000;
+        check(!cooling.coolingDown('alpaca') && cooling.status()[0].failures === 2, 'Cooldown runs out');
+
+        // Test 3: Stale and short answers
+        console.log('\n3. Testing stale and short answers...');
+        const lagging = source('alpaca', (symbol, timeframe, limit) => bars(limit, clock - 3600000));
+        const short = source('yahoo', () => bars(20));
+        const fresh = source('polygon', (symbol, timeframe, limit) => bars(limit));
+        const picky = new MarketDataRouter({ providers: [lagging, short, fresh], now });
+        const picked = await picky.getBars('ETH/USD', '5Min', 100, { minBars: 50 });
+        check(picked.source === 'polygon' && picked.attempts[0].stale && picked.attempts[1].bars === 20, 'Stale and short answers passed over');
+        check(picky.status().find(s => s.source === 'alpaca').stale && picky.health('alpaca') < picky.health('polygon'), 'Stale source marked down');
+        const fallback = new MarketDataRouter({ providers: [lagging, short], now });
+        const best = await fallback.getBars('ETH/USD', '5Min', 100, { minBars: 50 });
+        check(best.source === 'yahoo' && best.bars.length === 20, 'Best answer returned when none is good enough');
+        const none = await new MarketDataRouter({ providers: [flaky], now, cooldownSeconds: 0 }).getBars('ETH/USD', '5Min', 10);
+        check(none.source === null && none.bars.length === 0, 'No source, no bars');
+
+        // Test 4: Local files and configuration
+        console.log('\n4. Testing local files and configuration...');
+        const dataDir = path.join(tmpDir, 'bars');
+        fs.mkdirSync(dataDir);
+        fs.writeFileSync(path.join(dataDir, 'SOLUSD_1Hour.csv'), 'timestamp,open,high,low,close,volume\n' +
+            bars(40).map(b => [b.t, b.o, b.h, b.l, b.c, b.v].join(',')).join('\n'));
+        const fromFiles = MarketDataRouter.fromConfig({ providers: ['file'], dataDir });
+        check(fromFiles.order('SOL-USD', '1Hour').length === 1 && fromFiles.order('SOL/USD', '5Min').length === 0, 'File source only offered for files it has');
+        const local = await fromFiles.getBars('SOLUSD', '1Hour', 30);
+        check(local.source === 'file' && local.bars.length === 30 && local.bars[29].close === 139, 'Bars read from <KEY>_<timeframe>.csv');
+        const defaults = MarketDataRouter.fromConfig(null, { polygonKey: 'k' });
+        check(defaults.providers.map(p => p.name).join() === 'alpaca,yahoo,polygon,file' && defaults.provider('polygon').supports('BTC/USD', '5Min'), 'Default chain with the Polygon key');
+        check(defaults.provider('yahoo').intervals['1Min'] === '1m', 'Yahoo asked for 1-minute bars at 1Min');
+        let rejected = false;
+        try {
+            MarketDataRouter.fromConfig({ providers: ['binance'] });
+        } catch (error) {
+            rejected = error.message.includes('Unknown market data provider');
+        }
+        check(rejected, 'Unknown providers rejected');
+
+        // Test 5: A monitor's historical data comes through the router
+        console.log('\n5. Testing the monitor wiring...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000 });
+        // Straight to the router: a candle store would judge these bars by the real clock
+        const monitorRouter = new MarketDataRouter({ providers: [alpaca, fresh], now });
+        const monitor = await quiet(async () => new BitFlow('BTC/USD', 20, 20, '5Min', null, 'auto', 'auto', {}, null, { broker, smartModelManager: {}, marketData: monitorRouter, candleStore: null }));
+        await quiet(() => monitor.initializeHistoricalData());
+        check(monitor.historicalData.length === 200 && monitor.historicalData[0].timestamp && monitor.currentPrice === 299, `Warm-up bars from the healthy source (${monitor.historicalData.length} bars)`);
+        const prices = await quiet(() => monitor.getCryptoData());
+        check(prices.length > 0 && monitorRouter.stats.polygon.requests === 2, 'Updates routed the same way');
+
+        // Test 6: Alpaca asked for the bars up to now, not from midnight
+        console.log('\n6. Testing the Alpaca request...');
+        const get = axios.get;
+        let request = null;
+        axios.get = async (url, config) => {
+            request = { url, params: config.params };
+            return { data: { bars: { 'BTC/USD': bars(3).reverse() } } };
+        };
+        try {
+            const latest = await new MarketDataRouter.AlpacaDataProvider({ keyId: 'k', secretKey: 's' }).fetchBars('BTC/USD', '5Min', 3);
+            const start = Date.parse(request.params.start);
+            check(request.params.limit === 3 && request.params.sort === 'desc' && Math.abs(Date.now() - 3 * 300000 - start) < 60000, `Window starts ${request.params.limit} bars back (${request.params.start}), newest first`);
+            check(latest.map(b => b.c).join() === '100,101,102', 'Bars handed back oldest first');
+        } finally {
+            axios.get = get;
+        }
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Market data tests passed' : `\n❌ ${failures} market data check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testMarketData().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testMarketData };
@@ -0,0 +1,86 @@
+// Test script for the market scanner ranking
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const MarketScanner = require('../core/marketScanner');
+
+async function testMarketScanner() {
+    console.log('🚀 Testing Market Scanner\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-scanner-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const start = Date.UTC(2024, 4, 1);
+    // Bars whose close moves by step(i) per bar; the last bar's volume is lastVolume
+    const barsFrom = (count, first, step, lastVolume = 10) => {
+        const bars = [];
+        let close = first;
+        for (let i = 0; i < count; i++) {
+            close *= 1 + step(i);
+            const last = i === count - 1;
+            bars.push({ t: new Date(start + i * 3600000).toISOString(), o: close, h: last ? close : close * 1.001, l: close * 0.998, c: close, v: last ? lastVolume : 10 });
+        }
+        return bars;
+    };
+    const series = {
+        'SOL/USD': barsFrom(150, 20, () => 0.003, 30),
+        'DOGE/USD': barsFrom(150, 1, () => -0.005),
+        'LTC/USD': barsFrom(150, 80, i => (i % 2 ? 0.002 : -0.002)),
+        'NEW/USD': barsFrom(30, 5, () => 0.01)
+    };
+
+    try {
+        // Test 1: The universe is the broker's tradable USD pairs
+        console.log('1. Testing the universe...');
+        const broker = createBroker('simulated', {
+            statePath: path.join(tmpDir, 'broker.json'),
+            symbols: ['SOL/USD', 'DOGEUSD', 'LTC/USD', 'NEW/USD', 'USDT/USD', 'ETH/BTC']
+        });
+        const scanner = new MarketScanner({ broker, fetchBars: async symbol => series[symbol] || [], top: 2 });
+        const universe = await scanner.universe();
+        check(universe.join() === 'DOGE/USD,LTC/USD,NEW/USD,SOL/USD', `Stablecoins and other quotes left out: ${universe.join(', ')}`);
+
+        // Test 2: Scores and tags
+        console.log('\n2. Testing the scoring...');
+        const scan = await scanner.scan();
+        const [first, , last] = scan.results;
+        check(scan.results.length === 3 && scan.skipped.length === 1 && scan.skipped[0].symbol === 'NEW/USD', 'Pairs without enough history are skipped');
+        check(first.symbol === 'SOL/USD' && first.score > 50 && first.tags.includes('trending') && first.tags.includes('breakout'), `Breakout ranked first: ${first.symbol} ${first.score.toFixed(0)} (${first.tags.join(', ')})`);
+        check(last.symbol === 'DOGE/USD' && last.score < 0 && last.tags.includes('oversold'), `Falling pair ranked last but flagged: ${last.symbol} ${last.score.toFixed(0)} (${last.tags.join(', ')})`);
+        const middle = scan.results[1];
+        check(middle.symbol === 'LTC/USD' && Math.abs(middle.score) < 30 && !middle.tags.includes('breakout'), `Flat pair in between: ${middle.symbol} ${middle.score.toFixed(0)}`);
+        const meanReversion = new MarketScanner({ weights: { trend: 0, momentum: 0, breakout: 0, oversold: 1, volume: 0 } });
+        check(meanReversion.analyze('DOGE/USD', series['DOGE/USD']).score > meanReversion.analyze('SOL/USD', series['SOL/USD']).score, 'Weights change the ranking');
+
+        // Test 3: Table and hand-off
+        console.log('\n3. Testing the table and the top symbols...');
+        const log = console.log;
+        const printed = [];
+        console.log = line => printed.push(line);
+        try {
+            scanner.display(scan);
+        } finally {
+            console.log = log;
+        }
+        const table = printed.join('\n');
+        check(table.includes('Market Scan (1Hour, 3 pairs)') && table.indexOf('SOL/USD') < table.indexOf('DOGE/USD'), 'Ranked table printed best first');
+        check(scanner.topSymbols(scan).join() === 'SOL/USD,LTC/USD' && scanner.topSymbols(scan, 1).join() === 'SOL/USD', 'Top N handed on in rank order');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Market scanner tests passed' : `\n❌ ${failures} market scanner check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testMarketScanner().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testMarketScanner };
@@ -0,0 +1,104 @@
+// Test script for order lifecycle tracking and restart reconciliation
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const OrderTracker = require('../core/orderTracker');
+const EntryPlan = require('../core/entryPlan');
+
+async function testOrderTracker() {
+    console.log('🚀 Testing Order Tracker\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-orders-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    // Same state files == the same account after a restart
+    const openBroker = name => createBroker('simulated', { statePath: path.join(tmpDir, `${name}_broker.json`), startingBalance: 10000 });
+    const openTracker = (broker, name) => new OrderTracker(broker, { symbol: 'BTC/USD', statePath: path.join(tmpDir, `${name}_orders.json`) });
+
+    try {
+        // Test 1: Lifecycle states and transitions
+        console.log('1. Testing order lifecycle...');
+        const broker = openBroker('lifecycle');
+        broker.updatePrice('BTC/USD', 100);
+        const tracker = openTracker(broker, 'lifecycle');
+        const transitions = [];
+        tracker.onTransition((record, previous) => transitions.push(`${previous}→${record.state}`));
+        const order = await broker.submitOrder({ symbol: 'BTC/USD', qty: 1, side: 'buy', type: 'limit', limitPrice: 99, timeInForce: 'gtc' });
+        check(tracker.getOrder(order.id).state === 'new' && tracker.openOrders('buy').length === 1, 'Resting limit buy tracked as new');
+        broker.updatePrice('BTC/USD', 98.5);
+        const filled = tracker.getOrder(order.id);
+        check(filled.state === 'filled' && filled.filledQty === 1, 'Fill streamed from the broker');
+        check(filled.history.map(h => h.state).join(',') === 'new,filled', `History: ${filled.history.map(h => h.state).join(' → ')}`);
+        tracker.update({ id: order.id, symbol: 'BTC/USD', status: 'new' });
+        check(tracker.getOrder(order.id).state === 'filled', 'Stale update cannot move a filled order backwards');
+        check(transitions.join(',') === 'null→new,new→filled', `Listener saw ${transitions.join(', ')}`);
+        check(OrderTracker.toState('pending_cancel') === 'new' && OrderTracker.toState('cancelled') === 'canceled', 'Venue statuses folded into lifecycle states');
+        tracker.stop();
+
+        // Test 2: Open order fills while BitFlow is down
+        console.log('\n2. Testing reconcile after downtime fill...');
+        let venue = openBroker('restart');
+        venue.updatePrice('BTC/USD', 100);
+        let session = openTracker(venue, 'restart');
+        await venue.submitOrder({ symbol: 'BTC/USD', qty: 1, side: 'buy', type: 'market', timeInForce: 'gtc' });
+        const position = Object.assign(EntryPlan.openPosition('BTCUSD-1', 100, 1), { takeProfitPercent: 2, stopLossPercent: 1 });
+        session.savePosition(position);
+        const rung = await venue.submitOrder({ symbol: 'BTC/USD', qty: 1, side: 'buy', type: 'limit', limitPrice: 98, timeInForce: 'gtc' });
+        // "Restart": a new process sees the rung fill before it starts tracking
+        venue = openBroker('restart');
+        venue.updatePrice('BTC/USD', 97);
+        session = openTracker(venue, 'restart');
+        check(session.getOrder(rung.id).state === 'new', 'Saved state still thinks the rung is open');
+        const result = await session.reconcile();
+        check(session.getOrder(rung.id).state === 'filled' && result.openOrders.length === 0, 'Rung fill picked up on reconcile');
+        check(result.position.qty === 2 && result.position.takeProfitPercent === 2, `Position synced to ${result.position.qty} and keeps its TP/SL`);
+        check(result.changes.length === 2, `Changes reported: ${result.changes.join('; ')}`);
+
+        // Test 3: Position closed while BitFlow is down
+        console.log('\n3. Testing reconcile after downtime close...');
+        venue = openBroker('restart');
+        venue.updatePrice('BTC/USD', 99);
+        await venue.submitOrder({ symbol: 'BTC/USD', qty: 2, side: 'sell', type: 'market', timeInForce: 'gtc' });
+        session = openTracker(venue, 'restart');
+        const closed = await session.reconcile();
+        check(closed.position === null && session.getSavedPosition() === null, 'Saved position cleared');
+        check(closed.closed && closed.closed.position.id === 'BTCUSD-1' && closed.closed.quantity === 2, 'Closed position handed back for the journal');
+        check(closed.closed.exitPrice > 98 && closed.closed.exitPrice < 99.1, `Exit priced from the broker's sell fill: $${closed.closed.exitPrice}`);
+
+        // Test 4: Position held at the broker with no saved record
+        console.log('\n4. Testing position adoption...');
+        const held = openBroker('adopt');
+        held.updatePrice('BTC/USD', 100);
+        await held.submitOrder({ symbol: 'BTC/USD', qty: 0.5, side: 'buy', type: 'market', timeInForce: 'gtc' });
+        const adopted = await openTracker(held, 'adopt').reconcile();
+        check(adopted.position && adopted.position.adopted && adopted.position.qty === 0.5, 'Broker position adopted');
+
+        // Test 5: Waiting for a final state
+        console.log('\n5. Testing waitForFinal...');
+        const waiting = openBroker('wait');
+        waiting.updatePrice('BTC/USD', 100);
+        const limit = await waiting.submitOrder({ symbol: 'BTC/USD', qty: 0.1, side: 'buy', type: 'limit', limitPrice: 99, timeInForce: 'gtc' });
+        setTimeout(() => waiting.updatePrice('BTC/USD', 98), 50);
+        check((await OrderTracker.waitForFinal(waiting, limit.id, 1000, 20)).status === 'filled', 'Resolves once the order fills');
+        const resting = await waiting.submitOrder({ symbol: 'BTC/USD', qty: 0.1, side: 'buy', type: 'limit', limitPrice: 90, timeInForce: 'gtc' });
+        const timedOut = await OrderTracker.waitForFinal(waiting, resting.id, 100, 20);
+        check(OrderTracker.OPEN_STATES.includes(OrderTracker.toState(timedOut.status)), `Returns the open order after the timeout (${timedOut.status})`);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Order tracker tests passed' : `\n❌ ${failures} order tracker check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testOrderTracker().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testOrderTracker };
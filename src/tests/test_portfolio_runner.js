@@ -0,0 +1,120 @@
+// Test script for the multi-symbol portfolio runner and its shared capital budget
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-portfolio-'));
+process.env.BITFLOW_STATE_DIR = tmpDir;
+process.env.BITFLOW_DATA_DIR = tmpDir;
+
+const { createBroker } = require('../core/brokerAdapter');
+const CapitalBudget = require('../core/capitalBudget');
+const PortfolioRunner = require('../core/portfolioRunner');
+const ErrorHandler = require('../core/errorHandler');
+const { executeTrade } = require('../core/tradeUtils');
+
+async function testPortfolioRunner() {
+    console.log('🚀 Testing Portfolio Runner\n');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+    // Five-minute bars ending with the one forming now, so the candle store takes them as live
+    const bars = (count, price) => {
+        const last = Math.floor(Date.now() / 300000) * 300000;
+        return Array.from({ length: count }, (_, i) => ({ t: new Date(last - (count - 1 - i) * 300000).toISOString(), c: price, h: price, l: price, o: price, v: 10 }));
+    };
+
+    try {
+        // Test 1: Claims split the cash between symbols
+        console.log('1. Testing the capital budget...');
+        const budget = new CapitalBudget({ symbols: ['BTC/USD', 'ETH/USD', 'SOL/USD'], budget: 3000 });
+        const account = { cash: 5000, equity: 5000 };
+        const btc = budget.claim('BTC/USD', account, [{ symbol: 'BTC/USD', marketValue: 400 }]);
+        check(btc.cash === 600 && btc.cappedBy === 'symbol', `Equal share of the budget less what BTC holds: $${btc.cash}`);
+        const eth = budget.claim('ETHUSD', { cash: 700, equity: 5000 }, [{ symbol: 'BTC/USD', marketValue: 400 }]);
+        check(eth.cash === 100 && eth.cappedBy === 'cash', 'Cash claimed by BTC is not offered to ETH');
+        budget.release('BTC/USD');
+        check(budget.claim('ETH/USD', { cash: 700, equity: 5000 }).cash === 700, 'Released claims free the cash');
+        const status = budget.status(account, [{ symbol: 'BTC/USD', marketValue: 400 }, { symbol: 'DOGE/USD', marketValue: 900 }]);
+        check(status.deployed === 400 && status.symbols[0].cap === 1000, 'Holdings outside the portfolio are not counted');
+
+        // Test 2: Monitors share one fetch per symbol
+        console.log('\n2. Testing the shared bar cache...');
+        const cache = new PortfolioRunner.BarCache({ ttlSeconds: 60 });
+        let fetches = 0;
+        const fetch = async () => { fetches++; return bars(200, 100); };
+        const [first, second] = await Promise.all([cache.get('BTC/USD', '5Min', 200, fetch), cache.get('BTCUSD', '5Min', 100, fetch)]);
+        check(fetches === 1 && first.length === 200 && second.length === 100, 'Concurrent requests join one fetch');
+        await cache.get('BTC/USD', '5Min', 500, fetch);
+        await cache.get('BTC/USD', '15Min', 100, fetch);
+        check(fetches === 3, 'More bars or another timeframe fetch again');
+        const trimmed = await cache.get('SOL/USD', '5Min', 50, fetch);
+        check(trimmed.length === 50, `Fresh fetch trimmed to the bars asked for (${trimmed.length})`);
+        await cache.get('ETH/USD', '5Min', 100, async () => { fetches++; return []; });
+        await cache.get('ETH/USD', '5Min', 100, async () => { fetches++; return []; });
+        check(fetches === 6, 'Failed fetches are not cached');
+
+        // Test 3: Two symbols signalling at once can't spend the same cash
+        console.log('\n3. Testing simultaneous entries...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 1000, slippageBps: 0, takerFee: 0 });
+        broker.updatePrice('BTC/USD', 100);
+        broker.updatePrice('ETH/USD', 50);
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        errorHandler.logError = () => {};
+        const runner = await quiet(async () => new PortfolioRunner(['BTC/USD', 'ETH/USD', 'btc/usd'], {
+            broker,
+            budget: 600,
+            maxSymbolPercent: 100,
+            takeProfit: 4,
+            stopLoss: 2,
+            errorHandler,
+            smartModelManager: {}
+        }));
+        check(runner.monitors.length === 2 && runner.monitors[1].broker === broker && runner.monitors[1].riskManager === runner.riskManager, 'One monitor per symbol on the shared broker and risk manager');
+        for (const monitor of runner.monitors) {
+            monitor.requestBars = async () => bars(300, monitor.symbol === 'BTC/USD' ? 100 : 50);
+            monitor.userSettings = { ...monitor.userSettings, exitOrderMode: 'local', entryOrderType: 'market', fixedTradeValue: 500 };
+            monitor.positionSizer = null;
+            monitor.preTradeChecks = null;
+            monitor.sendDesktopNotification = () => {};
+            monitor.saveTPSLValues = () => {};
+        }
+        const prepared = await quiet(() => Promise.all(runner.monitors.map(m => runner.prepare(m))));
+        check(prepared.every(Boolean) && runner.monitors.every(m => m.currentPrice > 0), 'Symbols prepared from the shared cache');
+        await quiet(() => Promise.all(runner.monitors.map(m => executeTrade(m, 'BUY'))));
+        const positions = await broker.getPositions();
+        const spent = positions.reduce((sum, p) => sum + p.marketValue, 0);
+        check(positions.length === 1 && spent <= 600 && Object.keys(runner.capitalBudget.claims).length === 0, `First entry claimed the $600 budget, the second found none: spent $${spent.toFixed(2)}`);
+        runner.monitors.forEach(m => { m.activePosition = null; }); // lets the local TP/SL loops finish
+        await quiet(async () => runner.stop());
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Portfolio runner tests passed' : `\n❌ ${failures} portfolio runner check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testPortfolioRunner().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testPortfolioRunner };
@@ -0,0 +1,117 @@
+// Test script for the position sizing models (fixed, fractional, volatility, kelly)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const PositionSizer = require('../core/positionSizing');
+const FailurePolicy = require('../core/failurePolicy');
+const ErrorHandler = require('../core/errorHandler');
+const { executeTrade } = require('../core/tradeUtils');
+
+async function testPositionSizing() {
+    console.log('🚀 Testing Position Sizing\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-sizing-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const close = (a, b) => Math.abs(a - b) < 1e-6;
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+    // Bars ranging $2 a bar around $100: a 2% ATR
+    const bars = Array.from({ length: 20 }, (_, i) => ({ high: 101, low: 99, close: 100 + (i % 2 ? 0.5 : -0.5) }));
+    const trade = (pnl, pnlPercent) => ({ symbol: 'BTC/USD', pnl, netPnl: pnl, pnlPercent });
+
+    try {
+        // Test 1: Fixed-fractional risk against the stop
+        console.log('1. Testing fixed-fractional sizing...');
+        const fractional = new PositionSizer({ mode: 'fractional', riskPercent: 1, maxPositionPercent: 100 });
+        const sized = fractional.size({ equity: 10000, cash: 10000, price: 100, stopLossPercent: 2 });
+        check(close(sized.value, 5000) && sized.cappedBy === null, `1% risk at a 2% stop buys $${sized.value}`);
+        const capped = new PositionSizer({ mode: 'fractional', riskPercent: 1 }).size({ equity: 10000, cash: 10000, price: 100, stopLossPercent: 2 });
+        check(close(capped.value, 1000) && capped.cappedBy === 'maxPositionPercent', 'Capped at 10% of equity by default');
+        const cashCapped = fractional.size({ equity: 10000, cash: 1001, price: 100, stopLossPercent: 2, feeRate: 0.001 });
+        check(cashCapped.value <= 1000 && cashCapped.cappedBy === 'cash', 'Capped by cash net of the taker fee');
+        const noStop = fractional.size({ equity: 10000, cash: 10000, price: 100, stopLossPercent: NaN });
+        check(close(noStop.value, 50) && noStop.note.includes('no stop loss'), 'No stop falls back to the trade value');
+
+        // Test 2: Volatility targeting
+        console.log('\n2. Testing volatility sizing...');
+        const volatility = new PositionSizer({ mode: 'volatility', riskPercent: 1, volMultiple: 2, maxPositionPercent: 100 });
+        const atrSized = volatility.size({ equity: 10000, cash: 10000, price: 100, bars });
+        check(close(atrSized.value, 2500), `1% risk on a 2x ATR (4%) move buys $${atrSized.value}`);
+        const stdevSized = new PositionSizer({ mode: 'volatility', measure: 'stdev', maxPositionPercent: 100 }).size({ equity: 10000, cash: 10000, price: 100, bars });
+        const stdev = PositionSizer.returnStdev(bars, 14);
+        check(Math.abs(stdevSized.value - 100 / (2 * stdev)) < 1e-4, `Stdev measure: ${(stdev * 100).toFixed(2)}% per bar`);
+        check(volatility.size({ equity: 10000, cash: 10000, price: 100, bars: bars.slice(0, 1) }).note.includes('not enough bars'), 'Too few bars falls back to the trade value');
+        const usdCapped = new PositionSizer({ mode: 'volatility', maxPositionUsd: 300 }).size({ equity: 10000, cash: 10000, price: 100, bars });
+        check(close(usdCapped.value, 300) && usdCapped.cappedBy === 'maxPositionUsd', 'maxPositionUsd caps the order');
+
+        // Test 3: Fractional Kelly from trade history
+        console.log('\n3. Testing Kelly sizing...');
+        const kelly = new PositionSizer({ mode: 'kelly', minTrades: 10, maxPositionPercent: 100, historyPath: path.join(tmpDir, 'position_log.json') });
+        check(kelly.size({ equity: 10000, cash: 10000, price: 100, symbol: 'BTC/USD' }).note.includes('0 of 10 trades'), 'Needs minTrades closed trades');
+        const history = [...Array(6).fill(trade(20, 2)), ...Array(4).fill(trade(-10, -1)), trade(5, 1)];
+        history[10] = { ...history[10], symbol: 'ETH/USD' };
+        fs.writeFileSync(kelly.historyPath, JSON.stringify(history));
+        const stats = PositionSizer.tradeStats(kelly.loadTradeHistory('BTC/USD'));
+        check(stats.trades === 10 && close(stats.winRate, 0.6) && close(stats.avgWin, 0.02) && close(stats.avgLoss, 0.01), 'Stats from the symbol\'s logged trades');
+        // f = (0.6 * 2 - 0.4) / 2 = 0.4, quarter Kelly = 10% of equity
+        const kellySized = await quiet(() => kelly.size({ equity: 10000, cash: 10000, price: 100, symbol: 'BTC/USD' }));
+        check(close(kellySized.value, 1000), `Quarter Kelly buys $${kellySized.value}`);
+
+        // Test 4: executeTrade sizes entries with the configured model
+        console.log('\n4. Testing live entries...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'live.json'), startingBalance: 10000, slippageBps: 0, takerFee: 0 });
+        broker.updatePrice('BTC/USD', 100);
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        errorHandler.logError = () => {};
+        const monitor = {
+            symbol: 'BTC/USD',
+            broker,
+            errorHandler,
+            failurePolicy: FailurePolicy.fromSettings({}, errorHandler),
+            positionSizer: PositionSizer.fromConfig({ mode: 'fractional', riskPercent: 0.5 }),
+            userSettings: { exitOrderMode: 'local' },
+            takeProfit: 4,
+            stopLoss: 2,
+            currentPrice: 100,
+            historicalData: [{ timestamp: new Date('2024-05-01T12:05:00Z'), close: 100 }],
+            stopMonitoring() {},
+            sendDesktopNotification() {},
+            saveTPSLValues() {},
+            startTPSLMonitoring() {}
+        };
+        await quiet(() => executeTrade(monitor, 'BUY'));
+        const position = await broker.getPosition('BTC/USD');
+        check(position && position.qty === 10, `0.5% risk at a 2% stop, capped at 10% of equity: bought ${position ? position.qty : 0} BTC`);
+        check(PositionSizer.fromConfig(null) === null, 'No config keeps the old sizing');
+        monitor.activePosition = null; // lets the local TP/SL loop finish
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Position sizing tests passed' : `\n❌ ${failures} position sizing check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testPositionSizing().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testPositionSizing };
@@ -0,0 +1,119 @@
+// Test script for the pre-trade check pipeline
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const PreTradeChecks = require('../core/preTradeChecks');
+const ErrorHandler = require('../core/errorHandler');
+const { placeOrder } = require('../core/tradeUtils');
+
+async function testPreTradeChecks() {
+    console.log('🚀 Testing Pre-Trade Checks\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-checks-'));
+    const logPath = path.join(tmpDir, 'pre_trade_checks.log');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const now = Date.parse('2024-05-01T14:00:00Z'); // a Wednesday
+    const order = { symbol: 'BTC/USD', qty: 10, side: 'buy' };
+    const context = (overrides = {}) => ({
+        symbol: 'BTC/USD',
+        signal: 'BUY',
+        price: 100,
+        bars: Array.from({ length: 21 }, (_, i) => ({ close: 100, volume: i === 20 ? 40 : 100 })),
+        priceTime: new Date(now - 30000).toISOString(),
+        now,
+        quote: async () => ({ bid: 99.9, ask: 100.1, mid: 100 }),
+        referencePrice: async () => 100.2,
+        sentiment: async () => ({ sentiment: 'negative', score: -0.8, confidence: 0.9, articlesAnalyzed: 5 }),
+        ...overrides
+    });
+    const run = (checks, overrides) => new PreTradeChecks(checks, { logPath }).evaluate(order, context(overrides));
+    const quiet = async fn => {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+        }
+    };
+
+    try {
+        // Test 1: Individual checks
+        console.log('1. Testing individual checks...');
+        const volume = await run([{ type: 'minVolume', ratio: 0.5 }]);
+        check(volume.action === 'block' && volume.reason.includes('volume 40.00'), `Thin bar blocked: ${volume.reason}`);
+        check((await run([{ type: 'maxSpread', percent: 0.1 }])).action === 'block' && (await run([{ type: 'maxSpread', percent: 0.5 }])).action === 'pass', 'Spread of 0.2% blocked at 0.1%, passed at 0.5%');
+        const stale = await run([{ type: 'staleness', maxSeconds: 10 }]);
+        check(stale.action === 'block' && stale.reason.includes('30s old'), `Stale price blocked: ${stale.reason}`);
+        check((await run([{ type: 'priceDivergence', percent: 0.1 }])).action === 'block' && (await run([{ type: 'priceDivergence', percent: 0.5 }])).action === 'pass', 'Venue vs reference divergence of 0.2%');
+        check((await run([{ type: 'timeWindow', start: '13:30', end: '20:00', days: [1, 2, 3, 4, 5] }])).action === 'pass', 'Inside weekday hours');
+        check((await run([{ type: 'timeWindow', start: '22:00', end: '06:00' }])).action === 'block' && (await run([{ type: 'timeWindow', start: '13:00', end: '02:00' }])).action === 'pass', 'Windows across midnight');
+        const veto = await run([{ type: 'sentimentVeto', minScore: -0.5 }]);
+        check(veto.action === 'block' && veto.reason.includes('negative'), `Sentiment veto: ${veto.reason}`);
+        const missing = await run([{ type: 'maxSpread', percent: 0.1 }, { type: 'sentimentVeto' }], { quote: async () => null, sentiment: async () => ({ articlesAnalyzed: 0 }) });
+        check(missing.action === 'pass' && missing.decisions[0].reason === 'no quote', 'Checks without data pass and say so');
+
+        // Test 2: Pipeline decisions and logging
+        console.log('\n2. Testing the pipeline...');
+        const resized = await run([
+            { type: 'maxSpread', percent: 0.1, action: 'resize', resizeFraction: 0.5 },
+            { type: 'custom', name: 'Half Again', check: async () => ({ action: 'resize', fraction: 0.5, reason: 'custom' }) },
+            { type: 'staleness', maxSeconds: 60 }
+        ]);
+        check(resized.action === 'resize' && resized.fraction === 0.25 && resized.decisions.length === 3, `Resizes multiply: x${resized.fraction}`);
+        const blocked = await run([{ type: 'timeWindow', start: '00:00', end: '01:00' }, { type: 'sentimentVeto' }]);
+        check(blocked.action === 'block' && blocked.decisions.length === 1, 'First block stops the chain');
+        const broken = { type: 'custom', check: async () => { throw new Error('feed down'); } };
+        check((await run([broken])).action === 'pass' && (await run([{ ...broken, onError: 'block' }])).action === 'block', 'A failing check passes unless onError is block');
+        const logLines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+        check(logLines.some(line => line.includes('[BTC/USD BUY 10] maxSpread: resize x0.5 - spread')), 'Decisions logged');
+        let error = null;
+        try {
+            PreTradeChecks.fromConfig([{ type: 'moonPhase' }]);
+        } catch (e) {
+            error = e;
+        }
+        check(error && error.message.includes('moonPhase') && PreTradeChecks.fromConfig([]) === null, 'Unknown checks rejected; no config means no checks');
+
+        // Test 3: Orders go through the checks
+        console.log('\n3. Testing placed orders...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000, slippageBps: 0 });
+        broker.updatePrice('BTC/USD', 100);
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        const monitor = {
+            symbol: 'BTC/USD',
+            broker,
+            errorHandler,
+            currentPrice: 100,
+            currentPriceAt: Date.now(),
+            historicalData: [{ timestamp: new Date('2024-05-01T12:05:00Z'), close: 100 }],
+            preTradeChecks: new PreTradeChecks([{ type: 'custom', name: 'Halve', check: async () => ({ action: 'resize', fraction: 0.5, reason: 'test' }) }], { logPath })
+        };
+        const placed = await quiet(() => placeOrder(monitor, 'BUY', { ...order, type: 'market' }));
+        check(placed && placed.filledQty === 5, `Entry resized to ${placed && placed.filledQty}`);
+        monitor.preTradeChecks = new PreTradeChecks([{ type: 'staleness', maxSeconds: 1 }], { logPath });
+        monitor.currentPriceAt = Date.now() - 60000;
+        check((await quiet(() => placeOrder(monitor, 'BUY', { ...order, type: 'market' }))) === null, 'Entry on a stale price not sent');
+        const exit = await quiet(() => placeOrder(monitor, 'SELL', { symbol: 'BTC/USD', qty: 5, side: 'sell', type: 'market' }));
+        check(exit && exit.filledQty === 5, 'Exits are never checked');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Pre-trade check tests passed' : `\n❌ ${failures} pre-trade check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testPreTradeChecks().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testPreTradeChecks };
@@ -21,7 +21,7 @@ async function testRealtimeData() {
         
         console.log('\n3️⃣ Testing real account balance...');
         try {
-            const account = await monitor.alpaca.getAccount();
+            const account = await monitor.broker.getAccount();
             const realBalance = parseFloat(account.cash);
             console.log(`✅ Real account balance: $${realBalance.toFixed(2)}`);
             
@@ -0,0 +1,145 @@
+// Test script for the portfolio risk manager (loss limits, kill switch, exposure caps)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const RiskManager = require('../core/riskManager');
+const ErrorHandler = require('../core/errorHandler');
+const { placeOrder } = require('../core/tradeUtils');
+
+async function testRiskManager() {
+    console.log('🚀 Testing Risk Manager\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-risk-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const openBroker = name => {
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, `${name}.json`), startingBalance: 10000, slippageBps: 0, takerFee: 0, makerFee: 0 });
+        broker.updatePrice('BTC/USD', 100);
+        broker.updatePrice('ETH/USD', 50);
+        return broker;
+    };
+    const openRisk = (name, options) => new RiskManager({ ...options, statePath: path.join(tmpDir, `${name}_risk.json`) });
+    const buy = (symbol, qty) => ({ symbol, qty, side: 'buy', type: 'market', timeInForce: 'gtc' });
+    const newMonitor = (name, riskManager) => {
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        errorHandler.logError = () => {};
+        const notifications = [];
+        return {
+            symbol: 'BTC/USD',
+            broker: openBroker(name),
+            errorHandler,
+            riskManager,
+            currentPrice: 100,
+            bar: 0,
+            notifications,
+            sendDesktopNotification: (title, message) => notifications.push(`${title}: ${message}`),
+            clearTPSLValues() {}
+        };
+    };
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+
+    try {
+        // Test 1: Daily loss trips the kill switch until the next UTC day
+        console.log('1. Testing daily loss limit...');
+        const daily = openRisk('daily', { maxDailyLoss: 200 });
+        const broker = openBroker('daily');
+        check((await daily.check(broker, buy('BTC/USD', 50), 100)).allowed, 'Entry allowed at the start of the day');
+        await broker.submitOrder(buy('BTC/USD', 50));
+        broker.updatePrice('BTC/USD', 95);
+        const blocked = await daily.check(broker, buy('BTC/USD', 1), 95);
+        check(!blocked.allowed && blocked.breach && blocked.reason.includes('daily loss $250.00'), `Entry blocked: ${blocked.reason}`);
+        const again = await daily.check(broker, buy('ETH/USD', 1), 50);
+        check(!again.allowed && !again.breach && again.reason.startsWith('trading halted'), 'Kill switch stays on without a second breach');
+        check((await daily.check(broker, { symbol: 'BTC/USD', qty: 50, side: 'sell' }, 95)).allowed, 'Exits still allowed');
+        check(openRisk('daily', {}).isHalted() !== null, 'Kill switch survives a restart');
+        check(daily.isHalted(Date.parse(daily.state.halted.until)) === null, 'Daily halt lifts at the next UTC day');
+        const early = openRisk('early', { maxDailyLoss: 200 });
+        const morning = Date.parse('2024-05-03T00:05:00Z');
+        check(early.needsDayStart(morning) && early.startDay(10000, morning) && !early.startDay(9900, morning + 60000), 'Opening equity recorded once on the first update of the day');
+        const firstEntry = early.evaluate(9750, Date.parse('2024-05-03T15:00:00Z'));
+        check(firstEntry.breach && firstEntry.dailyLoss === 250, 'Losses before the first entry count toward the daily limit');
+
+        // Test 2: Drawdown from the equity peak holds until reset
+        console.log('\n2. Testing drawdown kill switch...');
+        const drawdown = openRisk('drawdown', { maxDrawdownPercent: 10 });
+        check(drawdown.evaluate(12000, Date.parse('2024-05-01T10:00:00Z')).breach === null, 'New peak at $12,000');
+        const status = drawdown.evaluate(10700, Date.parse('2024-05-02T10:00:00Z'));
+        check(status.breach && status.breach.limit === 'drawdown' && status.dailyLoss === 0, `Breach on a fresh day: ${status.drawdownPercent.toFixed(2)}% off the peak`);
+        drawdown.halt(status.breach.limit, status.breach.reason);
+        check(drawdown.isHalted(Date.now() + 7 * 86400000) !== null, 'Drawdown halt does not expire on its own');
+        drawdown.reset();
+        check(drawdown.isHalted() === null && drawdown.state.peakEquity === null, 'reset() clears the halt and the peak');
+
+        // Test 3: Position count and notional caps
+        console.log('\n3. Testing exposure limits...');
+        const caps = openRisk('caps', { maxOpenPositions: 1, maxNotionalPerSymbol: 1000 });
+        const capped = openBroker('caps');
+        await capped.submitOrder(buy('BTC/USD', 5));
+        const second = await caps.check(capped, buy('ETH/USD', 1), 50);
+        check(!second.allowed && !second.breach && second.reason.includes('1 open positions'), `Second symbol refused: ${second.reason}`);
+        check((await caps.check(capped, buy('BTC/USD', 4), 100)).allowed, 'Adding $400 to a $500 position is within $1000');
+        const large = await caps.check(capped, buy('BTC/USD', 6), 100);
+        check(!large.allowed && large.reason.includes('$1100.00'), `Oversized add refused: ${large.reason}`);
+
+        // Test 4: executeTrade orders are blocked, notified and flattened
+        console.log('\n4. Testing enforcement on placed orders...');
+        const monitor = newMonitor('enforce', openRisk('enforce', { maxDailyLossPercent: 2, flattenOnBreach: true }));
+        monitor.historicalData = [{ timestamp: new Date('2024-05-01T12:05:00Z'), close: 100 }];
+        check(!!(await quiet(() => placeOrder(monitor, 'BUY', buy('BTC/USD', 40)))), 'Entry placed under the limits');
+        await monitor.broker.submitOrder(buy('ETH/USD', 20));
+        monitor.broker.updatePrice('BTC/USD', 94);
+        monitor.currentPrice = 94;
+        monitor.historicalData = [{ timestamp: new Date('2024-05-01T12:10:00Z'), close: 94 }];
+        const refused = await quiet(() => placeOrder(monitor, 'BUY', buy('BTC/USD', 1)));
+        check(refused === null, 'Entry over the daily loss limit not sent');
+        check(monitor.notifications.some(n => n.startsWith('Risk Limit Hit')), 'Notification sent');
+        check((await monitor.broker.getPositions()).length === 0, 'All positions flattened');
+        check(monitor.notifications.some(n => n.startsWith('Position Closed - ETH/USD')), 'Other symbol closed through the order path and reported');
+        const ethSell = (await monitor.broker.getOrders({ status: 'closed', symbols: ['ETH/USD'] })).find(o => o.side === 'sell');
+        check(ethSell && ethSell.clientOrderId && ethSell.clientOrderId.startsWith('bitflow-ETHUSD-risk-limit'), `Close sent with a deterministic ID: ${ethSell && ethSell.clientOrderId}`);
+
+        // Test 5: One failed close doesn't stop the rest
+        console.log('\n5. Testing flatten failures...');
+        const venue = openBroker('flatten');
+        venue.updatePrice('SOL/USD', 20);
+        for (const order of [buy('BTC/USD', 1), buy('ETH/USD', 1), buy('SOL/USD', 1)]) await venue.submitOrder(order);
+        const flattener = openRisk('flatten', {});
+        const result = await flattener.flattenAll(venue, [], async position => {
+            if (position.symbol === 'ETH/USD') throw new Error('qty below minimum');
+            return venue.submitOrder({ symbol: position.symbol, qty: position.qty, side: 'sell', type: 'market', timeInForce: 'gtc' });
+        });
+        check(result.closed.join() === 'BTC/USD,SOL/USD' && result.failed.length === 1 && result.failed[0].symbol === 'ETH/USD', `Closed ${result.closed.join(', ')}; failed ${result.failed.map(f => `${f.symbol} (${f.error})`).join(', ')}`);
+        const direct = await flattener.flattenAll(venue);
+        const retried = await flattener.flattenAll(venue);
+        check(direct.closed.join() === 'ETH/USD' && retried.closed.length === 0 && (await venue.getPositions()).length === 0, 'Default close sells the rest once');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Risk manager tests passed' : `\n❌ ${failures} risk manager check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testRiskManager().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testRiskManager };
@@ -0,0 +1,87 @@
+// Test script for the VaR / stress-scenario risk report
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const RiskReport = require('../core/riskReport');
+const RiskManager = require('../core/riskManager');
+
+async function testRiskReport() {
+    console.log('🚀 Testing Risk Report\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-riskreport-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+    const start = Date.parse('2024-05-01T00:00:00Z');
+    // Closes that move by the given returns, one bar a minute
+    const barsFrom = (returns, first = 100) => {
+        const bars = [{ t: new Date(start).toISOString(), c: first }];
+        returns.forEach((r, i) => bars.push({ t: new Date(start + (i + 1) * 60000).toISOString(), c: bars[i].c * (1 + r) }));
+        return bars;
+    };
+    // 100 returns: -1%..+0.98% in steps of 0.02%
+    const returns = Array.from({ length: 100 }, (_, i) => (i - 50) / 5000);
+
+    try {
+        // Test 1: VaR and CVaR of a P&L series
+        console.log('1. Testing the statistics...');
+        check(close(RiskReport.normalQuantile(0.95), 1.644854, 1e-5) && close(RiskReport.normalQuantile(0.01), -2.326348, 1e-5), 'Normal quantiles');
+        const pnl = returns.map(r => r * 1000);
+        const historical = RiskReport.historical(pnl, 0.95);
+        check(close(historical.var, 9) && close(historical.cvar, 9.5), `Historical VaR $${historical.var.toFixed(2)}, CVaR $${historical.cvar.toFixed(2)}`);
+        const parametric = RiskReport.parametric(pnl, 0.95);
+        check(parametric.var > 0 && parametric.cvar > parametric.var, `Parametric VaR $${parametric.var.toFixed(2)}, CVaR $${parametric.cvar.toFixed(2)}`);
+        check(RiskReport.historical([1, 2, 3], 0.95).var === 0 && RiskReport.parametric([], 0.95).var === 0, 'No losses, no VaR');
+
+        // Test 2: Portfolio report and stress scenarios
+        console.log('\n2. Testing the portfolio report...');
+        const report = new RiskReport({ confidence: 0.95 });
+        const hedged = report.compute(
+            [{ symbol: 'BTC/USD', value: 1000 }, { symbol: 'ETH/USD', value: 1000 }],
+            { 'BTC/USD': barsFrom(returns), 'ETH/USD': barsFrom(returns.map(r => -r)) },
+            10000
+        );
+        check(hedged.observations === 100 && close(hedged.historical.var, 0), 'Offsetting holdings net out');
+        const single = report.compute([{ symbol: 'BTC/USD', value: 1000 }], { 'BTC/USD': barsFrom(returns) }, 10000);
+        check(close(single.historical.var, hedged.positions[0].historical.var) && single.historical.var > 0, 'Standalone VaR per position');
+        const partial = report.compute([{ symbol: 'BTC/USD', value: 1000 }, { symbol: 'DOGE/USD', value: 500 }], { 'BTC/USD': barsFrom(returns) }, 10000);
+        check(partial.note.includes('DOGE/USD') && close(partial.historical.var, single.historical.var), 'Holdings without history are left out and noted');
+        const [btcShock, altShock] = partial.stress;
+        check(close(btcShock.pnl, -100) && close(altShock.pnl, -125) && close(altShock.percent, -1.25), `Stress: ${btcShock.name} $${btcShock.pnl}, ${altShock.name} $${altShock.pnl}`);
+        check(RiskReport.shockFor({ all: -5, 'ETHUSD': -30 }, 'ETH/USD') === -30 && RiskReport.shockFor({ alts: -25 }, 'SOLUSDT') === -25, 'Shock keys match BTCUSD and BTC/USD symbols');
+
+        // Test 3: Reports on broker holdings and feeds the risk manager
+        console.log('\n3. Testing live holdings and the VaR limit...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000, slippageBps: 0, takerFee: 0 });
+        broker.updatePrice('BTC/USD', 100);
+        await broker.submitOrder({ symbol: 'BTC/USD', qty: 20, side: 'buy', type: 'market' });
+        let fetched = 0;
+        const live = new RiskReport({ fetchBars: async () => { fetched++; return barsFrom(returns); } });
+        const built = await live.build(broker);
+        await live.build(broker);
+        check(built.positions.length === 1 && close(built.positions[0].value, 2000) && fetched === 1, 'Holdings priced from cached bars');
+        const withOrder = await live.build(broker, { add: { symbol: 'BTC/USD', value: 1000 } });
+        check(close(withOrder.historical.var, built.historical.var * 1.5), 'A pending order adds to its symbol');
+        const risk = new RiskManager({ maxVarPercent: 0.5, riskReport: live, statePath: path.join(tmpDir, 'risk.json') });
+        check((await risk.check(broker, { symbol: 'BTC/USD', qty: 5, side: 'buy' }, 100)).allowed, 'Entry inside the VaR limit allowed');
+        const refused = await risk.check(broker, { symbol: 'BTC/USD', qty: 100, side: 'buy' }, 100);
+        check(!refused.allowed && refused.reason.includes('VaR'), `Entry over the limit refused: ${refused.reason}`);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Risk report tests passed' : `\n❌ ${failures} risk report check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testRiskReport().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testRiskReport };
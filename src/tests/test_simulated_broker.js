@@ -0,0 +1,127 @@
+// Test script for the offline simulated broker and replay feed
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const ReplayFeed = require('../core/replayFeed');
+
+async function testSimulatedBroker() {
+    console.log('🚀 Testing Simulated Broker\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-sim-'));
+    const statePath = path.join(tmpDir, 'simulated_broker.json');
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+
+    try {
+        // Test 1: Market buy with fees and slippage
+        console.log('1. Testing market order fill...');
+        const broker = createBroker('simulated', { statePath, startingBalance: 10000, takerFee: 0.001, makerFee: 0.0005, slippageBps: 10 });
+        broker.updatePrice('BTC/USD', 50000);
+        const buy = await broker.submitOrder({ symbol: 'BTC/USD', qty: 0.1, side: 'buy' });
+        const expectedFill = 50000 * 1.001;
+        check(buy.status === 'filled' && Math.abs(buy.filledAvgPrice - expectedFill) < 1e-6, `Market buy filled at ${buy.filledAvgPrice.toFixed(2)}`);
+        const account = await broker.getAccount();
+        const expectedCash = 10000 - 0.1 * expectedFill * 1.001;
+        check(Math.abs(account.cash - expectedCash) < 1e-6, `Cash after buy: ${account.cash.toFixed(2)}`);
+
+        // Test 2: Resting limit order fills when price crosses
+        console.log('\n2. Testing limit order fill...');
+        const limitSell = await broker.submitOrder({ symbol: 'BTCUSD', qty: 0.05, side: 'sell', type: 'limit', limitPrice: 52000 });
+        check(limitSell.status !== 'filled', 'Limit sell rests below its price');
+        broker.updatePrice('BTC/USD', 52500);
+        const filledSell = await broker.getOrder(limitSell.id);
+        check(filledSell.status === 'filled' && filledSell.filledAvgPrice === 52000, 'Limit sell filled at limit price as maker');
+        const position = await broker.getPosition('BTC/USD');
+        check(position && Math.abs(position.qty - 0.05) < 1e-12, `Remaining position: ${position && position.qty}`);
+
+        // Test 3: Rejections
+        console.log('\n3. Testing rejections...');
+        try {
+            await broker.submitOrder({ symbol: 'BTC/USD', qty: 10, side: 'buy' });
+            check(false, 'Oversized buy should be rejected');
+        } catch (error) {
+            check(error.message.includes('insufficient balance'), 'Oversized buy rejected for insufficient balance');
+        }
+        try {
+            await broker.submitOrder({ symbol: 'BTC/USD', qty: 1, side: 'sell' });
+            check(false, 'Oversized sell should be rejected');
+        } catch (error) {
+            check(error.message.includes('insufficient qty'), 'Oversized sell rejected for insufficient qty');
+        }
+
+        // Test 4: State survives a restart
+        console.log('\n4. Testing persistence...');
+        const restarted = createBroker('simulated', { statePath, startingBalance: 999 });
+        const restartedAccount = await restarted.getAccount();
+        check(Math.abs(restartedAccount.cash - (await broker.getAccount()).cash) < 1e-6, 'Cash restored from state file');
+        check((await restarted.getPositions()).length === 1, 'Positions restored from state file');
+        restarted.reset(2500);
+        check((await restarted.getAccount()).cash === 2500, 'Reset applies new starting balance');
+
+        // Test 5: Replay feed
+        console.log('\n5. Testing replay feed...');
+        const csvPath = path.join(tmpDir, 'bars.csv');
+        const rows = ['timestamp,open,high,low,close,volume'];
+        for (let i = 0; i < 10; i++) rows.push(`2024-01-01T00:${String(i * 5).padStart(2, '0')}:00Z,${100 + i},${101 + i},${99 + i},${100 + i},5`);
+        fs.writeFileSync(csvPath, rows.join('\n'));
+        const feed = new ReplayFeed(csvPath, { warmupBars: 5 });
+        check(feed.getBars().length === 5 && feed.currentBar().close === 104, 'Replay starts after warmup bars');
+        while (feed.advance());
+        check(feed.isFinished() && feed.currentBar().close === 109, 'Replay advances to the final bar');
+
+        // Test 6: Bracket order - broker holds TP/SL after the entry fills
+        console.log('\n6. Testing bracket orders...');
+        const bracketBroker = createBroker('simulated', { statePath: path.join(tmpDir, 'bracket.json'), startingBalance: 10000, slippageBps: 0 });
+        check(bracketBroker.getCapabilities('BTC/USD').bracketOrders, 'Simulated broker reports bracket support');
+        bracketBroker.updatePrice('ETH/USD', 2000);
+        const bracket = await bracketBroker.submitBracketOrder({
+            symbol: 'ETH/USD', qty: 1, side: 'buy', type: 'market',
+            takeProfit: { limitPrice: 2100 }, stopLoss: { stopPrice: 1900 }
+        });
+        const working = ['new', 'accepted'];
+        check(bracket.status === 'filled' && working.includes(bracket.legs.takeProfit.status) && working.includes(bracket.legs.stopLoss.status), 'Entry filled and exit legs released');
+        bracketBroker.updatePrice('ETH/USD', 2150);
+        const tpLeg = await bracketBroker.getOrder(bracket.legs.takeProfit.id);
+        const slLeg = await bracketBroker.getOrder(bracket.legs.stopLoss.id);
+        check(tpLeg.status === 'filled' && tpLeg.filledAvgPrice === 2100, 'Take-profit leg filled at its limit');
+        check(slLeg.status === 'canceled', 'Stop-loss leg cancelled by OCO');
+        check((await bracketBroker.getPosition('ETH/USD')) === null, 'Position closed by broker-held exit');
+
+        // Test 7: OCO on an existing position
+        console.log('\n7. Testing OCO orders...');
+        await bracketBroker.submitOrder({ symbol: 'ETH/USD', qty: 1, side: 'buy' });
+        const oco = await bracketBroker.submitOcoOrder({
+            symbol: 'ETH/USD', qty: 1, side: 'sell',
+            takeProfit: { limitPrice: 2300 }, stopLoss: { stopPrice: 2000 }
+        });
+        bracketBroker.updatePrice('ETH/USD', 1990);
+        const ocoStop = await bracketBroker.getOrder(oco.legs.stopLoss.id);
+        const ocoTp = await bracketBroker.getOrder(oco.legs.takeProfit.id);
+        check(ocoStop.status === 'filled' && ocoTp.status === 'canceled', 'Stop leg filled and take-profit cancelled');
+        const held = await bracketBroker.submitBracketOrder({
+            symbol: 'ETH/USD', qty: 1, side: 'buy', type: 'limit', limitPrice: 1500,
+            takeProfit: { limitPrice: 1600 }, stopLoss: { stopPrice: 1400 }
+        });
+        check(held.legs.takeProfit.status === 'held', 'Legs held while entry is working');
+        await bracketBroker.cancelOrder(held.id);
+        const cancelledLeg = await bracketBroker.getOrder(held.legs.stopLoss.id);
+        check(cancelledLeg.status === 'canceled', 'Cancelling the entry cancels its legs');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Simulated broker tests passed' : `\n❌ ${failures} simulated broker check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testSimulatedBroker().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testSimulatedBroker };
@@ -0,0 +1,79 @@
+// Test script for the symbol registry (canonical symbols and provider tickers)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SymbolRegistry = require('../core/symbolRegistry');
+const { createBroker } = require('../core/brokerAdapter');
+const AlpacaBroker = require('../core/alpacaBroker');
+const RiskManager = require('../core/riskManager');
+
+async function testSymbolRegistry() {
+    console.log('🚀 Testing Symbol Registry\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-symbols-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+
+    try {
+        // Test 1: Every spelling resolves to one instrument
+        console.log('1. Testing canonical symbols...');
+        const spellings = ['BTC/USD', 'btc/usd', 'BTCUSD', 'BTC-USD', 'X:BTCUSD', ' btcusd '];
+        check(spellings.every(s => SymbolRegistry.canonical(s) === 'BTC/USD'), `${spellings.join(', ')} -> BTC/USD`);
+        check(SymbolRegistry.canonical('ETHBTC') === 'ETH/BTC' && SymbolRegistry.canonical('SOLUSDT') === 'SOL/USDT' && SymbolRegistry.canonical('AAPL') === 'AAPL', 'Other quotes and stocks');
+        check(SymbolRegistry.canonical('WBTC') === 'WBTC' && SymbolRegistry.canonical('STETH') === 'STETH' && SymbolRegistry.ticker('WBTC', 'polygonNews') === 'WBTC', 'Bare WBTC and STETH are not split on a quote suffix');
+        check(SymbolRegistry.canonical('WBTCUSD') === 'WBTC/USD' && SymbolRegistry.canonical('STETH-USD') === 'STETH/USD', 'WBTC and STETH pairs');
+        check(SymbolRegistry.same('ETHUSD', 'eth/usd') && !SymbolRegistry.same('ETH/USD', 'ETH/USDT'), 'same() compares instruments, not strings');
+
+        // Test 2: Provider tickers, asset class and precision
+        console.log('\n2. Testing provider tickers...');
+        const btc = SymbolRegistry.get('BTCUSD');
+        check(btc.base === 'BTC' && btc.quote === 'USD' && btc.assetClass === 'crypto', 'Base, quote and asset class');
+        const tickers = SymbolRegistry.PROVIDERS.map(p => SymbolRegistry.ticker('BTC/USD', p)).join(' ');
+        check(tickers === 'BTCUSD BTC/USD BTC-USD X:BTCUSD BTC BTCUSD', `Tickers: ${tickers}`);
+        check(SymbolRegistry.ticker('AAPL', 'polygon') === 'AAPL' && SymbolRegistry.get('AAPL').assetClass === 'us_equity', 'Stocks keep their ticker');
+        check(SymbolRegistry.isCrypto('DOGE') && !SymbolRegistry.isCrypto('MSFT'), 'Bare crypto tickers are recognised');
+        let rejected = false;
+        try {
+            SymbolRegistry.ticker('BTC/USD', 'binance');
+        } catch (error) {
+            rejected = error.message.includes('Unknown symbol provider');
+        }
+        check(rejected, 'Unknown providers rejected');
+        SymbolRegistry.configure({ 'UNIUSD': { yahoo: 'UNI7083-USD', priceIncrement: 0.001 } });
+        check(SymbolRegistry.ticker('UNI/USD', 'yahoo') === 'UNI7083-USD' && SymbolRegistry.ticker('UNI/USD', 'alpaca') === 'UNIUSD', 'symbols.json overrides one ticker');
+        SymbolRegistry.register({ symbol: 'UNIUSD', assetClass: 'crypto', qtyIncrement: 0.01, priceIncrement: 0.0001, minOrderSize: 0.1 });
+        const precision = SymbolRegistry.precision('UNI/USD');
+        check(precision.qtyIncrement === 0.01 && precision.priceIncrement === 0.001 && precision.minOrderSize === 0.1, 'Broker precision learned, settings win');
+        check(SymbolRegistry.precision('LINK/USD') === null, 'No precision until one is known');
+
+        // Test 3: Brokers and risk checks agree on symbols
+        console.log('\n3. Testing symbol lookups...');
+        const alpaca = new AlpacaBroker({ keyId: 'x', secretKey: 'y' });
+        check(alpaca.toBrokerSymbol('btc/usd') === 'BTCUSD' && !alpaca.getCapabilities('BTCUSD').bracketOrders && alpaca.getCapabilities('AAPL').bracketOrders, 'Alpaca orders and capabilities use the registry');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000, slippageBps: 0, takerFee: 0 });
+        broker.updatePrice('BTC/USD', 100);
+        await broker.submitOrder({ symbol: 'BTCUSD', qty: 10, side: 'buy', type: 'market' });
+        const position = await broker.getPosition('BTC-USD');
+        check(position && position.symbol === 'BTC/USD', 'Position found by any spelling');
+        const risk = new RiskManager({ maxNotionalPerSymbol: 1500, statePath: path.join(tmpDir, 'risk.json') });
+        const refused = await risk.check(broker, { symbol: 'BTCUSD', qty: 6, side: 'buy' }, 100);
+        check(!refused.allowed && refused.reason.includes('exposure $1600.00'), 'Exposure limit counts the BTC/USD holding for a BTCUSD order');
+    } finally {
+        SymbolRegistry.reset();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Symbol registry tests passed' : `\n❌ ${failures} symbol registry check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testSymbolRegistry().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testSymbolRegistry };
@@ -0,0 +1,113 @@
+// Test script for loss-streak cooldowns and trade-frequency throttling
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('../core/brokerAdapter');
+const TradeThrottle = require('../core/tradeThrottle');
+const FailurePolicy = require('../core/failurePolicy');
+const ErrorHandler = require('../core/errorHandler');
+const { executeTrade } = require('../core/tradeUtils');
+
+async function testTradeThrottle() {
+    console.log('🚀 Testing Trade Throttle\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitflow-throttle-'));
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+    const openThrottle = (name, options) => new TradeThrottle({ ...options, statePath: path.join(tmpDir, `${name}.json`) });
+    const minutes = n => n * 60000;
+    const start = Date.parse('2024-05-01T12:00:00Z');
+    const quiet = async fn => {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+
+    try {
+        // Test 1: Consecutive losses start a cooldown
+        console.log('1. Testing loss-streak cooldown...');
+        const streak = openThrottle('streak', { maxConsecutiveLosses: 3, lossCooldownMinutes: 60 });
+        streak.recordExit(-5, false, start);
+        streak.recordExit(-5, false, start);
+        streak.recordExit(8, false, start);
+        check(streak.state.lossStreak === 0 && streak.allowEntry(start).allowed, 'A win resets the streak');
+        streak.recordExit(4, true, start);
+        streak.recordExit(-3, false, start);
+        check(streak.state.lossStreak === 0, 'Scale-out netting a profit is a win');
+        [1, 2, 3].forEach(() => streak.recordExit(-5, false, start));
+        const blocked = streak.allowEntry(start + minutes(30));
+        check(!blocked.allowed && blocked.reason.includes('3 losses in a row'), `Entries paused: ${blocked.reason}`);
+        check(openThrottle('streak', {}).activeCooldown(start + minutes(30)) !== null, 'Cooldown survives a restart');
+        check(streak.allowEntry(start + minutes(61)).allowed, 'Entries resume after the cooldown');
+
+        // Test 2: Too many entries in the window
+        console.log('\n2. Testing trade-frequency throttle...');
+        const frequency = openThrottle('frequency', { maxTrades: 3, tradeWindowMinutes: 60, tradeCooldownMinutes: 30 });
+        [0, 10, 20].forEach(m => frequency.recordEntry(start + minutes(m)));
+        const throttled = frequency.allowEntry(start + minutes(25));
+        check(!throttled.allowed && throttled.reason.includes('3 entries in 60 min'), `Fourth entry refused: ${throttled.reason}`);
+        check(!frequency.allowEntry(start + minutes(50)).allowed, 'Still cooling down 25 minutes later');
+        check(frequency.allowEntry(start + minutes(62)).allowed, 'Old entries drop out of the window');
+
+        // Test 3: executeTrade skips throttled BUY signals but never exits
+        console.log('\n3. Testing the signal-to-order path...');
+        const broker = createBroker('simulated', { statePath: path.join(tmpDir, 'broker.json'), startingBalance: 10000, slippageBps: 0, takerFee: 0 });
+        broker.updatePrice('BTC/USD', 100);
+        const errorHandler = new ErrorHandler();
+        errorHandler.sleep = () => Promise.resolve();
+        errorHandler.logError = () => {};
+        const monitor = {
+            symbol: 'BTC/USD',
+            broker,
+            errorHandler,
+            failurePolicy: FailurePolicy.fromSettings({}, errorHandler),
+            tradeThrottle: openThrottle('live', { maxTrades: 1, maxConsecutiveLosses: 1 }),
+            userSettings: { exitOrderMode: 'local' },
+            takeProfit: 4,
+            stopLoss: 2,
+            currentPrice: 100,
+            historicalData: [{ timestamp: new Date('2024-05-01T12:05:00Z'), close: 100 }],
+            stopMonitoring() {},
+            sendDesktopNotification() {},
+            saveTPSLValues() {},
+            clearTPSLValues() {},
+            getCryptoData: async () => []
+        };
+        await quiet(() => executeTrade(monitor, 'BUY'));
+        check((await broker.getPosition('BTC/USD')) !== null && monitor.tradeThrottle.state.entries.length === 1, 'First entry placed and counted');
+        broker.updatePrice('BTC/USD', 99);
+        monitor.currentPrice = 99;
+        // A resting take-profit leg must not outlive the position
+        const position = await broker.getPosition('BTC/USD');
+        await broker.submitOrder({ symbol: 'BTC/USD', qty: position.qty, side: 'sell', type: 'limit', limitPrice: 104 });
+        await quiet(() => executeTrade(monitor, 'SELL'));
+        check((await broker.getPosition('BTC/USD')) === null, 'Exit is never throttled');
+        check((await broker.getOrders({ status: 'open', symbols: ['BTC/USD'] })).length === 0, 'SELL cancelled the resting exit order');
+        check(monitor.tradeThrottle.activeCooldown() !== null, 'Losing exit started the cooldown');
+        await quiet(() => executeTrade(monitor, 'BUY'));
+        check((await broker.getPosition('BTC/USD')) === null, 'BUY during the cooldown sends no order');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Trade throttle tests passed' : `\n❌ ${failures} trade throttle check(s) failed`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    testTradeThrottle().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testTradeThrottle };